@@ -6,247 +6,460 @@ lucide.createIcons();
 // Configure PDF.js worker
 pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
 
-// Document Processor Class
-class DocumentProcessor {
-    constructor() {
-        this.parsedData = {};
-    }
+// OCR asset locations. The Tesseract library, worker, WASM core and the eng/swa traineddata
+// are served from the app itself (vendor/tesseract) so recognition never reaches out to a CDN.
+const TESSERACT_URL = 'vendor/tesseract/tesseract.min.js';
+const OCR_ASSET_PATHS = {
+    workerPath: 'vendor/tesseract/worker.min.js',
+    corePath: 'vendor/tesseract/core',
+    langPath: 'vendor/tesseract/lang'
+};
 
-    async processFiles(files, category) {
-        const results = [];
-        
-        for (const file of files) {
-            const fileData = {
-                name: file.name,
-                size: file.size,
-                type: file.type,
-                category: category,
-                parsed: false,
-                content: null,
-                error: null
-            };
+const OCR_LANGUAGES = ['eng', 'swa'];
 
-            try {
-                const content = await this.extractContent(file);
-                fileData.content = content;
-                fileData.parsed = true;
-            } catch (error) {
-                console.error(`Error processing ${file.name}:`, error);
-                fileData.error = error.message;
-            }
+// OCR Engine Class
+// The library is loaded and one Tesseract worker created on first use, then reused for every image.
+class OcrEngine {
+    constructor() {
+        this.worker = null;
+        this.loading = null;
+    }
 
-            results.push(fileData);
+    loadLibrary() {
+        if (typeof Tesseract !== 'undefined') return Promise.resolve();
+        if (!this.loading) {
+            this.loading = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = TESSERACT_URL;
+                script.onload = resolve;
+                script.onerror = () => {
+                    this.loading = null;
+                    reject(new Error('Tesseract could not be loaded'));
+                };
+                document.head.appendChild(script);
+            });
         }
-
-        return results;
+        return this.loading;
     }
 
-    async extractContent(file) {
-        const extension = file.name.split('.').pop().toLowerCase();
-        
-        switch (extension) {
-            case 'pdf':
-                return await this.parsePDF(file);
-            case 'csv':
-                return await this.parseCSV(file);
-            case 'xlsx':
-            case 'xls':
-                return this.parseExcel(file);
-            case 'jpg':
-            case 'jpeg':
-            case 'png':
-                return { type: 'image', message: 'Image uploaded (OCR not implemented in demo)' };
-            default:
-                return { type: 'unknown', message: `File uploaded: ${file.name}` };
-        }
-    }
-
-    async parsePDF(file) {
-        const arrayBuffer = await file.arrayBuffer();
-        const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-        
-        let textContent = '';
-        
-        for (let i = 1; i <= pdf.numPages; i++) {
-            const page = await pdf.getPage(i);
-            const text = await page.getTextContent();
-            textContent += text.items.map(item => item.str).join(' ') + '\n';
+    async getWorker() {
+        if (!this.worker) {
+            this.worker = this.loadLibrary().then(() => Tesseract.createWorker(OCR_LANGUAGES, 1, {
+                ...OCR_ASSET_PATHS,
+                workerBlobURL: false,
+                cacheMethod: 'none'
+            }));
+        }
+        try {
+            return await this.worker;
+        } catch (error) {
+            this.worker = null;
+            throw new Error(`OCR engine failed to start: ${error.message}`);
         }
+    }
 
-        // Extract key financial data (simplified)
-        const extractedData = this.extractFinancialData(textContent);
-        
+    async recognize(file) {
+        const worker = await this.getWorker();
+        const { data } = await worker.recognize(file);
         return {
-            type: 'pdf',
-            pageCount: pdf.numPages,
-            text: textContent.substring(0, 1000) + '...', // Truncated for storage
-            extractedData: extractedData
+            text: data.text || '',
+            confidence: Math.round(data.confidence || 0),
+            language: OCR_LANGUAGES.join('+')
         };
     }
 
-    parseCSV(file) {
-        return new Promise((resolve, reject) => {
-            Papa.parse(file, {
-                header: true,
-                complete: (results) => {
-                    resolve({
-                        type: 'csv',
-                        rows: results.data.length,
-                        headers: results.meta.fields || [],
-                        preview: results.data.slice(0, 10),
-                        summary: this.summarizeCSVData(results.data)
-                    });
-                },
-                error: (error) => reject(error)
-            });
-        });
+    async terminate() {
+        if (!this.worker) return;
+        const worker = await this.worker;
+        this.worker = null;
+        await worker.terminate();
     }
+}
 
-    parseExcel(file) {
-        const reader = new FileReader();
-        
-        return new Promise((resolve, reject) => {
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-                    
-                    const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-                    const jsonData = XLSX.utils.sheet_to_json(firstSheet, { header: 1 });
-                    
-                    resolve({
-                        type: 'excel',
-                        sheetCount: workbook.SheetNames.length,
-                        sheetName: workbook.SheetNames[0],
-                        rows: jsonData.length - 1,
-                        headers: jsonData[0] || [],
-                        preview: jsonData.slice(1, 11),
-                        summary: this.summarizeExcelData(jsonData)
-                    });
-                } catch (error) {
-                    reject(error);
-                }
-            };
-            
-            reader.onerror = () => reject(new Error('Failed to read Excel file'));
-            reader.readAsArrayBuffer(file);
-        });
+const DOCUMENT_WORKER_URL = 'document-worker.js';
+const DOCUMENT_TIMEOUT_MS = 180000;
+// Images stay on the page: OcrEngine already runs Tesseract in its own worker
+const MAIN_THREAD_EXTENSIONS = ['jpg', 'jpeg', 'png'];
+
+function abortError() {
+    return new DOMException('Document processing was cancelled', 'AbortError');
+}
+
+// Document Worker Pool Class
+// Parses uploads in parallel workers (document-worker.js). A file that runs past the
+// timeout has its worker terminated and comes back with an error instead of hanging.
+class DocumentWorkerPool {
+    constructor(size = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1)), url = DOCUMENT_WORKER_URL) {
+        this.size = size;
+        this.url = url;
+        this.workers = [];
+        // Workers that have loaded their scripts; only one that never got this far condemns the pool
+        this.readyWorkers = new WeakSet();
+        this.nextTaskId = 1;
+        // Set when workers cannot start (e.g. offline, no CDN); parsing then falls back to the page
+        this.unavailable = typeof Worker === 'undefined';
     }
 
-    extractFinancialData(text) {
-        // Simple pattern matching for demo purposes
-        const patterns = {
-            balance: /balance|current/i,
-            income: /income|revenue|earnings/i,
-            expense: /expense|cost|spending/i,
-            date: /\d{1,2}[/\-]\d{1,2}[/\-]\d{4}/g
+    // `tasks` are { file, category }; results come back in the same order, shaped like
+    // DocumentProcessor.processFiles entries. Rejects with an AbortError when `signal` aborts.
+    async processAll(tasks, { signal, timeoutMs = DOCUMENT_TIMEOUT_MS, onProgress = () => {}, onFileComplete = () => {} } = {}) {
+        const results = new Array(tasks.length);
+        let next = 0;
+
+        const lane = async (slot) => {
+            while (next < tasks.length) {
+                if (signal && signal.aborted) throw abortError();
+                const index = next++;
+                results[index] = await this.runTask(slot, tasks[index], {
+                    signal,
+                    timeoutMs,
+                    onProgress: progress => onProgress(index, progress)
+                });
+                onFileComplete(index, results[index]);
+            }
         };
 
-        const extracted = {
-            dates: text.match(patterns.date) || [],
-            mentions: []
+        try {
+            await Promise.all(Array.from({ length: Math.min(this.size, tasks.length) }, (_, slot) => lane(slot)));
+        } catch (error) {
+            if (error.name === 'AbortError') this.terminate();
+            throw error;
+        }
+        return results;
+    }
+
+    async runTask(slot, task, options) {
+        const fileData = {
+            name: task.file.name,
+            size: task.file.size,
+            type: task.file.type,
+            category: task.category,
+            parsed: false,
+            content: null,
+            error: null
         };
 
-        Object.entries(patterns).forEach(([key, pattern]) => {
-            if (key !== 'date' && pattern.test(text)) {
-                extracted.mentions.push(key);
+        const extension = task.file.name.split('.').pop().toLowerCase();
+        const inWorker = !this.unavailable && !MAIN_THREAD_EXTENSIONS.includes(extension);
+
+        try {
+            fileData.content = inWorker
+                ? await this.runInWorker(slot, task, options)
+                : await this.runOnPage(task, options);
+            fileData.parsed = true;
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            if (error.workerUnavailable) {
+                this.unavailable = true;
+                return this.runTask(slot, task, options);
             }
-        });
+            console.error(`Error processing ${task.file.name}:`, error);
+            fileData.error = error.message;
+        }
 
-        return extracted;
+        return fileData;
     }
 
-    summarizeCSVData(data) {
-        const numericColumns = {};
-        
-        data.forEach(row => {
-            Object.entries(row).forEach(([key, value]) => {
-                if (!isNaN(value) && value !== '') {
-                    numericColumns[key] = (numericColumns[key] || 0) + parseFloat(value);
+    runInWorker(slot, task, { signal, timeoutMs, onProgress }) {
+        if (!this.workers[slot]) this.workers[slot] = new Worker(this.url);
+        const worker = this.workers[slot];
+        const taskId = this.nextTaskId++;
+
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                clearTimeout(timer);
+                worker.onmessage = null;
+                worker.onerror = null;
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+            const onAbort = () => {
+                cleanup();
+                reject(abortError());
+            };
+            const timer = setTimeout(() => {
+                cleanup();
+                // A worker stuck in a parse cannot be interrupted, only replaced
+                this.discard(slot);
+                reject(new Error(`Timed out after ${Math.round(timeoutMs / 1000)}s`));
+            }, timeoutMs);
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'ready') {
+                    this.readyWorkers.add(worker);
+                    return;
                 }
-            });
+                if (message.taskId !== taskId) return;
+                if (message.type === 'progress') {
+                    onProgress(message);
+                } else if (message.type === 'done') {
+                    cleanup();
+                    resolve(message.content);
+                } else if (message.type === 'error') {
+                    cleanup();
+                    reject(new Error(message.message));
+                }
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                cleanup();
+                // A crash after the scripts loaded fails this file only; the slot gets a fresh worker
+                const started = this.readyWorkers.has(worker);
+                this.discard(slot);
+                const error = started
+                    ? new Error(`Parser worker crashed: ${event.message || 'unknown error'}`)
+                    : new Error(`Parser worker failed: ${event.message || 'could not start'}`);
+                error.workerUnavailable = !started;
+                reject(error);
+            };
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+            worker.postMessage({ taskId, file: task.file, category: task.category });
         });
+    }
 
-        return {
-            totalRows: data.length,
-            numericColumns: Object.keys(numericColumns),
-            columnCount: Object.keys(data[0] || {}).length
-        };
+    // Main-thread parsing cannot be interrupted; on timeout or cancel its result is just ignored
+    runOnPage(task, { signal, timeoutMs, onProgress }) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`Timed out after ${Math.round(timeoutMs / 1000)}s`)), timeoutMs);
+            const onAbort = () => reject(abortError());
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+            documentProcessor.extractContent(task.file, task.category, onProgress)
+                .then(resolve, reject)
+                .finally(() => {
+                    clearTimeout(timer);
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                });
+        });
     }
 
-    summarizeExcelData(data) {
-        return {
-            totalRows: data.length - 1,
-            columnCount: data[0] ? data[0].length : 0
-        };
+    discard(slot) {
+        if (this.workers[slot]) this.workers[slot].terminate();
+        this.workers[slot] = null;
+    }
+
+    terminate() {
+        this.workers.forEach((worker, slot) => this.discard(slot));
+        this.workers = [];
     }
 }
 
 // Profile Manager Class (Enhanced)
+// Profiles live in IndexedDB (see profile-store.js). An in-memory copy keeps
+// getAllProfiles()/getTotalCount() synchronous for the screens that only need a glance;
+// it stays empty while encrypted profiles are locked.
 class ProfileManager {
     constructor() {
-        this.storageKey = 'ceres_profiles_v2';
-        this.profiles = this.loadProfiles();
+        this.cipher = new ProfileCipher();
+        this.store = new ProfileStore(PROFILE_DB_NAME, this.cipher);
+        this.profiles = [];
+        this.ready = this.loadProfiles();
     }
 
-    loadProfiles() {
-        try {
-            const stored = localStorage.getItem(this.storageKey);
-            return stored ? JSON.parse(stored) : [];
-        } catch (error) {
-            console.warn('Failed to load profiles from localStorage:', error);
-            return [];
+    async loadProfiles() {
+        if (this.cipher.isLocked()) {
+            this.profiles = [];
+            return this.profiles;
         }
-    }
-
-    saveProfiles() {
         try {
-            localStorage.setItem(this.storageKey, JSON.stringify(this.profiles));
-            return true;
+            this.profiles = await this.store.list();
         } catch (error) {
-            console.error('Failed to save profiles to localStorage:', error);
-            return false;
+            console.warn('Failed to load profiles from IndexedDB:', error);
+            this.profiles = [];
         }
+        return this.profiles;
     }
 
     generateProfileId() {
-        const timestamp = Date.now();
-        const random = Math.random().toString(36).substr(2, 4).toUpperCase();
-        return `CER-${new Date().getFullYear()}-${timestamp}-${random}`;
+        let id;
+        do {
+            id = profileIntegrity.generateId();
+        } while (this.getProfile(id));
+        return id;
     }
 
-    createProfile(data) {
-        const profile = {
+    async createProfile(data) {
+        const timestamp = new Date().toISOString();
+        return this.putHashed({
+            ...this.buildProfile(data),
             id: this.generateProfileId(),
-            timestamp: new Date().toISOString(),
+            version: 1,
+            createdAt: timestamp,
+            timestamp: timestamp
+        });
+    }
+
+    // A re-run keeps the profile ID; the previous result stays in the version history
+    async createVersion(profileId, data) {
+        const previous = await this.get(profileId);
+        if (!previous) throw new Error(`Profile ${profileId} no longer exists`);
+
+        return this.putHashed({
+            ...this.buildProfile(data),
+            id: profileId,
+            version: (previous.version || 1) + 1,
+            createdAt: previous.createdAt || previous.timestamp,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // New analyses are hashed as they are saved; see ProfileIntegrity
+    async putHashed(profile) {
+        return this.put({ ...profile, contentHash: await profileIntegrity.hash(profile) });
+    }
+
+    buildProfile(data) {
+        return {
             farmerName: data.farmerName,
-            livestock: {
-                species: data.species,
-                count: data.livestockCount,
-                value: data.herdValue
-            },
+            county: data.intake.county || '',
+            ward: data.intake.ward || '',
+            livestock: data.livestock,
             dataPoints: data.dataPoints,
+            dataQuality: data.dataQuality,
             modules: data.modules,
+            moduleResults: data.moduleResults || {},
+            narrative: data.narrative || null,
+            financialMetrics: data.financialMetrics || null,
+            confidence: data.confidence || null,
+            dataGaps: data.dataGaps || null,
+            analysts: data.analysts || null,
             riskRating: data.riskRating,
+            riskGrade: data.riskAssessment.grade,
+            riskScore: data.riskAssessment.score,
+            riskAssessment: data.riskAssessment,
             valuation: data.valuation,
+            valuationDetail: data.valuationDetail,
+            declaredValue: data.declaredValue,
             useCase: data.useCase,
             documents: data.documents, // Store parsed document data
             extractedInsights: data.extractedInsights,
-            fullData: data
+            identity: data.identity,
+            herd: data.herd,
+            intake: data.intake
         };
+    }
 
-        this.profiles.unshift(profile);
-        this.saveProfiles();
-        return profile;
+    async get(id) {
+        return this.store.get(id);
     }
 
-    getProfile(id) {
-        return this.profiles.find(p => p.id === id);
+    async list() {
+        await this.ready;
+        this.profiles = await this.store.list();
+        return this.profiles;
+    }
+
+    async query(indexName, query) {
+        return this.store.query(indexName, query);
     }
 
-    deleteProfile(id) {
+    async versions(id) {
+        return this.store.listVersions(id);
+    }
+
+    async getVersion(id, version) {
+        return this.store.getVersion(id, version);
+    }
+
+    // `mode` is 'overwrite' (replace an existing profile and its history) or 'keep-both'
+    // (store under a fresh ID); anything else adds the profile as it is
+    async importProfile({ profile, versions }, mode) {
+        const id = mode === 'keep-both' ? this.generateProfileId() : profile.id;
+
+        // The ID is part of the hash, so a copy under a new ID is re-hashed, but only if it
+        // arrived intact; an altered record keeps failing verification
+        const reissue = async record => {
+            if (record.id === id) return record;
+            const copy = { ...record, id: id };
+            return (await profileIntegrity.check(record)) === 'intact'
+                ? { ...copy, contentHash: await profileIntegrity.hash(copy) }
+                : copy;
+        };
+
+        const history = versions.filter(version => version.version !== profile.version);
+        const records = [];
+        for (const version of history.sort((a, b) => a.version - b.version)) {
+            records.push(await reissue(version));
+        }
+        const latest = await reissue(profile);
+        // An overwrite swaps the old history for the imported one in a single transaction
+        await this.store.putHistory([...records, latest], mode === 'overwrite');
+        this.profiles = [latest, ...this.profiles.filter(p => p.id !== id)];
+        return latest;
+    }
+
+    // Field-by-field changes between two versions of a profile, older version first
+    diff(from, to) {
+        const grade = profile => profile.riskAssessment ? profile.riskAssessment.grade : (profile.riskRating || '').toUpperCase();
+        const fields = [
+            { key: 'riskGrade', value: grade },
+            { key: 'riskScore', value: profile => profile.riskAssessment ? profile.riskAssessment.score : null, numeric: true },
+            { key: 'valuation', value: profile => profile.valuation, numeric: true },
+            { key: 'dataPoints', value: profile => profile.dataPoints, numeric: true },
+            { key: 'completeness', value: profile => profile.dataQuality ? profile.dataQuality.percentage : null, numeric: true },
+            { key: 'livestockCount', value: profile => profile.livestock ? profile.livestock.count : null, numeric: true },
+            { key: 'documents', value: profile => Object.values(profile.documents || {}).reduce((sum, files) => sum + files.length, 0), numeric: true }
+        ];
+
+        return fields.map(field => {
+            const before = field.value(from);
+            const after = field.value(to);
+            const bothNumbers = field.numeric && typeof before === 'number' && typeof after === 'number';
+            return {
+                key: field.key,
+                label: t(`versions.field.${field.key}`),
+                from: before === undefined ? null : before,
+                to: after === undefined ? null : after,
+                change: bothNumbers ? Math.round((after - before) * 10) / 10 : null,
+                changed: before !== after
+            };
+        });
+    }
+
+    async put(profile) {
+        await this.store.put(profile);
+        this.profiles = [profile, ...this.profiles.filter(p => p.id !== profile.id)];
+        return profile;
+    }
+
+    async delete(id) {
+        await this.store.delete(id);
         this.profiles = this.profiles.filter(p => p.id !== id);
-        this.saveProfiles();
+    }
+
+    isEncrypted() {
+        return this.cipher.isEnabled();
+    }
+
+    isLocked() {
+        return this.cipher.isLocked();
+    }
+
+    async unlock(passphrase) {
+        if (!(await this.cipher.unlock(passphrase))) return false;
+        await this.loadProfiles();
+        return true;
+    }
+
+    lock() {
+        this.cipher.lock();
+        this.profiles = [];
+    }
+
+    // Turning encryption on, changing the passphrase and turning it off (`next` empty)
+    // all re-encrypt every stored profile and version
+    async changePassphrase(current, next) {
+        if (this.cipher.isEnabled() && !(await this.cipher.unlock(current))) {
+            throw new Error('The current passphrase is incorrect');
+        }
+        const replacement = next ? await this.cipher.createKey(next) : { key: null, settings: null };
+        await this.store.rekey(replacement.key);
+        this.cipher.install(replacement.key, replacement.settings);
+    }
+
+    getProfile(id) {
+        return this.profiles.find(p => p.id === id);
     }
 
     getAllProfiles() {
@@ -258,439 +471,5248 @@ class ProfileManager {
     }
 }
 
-// Initialize managers
-const profileManager = new ProfileManager();
-const documentProcessor = new DocumentProcessor();
+const DRAFT_SAVE_DELAY_MS = 1000;
 
-// Global state
-let uploads = {
-    id: [],
-    bank: [],
-    herd: [],
-    health: []
-};
+// Draft Manager Class
+// Autosaves the open intake (form, module choice, herd register and uploaded files) so a
+// refresh or crash loses at most the last second of work. Every intake is its own draft
+// until generateIntelligence saves it as a profile and discards it.
+class DraftManager {
+    constructor(store) {
+        this.store = store;
+        this.currentId = null;
+        this.createdAt = null;
+        this.fileIds = new WeakMap();
+        this.savedFileIds = new Set();
+        this.timer = null;
+        // Set when a save found the profiles locked; it is retried after unlocking
+        this.pending = false;
+        this.saving = Promise.resolve();
+    }
 
-let formData = {};
-let selectedModules = ['asset', 'risk', 'financial'];
-let currentProfile = null;
+    // Debounces `saveNow`, which should capture the intake and call save(); another edit
+    // inside the delay starts the wait again
+    schedule(saveNow) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(saveNow, DRAFT_SAVE_DELAY_MS);
+    }
 
-// Form field mapping
-const fieldMapping = {
-    'farmer-name': 'name',
-    'farmer-phone': 'phone',
-    'farmer-email': 'email',
-    'farmer-county': 'county',
-    'farmer-ward': 'ward',
-    'farmer-land': 'land',
-    'farmer-experience': 'experience',
-    'farmer-bank': 'bank',
-    'farmer-account-type': 'accountType',
-    'livestock-count': 'livestockCount',
-    'breeding-stock': 'breedingStock',
-    'primary-breed': 'breed',
-    'herd-value': 'herdValue',
-    'use-case': 'useCase',
-    'analysis-objective': 'analysisObjective',
-    'system-prompt': 'systemPrompt'
-};
+    get scheduled() {
+        return this.timer !== null;
+    }
 
-function initializeSystem() {
-    document.getElementById('welcome-screen').classList.add('hidden');
-    document.getElementById('loading-screen').classList.remove('hidden');
-    
-    if (profileManager.getTotalCount() > 0) {
-        document.getElementById('profiles-btn').classList.remove('hidden');
+    isEmpty(snapshot) {
+        const filled = Object.values(snapshot.formData).some(value => Array.isArray(value) ? value.length > 0 : Boolean(value));
+        const files = Object.values(snapshot.uploads).some(files => files.length > 0);
+        return !filled && !files && snapshot.herd.length === 0 && !snapshot.reopenedProfile;
     }
-    
-    setTimeout(() => {
-        document.getElementById('loading-bar').style.width = '100%';
-        document.getElementById('loading-text').textContent = 'Loading modules...';
-    }, 100);
-    
-    setTimeout(() => {
-        document.getElementById('loading-text').textContent = 'Calibrating sensors...';
-    }, 800);
-    
-    setTimeout(() => {
-        document.getElementById('loading-text').textContent = 'System ready';
-    }, 1800);
-    
-    setTimeout(() => {
-        document.getElementById('loading-screen').classList.add('hidden');
-        document.getElementById('workspace-screen').classList.remove('hidden');
-    }, 2500);
-}
 
-function handleUpload(type, input) {
-    if (!input.files || input.files.length === 0) return;
-    
-    const files = Array.from(input.files);
-    
-    // Add files to global state
-    uploads[type].push(...files);
-    
-    // Hide placeholder and show file list
-    document.getElementById(`${type}-placeholder`).classList.add('hidden');
-    const filesList = document.getElementById(`${type}-files-list`);
-    filesList.classList.remove('hidden');
-    
-    // Render file list
-    renderFileList(type);
-    
-    // Update progress
-    calculateProgress();
-}
+    // Saves run one after another, so a slow file write never lands after a newer save
+    save(snapshot) {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.currentId && this.isEmpty(snapshot)) return Promise.resolve(null);
+        if (this.store.cipher.isLocked()) {
+            this.pending = true;
+            return Promise.resolve(null);
+        }
+        this.pending = false;
 
-function renderFileList(type) {
-    const filesList = document.getElementById(`${type}-files-list`);
-    const files = uploads[type];
-    
-    filesList.innerHTML = files.map((file, index) => {
-        const extension = file.name.split('.').pop().toLowerCase();
-        const icon = getFileIcon(extension);
-        
-        return `
-            <div class="file-list-item ${extension} rounded-lg p-3 flex items-center justify-between group">
-                <div class="flex items-center gap-3">
-                    <div class="file-icon">
-                        ${icon}
-                    </div>
-                    <div>
-                        <p class="text-sm font-medium text-slate-900">${file.name}</p>
-                        <p class="text-xs text-slate-500">${formatFileSize(file.size)}</p>
-                    </div>
-                </div>
-                <button onclick="removeFile('${type}', ${index})" class="opacity-0 group-hover:opacity-100 transition-opacity p-2 hover:bg-slate-100 rounded-lg">
-                    <i data-lucide="x" class="w-4 h-4 text-slate-400"></i>
-                </button>
-            </div>
-        `;
-    }).join('');
-    
-    // Re-initialize icons
-    setTimeout(() => lucide.createIcons(), 10);
-}
+        if (!this.currentId) {
+            this.currentId = `DRAFT-${Date.now().toString(36).toUpperCase()}`;
+            this.createdAt = new Date().toISOString();
+        }
+        const target = { id: this.currentId, createdAt: this.createdAt, saved: this.savedFileIds };
+        this.saving = this.saving.catch(() => {}).then(() => this.write(snapshot, target));
+        return this.saving;
+    }
 
-function getFileIcon(extension) {
-    const icons = {
-        pdf: 'PDF',
-        csv: 'CSV',
-        xlsx: 'XLS',
-        jpg: 'IMG',
-        jpeg: 'IMG',
-        png: 'IMG'
-    };
-    return icons[extension] || 'FILE';
-}
+    async write(snapshot, { id, createdAt, saved }) {
+        const files = [];
+        for (const [category, list] of Object.entries(snapshot.uploads)) {
+            for (const file of list) {
+                let fileId = this.fileIds.get(file);
+                if (!fileId || !saved.has(fileId)) {
+                    fileId = `${id}-${Math.random().toString(36).slice(2, 10)}`;
+                    await this.store.putDraftFile({ id: fileId, draftId: id, category: category, file: file });
+                    this.fileIds.set(file, fileId);
+                    saved.add(fileId);
+                }
+                files.push({ id: fileId, category: category, name: file.name, size: file.size });
+            }
+        }
 
-function formatFileSize(bytes) {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-}
+        const kept = new Set(files.map(file => file.id));
+        const removed = [...saved].filter(fileId => !kept.has(fileId));
+        if (removed.length > 0) {
+            await this.store.deleteDraftFiles(removed);
+            removed.forEach(fileId => saved.delete(fileId));
+        }
 
-function removeFile(type, index) {
-    uploads[type].splice(index, 1);
-    
-    const filesList = document.getElementById(`${type}-files-list`);
+        const draft = {
+            id: id,
+            createdAt: createdAt,
+            timestamp: new Date().toISOString(),
+            farmerName: snapshot.formData.name || '',
+            state: {
+                formData: snapshot.formData,
+                selectedModules: snapshot.selectedModules,
+                herd: snapshot.herd,
+                reopenedProfile: snapshot.reopenedProfile,
+                carriedDocuments: snapshot.carriedDocuments
+            },
+            files: files
+        };
+        await this.store.putDraft(draft);
+        return draft;
+    }
+
+    // Makes the draft current; its files come back as File objects in `uploads`
+    async load(id) {
+        const draft = await this.store.getDraft(id);
+        if (!draft) return null;
+        const records = new Map((await this.store.listDraftFiles(id)).map(record => [record.id, record]));
+
+        this.close();
+        this.currentId = draft.id;
+        this.createdAt = draft.createdAt;
+
+        const uploads = { id: [], bank: [], herd: [], health: [] };
+        const missing = [];
+        draft.files.forEach(entry => {
+            const record = records.get(entry.id);
+            if (!record) {
+                missing.push(entry.name);
+                return;
+            }
+            (uploads[entry.category] = uploads[entry.category] || []).push(record.file);
+            this.fileIds.set(record.file, record.id);
+            this.savedFileIds.add(record.id);
+        });
+
+        return { ...draft, uploads: uploads, missingFiles: missing };
+    }
+
+    // Stops autosaving into the current draft but keeps it stored
+    close() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.pending = false;
+        this.currentId = null;
+        this.createdAt = null;
+        this.savedFileIds = new Set();
+    }
+
+    discard(id = this.currentId) {
+        if (!id) return Promise.resolve();
+        if (id === this.currentId) this.close();
+        this.saving = this.saving.catch(() => {}).then(() => this.store.deleteDraft(id));
+        return this.saving;
+    }
+
+    list() {
+        return this.store.listDrafts();
+    }
+}
+
+// Risk grade bands, best first. `rating` keeps the low/medium/high buckets used for badges.
+const RISK_GRADES = [
+    { grade: 'AA', min: 80, rating: 'low', label: 'Low Risk' },
+    { grade: 'A', min: 65, rating: 'medium', label: 'Medium Risk' },
+    { grade: 'B', min: 50, rating: 'high', label: 'High Risk' },
+    { grade: 'C', min: 35, rating: 'high', label: 'High Risk' },
+    { grade: 'D', min: 0, rating: 'high', label: 'Very High Risk' }
+];
+
+const RISK_BADGE_CLASSES = {
+    low: 'bg-green-100 text-green-700',
+    medium: 'bg-amber-100 text-amber-700',
+    high: 'bg-red-100 text-red-700'
+};
+
+// Risk Scoring Engine
+// Each factor maps one input to a 0-1 sub-score; its contribution is weight × sub-score,
+// so the contributions always add up to the total score (weights sum to 100).
+// `weights` overrides factor weights by key; the result is rescaled back to 100.
+class RiskScoringEngine {
+    constructor(weights = {}) {
+        this.modelVersion = 'ceres-risk-v1';
+        this.factors = [
+            { key: 'experience', label: 'Farming experience', weight: 15, score: (input) => this.scoreExperience(input) },
+            { key: 'land', label: 'Land holding', weight: 10, score: (input) => this.scoreLand(input) },
+            { key: 'livestockCount', label: 'Herd size', weight: 15, score: (input) => this.scoreHerdSize(input) },
+            { key: 'herdValue', label: 'Herd value (collateral)', weight: 15, score: (input, inputs) => this.scoreHerdValue(input, inputs.herdValueSource) },
+            { key: 'accountType', label: 'Banking relationship', weight: 10, score: (input) => this.scoreAccountType(input) },
+            { key: 'riskTolerance', label: 'Declared risk appetite', weight: 10, score: (input) => this.scoreRiskTolerance(input) },
+            { key: 'documents', label: 'Document evidence', weight: 25, score: (input) => this.scoreDocuments(input) }
+        ];
+
+        if (Object.keys(weights).length > 0) {
+            this.factors.forEach(factor => {
+                const weight = parseFloat(weights[factor.key]);
+                if (weight >= 0) factor.weight = weight;
+            });
+            const total = this.factors.reduce((sum, factor) => sum + factor.weight, 0);
+            if (total <= 0) throw new Error('Risk factor weights must add up to more than zero');
+            this.factors.forEach(factor => { factor.weight = Math.round(factor.weight / total * 1000) / 10; });
+        }
+    }
+
+    weights() {
+        return Object.fromEntries(this.factors.map(factor => [factor.key, factor.weight]));
+    }
+
+    score(formData, documentResults, valuation) {
+        // Prefer the computed valuation; the declared figure is only a fallback
+        const computedValue = valuation && valuation.estimate !== null;
+        const inputs = {
+            experience: parseFloat(formData.experience),
+            land: parseFloat(formData.land),
+            livestockCount: parseInt(formData.livestockCount),
+            herdValue: computedValue ? valuation.estimate : parseFloat(formData.herdValue),
+            herdValueSource: computedValue ? 'computed' : 'declared',
+            accountType: (formData.accountType || '').trim(),
+            riskTolerance: (formData.riskTolerance || '').trim(),
+            documents: documentResults || {}
+        };
+
+        const factors = this.factors.map(factor => {
+            const { value, note, noteKey, noteParams } = factor.score(inputs[factor.key], inputs);
+            const subScore = Math.max(0, Math.min(1, value));
+            const result = {
+                key: factor.key,
+                label: factor.label,
+                weight: factor.weight,
+                subScore: Math.round(subScore * 100) / 100,
+                contribution: Math.round(subScore * factor.weight * 10) / 10,
+                note: note
+            };
+            // Notes are stored in the base language; the key lets them be shown in another
+            if (noteKey) {
+                Object.assign(result, { noteKey: noteKey, noteParams: noteParams || {} });
+                result.note = i18n.factorNote(result, DEFAULT_LANGUAGE);
+            }
+            return result;
+        });
+
+        const score = Math.round(factors.reduce((sum, f) => sum + f.contribution, 0) * 10) / 10;
+        const band = RISK_GRADES.find(g => score >= g.min);
+
+        return {
+            model: this.modelVersion,
+            score: score,
+            grade: band.grade,
+            rating: band.rating,
+            label: `${band.label} (${band.grade})`,
+            factors: factors
+        };
+    }
+
+    scoreExperience(years) {
+        if (isNaN(years)) return { value: 0, noteKey: 'notProvided' };
+        return { value: years / 15, noteKey: 'experience', noteParams: { count: years } };
+    }
+
+    scoreLand(acres) {
+        if (isNaN(acres)) return { value: 0, noteKey: 'notProvided' };
+        return { value: acres / 10, noteKey: 'land', noteParams: { count: acres } };
+    }
+
+    scoreHerdSize(count) {
+        if (isNaN(count)) return { value: 0, noteKey: 'notProvided' };
+        return { value: count / 40, noteKey: 'herdSize', noteParams: { count: count } };
+    }
+
+    scoreHerdValue(value, source) {
+        if (isNaN(value) || value <= 0) return { value: 0, noteKey: 'notProvided' };
+        // Log scale between KES 100k (0) and KES 5M (1) so small herds still register
+        const scaled = Math.log10(value / 100000) / Math.log10(50);
+        return { value: scaled, noteKey: 'herdValue', noteParams: { amount: value, source: source } };
+    }
+
+    scoreAccountType(accountType) {
+        if (!accountType) return { value: 0, noteKey: 'noAccount' };
+        const type = accountType.toLowerCase();
+        if (/current|business/.test(type)) return { value: 1, note: accountType };
+        if (/savings/.test(type)) return { value: 0.8, note: accountType };
+        if (/m-?pesa|mobile|sacco/.test(type)) return { value: 0.6, note: accountType };
+        return { value: 0.4, note: accountType };
+    }
+
+    scoreRiskTolerance(tolerance) {
+        if (!tolerance) return { value: 0.5, noteKey: 'noRiskTolerance' };
+        const level = tolerance.toLowerCase();
+        if (/conservative|low/.test(level)) return { value: 1, note: tolerance };
+        if (/moderate|medium|balanced/.test(level)) return { value: 0.7, note: tolerance };
+        if (/aggressive|high/.test(level)) return { value: 0.4, note: tolerance };
+        return { value: 0.5, note: tolerance };
+    }
+
+    scoreDocuments(documentResults) {
+        // Share of the factor each upload category can earn when at least one file parsed
+        const categoryWeights = { id: 0.2, bank: 0.4, herd: 0.2, health: 0.2 };
+        const present = [];
+        let value = 0;
+
+        Object.entries(categoryWeights).forEach(([category, share]) => {
+            const files = documentResults[category] || [];
+            if (files.some(f => f.parsed)) {
+                value += share;
+                present.push(category);
+            }
+        });
+
+        return present.length > 0
+            ? { value: value, noteKey: 'documents', noteParams: { categories: present } }
+            : { value: value, noteKey: 'noDocuments' };
+    }
+}
+
+// Herd register fields and the spreadsheet headers each one is recognised by
+const HERD_FIELDS = [
+    { key: 'tagId', label: 'Tag ID', aliases: ['tag', 'tag id', 'tag no', 'ear tag', 'animal id', 'id', 'animal no'] },
+    { key: 'species', label: 'Species', aliases: ['species', 'type', 'animal type', 'livestock'] },
+    { key: 'breed', label: 'Breed', aliases: ['breed', 'breed type'] },
+    { key: 'sex', label: 'Sex', aliases: ['sex', 'gender'] },
+    { key: 'birthDate', label: 'Birth Date', aliases: ['birth date', 'date of birth', 'dob', 'born'] },
+    { key: 'acquisitionValue', label: 'Value (KES)', aliases: ['value', 'acquisition value', 'purchase price', 'price', 'cost', 'value kes'] },
+    { key: 'healthStatus', label: 'Health', aliases: ['health', 'health status', 'condition', 'status'] },
+    { key: 'lastVetVisit', label: 'Last Vet Visit', aliases: ['last vet visit', 'vet visit', 'last treatment', 'vet date'] },
+    { key: 'milkYield', label: 'Milk (L/day)', aliases: ['milk', 'milk yield', 'daily milk', 'litres', 'milk l/day'] },
+    { key: 'weightKg', label: 'Weight (kg)', aliases: ['weight', 'weight kg', 'live weight'] }
+];
+
+const HERD_COLUMN_MAP_KEY = 'ceres_herd_column_map';
+
+// Age (months) from which a female counts as breeding stock
+const BREEDING_AGE_MONTHS = { cattle: 24, goat: 12, sheep: 12, pig: 8, camel: 48 };
+
+// Herd Register Class
+// Per-animal roster; herd count, value and breeding stock are derived from it.
+class HerdRegister {
+    constructor() {
+        this.animals = [];
+    }
+
+    add(animal = {}) {
+        this.animals.push(this.normalize(animal));
+        return this.animals.length - 1;
+    }
+
+    update(index, field, value) {
+        if (!this.animals[index]) return;
+        this.animals[index] = this.normalize({ ...this.animals[index], [field]: value });
+    }
+
+    remove(index) {
+        this.animals.splice(index, 1);
+    }
+
+    clear() {
+        this.animals = [];
+    }
+
+    load(animals) {
+        this.animals = (animals || []).map(animal => this.normalize(animal));
+    }
+
+    normalize(animal) {
+        return {
+            tagId: String(animal.tagId || '').trim(),
+            species: this.normalizeSpecies(animal.species),
+            breed: String(animal.breed || '').trim(),
+            sex: this.normalizeSex(animal.sex),
+            birthDate: this.normalizeDate(animal.birthDate),
+            acquisitionValue: this.normalizeNumber(animal.acquisitionValue),
+            healthStatus: this.normalizeHealth(animal.healthStatus),
+            lastVetVisit: this.normalizeDate(animal.lastVetVisit),
+            milkYield: this.normalizeNumber(animal.milkYield),
+            weightKg: this.normalizeNumber(animal.weightKg)
+        };
+    }
+
+    normalizeSpecies(value) {
+        const species = String(value || '').trim().toLowerCase();
+        if (!species) return '';
+        if (/cow|cattle|bull|heifer|steer|calf|dairy|beef|ox/.test(species)) return 'cattle';
+        if (/goat|doe|buck|kid/.test(species)) return 'goat';
+        if (/sheep|ewe|ram|lamb/.test(species)) return 'sheep';
+        if (/pig|sow|boar|piglet/.test(species)) return 'pig';
+        if (/camel/.test(species)) return 'camel';
+        if (/chicken|poultry|hen|layer|broiler/.test(species)) return 'poultry';
+        return species;
+    }
+
+    normalizeSex(value) {
+        const sex = String(value || '').trim().toLowerCase();
+        if (/^(f|female|cow|heifer|doe|ewe|sow|hen)$/.test(sex)) return 'F';
+        if (/^(m|male|bull|steer|buck|ram|boar|ox)$/.test(sex)) return 'M';
+        return '';
+    }
+
+    normalizeHealth(value) {
+        const status = String(value || '').trim().toLowerCase();
+        if (!status) return 'unknown';
+        if (/treat/.test(status)) return 'under treatment';
+        if (/sick|ill|poor|lame|injur|unfit/.test(status)) return 'sick';
+        if (/healthy|good|fit|^ok$|fine/.test(status)) return 'healthy';
+        return status;
+    }
+
+    normalizeDate(value) {
+        if (value === null || value === undefined || value === '') return '';
+        // Excel stores dates as day serials counted from 1899-12-30
+        if (typeof value === 'number' || /^\d{5}$/.test(String(value).trim())) {
+            const date = new Date(Date.UTC(1899, 11, 30) + Number(value) * 86400000);
+            return date.toISOString().substring(0, 10);
+        }
+        if (value instanceof Date) return value.toISOString().substring(0, 10);
+        return statementParser.parseDate(String(value).trim()) || '';
+    }
+
+    normalizeNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const number = parseFloat(String(value).replace(/[^\d.\-]/g, ''));
+        return isNaN(number) ? null : number;
+    }
+
+    ageInMonths(animal, asOf = new Date()) {
+        if (!animal.birthDate) return null;
+        const birth = new Date(animal.birthDate);
+        return (asOf.getFullYear() - birth.getFullYear()) * 12 + (asOf.getMonth() - birth.getMonth());
+    }
+
+    isBreedingStock(animal) {
+        if (animal.sex !== 'F') return false;
+        const age = this.ageInMonths(animal);
+        const maturity = BREEDING_AGE_MONTHS[animal.species];
+        // Without a birth date or a known maturity age every female is assumed to breed
+        return age === null || maturity === undefined || age >= maturity;
+    }
+
+    summary() {
+        const bySpecies = {};
+        let totalValue = 0;
+        let valuedCount = 0;
+
+        this.animals.forEach(animal => {
+            const species = animal.species || 'unspecified';
+            bySpecies[species] = (bySpecies[species] || 0) + 1;
+            if (animal.acquisitionValue !== null) {
+                totalValue += animal.acquisitionValue;
+                valuedCount++;
+            }
+        });
+
+        return {
+            count: this.animals.length,
+            totalValue: totalValue,
+            valuedCount: valuedCount,
+            breedingStock: this.animals.filter(animal => this.isBreedingStock(animal)).length,
+            bySpecies: bySpecies,
+            breeds: [...new Set(this.animals.map(a => a.breed).filter(Boolean))],
+            unhealthy: this.animals.filter(a => a.healthStatus === 'sick' || a.healthStatus === 'under treatment').length
+        };
+    }
+
+    // Column mapping: field key -> spreadsheet header. Saved overrides win over alias matching.
+    detectColumnMapping(headers) {
+        const saved = this.loadColumnMapping();
+        const mapping = {};
+
+        HERD_FIELDS.forEach(field => {
+            if (saved[field.key] && headers.includes(saved[field.key])) {
+                mapping[field.key] = saved[field.key];
+                return;
+            }
+            const match = headers.find(header => field.aliases.includes(String(header).trim().toLowerCase()));
+            mapping[field.key] = match || '';
+        });
+
+        return mapping;
+    }
+
+    loadColumnMapping() {
+        try {
+            return JSON.parse(localStorage.getItem(HERD_COLUMN_MAP_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveColumnMapping(mapping) {
+        localStorage.setItem(HERD_COLUMN_MAP_KEY, JSON.stringify(mapping));
+    }
+
+    importRows(rows, mapping) {
+        let imported = 0;
+
+        rows.forEach(row => {
+            const animal = {};
+            Object.entries(mapping).forEach(([key, header]) => {
+                if (header) animal[key] = row[header];
+            });
+            // Rows without a tag are totals or notes, not animals
+            if (!animal.tagId || !String(animal.tagId).trim()) return;
+
+            const existing = this.animals.findIndex(a => a.tagId === String(animal.tagId).trim());
+            if (existing >= 0) {
+                this.animals[existing] = this.normalize({ ...this.animals[existing], ...animal });
+            } else {
+                this.add(animal);
+            }
+            imported++;
+        });
+
+        return imported;
+    }
+}
+
+// Default livestock price table (KES per head for a healthy adult). Officers edit it
+// locally to match current market prices; edits are stored under PRICE_TABLE_KEY.
+const DEFAULT_PRICE_TABLE = {
+    currency: 'KES',
+    species: {
+        cattle: { base: 60000, breeds: { friesian: 120000, ayrshire: 100000, jersey: 90000, guernsey: 95000, boran: 85000, sahiwal: 80000, zebu: 45000 } },
+        goat: { base: 6000, breeds: { galla: 9000, boer: 15000, toggenburg: 25000, alpine: 25000, saanen: 28000, 'small east african': 5000 } },
+        sheep: { base: 7000, breeds: { dorper: 12000, 'red maasai': 8000, merino: 10000 } },
+        pig: { base: 15000, breeds: { 'large white': 18000, landrace: 18000 } },
+        camel: { base: 90000, breeds: {} },
+        poultry: { base: 700, breeds: {} }
+    },
+    // Multipliers on the base price where county markets differ from the national average
+    counties: {
+        nairobi: { cattle: 1.15, goat: 1.15, sheep: 1.15 },
+        kiambu: { cattle: 1.1 },
+        kajiado: { goat: 1.05, sheep: 1.05 },
+        turkana: { cattle: 0.8, goat: 0.85, sheep: 0.85, camel: 0.9 },
+        marsabit: { cattle: 0.8, goat: 0.85, sheep: 0.85, camel: 0.9 }
+    },
+    // Share of the adult price by age; the last band covers aged animals. A null upper bound is
+    // open-ended (the table round-trips through JSON, which has no Infinity)
+    ageBands: {
+        cattle: [[6, 0.3], [12, 0.5], [24, 0.8], [120, 1], [null, 0.7]],
+        default: [[3, 0.3], [6, 0.5], [12, 0.8], [72, 1], [null, 0.7]]
+    },
+    sexFactors: { cattle: { F: 1.1, M: 0.95 } },
+    healthFactors: { healthy: 1, unknown: 0.9, 'under treatment': 0.7, sick: 0.5 }
+};
+
+const PRICE_TABLE_KEY = 'ceres_price_table';
+
+// Intake species choices mapped to price-table species
+const INTAKE_SPECIES = { dairy: 'cattle', beef: 'cattle', goats: 'goat', sheep: 'sheep' };
+
+// Livestock Valuation Class
+// Prices each animal from the local table and widens the range for every unknown input.
+class LivestockValuation {
+    constructor() {
+        this.baseBand = 0.15;
+        this.unknownBand = 0.1;
+        this.discrepancyThreshold = 0.25;
+        this.priceTable = this.loadPriceTable();
+    }
+
+    loadPriceTable() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(PRICE_TABLE_KEY));
+            if (stored) return stored;
+        } catch (error) {
+            console.warn('Failed to load price table, using defaults:', error);
+        }
+        return JSON.parse(JSON.stringify(DEFAULT_PRICE_TABLE));
+    }
+
+    savePriceTable() {
+        this.priceTable.updatedAt = new Date().toISOString();
+        localStorage.setItem(PRICE_TABLE_KEY, JSON.stringify(this.priceTable));
+    }
+
+    resetPriceTable() {
+        localStorage.removeItem(PRICE_TABLE_KEY);
+        this.priceTable = this.loadPriceTable();
+    }
+
+    setPrice(species, breed, price) {
+        const entry = this.priceTable.species[species] || (this.priceTable.species[species] = { base: 0, breeds: {} });
+        if (breed) {
+            entry.breeds[breed.toLowerCase()] = price;
+        } else {
+            entry.base = price;
+        }
+        this.savePriceTable();
+    }
+
+    setCountyFactor(county, species, factor) {
+        const key = county.trim().toLowerCase();
+        this.priceTable.counties[key] = { ...(this.priceTable.counties[key] || {}), [species]: factor };
+        this.savePriceTable();
+    }
+
+    // The basis is kept as messages (see messageList) so it reads in the officer's language
+    valueAnimal(animal, county) {
+        const table = this.priceTable;
+        const entry = table.species[animal.species];
+        const species = { key: `livestock.${animal.species}`, text: animal.species, lower: true };
+        const basis = [];
+        let band = this.baseBand;
+
+        if (!entry) {
+            return {
+                tagId: animal.tagId, estimate: null, low: null, high: null,
+                ...messageList('basis', [{ key: 'valuation.basis.noPrice', params: { species: animal.species ? species : { key: 'valuation.basis.unspecified' } } }])
+            };
+        }
+
+        let price = entry.base;
+        const breed = (animal.breed || '').toLowerCase();
+        if (breed && entry.breeds[breed] !== undefined) {
+            price = entry.breeds[breed];
+            basis.push({ key: 'valuation.basis.breedPrice', params: { breed: animal.breed, amount: price } });
+        } else {
+            band += this.unknownBand;
+            basis.push(breed
+                ? { key: 'valuation.basis.basePriceNoBreed', params: { species: species, amount: price, breed: animal.breed } }
+                : { key: 'valuation.basis.basePrice', params: { species: species, amount: price } });
+        }
+
+        const countyFactor = ((table.counties[(county || '').toLowerCase()] || {})[animal.species]) || 1;
+        if (countyFactor !== 1) basis.push({ key: 'valuation.basis.county', params: { county: county, factor: countyFactor } });
+
+        let ageFactor = 1;
+        const age = herdRegister.ageInMonths(animal);
+        if (age === null) {
+            band += this.unknownBand;
+            basis.push({ key: 'valuation.basis.ageUnknown' });
+        } else {
+            const bands = table.ageBands[animal.species] || table.ageBands.default;
+            const ageBand = bands.find(([maxMonths]) => maxMonths === null || age <= maxMonths) || bands[bands.length - 1];
+            ageFactor = ageBand[1];
+            if (ageFactor !== 1) basis.push({ key: 'valuation.basis.age', params: { months: age, factor: ageFactor } });
+        }
+
+        const sexFactor = ((table.sexFactors[animal.species] || {})[animal.sex]) || 1;
+        if (sexFactor !== 1) basis.push({ key: 'valuation.basis.sex', params: { sex: animal.sex, factor: sexFactor } });
+
+        const healthFactor = table.healthFactors[animal.healthStatus] !== undefined ? table.healthFactors[animal.healthStatus] : 1;
+        if (animal.healthStatus === 'unknown') band += this.unknownBand;
+        if (healthFactor !== 1) {
+            basis.push({ key: 'valuation.basis.health', params: { status: { key: `health.${animal.healthStatus}`, text: animal.healthStatus }, factor: healthFactor } });
+        }
+
+        const estimate = Math.round(price * countyFactor * ageFactor * sexFactor * healthFactor);
+        return {
+            tagId: animal.tagId,
+            estimate: estimate,
+            low: Math.round(estimate * (1 - band)),
+            high: Math.round(estimate * (1 + band)),
+            ...messageList('basis', basis)
+        };
+    }
+
+    valueHerd(animals, formData) {
+        const declared = parseFloat(formData.herdValue);
+        let result;
+
+        if (animals.length > 0) {
+            const perAnimal = animals.map(animal => this.valueAnimal(animal, formData.county));
+            const priced = perAnimal.filter(a => a.estimate !== null);
+            // No priceable animal leaves the estimate open, so the declared value stands and the gap shows
+            const total = key => priced.length > 0 ? priced.reduce((sum, a) => sum + a[key], 0) : null;
+            result = {
+                method: 'roster',
+                estimate: total('estimate'),
+                low: total('low'),
+                high: total('high'),
+                perAnimal: perAnimal,
+                ...messageList('basis', [{ key: 'valuation.basis.roster', params: { priced: priced.length, count: animals.length } }])
+            };
+        } else {
+            result = this.valueAggregate(formData);
+        }
+
+        result.currency = this.priceTable.currency;
+        result.priceTableUpdatedAt = this.priceTable.updatedAt || null;
+        result.county = formData.county || '';
+        result.declared = isNaN(declared) ? null : declared;
+        result.discrepancy = this.compareDeclared(result);
+        return result;
+    }
+
+    // Without a roster: head count × typical price for the declared species and breed
+    valueAggregate(formData) {
+        const count = parseInt(formData.livestockCount);
+        const species = INTAKE_SPECIES[formData.species];
+
+        if (isNaN(count) || count <= 0) {
+            return { method: 'none', estimate: null, low: null, high: null, perAnimal: [], ...messageList('basis', [{ key: 'valuation.basis.noHerd' }]) };
+        }
+        if (!species) {
+            const declared = formData.species
+                ? { key: `species.${formData.species}`, text: formData.species, lower: true }
+                : { key: 'valuation.basis.unspecified' };
+            return { method: 'none', estimate: null, low: null, high: null, perAnimal: [], ...messageList('basis', [{ key: 'valuation.basis.noSpecies', params: { species: declared } }]) };
+        }
+
+        // A representative adult of the declared breed with age, sex and health unknown
+        const typical = this.valueAnimal({ species: species, breed: formData.breed, sex: '', birthDate: '', healthStatus: 'unknown' }, formData.county);
+        return {
+            method: 'aggregate',
+            estimate: typical.estimate * count,
+            low: typical.low * count,
+            high: typical.high * count,
+            perAnimal: [],
+            ...messageList('basis', [
+                { key: 'valuation.basis.aggregate', params: { count: count, breed: formData.breed || { key: `livestock.${species}`, text: species, lower: true } } },
+                ...typical.basisMessages
+            ])
+        };
+    }
+
+    compareDeclared(result) {
+        if (result.declared === null || result.estimate === null || result.estimate === 0) return null;
+
+        const difference = result.declared - result.estimate;
+        const ratio = difference / result.estimate;
+        const flagged = Math.abs(ratio) > this.discrepancyThreshold;
+
+        return {
+            difference: difference,
+            ratio: Math.round(ratio * 1000) / 1000,
+            flagged: flagged,
+            ...(flagged
+                ? messageField('message', ratio > 0 ? 'valuation.discrepancy.above' : 'valuation.discrepancy.below', { percent: Math.abs(Math.round(ratio * 100)) })
+                : messageField('message', 'valuation.discrepancy.within'))
+        };
+    }
+}
+
+// Where an input came from, weakest last. `error` is the default ± band, as a share of the
+// value, for inputs that do not carry their own (a valuation range, say).
+const INPUT_QUALITIES = {
+    exact: { label: 'Exact', error: 0 },
+    document: { label: 'Document-extracted', error: 0.05 },
+    declared: { label: 'Self-declared', error: 0.25 },
+    proxy: { label: 'Proxy', error: 0.4 }
+};
+// A figure whose band is wider than its value counts as fully uncertain
+const MAX_RELATIVE_ERROR = 1;
+
+// Uncertainty Model Class
+// Bands are treated as independent ± errors at the same confidence level. Derived values get
+// first-order propagation: each input's band times the formula's partial derivative for that
+// input, combined in quadrature. Derivatives are numerical, so any formula can be propagated.
+class UncertaintyModel {
+    band(value, quality, error) {
+        if (value === null || value === undefined) return null;
+        return error !== undefined && error !== null ? Math.abs(error) : Math.abs(value) * INPUT_QUALITIES[quality].error;
+    }
+
+    propagate(compute, values, errors) {
+        const value = compute(...values);
+        if (value === null || !isFinite(value)) return null;
+
+        let variance = 0;
+        values.forEach((input, index) => {
+            if (!errors[index]) return;
+            const step = Math.max(Math.abs(input) * 1e-6, 1e-6);
+            const shifted = [...values];
+            shifted[index] = input + step;
+            const moved = compute(...shifted);
+            if (moved === null || !isFinite(moved)) return;
+            variance += (((moved - value) / step) * errors[index]) ** 2;
+        });
+        return Math.sqrt(variance);
+    }
+
+    weakest(qualities) {
+        const order = Object.keys(INPUT_QUALITIES);
+        return qualities.reduce((worst, quality) => order.indexOf(quality) > order.indexOf(worst) ? quality : worst, 'exact');
+    }
+
+    relativeError(value, error) {
+        if (error === null || error === undefined) return null;
+        if (!value) return error > 0 ? MAX_RELATIVE_ERROR : 0;
+        return Math.min(MAX_RELATIVE_ERROR, Math.abs(error / value));
+    }
+
+    // The herd valuation's own low–high range is its band; a declared value gets the default
+    valuationFigure(valuation) {
+        if (valuation.estimate !== null) {
+            return {
+                key: 'valuation',
+                label: 'Herd valuation',
+                value: valuation.estimate,
+                error: (valuation.high - valuation.low) / 2,
+                quality: valuation.method === 'roster' ? 'declared' : 'proxy'
+            };
+        }
+        if (valuation.declared !== null) {
+            return { key: 'valuation', label: 'Herd valuation', value: valuation.declared, error: this.band(valuation.declared, 'declared'), quality: 'declared' };
+        }
+        return null;
+    }
+
+    // Overall confidence: 100% less the mean relative band of the headline figures
+    // (herd valuation, income, net cash flow, affordable instalment). Null when none were derived.
+    confidence(valuation, financials) {
+        const figures = [];
+        const valued = this.valuationFigure(valuation);
+        if (valued) figures.push(valued);
+        ['monthlyIncome', 'netCashFlow', 'maxInstalment'].forEach(key => {
+            const metric = financials.metrics.find(m => m.key === key);
+            if (metric && metric.status === 'calculated') {
+                figures.push({ key: key, label: metric.label, value: metric.value, error: metric.error, quality: metric.quality });
+            }
+        });
+        if (figures.length === 0) return { score: null, figures: [], ...messageField('method', 'confidence.method.none') };
+
+        figures.forEach(figure => {
+            figure.error = Math.round(figure.error);
+            figure.relativeError = Math.round(this.relativeError(figure.value, figure.error) * 1000) / 1000;
+        });
+        const meanError = figures.reduce((sum, figure) => sum + figure.relativeError, 0) / figures.length;
+        return {
+            score: Math.round((1 - meanError) * 100),
+            figures: figures,
+            ...messageField('method', 'confidence.method', { count: figures.length })
+        };
+    }
+}
+
+// Lending policy behind the maximum instalment: all debt repayments together may take at
+// most `maxDebtToIncome` of income, and a new instalment at most `surplusShare` of net cash flow
+const AFFORDABILITY_POLICY = { maxDebtToIncome: 0.4, surplusShare: 0.7 };
+// Statement debits that are repayments on existing loans, including Kenyan mobile lenders
+const DEBT_REPAYMENT_PATTERN = /loan|repay|instal?ment|fuliza|m-?shwari|kcb m-?pesa|okoa|hustler fund|tala|zenka|branch international/i;
+
+// Financial Metrics Class
+// Cash-flow and affordability figures from parsed statements (PDF, CSV or Excel) and intake
+// fields. Each metric keeps its formula and inputs so the report can show the working;
+// a metric whose inputs are missing is kept with status 'unavailable' rather than guessed.
+// Labels and formulas are stored in English and translated by key (finance.metric.*, finance.formula.*).
+class FinancialMetrics {
+    // `proxies` are the gap-filling values from DataGapDetector, keyed by input;
+    // `policy` overrides AFFORDABILITY_POLICY
+    calculate(documents, formData, proxies = {}, policy = {}) {
+        policy = { ...AFFORDABILITY_POLICY, ...policy };
+        const statements = (documents.bank || []).filter(file => file.content && (file.content.monthlySummary || []).length > 0);
+        const months = this.mergeMonths(statements);
+        const transactions = statements.flatMap(file => file.content.transactions || []);
+        const repayments = transactions.filter(tx => tx.debit > 0 && DEBT_REPAYMENT_PATTERN.test(tx.description || ''));
+        const land = parseFloat(formData.land);
+        const basis = `${statements.length} statement${statements.length === 1 ? '' : 's'}, ${months.length} month${months.length === 1 ? '' : 's'}`;
+
+        const input = (key, label, value, unit, source, quality) => ({
+            key: key,
+            label: label,
+            value: value,
+            unit: unit,
+            source: source,
+            quality: quality,
+            error: uncertaintyModel.band(value, quality)
+        });
+        const inputs = {
+            months: input('months', 'Months covered', months.length || null, 'months', basis, 'exact'),
+            inflow: input('inflow', 'Total inflows', months.length ? this.round(months.reduce((sum, month) => sum + month.inflow, 0)) : null, 'KES', basis, 'document'),
+            outflow: input('outflow', 'Total outflows', months.length ? this.round(months.reduce((sum, month) => sum + month.outflow, 0)) : null, 'KES', basis, 'document'),
+            repayments: input('repayments', 'Monthly debt repayments',
+                months.length ? this.round(repayments.reduce((sum, tx) => sum + tx.debit, 0) / months.length) : null,
+                'KES', `${repayments.length} loan repayment debit${repayments.length === 1 ? '' : 's'} in statements`, 'document'),
+            land: !(land > 0) && proxies.land
+                ? input('land', 'Farm size', proxies.land.value, 'acres', `Proxy: ${proxies.land.basis}`, 'proxy')
+                : input('land', 'Farm size', land > 0 ? land : null, 'acres', 'Intake form', 'declared'),
+            maxDebtToIncome: input('maxDebtToIncome', 'Debt-to-income cap', policy.maxDebtToIncome * 100, '%', 'Lending policy', 'exact'),
+            surplusShare: input('surplusShare', 'Share of surplus', policy.surplusShare * 100, '%', 'Lending policy', 'exact')
+        };
+
+        const metrics = [];
+        const add = (key, label, unit, formula, used, compute) => {
+            const missing = used.filter(input => input.value === null);
+            const values = used.map(input => input.value);
+            const value = missing.length === 0 ? compute(...values) : null;
+            const calculated = value !== null && isFinite(value);
+            const round = number => unit === '%' ? Math.round(number * 10) / 10 : Math.round(number);
+            const error = calculated ? uncertaintyModel.propagate(compute, values, used.map(input => input.error)) : null;
+            const metric = {
+                key: key,
+                label: label,
+                unit: unit,
+                formula: formula,
+                inputs: used.map(input => ({ ...input })),
+                value: calculated ? round(value) : null,
+                error: error === null ? null : round(error),
+                quality: calculated ? uncertaintyModel.weakest(used.map(input => input.quality)) : null,
+                status: calculated ? 'calculated' : 'unavailable',
+                ...(missing.length > 0
+                    ? messageField('reason', 'finance.reason.needs', { inputs: missing.map(input => ({ key: `finance.metric.${input.key}`, text: input.label, lower: true })) })
+                    : { reason: null })
+            };
+            metrics.push(metric);
+            // Later metrics take earlier results, band included, as inputs
+            return { key: key, label: label, value: metric.value, unit: unit, source: 'Calculated above', quality: metric.quality, error: metric.error };
+        };
+
+        const income = add('monthlyIncome', 'Monthly income', 'KES', 'Monthly Income = Total Inflows ÷ Months Covered',
+            [inputs.inflow, inputs.months], (inflow, count) => inflow / count);
+        const expenses = add('monthlyExpenses', 'Monthly expenses', 'KES', 'Monthly Expenses = Total Outflows ÷ Months Covered',
+            [inputs.outflow, inputs.months], (outflow, count) => outflow / count);
+        const net = add('netCashFlow', 'Net cash flow', 'KES', 'Net Cash Flow = Monthly Income − Monthly Expenses',
+            [income, expenses], (inflow, outflow) => inflow - outflow);
+        add('debtToIncome', 'Debt-to-income', '%', 'Debt-to-Income = Monthly Debt Repayments ÷ Monthly Income × 100',
+            [inputs.repayments, income], (debt, inflow) => inflow > 0 ? debt / inflow * 100 : null);
+        add('productionPerAcre', 'Production per acre', 'KES/acre/yr', 'Production per Acre = Monthly Income × 12 ÷ Farm Size',
+            [income, inputs.land], (inflow, acres) => inflow * 12 / acres);
+        add('maxInstalment', 'Maximum affordable instalment', 'KES', 'Maximum Instalment = min(Monthly Income × DTI Cap − Debt Repayments, Net Cash Flow × Share of Surplus), not below 0',
+            [income, inputs.repayments, net, inputs.maxDebtToIncome, inputs.surplusShare],
+            (inflow, debt, surplus, cap, share) => Math.max(0, Math.min(inflow * cap / 100 - debt, surplus * share / 100)));
+
+        return {
+            months: months,
+            period: months.length > 0 ? { from: months[0].month, to: months[months.length - 1].month } : null,
+            statementCount: statements.length,
+            policy: policy,
+            metrics: metrics,
+            calculatedAt: new Date().toISOString()
+        };
+    }
+
+    // Several statements (e.g. a bank account and M-Pesa) covering the same month add up
+    mergeMonths(statements) {
+        const months = {};
+        statements.forEach(file => file.content.monthlySummary.forEach(month => {
+            if (!months[month.month]) months[month.month] = { month: month.month, inflow: 0, outflow: 0 };
+            months[month.month].inflow += month.inflow;
+            months[month.month].outflow += month.outflow;
+        }));
+        return Object.values(months)
+            .sort((a, b) => a.month.localeCompare(b.month))
+            .map(month => ({ ...month, net: this.round(month.inflow - month.outflow) }));
+    }
+
+    metric(result, key) {
+        const metric = result ? result.metrics.find(m => m.key === key) : null;
+        return metric && metric.status === 'calculated' ? metric.value : null;
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Kenyan counties by official code, with every ward in the IEBC gazette listed by
+// constituency. Keep the gazetted spelling when correcting a name.
+const KENYA_GAZETTEER = {
+    source: 'IEBC county and ward boundaries (2012 gazette)',
+    counties: [
+        { code: '001', name: 'Mombasa' }, { code: '002', name: 'Kwale' }, { code: '003', name: 'Kilifi' },
+        { code: '004', name: 'Tana River' }, { code: '005', name: 'Lamu' }, { code: '006', name: 'Taita Taveta' },
+        { code: '007', name: 'Garissa' }, { code: '008', name: 'Wajir' }, { code: '009', name: 'Mandera' },
+        { code: '010', name: 'Marsabit' }, { code: '011', name: 'Isiolo' }, { code: '012', name: 'Meru' },
+        { code: '013', name: 'Tharaka Nithi' }, { code: '014', name: 'Embu' }, { code: '015', name: 'Kitui' },
+        { code: '016', name: 'Machakos' }, { code: '017', name: 'Makueni' }, { code: '018', name: 'Nyandarua' },
+        { code: '019', name: 'Nyeri' }, { code: '020', name: 'Kirinyaga' }, { code: '021', name: 'Murang\'a' },
+        { code: '022', name: 'Kiambu' }, { code: '023', name: 'Turkana' }, { code: '024', name: 'West Pokot' },
+        { code: '025', name: 'Samburu' }, { code: '026', name: 'Trans Nzoia' }, { code: '027', name: 'Uasin Gishu' },
+        { code: '028', name: 'Elgeyo Marakwet' }, { code: '029', name: 'Nandi' }, { code: '030', name: 'Baringo' },
+        { code: '031', name: 'Laikipia' }, { code: '032', name: 'Nakuru' }, { code: '033', name: 'Narok' },
+        { code: '034', name: 'Kajiado' }, { code: '035', name: 'Kericho' }, { code: '036', name: 'Bomet' },
+        { code: '037', name: 'Kakamega' }, { code: '038', name: 'Vihiga' }, { code: '039', name: 'Bungoma' },
+        { code: '040', name: 'Busia' }, { code: '041', name: 'Siaya' }, { code: '042', name: 'Kisumu' },
+        { code: '043', name: 'Homa Bay' }, { code: '044', name: 'Migori' }, { code: '045', name: 'Kisii' },
+        { code: '046', name: 'Nyamira' }, { code: '047', name: 'Nairobi', aliases: ['Nairobi City'] }
+    ],
+    wards: {
+        Mombasa: [
+            'Airport', 'Chaani', 'Changamwe', 'Kipevu', 'Port Reitz', 'Jomvu Kuu', 'Mikindani', 'Miritini',
+            'Bamburi', 'Junda', 'Magogoni', 'Mjambere', 'Mtopanga', 'Mwakirunge', 'Shanzu', 'Bofu', 'Likoni',
+            'Mtongwe', 'Shika Adabu', 'Timbwani', 'Majengo', 'Mji wa Kale/Makadara', 'Shimanzi/Ganjoni',
+            'Tononoka', 'Tudor', 'Frere Town', 'Kadzandani', 'Kongowea', 'Mkomani', 'Ziwa la Ng\'ombe'
+        ],
+        Kwale: [
+            'Chengoni/Samburu', 'Kasemeni', 'Kinango', 'Mackinnon Road', 'Mwavumbo', 'Nadavaya', 'Puma',
+            'Dzombo', 'Mwereni', 'Pongwekikoneni', 'Vanga', 'Kubo South', 'Mkongani', 'Tiwi', 'Tsimba Golini',
+            'Waa', 'Gombatobongwe', 'Kinondo', 'Ramisi', 'Ukunda'
+        ],
+        Kilifi: [
+            'Bamba', 'Ganze', 'Jaribuni', 'Sokoke', 'Kaloleni', 'Kayafungo', 'Mariakani', 'Mwanamwinga',
+            'Dabaso', 'Kibarani', 'Matsangoni', 'Mnarani', 'Sokoni', 'Tezo', 'Watamu', 'Chasimba', 'Junju',
+            'Mtepeni', 'Mwarakaya', 'Shimo la Tewa', 'Adu', 'Garashi', 'Gongoni', 'Magarini', 'Marafa',
+            'Sabaki', 'Ganda', 'Jilore', 'Kakuyuni', 'Malindi Town', 'Shella', 'Kambe/Ribe', 'Mwawesa',
+            'Rabai/Kisurutini', 'Ruruma'
+        ],
+        'Tana River': [
+            'Bangale', 'Bura', 'Chewele', 'Madogo', 'Sala', 'Chewani', 'Kinakomba', 'Mikinduni', 'Wayu',
+            'Garsen Central', 'Garsen North', 'Garsen South', 'Garsen West', 'Kipini East', 'Kipini West'
+        ],
+        Lamu: [
+            'Basuba', 'Faza', 'Kiunga', 'Bahari', 'Hindi', 'Hongwe', 'Mkomani', 'Mkunumbi', 'Shella', 'Witu'
+        ],
+        'Taita Taveta': [
+            'Bura', 'Chawia', 'Mwatate', 'Rong\'e', 'Wusi/Kishamba', 'Bomeni', 'Chala', 'Mahoo', 'Mata',
+            'Mboghoni', 'Kaloleni', 'Kasigau', 'Marungu', 'Mbololo', 'Ngolia', 'Sagalla', 'Mwanda/Mgange',
+            'Werugha', 'Wumingu/Kishushe', 'Wundanyi/Mbale'
+        ],
+        Garissa: [
+            'Balambala', 'Danyere', 'Jara Jara', 'Saka', 'Sankuri', 'Abakaile', 'Dadaab', 'Damajale', 'Dertu',
+            'Labasigale', 'Liboi', 'Bura', 'Dekaharia', 'Fafi', 'Jarajila', 'Nanighi', 'Galbet', 'Iftin',
+            'Township', 'Waberi', 'Hulugho', 'Ijara', 'Masalani', 'Sangailu', 'Baraki', 'Benane', 'Goreale',
+            'Maalimin', 'Modogashe', 'Sabena'
+        ],
+        Wajir: [
+            'Della', 'Eldas', 'Elnur/Tula Tula', 'Lakoley South/Basir', 'Elben', 'Sarman', 'Tarbaj',
+            'Wargadud', 'Barwago', 'Khorof/Harar', 'Township', 'Wagberi', 'Batalu', 'Bute', 'Danaba', 'Godoma',
+            'Gurar', 'Korondile', 'Malkagufu', 'Benane', 'Burder', 'Dadaja Bulla', 'Diif', 'Habasswein',
+            'Ibrahim Ure', 'Lagboghol South', 'Ademasajide', 'Arbajahan', 'Hadado/Athibohol', 'Wagalla/Ganyure'
+        ],
+        Mandera: [
+            'Banissa', 'Derkhale', 'Guba', 'Kiliwehiri', 'Malkamari', 'Alungo Gof', 'Fino', 'Lafey', 'Libehia',
+            'Warankara', 'Arabia', 'Bulla Mpya', 'Khalalio', 'Neboi', 'Township', 'Ashabito', 'Guticha',
+            'Morothile', 'Rhamu', 'Rhamu-Dimtu', 'Elwak North', 'Elwak South', 'Kutulo', 'Shimbir Fatuma',
+            'Wargudud', 'Dandu', 'Gither', 'Lag Sure', 'Takaba', 'Takaba South'
+        ],
+        Marsabit: [
+            'Kargi/South Horr', 'Korr/Ngurunit', 'Laisamis', 'Log Logo', 'Loiyangalani', 'Butiye', 'Golbo',
+            'Heilu-Manyatta', 'Moyale Township', 'Obbu', 'Sololo', 'Uran', 'Dukana', 'Illeret', 'Maikona',
+            'North Horr', 'Turbi', 'Karare', 'Marsabit Central', 'Sagante/Jaldesa'
+        ],
+        Isiolo: [
+            'Bulla Pesa', 'Burat', 'Chari', 'Cherab', 'Ngare Mara', 'Oldonyiro', 'Wabera', 'Garbatulla',
+            'Kinna', 'Sericho'
+        ],
+        Meru: [
+            'Kibirichia', 'Kiirua/Naari', 'Kisima', 'Ruiri/Rwarera', 'Timau', 'Abothuguchi Central',
+            'Abothuguchi West', 'Kiagu', 'Mwanganthia', 'Akirang\'ondu', 'Athiru Ruujine', 'Igembe East',
+            'Kangeta', 'Njia', 'Amwathi', 'Antuambui', 'Antubetwe Kiongo', 'Naathu', 'Ntunene', 'Akachiu',
+            'Athiru Gaiti', 'Kanuni', 'Kiegoi/Antubochiu', 'Maua', 'Municipality', 'Ntima East', 'Ntima West',
+            'Nyaki East', 'Nyaki West', 'Abogeta East', 'Abogeta West', 'Igoji East', 'Igoji West', 'Mitunguu',
+            'Nkuene', 'Karama', 'Kiguchwa', 'Mikinduri', 'Muthara', 'Thangatha', 'Akithii', 'Athwana',
+            'Kianjai', 'Mbeu', 'Nkomo'
+        ],
+        'Tharaka Nithi': [
+            'Igambang\'ombe', 'Karingani', 'Magumoni', 'Mariani', 'Mugwe', 'Chogoria', 'Ganga', 'Mitheru',
+            'Muthambi', 'Mwimbi', 'Chiakariga', 'Gatunga', 'Marimanti', 'Mukothima', 'Nkondi'
+        ],
+        Embu: [
+            'Gaturi South', 'Kirimari', 'Kithimu', 'Mbeti North', 'Nginda', 'Ruguru/Ngandori', 'Evurore',
+            'Muminji', 'Nthawa', 'Kiambere', 'Makima', 'Mavuria', 'Mbeti South', 'Mwea', 'Central Ward',
+            'Gaturi North', 'Kagaari North', 'Kagaari South', 'Kyeni North', 'Kyeni South'
+        ],
+        Kitui: [
+            'Kyangwithya East', 'Kyangwithya West', 'Miambani', 'Mulango', 'Township', 'Chuluni',
+            'Endau/Malalani', 'Mutito/Kaliku', 'Nzambani', 'Voo/Kyamatu', 'Zombe/Mwitika', 'Kanyangi',
+            'Kisasi', 'Kwavonza/Yatta', 'Mbitini', 'Athi', 'Ikanga/Kyatune', 'Ikutha', 'Kanziko', 'Mutha',
+            'Mutomo', 'Kauwi', 'Kwa Mutonga/Kithumula', 'Matinyani', 'Mutonguni', 'Central', 'Kivou', 'Mui',
+            'Nguni', 'Nuu', 'Waita', 'Kyuso', 'Mumoni', 'Ngomeni', 'Tharaka', 'Tseikuru', 'Kiomo/Kyethani',
+            'Kyome/Thaana', 'Migwani', 'Nguutani'
+        ],
+        Machakos: [
+            'Kangundo Central', 'Kangundo East', 'Kangundo North', 'Kangundo West', 'Kathiani Central',
+            'Lower Kaewa/Kaani', 'Mitaboni', 'Upper Kaewa/Iveti', 'Kalama', 'Kola', 'Machakos Central', 'Mua',
+            'Mumbuni North', 'Mutituni', 'Muvuti/Kiima-Kimwe', 'Ekalakala', 'Kivaa', 'Masinga Central',
+            'Muthesya', 'Ndithini', 'Kyeleni', 'Matungulu East', 'Matungulu North', 'Matungulu West', 'Tala',
+            'Athi River', 'Kinanie', 'Muthwani', 'Syokimau/Mulolongo', 'Kibauni', 'Makutano/Mwala', 'Masii',
+            'Mbiuni', 'Muthetheni', 'Wamunyu', 'Ikombe', 'Katangi', 'Kithimani', 'Matuu', 'Ndalani'
+        ],
+        Makueni: [
+            'Ilima', 'Kee', 'Kilungu', 'Ukia', 'Ivingoni/Nzambani', 'Masongaleni', 'Mtito Andei', 'Thange',
+            'Emali/Mulala', 'Kikumbulyu North', 'Kikumbulyu South', 'Makindu', 'Nguu/Masumba', 'Nguumo',
+            'Kasikeu', 'Kiima Kiu/Kalanzoni', 'Mukaa', 'Kathonzweni', 'Kitise/Kithuki', 'Mavindini', 'Mbitini',
+            'Muvau/Kikuumini', 'Nzaui/Kilili/Kalamba', 'Wote', 'Kalawa', 'Kiteta/Kisau', 'Kithungo/Kitundu',
+            'Mbooni', 'Tulimani', 'Waia/Kako'
+        ],
+        Nyandarua: [
+            'Engineer', 'Gathara', 'Githabai', 'Magumu', 'Murungaru', 'Njabini/Kiburu', 'North Kinangop',
+            'Nyakio', 'Geta', 'Githioro', 'Kipipiri', 'Wanjohi', 'Central', 'Kiriita', 'Leshau Pondo',
+            'Shamata', 'Charagita', 'Gathanji', 'Gatimu', 'Weru', 'Kaimbaga', 'Kanjuiri Ridge', 'Karau',
+            'Mirangine', 'Rurii'
+        ],
+        Nyeri: [
+            'Gakawa', 'Gatarakwa', 'Kabaru', 'Mugunda', 'Mweiga', 'Mwiyogo/Endarasha', 'Naromoru Kiamathaga',
+            'Thegu River', 'Iriaini', 'Karatina Town', 'Kirimukuyu', 'Konyu', 'Magutu', 'Ruguru', 'Gikondi',
+            'Mukurwe-ini Central', 'Mukurwe-ini West', 'Rugi', 'Gatitu/Muruguru', 'Kamakwa/Mukaro',
+            'Kiganjo/Mathari', 'Ruring\'u', 'Rware', 'Chinga', 'Iria-ini', 'Karima', 'Mahiga', 'Aguthi/Gaaki',
+            'Dedan Kimathi', 'Wamagana'
+        ],
+        Kirinyaga: [
+            'Baragwi', 'Kabare', 'Karumandi', 'Ngariama', 'Njukiini', 'Inoi', 'Kanyeki-ini', 'Kerugoya',
+            'Mutira', 'Gathigiriri', 'Kangai', 'Murinduko', 'Mutithi', 'Nyangati', 'Tebere', 'Thiba', 'Wamumu',
+            'Kariti', 'Kiine', 'Mukure'
+        ],
+        'Murang\'a': [
+            'Gatanga', 'Ithanga', 'Kakuzi/Mitubiri', 'Kariara', 'Kihumbu-ini', 'Mugumo-ini', 'Gaichanjiru',
+            'Ithiru', 'Kagundu-ini', 'Muruka', 'Ng\'araria', 'Ruchu', 'Kanyenyaini', 'Muguru', 'Rwathia',
+            'Kahumbu', 'Kangari', 'Kigumo', 'Kinyona', 'Muthithi', 'Gaturi', 'Mbiri', 'Mugoiri', 'Murarandia',
+            'Township', 'Wangu', 'Ichagaki', 'Kamahuha', 'Kambiti', 'Kimorori/Wempa', 'Makuyu', 'Nginda',
+            'Gitugi', 'Kamacharia', 'Kiru'
+        ],
+        Kiambu: [
+            'Chania', 'Githobokoni', 'Gituamba', 'Mang\'u', 'Kiamwangi', 'Kiganjo', 'Ndarugu', 'Ngenda',
+            'Githiga', 'Githunguri', 'Ikinu', 'Komothai', 'Ngewa', 'Juja', 'Kalimoni', 'Murera', 'Theta',
+            'Witeithie', 'Gitaru', 'Kabete', 'Muguga', 'Nyadhuna', 'Uthiru', 'Cianda', 'Karuri', 'Kihara',
+            'Muchatha', 'Ndenderu', 'Ndumberi', 'Riabai', 'Ting\'ang\'a', 'Township', 'Karai', 'Kikuyu',
+            'Kinoo', 'Nachu', 'Sigona', 'Kamburu', 'Kijabe', 'Kinale', 'Lari/Kirenga', 'Nyanduma', 'Bibirioni',
+            'Limuru Central', 'Limuru East', 'Ndeiya', 'Ngecha Tigoni', 'Biashara', 'Gatongora', 'Gitothua',
+            'Kahawa Sukari', 'Kahawa Wendani', 'Kiuu', 'Mwihoko', 'Mwiki', 'Gatuanyaga', 'Hospital', 'Kamenu',
+            'Ngoliba', 'Township'
+        ],
+        Turkana: [
+            'Kotaruk/Lobei', 'Loima', 'Lokiriama/Lorengippi', 'Turkwel', 'Kalokol', 'Kanamkemer',
+            'Kang\'atotha', 'Kerio Delta', 'Lodwar Township', 'Kapedo/Napeitom', 'Katilia', 'Lokori/Kochodin',
+            'Kaaleng/Kaikor', 'Kaeris', 'Kibish', 'Lake Zone', 'Lapur', 'Nakalale', 'Kalapata', 'Kaputir',
+            'Katilu', 'Lobokat', 'Lokichar', 'Kakuma', 'Kalobeyei', 'Letea', 'Lokichoggio', 'Lopur', 'Nanaam',
+            'Songot'
+        ],
+        'West Pokot': [
+            'Alale', 'Kapckok', 'Kasei', 'Kiwawa', 'Kodich', 'Suam', 'Endugh', 'Kapenguria', 'Mnagei', 'Riwo',
+            'Siyoi', 'Sook', 'Batei', 'Chepareria', 'Lelan', 'Tapach', 'Lomut', 'Masool', 'Sekerr', 'Weiwei'
+        ],
+        Samburu: [
+            'Wamba East', 'Wamba North', 'Wamba West', 'Waso', 'Angata Nanyokie', 'Baawa', 'El-Barta',
+            'Nachola', 'Ndoto', 'Nyiro', 'Lodokejek', 'Loosuk', 'Maralal', 'Poro', 'Suguta Marmar'
+        ],
+        'Trans Nzoia': [
+            'Chepsiro/Kiptoror', 'Cherangany/Suwerwa', 'Kaplamai', 'Makutano', 'Motosiet', 'Sinyerere',
+            'Sitatunga', 'Chepchoina', 'Endebess', 'Matumbei', 'Hospital', 'Kiminini', 'Nabiswa', 'Sikhendu',
+            'Sirende', 'Waitaluk', 'Bidii', 'Kapomboi', 'Keiyo', 'Kwanza', 'Kinyoro', 'Machewa', 'Matisi',
+            'Saboti', 'Tuwani'
+        ],
+        'Uasin Gishu': [
+            'Ainabkoi/Olare', 'Kapsoya', 'Kaptagat', 'Kipkenyo', 'Langas', 'Megun', 'Ngeria', 'Simat/Kapseret',
+            'Cheptiret/Kipchamo', 'Racecourse', 'Tarakwa', 'Tulwet/Chuiyat', 'Karuna/Meibeki', 'Kimumu',
+            'Moiben', 'Sergoit', 'Tembelio', 'Kapkures', 'Kipsomba', 'Kuinet/Kapsuswa', 'Moi\'s Bridge',
+            'Segero/Barsombe', 'Soy', 'Ziwa', 'Huruma', 'Kamagut', 'Kapsaos', 'Kiplombe', 'Ngenyilel',
+            'Tapsagoi'
+        ],
+        'Elgeyo Marakwet': [
+            'Emsoo', 'Kamariny', 'Kapchemutwa', 'Tambach', 'Chepkorio', 'Kabiemit', 'Kaptarakwa', 'Metkei',
+            'Soy North', 'Soy South', 'Embobut/Embulot', 'Endo', 'Kapyego', 'Sambirir', 'Arror', 'Kapsowar',
+            'Lelan', 'Moiben/Kuserwo', 'Sengwer', 'Cherang\'any/Chebororwa'
+        ],
+        Nandi: [
+            'Kabwareng', 'Kaptumo-Kaboi', 'Kemeloi-Maraba', 'Kobujoi', 'Koyo-Ndurio', 'Terik',
+            'Chemundu/Kapng\'etuny', 'Kaptel/Kamoiywo', 'Kiptuya', 'Kosirai', 'Lelmokwo/Ngechek', 'Chepkumia',
+            'Kapkangani', 'Kapsabet', 'Kilibwoni', 'Chepterwai', 'Kabisaga', 'Kabiyet', 'Kipkaren',
+            'Kurgung/Surungai', 'Ndalat', 'Sangalo/Kebulonik', 'Chepkunyuk', 'Kapchorua', 'Nandi Hills',
+            'Ol\'lessos', 'Chemelil/Chemase', 'Kapsimotwo', 'Songhor/Soba', 'Tindiret'
+        ],
+        Baringo: [
+            'Bartabwa', 'Barwessa', 'Kabartonjo', 'Saimo/Kipsaraman', 'Saimo/Soi', 'Ewalel Chapchap',
+            'Kabarnet', 'Kapropita', 'Sacho', 'Tenges', 'Ilchamus', 'Marigat', 'Mochongoi', 'Mukutani',
+            'Koibatek', 'Lembus', 'Lembus Kwen', 'Lembus/Perkerra', 'Mumberes/Maji Mazuri', 'Ravine',
+            'Emining', 'Kisanana', 'Mogotio', 'Churo/Amaya', 'Kolowa', 'Loiyamorock', 'Ribkwo', 'Silale',
+            'Tangulbei/Korossi', 'Tirioko'
+        ],
+        Laikipia: [
+            'Nanyuki', 'Ngobit', 'Thingithu', 'Tigithi', 'Umande', 'Mukogondo East', 'Mukogondo West',
+            'Segera', 'Sosian', 'Igwamiti', 'Kinamba', 'Marmanet', 'Olmoran', 'Rumuruti Township', 'Salama'
+        ],
+        Nakuru: [
+            'Bahati', 'Dundori', 'Kabatini', 'Kiamaina', 'Lanet/Umoja', 'Elementaita', 'Gilgil', 'Malewa West',
+            'Mbaruk/Eburu', 'Murindati', 'Kamara', 'Kiptororo', 'Nyota', 'Sirikwa', 'Amalo', 'Keringet',
+            'Kiptagich', 'Tinet', 'Elburgon', 'Mariashoni', 'Molo', 'Turi', 'Biashara', 'Hells Gate',
+            'Lakeview', 'Maai-Mahiu', 'Maiella', 'Naivasha East', 'Olkaria', 'Viwandani', 'Biashara',
+            'Flamingo', 'Kivumbini', 'Menengai', 'Nakuru East', 'Barut', 'Kapkures', 'Kaptembwo', 'London',
+            'Rhoda', 'Shaabab', 'Kihingo', 'Lare', 'Mauche', 'Maunarok', 'Nessuit', 'Njoro', 'Menengai West',
+            'Mosop', 'Soin', 'Solai', 'Visoi', 'Kabazi', 'Subukia', 'Waseges'
+        ],
+        Narok: [
+            'Ilkerin', 'Kapsasian', 'Mogondo', 'Ololmasani', 'Angata Barikoi', 'Keyian', 'Kilgoris Central',
+            'Kimintet', 'Lolgorian', 'Shankoe', 'Ildamat', 'Keekonyokie', 'Mosiro', 'Suswa', 'Melili',
+            'Narok Town', 'Nkareta', 'Olokurto', 'Olorropil', 'Olpusimoru', 'Loita', 'Majimoto/Naroosura',
+            'Melelo', 'Ololulung\'a', 'Sagamian', 'Sogoo', 'Ilmotiok', 'Mara', 'Naikarra', 'Siana'
+        ],
+        Kajiado: [
+            'Dalalekutuk', 'Ildamat', 'Matapato North', 'Matapato South', 'Purko', 'Imaroro', 'Kaputiei North',
+            'Kenyawa-Poka', 'Kitengela', 'Oloosirkon/Sholinke', 'Ngong', 'Nkaimurunya', 'Olkeri', 'Oloolua',
+            'Ongata Rongai', 'Entonet/Lenkisim', 'Kimana', 'Kuku', 'Mbirikani/Eselenkei', 'Rombo',
+            'Ewuaso Oonkidong\'i', 'Iloodokilani', 'Keekonyokie', 'Magadi', 'Mosiro'
+        ],
+        Kericho: [
+            'Ainamoi', 'Kapkugerwet', 'Kapsaos', 'Kapsoit', 'Kipchebor', 'Kipchimchim', 'Chaik',
+            'Cheptororiet/Seretut', 'Kabianga', 'Kapsuser', 'Waldai', 'Cheboin', 'Chemosot', 'Cheplanget',
+            'Kapkatet', 'Kisiara', 'Litein', 'Tebesonik', 'Chepseon', 'Kedowa/Kimugul', 'Londiani',
+            'Tendeno/Sorget', 'Chilchila', 'Kamasian', 'Kipkelion', 'Kunyak', 'Kaplelartet', 'Sigowet', 'Soin',
+            'Soliat'
+        ],
+        Bomet: [
+            'Chesoen', 'Mutarakwa', 'Ndaraweta', 'Silibwet Township', 'Singorwet', 'Chemaner', 'Kembu',
+            'Kipreres', 'Longisa', 'Merigi', 'Chebunyo', 'Kong\'asis', 'Nyangores', 'Sigor', 'Siongiroi',
+            'Boito', 'Chepchabas', 'Embomos', 'Kimulot', 'Mogogosiek', 'Chemagel', 'Kapletundo', 'Kipsonoi',
+            'Ndanai/Abosi', 'Rongena/Manaret'
+        ],
+        Kakamega: [
+            'Marama Central', 'Marama North', 'Marama South', 'Marama West', 'Marenyo/Shianda',
+            'Idakho Central', 'Idakho East', 'Idakho North', 'Idakho South', 'Kisa Central', 'Kisa East',
+            'Kisa North', 'Kisa West', 'Kongoni', 'Likuyani', 'Nzoia', 'Sango', 'Sinoko', 'Chekalini',
+            'Chevaywa', 'Lugari', 'Lumakanda', 'Lwandeti', 'Mautuma', 'Butsotso Central', 'Butsotso East',
+            'Butsotso South', 'Mahiakalo', 'Sheywe', 'Shirere', 'Butali/Chegulo', 'Chemuche', 'East Kabras',
+            'Manda-Shivanga', 'Shirugu-Mugai', 'South Kabras', 'West Kabras', 'Khalaba', 'Kholera', 'Koyonzo',
+            'Mayoni', 'Namamali', 'East Wanga', 'Isongo/Makunga/Malaha', 'Lubinu/Lusheya', 'Etenje',
+            'Mumias Central', 'Mumias North', 'Musanda', 'Bunyala Central', 'Bunyala East', 'Bunyala West',
+            'Ingostse-Mathia', 'Shinoyi-Shikomari-Esumeyia', 'Isukha Central', 'Isukha East', 'Isukha North',
+            'Isukha South', 'Isukha West', 'Murhanda'
+        ],
+        Vihiga: [
+            'Central Bunyore', 'North East Bunyore', 'West Bunyore', 'Banja', 'Gisambai', 'Jepkoyai', 'Muhudu',
+            'Shamakhokho', 'Shiru', 'Tambua', 'Emabungo', 'Luanda South', 'Luanda Township', 'Mwibona',
+            'Wemilabi', 'Busali', 'Chavakali', 'Lyaduywa/Izava', 'North Maragoli', 'West Sabatia', 'Wodanga',
+            'Central Maragoli', 'Lugaga-Wamuluma', 'Mungoma', 'South Maragoli'
+        ],
+        Bungoma: [
+            'Bumula', 'Kabula', 'Khasoko', 'Kimaeti', 'Siboti', 'South Bukusu', 'West Bukusu', 'Bwake/Luuya',
+            'Kabuchai/Chwele', 'Mukuyuni', 'West Nalondo', 'Bukembe East', 'Bukembe West', 'East Sang\'alo',
+            'Khalaba', 'Marakaru/Tuuti', 'Musikoma', 'Sang\'alo West', 'Township', 'Kamukuywa', 'Kibingei',
+            'Kimilili', 'Maeni', 'Cheptais', 'Chepyuk', 'Chesikaki', 'Elgon', 'Kapkateny', 'Kaptama',
+            'Lwandanyi', 'Malakisi/South Kulisiru', 'Namwela', 'Mbakalo', 'Milima', 'Naitiri/Kabuyefwe',
+            'Ndalu/Tabani', 'Soysambu/Mitua', 'Tongaren', 'Maraka', 'Mihuu', 'Ndivisi', 'Bokoli', 'Matulo',
+            'Misikhu', 'Sitikho'
+        ],
+        Busia: [
+            'Bunyala Central', 'Bunyala North', 'Bunyala South', 'Bunyala West', 'Elugulu', 'Kingandole',
+            'Marachi Central', 'Marachi East', 'Marachi North', 'Marachi West', 'Ageng\'a Nanguba', 'Bwiri',
+            'Namboboto Nambuku', 'Nangina', 'Bukhayo West', 'Burumba', 'Busibwabo', 'Matayos South', 'Mayenje',
+            'Bukhayo Central', 'Bukhayo East', 'Bukhayo North/Waltsi', 'Nambale Township', 'Ang\'urai East',
+            'Ang\'urai North', 'Ang\'urai South', 'Malaba Central', 'Malaba North', 'Malaba South',
+            'Amukura Central', 'Amukura East', 'Amukura West', 'Ang\'orom', 'Chakol North', 'Chakol South'
+        ],
+        Siaya: [
+            'Central Alego', 'North Alego', 'Siaya Township', 'South East Alego', 'Usonga', 'West Alego',
+            'Central Sakwa', 'North Sakwa', 'South Sakwa', 'West Sakwa', 'West Yimbo', 'Yimbo East',
+            'Central Gem', 'East Gem', 'North Gem', 'South Gem', 'West Gem', 'Yala Township', 'East Asembo',
+            'North Uyoma', 'South Uyoma', 'West Asembo', 'West Uyoma', 'East Ugenya', 'North Ugenya', 'Ukwala',
+            'West Ugenya', 'Sidindi', 'Sigomere', 'Ugunja'
+        ],
+        Kisumu: [
+            'Kondele', 'Market Milimani', 'Migosi', 'Nyalenda B', 'Railways', 'Shaurimoyo Kaloleni', 'Kajulu',
+            'Kolwa Central', 'Kolwa East', 'Manyatta \'B\'', 'Nyalenda \'A\'', 'Central Kisumu',
+            'Kisumu North', 'North West Kisumu', 'South West Kisumu', 'West Kisumu', 'Chemelil',
+            'Masogo/Nyang\'oma', 'Miwani', 'Muhoroni/Koru', 'Ombeyi', 'Central Nyakach', 'North Nyakach',
+            'South East Nyakach', 'South West Nyakach', 'West Nyakach', 'Ahero', 'Awasi/Onjiko',
+            'East Kano/Wawidhi', 'Kabonyo/Kanyagwal', 'Kobura', 'Central Seme', 'East Seme', 'North Seme',
+            'West Seme'
+        ],
+        'Homa Bay': [
+            'Homa Bay Arujo', 'Homa Bay Central', 'Homa Bay East', 'Homa Bay West', 'Kabondo East',
+            'Kabondo West', 'Kojwach', 'Kokwanyo/Kakelo', 'Central', 'Kanyaluo', 'Kendu Bay Town', 'Kibiri',
+            'North Karachuonyo', 'Wangchieng', 'West Karachuonyo', 'Central Kasipul', 'East Kamagak',
+            'South Kasipul', 'West Kamagak', 'West Kasipul', 'Gembe', 'Kasgunga', 'Lambwe', 'Mfangano Island',
+            'Rusinga Island', 'Kabuoch South/Pala', 'Kanyadoto', 'Kanyamwa Kologi', 'Kanyamwa Kosewe',
+            'Kanyikela', 'Kwabwai', 'North Kabuoch', 'East Gem', 'Kagan', 'Kochia', 'West Gem', 'Gwassi North',
+            'Gwassi South', 'Kaksingri West', 'Ruma Kaksingri East'
+        ],
+        Migori: [
+            'Central Sakwa', 'North Sakwa', 'South Sakwa', 'West Sakwa', 'Gokeharaka/Getambwega',
+            'Ntimaru East', 'Ntimaru West', 'Nyabasi East', 'Nyabasi West', 'Bukira Central/Ikerege',
+            'Bukira East', 'Isibania', 'Makerero', 'Masaba', 'Nyamosense/Komosoko', 'Tagare', 'Got Kachola',
+            'Kachien\'g', 'Kaler', 'Kanyasa', 'Macalder/Kanyarwanda', 'Muhuru', 'North Kadem',
+            'Central Kamagambo', 'East Kamagambo', 'North Kamagambo', 'South Kamagambo', 'God Jope', 'Kakrao',
+            'Kwa', 'Suna Central', 'Ragana-Oruba', 'Wasimbete', 'Wasweta II', 'Wiga', 'Central Kanyamkago',
+            'East Kanyamkago', 'North Kanyamkago', 'South Kanyamkago', 'West Kanyamkago'
+        ],
+        Kisii: [
+            'Bobasi Bogetaorio', 'Bobasi Boitangare', 'Bobasi Central', 'Bobasi Chache', 'Masige East',
+            'Masige West', 'Nyacheki', 'Sameta/Mokwerero', 'Bokimonge', 'Bombaba Borabu', 'Boochi Borabu',
+            'Magenche', 'Boochi/Tendere', 'Bosoti/Sengera', 'Majoge', 'Bogiakumu', 'Bomariba', 'Bomorenda',
+            'Riana', 'Kegogi', 'Marani', 'Monyerero', 'Sensi', 'Bogeka', 'Bogusero', 'Nyakoe', 'Nyatieko',
+            'Kitutu Central', 'Birongo', 'Bobaracho', 'Ibeno', 'Keumbu', 'Kiogoro', 'Kisii Central', 'Gesusu',
+            'Ichuni', 'Kiamokama', 'Masimba', 'Nyamasibi', 'Bogetenga', 'Boikang\'a', 'Borabu/Chitago',
+            'Getenga', 'Moticho', 'Tabaka'
+        ],
+        Nyamira: [
+            'Esise', 'Kiabonyoru', 'Mekenene', 'Nyansiongo', 'Gachuba', 'Gesima', 'Kemera', 'Magombo', 'Manga',
+            'Rigoma', 'Bokeira', 'Bomwagamo', 'Ekerenyo', 'Itibo', 'Magwagwa', 'Bogichora', 'Bonyamatuta',
+            'Bosamaro', 'Nyamaiya', 'Township'
+        ],
+        Nairobi: [
+            'Gatina', 'Kabiro', 'Kawangware', 'Kileleshwa', 'Kilimani', 'Mutuini', 'Ngando', 'Riruta',
+            'Uthiru/Ruthimitu', 'Waithaka', 'Kayole Central', 'Kayole North', 'Kayole South', 'Komarock',
+            'Matopeni', 'Embakasi', 'Lower Savannah', 'Mihango', 'Upper Savannah', 'Utawala', 'Dandora Area I',
+            'Dandora Area II', 'Dandora Area III', 'Dandora Area IV', 'Kariobangi North', 'Imara Daima',
+            'Kwa Njenga', 'Kwa Reuben', 'Kware', 'Pipeline', 'Kariobangi South', 'Mowlem', 'Umoja I',
+            'Umoja II', 'Airbase', 'California', 'Eastleigh North', 'Eastleigh South', 'Pumwani', 'Claycity',
+            'Kasarani', 'Mwiki', 'Njiru', 'Ruai', 'Laini Saba', 'Lindi', 'Makina', 'Sarangombe',
+            'Woodley/Kenyatta Golf', 'Karen', 'Mugumo-ini', 'Nairobi West', 'Nyayo Highrise', 'South C',
+            'Harambee', 'Makongeni', 'Maringo/Hamza', 'Viwandani', 'Hospital', 'Huruma', 'Kiamaiko',
+            'Mabatini', 'Mlango Kubwa', 'Ngei', 'Githurai', 'Kahawa', 'Kahawa West', 'Roysambu', 'Zimmerman',
+            'Baba Dogo', 'Korogocho', 'Lucky Summer', 'Mathare North', 'Utalii', 'Landimawe',
+            'Nairobi Central', 'Nairobi South', 'Ngara', 'Pangani', 'Ziwani/Kariokor', 'Kangemi', 'Karura',
+            'Kitisuru', 'Mountain View', 'Parklands/Highridge'
+        ]
+    }
+};
+
+// Kenyan mobile numbers: 07xx and 01xx locally, +254 7xx and 1xx in E.164
+const KENYA_PHONE_PATTERN = /^(?:\+?254|0)([17]\d{8})$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(?:\.[^\s@.]+)+$/;
+// Current ID cards carry 7-8 digits; early cards were issued with 6
+const KENYA_ID_PATTERN = /^\d{6,8}$/;
+
+// Plausible ranges for a smallholder intake; outside them a figure is more likely a typo
+const NUMERIC_FIELD_RANGES = {
+    land: { min: 0.01, max: 5000, unit: 'acres' },
+    experience: { min: 0, max: 80, unit: 'years', integer: true },
+    livestockCount: { min: 1, max: 5000, unit: 'head', integer: true },
+    breedingStock: { min: 0, max: 5000, unit: 'head', integer: true },
+    herdValue: { min: 1000, max: 500000000, unit: 'KES' }
+};
+
+// Field Validator Class
+// Checks intake fields before they count as data. `validate` returns null for an empty field
+// or one without a rule, otherwise { valid, value, message, note, suggestions }, where
+// `value` is the normalised form kept in formData.
+class FieldValidator {
+    constructor(gazetteer) {
+        this.gazetteer = gazetteer;
+        this.rules = {
+            phone: value => this.validatePhone(value),
+            email: value => this.validateEmail(value),
+            idNumber: value => this.validateIdNumber(value),
+            county: value => this.validateCounty(value),
+            ward: (value, formData) => this.validateWard(value, formData.county),
+            breedingStock: (value, formData) => this.validateBreedingStock(value, formData.livestockCount)
+        };
+        Object.keys(NUMERIC_FIELD_RANGES).forEach(field => {
+            if (!this.rules[field]) this.rules[field] = value => this.validateNumber(field, value);
+        });
+    }
+
+    validate(field, value, formData = {}) {
+        const rule = this.rules[field];
+        const text = value === undefined || value === null ? '' : String(value).trim();
+        if (!rule || !text) return null;
+        return { valid: true, value: text, message: '', note: '', suggestions: [], ...rule(text, formData) };
+    }
+
+    isValid(field, value, formData = {}) {
+        const result = this.validate(field, value, formData);
+        return !result || result.valid;
+    }
+
+    // The normalised value for a valid field, the trimmed input otherwise
+    normalize(field, value, formData = {}) {
+        const result = this.validate(field, value, formData);
+        return result ? result.value : value;
+    }
+
+    validatePhone(value) {
+        const digits = value.replace(/[\s\-().]/g, '');
+        const match = digits.match(KENYA_PHONE_PATTERN);
+        return match
+            ? { value: `+254${match[1]}` }
+            : { valid: false, message: t('validate.phone') };
+    }
+
+    validateEmail(value) {
+        return EMAIL_PATTERN.test(value)
+            ? { value: value.toLowerCase() }
+            : { valid: false, message: t('validate.email') };
+    }
+
+    validateIdNumber(value) {
+        const digits = value.replace(/\s/g, '');
+        return KENYA_ID_PATTERN.test(digits)
+            ? { value: digits }
+            : { valid: false, message: t('validate.idNumber') };
+    }
+
+    validateNumber(field, value) {
+        const range = NUMERIC_FIELD_RANGES[field];
+        const label = t(`field.${field}`);
+        const number = Number(value.replace(/,/g, ''));
+        if (value.replace(/,/g, '') === '' || isNaN(number)) return { valid: false, message: t('validate.number', { label: label }) };
+        if (range.integer && !Number.isInteger(number)) return { valid: false, message: t('validate.integer', { label: label }) };
+        if (number < range.min || number > range.max) {
+            return {
+                valid: false,
+                message: t('validate.range', { label: label, min: i18n.formatNumber(range.min), max: i18n.formatNumber(range.max), unit: t(`unit.${range.unit}`) })
+            };
+        }
+        return { value: String(number) };
+    }
+
+    validateBreedingStock(value, livestockCount) {
+        const result = this.validateNumber('breedingStock', value);
+        if (result.valid === false) return result;
+        const herd = parseInt(livestockCount);
+        if (herd > 0 && Number(result.value) > herd) return { valid: false, message: t('validate.breedingStock', { herd: herd }) };
+        return result;
+    }
+
+    // Case, spacing and punctuation are ignored, so "muranga" and "Murang'a" match
+    key(name) {
+        return String(name || '').toLowerCase().replace(/\bcounty\b/g, '').replace(/[^a-z]/g, '');
+    }
+
+    findCounty(name) {
+        const key = this.key(name);
+        return this.gazetteer.counties.find(county => [county.name, ...(county.aliases || [])].some(alias => this.key(alias) === key)) || null;
+    }
+
+    wards(countyName) {
+        const county = this.findCounty(countyName);
+        return county ? (this.gazetteer.wards[county.name] || null) : null;
+    }
+
+    validateCounty(value) {
+        const county = this.findCounty(value);
+        if (county) return { value: county.name, note: t('validate.countyCode', { code: county.code }) };
+        const suggestions = this.closest(value, this.gazetteer.counties.map(entry => entry.name));
+        return {
+            valid: false,
+            message: t('validate.county') + this.suggestionText(suggestions),
+            suggestions: suggestions
+        };
+    }
+
+    validateWard(value, countyName) {
+        const county = this.findCounty(countyName);
+        if (!county) return { note: t('validate.pickCounty') };
+
+        const wards = this.gazetteer.wards[county.name];
+        const ward = wards.find(name => this.key(name) === this.key(value));
+        if (ward) return { value: ward };
+        const suggestions = this.closest(value, wards);
+        return {
+            valid: false,
+            message: t('validate.ward', { county: county.name }) + this.suggestionText(suggestions),
+            suggestions: suggestions
+        };
+    }
+
+    suggestionText(suggestions) {
+        return suggestions.length ? t('validate.didYouMean', { names: suggestions.join(t('common.or')) }) : '';
+    }
+
+    // Up to two names within a couple of typing slips
+    closest(value, names) {
+        const key = this.key(value);
+        return names
+            .map(name => ({ name: name, distance: idDocumentParser.editDistance(key, this.key(name)) }))
+            .filter(candidate => candidate.distance <= Math.max(1, Math.floor(key.length / 4)))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, 2)
+            .map(candidate => candidate.name);
+    }
+}
+
+// Data-completeness rubrics by use case. Each item is satisfied either by a form field
+// (`field`) or by at least one upload in a category (`upload`). `threshold` is the
+// minimum percentage, and every `required` item must be present, before analysis.
+const COMPLETENESS_RUBRICS = {
+    banking: {
+        label: 'Banking',
+        threshold: 60,
+        items: [
+            { id: 'name', label: 'Farmer name', field: 'name', weight: 3, required: true },
+            { id: 'id-docs', label: 'ID document', upload: 'id', weight: 2, required: true },
+            { id: 'id-number', label: 'National ID number', field: 'idNumber', weight: 1 },
+            { id: 'bank-docs', label: 'Bank or M-Pesa statements', upload: 'bank', weight: 3, required: true },
+            { id: 'species', label: 'Livestock species', field: 'species', weight: 2, required: true },
+            { id: 'herd-docs', label: 'Herd records', upload: 'herd', weight: 2 },
+            { id: 'health-docs', label: 'Health records', upload: 'health', weight: 1 },
+            { id: 'phone', label: 'Phone number', field: 'phone', weight: 1 },
+            { id: 'county', label: 'County', field: 'county', weight: 1 },
+            { id: 'ward', label: 'Ward', field: 'ward', weight: 1 },
+            { id: 'land', label: 'Land size', field: 'land', weight: 1 },
+            { id: 'experience', label: 'Years of experience', field: 'experience', weight: 1 },
+            { id: 'bank', label: 'Bank name', field: 'bank', weight: 1 },
+            { id: 'account-type', label: 'Account type', field: 'accountType', weight: 1 },
+            { id: 'livestock-count', label: 'Herd size', field: 'livestockCount', weight: 1 },
+            { id: 'herd-value', label: 'Declared herd value', field: 'herdValue', weight: 1 }
+        ]
+    },
+    insurance: {
+        label: 'Insurance',
+        threshold: 65,
+        items: [
+            { id: 'name', label: 'Farmer name', field: 'name', weight: 3, required: true },
+            { id: 'id-docs', label: 'ID document', upload: 'id', weight: 2, required: true },
+            { id: 'id-number', label: 'National ID number', field: 'idNumber', weight: 1 },
+            { id: 'species', label: 'Livestock species', field: 'species', weight: 2, required: true },
+            { id: 'livestock-count', label: 'Herd size', field: 'livestockCount', weight: 2, required: true },
+            { id: 'health-docs', label: 'Health / vet records', upload: 'health', weight: 3, required: true },
+            { id: 'herd-docs', label: 'Herd records', upload: 'herd', weight: 3 },
+            { id: 'breed', label: 'Primary breed', field: 'breed', weight: 1 },
+            { id: 'herd-value', label: 'Declared herd value', field: 'herdValue', weight: 1 },
+            { id: 'county', label: 'County', field: 'county', weight: 1 },
+            { id: 'ward', label: 'Ward', field: 'ward', weight: 1 },
+            { id: 'phone', label: 'Phone number', field: 'phone', weight: 1 },
+            { id: 'bank-docs', label: 'Bank or M-Pesa statements', upload: 'bank', weight: 1 }
+        ]
+    },
+    cooperative: {
+        label: 'Cooperative',
+        threshold: 50,
+        items: [
+            { id: 'name', label: 'Farmer name', field: 'name', weight: 3, required: true },
+            { id: 'phone', label: 'Phone number', field: 'phone', weight: 2, required: true },
+            { id: 'county', label: 'County', field: 'county', weight: 1, required: true },
+            { id: 'species', label: 'Livestock species', field: 'species', weight: 2, required: true },
+            { id: 'livestock-count', label: 'Herd size', field: 'livestockCount', weight: 2 },
+            { id: 'ward', label: 'Ward', field: 'ward', weight: 1 },
+            { id: 'herd-docs', label: 'Herd or delivery records', upload: 'herd', weight: 3 },
+            { id: 'breed', label: 'Primary breed', field: 'breed', weight: 1 },
+            { id: 'experience', label: 'Years of experience', field: 'experience', weight: 1 },
+            { id: 'id-docs', label: 'ID document', upload: 'id', weight: 1 },
+            { id: 'bank-docs', label: 'Bank or M-Pesa statements', upload: 'bank', weight: 1 }
+        ]
+    }
+};
+
+const DEFAULT_USE_CASE = 'banking';
+
+// Completeness Evaluator Class
+class CompletenessEvaluator {
+    // A filled field that fails `validator` counts as missing
+    constructor(rubrics, validator = null) {
+        this.rubrics = rubrics;
+        this.validator = validator;
+    }
+
+    // Teams can add or replace a use case without touching the built-in rubrics
+    register(useCase, rubric) {
+        this.rubrics[useCase] = rubric;
+    }
+
+    evaluate(formData, uploads) {
+        const useCase = this.rubrics[formData.useCase] ? formData.useCase : DEFAULT_USE_CASE;
+        const rubric = this.rubrics[useCase];
+
+        const items = rubric.items.map(item => ({
+            id: item.id,
+            label: item.label,
+            weight: item.weight,
+            required: Boolean(item.required),
+            satisfied: this.isSatisfied(item, formData, uploads),
+            invalid: this.isInvalid(item, formData)
+        }));
+
+        const totalPoints = items.reduce((sum, item) => sum + item.weight, 0);
+        const points = items.filter(item => item.satisfied).reduce((sum, item) => sum + item.weight, 0);
+        const percentage = totalPoints > 0 ? Math.round((points / totalPoints) * 100) : 0;
+        const missing = items.filter(item => !item.satisfied);
+        const requiredMissing = missing.filter(item => item.required);
+
+        return {
+            useCase: useCase,
+            rubricLabel: rubric.label,
+            threshold: rubric.threshold,
+            points: points,
+            totalPoints: totalPoints,
+            percentage: percentage,
+            passed: percentage >= rubric.threshold && requiredMissing.length === 0,
+            items: items,
+            missing: missing,
+            requiredMissing: requiredMissing,
+            evaluatedAt: new Date().toISOString()
+        };
+    }
+
+    isSatisfied(item, formData, uploads) {
+        if (item.upload) return (uploads[item.upload] || []).length > 0;
+        const value = formData[item.field];
+        return value !== undefined && value !== null && String(value).trim() !== '' && !this.isInvalid(item, formData);
+    }
+
+    isInvalid(item, formData) {
+        return Boolean(item.field && this.validator && !this.validator.isValid(item.field, formData[item.field], formData));
+    }
+}
+
+const MODULE_FINDING_SEVERITIES = ['positive', 'info', 'warning', 'critical'];
+
+// A module input is known by its `key`, else the field or upload it reads; the data gap it
+// leaves has the same id (see DataGapDetector)
+function inputId(input) {
+    return input.key || input.field || input.upload || input.label;
+}
+
+function inputLabelMessage(input) {
+    return { key: `gap.label.${inputId(input)}`, text: input.label || inputId(input) };
+}
+
+// Analysis Module Registry Class
+// A module is { id, name, description, version, selected, requires, run(context) }.
+// `requires` items use the rubric shape ({ field } or { upload }); `run` returns
+// { findings, metrics, warnings } and may be async. A finding's message and a warning may
+// carry their message key (see messageField); plain strings are shown as they are.
+// Modules from other scripts register through window.analysisModules after app.js has loaded.
+class AnalysisModuleRegistry {
+    constructor() {
+        this.modules = new Map();
+    }
+
+    register(module) {
+        if (!module || !module.id || typeof module.run !== 'function') {
+            throw new Error('Analysis modules need an id and a run(context) function');
+        }
+        this.modules.set(module.id, {
+            name: module.id,
+            description: '',
+            version: '1.0',
+            selected: true,
+            requires: [],
+            uses: [],
+            ...module
+        });
+        return this.modules.get(module.id);
+    }
+
+    unregister(id) {
+        return this.modules.delete(id);
+    }
+
+    get(id) {
+        return this.modules.get(id) || null;
+    }
+
+    list() {
+        return Array.from(this.modules.values());
+    }
+
+    defaultSelection() {
+        return this.list().filter(module => module.selected !== false).map(module => module.id);
+    }
+
+    missingInputs(module, context) {
+        return module.requires.filter(input => !completenessEvaluator.isSatisfied(input, context.formData, context.uploads));
+    }
+
+    async run(ids, context) {
+        const results = {};
+
+        for (const id of ids) {
+            const module = this.get(id);
+            if (!module) {
+                results[id] = this.result({ id: id, name: id, version: null }, 'unavailable', { warnings: [{ key: 'module.warning.notRegistered' }] });
+                continue;
+            }
+
+            const missing = this.missingInputs(module, context);
+            if (missing.length > 0) {
+                results[id] = this.result(module, 'skipped', {
+                    warnings: missing.map(input => ({ key: 'module.warning.missingInput', params: { input: inputLabelMessage(input) } }))
+                });
+                results[id].missingInputs = missing.map(input => input.label || input.field || input.upload);
+                continue;
+            }
+
+            try {
+                const output = await module.run(context);
+                results[id] = this.result(module, 'completed', output || {});
+            } catch (error) {
+                console.error(`Analysis module ${id} failed:`, error);
+                results[id] = this.result(module, 'failed', { warnings: [{ text: error.message }] });
+            }
+        }
+
+        return results;
+    }
+
+    // Results are stored on the profile, so keep them to plain typed data
+    result(module, status, output) {
+        return {
+            id: module.id,
+            name: module.name,
+            version: module.version,
+            status: status,
+            missingInputs: [],
+            findings: (output.findings || []).map(finding => ({
+                severity: MODULE_FINDING_SEVERITIES.includes(finding.severity) ? finding.severity : 'info',
+                message: String(finding.message),
+                ...(finding.messageKey ? { messageKey: finding.messageKey, messageParams: finding.messageParams || {} } : {})
+            })),
+            metrics: (output.metrics || []).map(metric => ({
+                key: metric.key,
+                label: metric.label || metric.key,
+                value: metric.value === undefined ? null : metric.value,
+                unit: metric.unit || ''
+            })),
+            ...messageList('warnings', (output.warnings || []).map(warning => warning && typeof warning === 'object' ? warning : { text: String(warning) })),
+            ranAt: new Date().toISOString()
+        };
+    }
+}
+
+// Arid and semi-arid (ASAL) counties, where drought and disease losses run higher
+const ASAL_COUNTIES = [
+    'Baringo', 'Embu', 'Garissa', 'Isiolo', 'Kajiado', 'Kilifi', 'Kitui', 'Kwale', 'Laikipia',
+    'Lamu', 'Machakos', 'Makueni', 'Mandera', 'Marsabit', 'Meru', 'Narok', 'Samburu',
+    'Taita Taveta', 'Tana River', 'Tharaka Nithi', 'Turkana', 'Wajir', 'West Pokot'
+];
+
+// Reference tables behind the built-in proxies. The figures are indicative planning values,
+// not survey results: review them with county livestock office data, as with the price table.
+const REFERENCE_TABLES = {
+    mortality: {
+        source: 'CERES reference table: indicative annual smallholder mortality by species and zone',
+        updatedAt: '2024-07',
+        rates: {
+            cattle: { highland: 0.06, asal: 0.1 },
+            goat: { highland: 0.1, asal: 0.15 },
+            sheep: { highland: 0.1, asal: 0.16 },
+            pig: { highland: 0.08, asal: 0.1 },
+            camel: { highland: 0.06, asal: 0.06 }
+        }
+    },
+    farmSize: {
+        source: 'CERES reference table: indicative smallholder farm size by zone',
+        updatedAt: '2024-07',
+        acres: { highland: 2.5, asal: 10 }
+    }
+};
+
+function countyZone(county) {
+    return ASAL_COUNTIES.some(name => name.toLowerCase() === String(county || '').trim().toLowerCase()) ? 'asal' : 'highland';
+}
+
+// Proxy Registry Class
+// A proxy stands in for a missing input with a value from a maintained reference table.
+// `lookup(context)` returns { value, basis } or null when the table has nothing suitable (the
+// basis may carry its message key, see messageField);
+// `severity` (low/medium/high) says how far the substitute may be from the farmer's own figure.
+class ProxyRegistry {
+    constructor() {
+        this.proxies = new Map();
+    }
+
+    register(proxy) {
+        if (!proxy || !proxy.id || typeof proxy.lookup !== 'function') {
+            throw new Error('Proxies need an id and a lookup(context) function');
+        }
+        this.proxies.set(proxy.id, { severity: 'medium', unit: '', updatedAt: null, ...proxy });
+        return this.proxies.get(proxy.id);
+    }
+
+    get(id) {
+        return this.proxies.get(id) || null;
+    }
+
+    list() {
+        return Array.from(this.proxies.values());
+    }
+
+    resolve(id, context) {
+        const proxy = this.get(id);
+        if (!proxy) return null;
+        const found = proxy.lookup(context);
+        if (!found || found.value === null || found.value === undefined) return null;
+        return {
+            id: proxy.id,
+            label: proxy.label,
+            value: found.value,
+            unit: proxy.unit,
+            basis: found.basis || '',
+            ...(found.basisKey ? { basisKey: found.basisKey, basisParams: found.basisParams || {} } : {}),
+            source: proxy.source,
+            updatedAt: proxy.updatedAt,
+            severity: proxy.severity
+        };
+    }
+}
+
+// Data Gap Detector Class
+// Compares what the selected modules need with what the intake and documents supplied.
+// A missing `requires` input is critical (the module is skipped); a missing `uses` input is
+// moderate (the module runs with less). Inputs are `field`, `upload`, or `parsed` content:
+// { category, content } is satisfied when a parsed file in that category has non-empty `content`.
+class DataGapDetector {
+    constructor(modules, proxies) {
+        this.modules = modules;
+        this.proxies = proxies;
+    }
+
+    // Returns { gaps, proxies, values, detectedAt }; `values` maps an input `key` to the proxy filling it
+    detect(moduleIds, context) {
+        const gaps = new Map();
+
+        moduleIds.map(id => this.modules.get(id)).filter(Boolean).forEach(module => {
+            const required = module.requires.filter(input => !this.isSupplied(input, context));
+            // A module that cannot run has no use for its optional inputs
+            const missing = required.length > 0
+                ? required.map(input => ({ ...input, severity: 'critical' }))
+                : module.uses.filter(input => !this.isSupplied(input, context)).map(input => ({ ...input, severity: 'moderate' }));
+            missing.forEach(input => {
+                const id = inputId(input);
+                const label = inputLabelMessage(input);
+                const gap = gaps.get(id) || {
+                    id: id,
+                    label: label.text,
+                    labelKey: label.key,
+                    severity: input.severity,
+                    impacts: [],
+                    modules: [],
+                    proxy: null,
+                    proxyId: null
+                };
+                if (input.severity === 'critical') gap.severity = 'critical';
+                gap.proxyId = gap.proxyId || input.proxy || null;
+                gap.modules.push(module.name);
+                gap.impacts.push(input.impact
+                    ? { key: `gap.impact.${module.id}.${id}`, text: input.impact }
+                    : { key: input.severity === 'critical' ? 'gap.impact.cannotRun' : 'gap.impact.lessEvidence', params: { module: module.name } });
+                gaps.set(id, gap);
+            });
+        });
+
+        const values = {};
+        const proxies = [];
+        gaps.forEach(gap => {
+            const proxy = gap.proxyId ? this.proxies.resolve(gap.proxyId, context) : null;
+            delete gap.proxyId;
+            if (!proxy) return;
+            gap.proxy = proxy.id;
+            values[gap.id] = proxy;
+            proxies.push({ ...proxy, fills: gap.label, fillsKey: gap.labelKey });
+        });
+
+        // Labels and impacts read in the officer's language through i18n.text() and i18n.texts()
+        const order = { critical: 0, moderate: 1 };
+        return {
+            gaps: Array.from(gaps.values())
+                .map(({ impacts, ...gap }) => {
+                    const impact = messageList('impacts', impacts);
+                    return { ...gap, ...impact, impact: impact.impacts.join('; ') };
+                })
+                .sort((a, b) => order[a.severity] - order[b.severity]),
+            proxies: proxies,
+            values: values,
+            detectedAt: new Date().toISOString()
+        };
+    }
+
+    isSupplied(input, context) {
+        if (input.parsed) {
+            return (context.documents[input.parsed.category] || []).some(file => {
+                const content = file.content ? file.content[input.parsed.content] : null;
+                return Array.isArray(content) ? content.length > 0 : Boolean(content);
+            });
+        }
+        return completenessEvaluator.isSatisfied(input, context.formData, context.uploads);
+    }
+}
+
+const LLM_SETTINGS_KEY = 'ceres_llm_settings';
+
+// API keys are kept in memory for the session only: localStorage is plain text on the device and
+// outside the profile encryption. Keys saved by earlier versions are dropped when settings load.
+function withoutApiKey(settings) {
+    const { apiKey, ...rest } = settings;
+    return rest;
+}
+
+const DEFAULT_LLM_SETTINGS = {
+    enabled: false,
+    baseUrl: 'http://localhost:11434/v1',
+    model: 'llama3.1',
+    apiKey: '',
+    temperature: 0.2,
+    timeoutMs: 120000
+};
+const DEFAULT_SYSTEM_PROMPT = 'You are an agricultural credit analyst in Kenya. Write a concise, factual narrative of the farmer profile for a loan or insurance officer. Only use the data provided, say when data is missing and do not invent figures.';
+const DEFAULT_ANALYSIS_OBJECTIVE = 'Summarise the farmer\'s livestock assets, cash flow and risk, and state the main strengths and concerns.';
+
+// OpenAI-compatible chat completions provider (Ollama, llama.cpp server, LM Studio, vLLM, stub servers).
+// Any provider works with NarrativeGenerator if it exposes `describe()` and an async `stream(messages, options)`
+// generator that yields text chunks.
+class OpenAICompatibleProvider {
+    constructor(settings) {
+        this.settings = settings;
+    }
+
+    describe() {
+        return { type: 'openai-compatible', baseUrl: this.settings.baseUrl, model: this.settings.model };
+    }
+
+    async *stream(messages, { signal } = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.settings.apiKey) headers.Authorization = `Bearer ${this.settings.apiKey}`;
+
+        const response = await fetch(`${this.settings.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify({
+                model: this.settings.model,
+                messages: messages,
+                temperature: this.settings.temperature,
+                stream: true
+            }),
+            signal: signal
+        });
+
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw new Error(`Model server returned ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+        }
+
+        // Servers that ignore `stream` answer with a single JSON body
+        if ((response.headers.get('content-type') || '').includes('application/json')) {
+            const body = await response.json();
+            const text = body.choices && body.choices[0] && body.choices[0].message ? body.choices[0].message.content : '';
+            if (text) yield text;
+            return;
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+
+            const events = buffer.split('\n');
+            buffer = events.pop();
+            for (const event of events) {
+                const chunk = this.parseEvent(event);
+                if (chunk === null) return;
+                if (chunk) yield chunk;
+            }
+        }
+
+        const last = this.parseEvent(buffer);
+        if (last) yield last;
+    }
+
+    // Returns the delta text, '' for keep-alives and other events, or null at [DONE]
+    parseEvent(line) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) return '';
+        const data = trimmed.slice(5).trim();
+        if (data === '[DONE]') return null;
+
+        try {
+            const event = JSON.parse(data);
+            const choice = event.choices && event.choices[0];
+            return (choice && choice.delta && choice.delta.content) || '';
+        } catch (error) {
+            return '';
+        }
+    }
+}
+
+// Narrative Generator Class
+class NarrativeGenerator {
+    constructor() {
+        this.settings = this.loadSettings();
+    }
+
+    loadSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(LLM_SETTINGS_KEY)) || {};
+            if ('apiKey' in stored) localStorage.setItem(LLM_SETTINGS_KEY, JSON.stringify(withoutApiKey(stored)));
+            return { ...DEFAULT_LLM_SETTINGS, ...withoutApiKey(stored) };
+        } catch (error) {
+            console.warn('Failed to read narrative settings:', error);
+            return { ...DEFAULT_LLM_SETTINGS };
+        }
+    }
+
+    saveSettings(changes) {
+        this.settings = { ...this.settings, ...changes };
+        localStorage.setItem(LLM_SETTINGS_KEY, JSON.stringify(withoutApiKey(this.settings)));
+        return this.settings;
+    }
+
+    get enabled() {
+        return Boolean(this.settings.enabled && this.settings.baseUrl && this.settings.model);
+    }
+
+    createProvider() {
+        return new OpenAICompatibleProvider(this.settings);
+    }
+
+    // Everything the model sees, in the order it sees it; saved verbatim on the profile
+    buildPrompt(context) {
+        const system = (context.formData.systemPrompt || '').trim() || DEFAULT_SYSTEM_PROMPT;
+        const objective = (context.formData.analysisObjective || '').trim() || DEFAULT_ANALYSIS_OBJECTIVE;
+        const data = this.profileData(context);
+
+        return {
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: `Objective: ${objective}\n\nProfile data (JSON):\n${JSON.stringify(data, null, 2)}` }
+            ]
+        };
+    }
+
+    profileData(context) {
+        return {
+            farmer: {
+                name: context.formData.name || null,
+                county: context.formData.county || null,
+                ward: context.formData.ward || null,
+                experienceYears: context.formData.experience || null,
+                landAcres: context.formData.land || null,
+                bank: context.formData.bank || null,
+                accountType: context.formData.accountType || null,
+                useCase: context.formData.useCase || 'banking'
+            },
+            livestock: {
+                species: context.formData.species || null,
+                breed: context.formData.breed || null,
+                headCount: parseInt(context.formData.livestockCount) || 0,
+                register: context.herd.summary.count > 0 ? context.herd.summary : null
+            },
+            valuation: {
+                method: context.valuation.method,
+                estimate: context.valuation.estimate,
+                low: context.valuation.low,
+                high: context.valuation.high,
+                declared: context.valuation.declared,
+                discrepancy: context.valuation.discrepancy ? context.valuation.discrepancy.message : null
+            },
+            risk: {
+                score: context.riskAssessment.score,
+                grade: context.riskAssessment.grade,
+                factors: context.riskAssessment.factors.map(factor => `${factor.label}: ${factor.contribution}/${factor.weight} (${factor.note})`)
+            },
+            identity: {
+                idNumber: context.identity.fields.idNumber || null,
+                mismatches: context.identity.mismatches.map(check => `${check.field}: "${check.extracted}" on ID vs "${check.declared}" declared`)
+            },
+            dataQuality: context.dataQuality
+                ? { percentage: context.dataQuality.percentage, missing: context.dataQuality.missing.map(item => item.label) }
+                : null,
+            gaps: context.dataGaps
+                ? context.dataGaps.gaps.map(gap => `${gap.label}: ${gap.impact}${gap.proxy ? ' (filled with a reference-table proxy)' : ''}`)
+                : [],
+            cashFlow: context.financials
+                ? context.financials.metrics.map(metric => `${metric.label}: ${metric.status === 'calculated' ? `${metric.value} ± ${metric.error} ${metric.unit}` : `not calculated (${metric.reason})`}`)
+                : null,
+            modules: Object.values(context.moduleResults).map(result => ({
+                name: result.name,
+                status: result.status,
+                metrics: result.metrics.filter(metric => metric.value !== null).map(metric => `${metric.label}: ${metric.value}${metric.unit ? ` ${metric.unit}` : ''}`),
+                findings: result.findings.map(finding => finding.message)
+            })),
+            consensus: context.analysts && context.analysts.consensus
+                ? {
+                    analysts: context.analysts.consensus.completedCount,
+                    score: context.analysts.consensus.score,
+                    grade: context.analysts.consensus.grade,
+                    consensusScore: context.analysts.consensus.consensusScore,
+                    disagreements: context.analysts.consensus.disagreements.map(item => item.label)
+                }
+                : null,
+            documents: this.summarizeDocuments(context.documents)
+        };
+    }
+
+    // Statements go in as monthly totals rather than raw transactions to keep the prompt small
+    summarizeDocuments(documents) {
+        const summary = {};
+        Object.entries(documents).forEach(([category, files]) => {
+            summary[category] = files.map(file => {
+                const content = file.content || {};
+                const entry = { name: file.name, parsed: file.parsed };
+                if (content.statement) {
+                    entry.statement = content.statement;
+                    entry.monthlySummary = content.monthlySummary;
+                } else if (content.fields) {
+                    entry.fields = content.fields;
+                } else if (content.summary) {
+                    entry.summary = content.summary;
+                }
+                return entry;
+            });
+        });
+        return summary;
+    }
+
+    async generate(context, onText, signal) {
+        const prompt = this.buildPrompt(context);
+        const provider = this.createProvider();
+        const narrative = {
+            status: 'completed',
+            text: '',
+            provider: provider.describe(),
+            prompt: prompt,
+            startedAt: new Date().toISOString(),
+            completedAt: null,
+            error: null
+        };
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.settings.timeoutMs);
+        const cancel = () => controller.abort();
+        if (signal) signal.addEventListener('abort', cancel, { once: true });
+
+        try {
+            for await (const chunk of provider.stream(prompt.messages, { signal: controller.signal })) {
+                narrative.text += chunk;
+                if (onText) onText(narrative.text, chunk);
+            }
+        } catch (error) {
+            narrative.status = 'failed';
+            if (error.name === 'AbortError') {
+                narrative.error = signal && signal.aborted
+                    ? 'Cancelled'
+                    : `No response within ${Math.round(this.settings.timeoutMs / 1000)}s`;
+            } else {
+                narrative.error = error.message;
+            }
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', cancel);
+        }
+
+        narrative.completedAt = new Date().toISOString();
+        return narrative;
+    }
+}
+
+const ANALYSTS_KEY = 'ceres_analysts';
+
+// Scorers re-weight the risk factors (and may tighten the lending policy); model analysts
+// prompt an OpenAI-compatible server, falling back to the narrative settings when their
+// own base URL or model is blank.
+const DEFAULT_ANALYSTS = [
+    { id: 'balanced', name: 'Balanced scorer', type: 'scorer', enabled: true, weights: {}, policy: {} },
+    {
+        id: 'collateral',
+        name: 'Collateral-led scorer',
+        type: 'scorer',
+        enabled: true,
+        weights: { experience: 10, land: 15, livestockCount: 20, herdValue: 25, accountType: 5, riskTolerance: 5, documents: 20 },
+        policy: {}
+    },
+    {
+        id: 'cash-flow',
+        name: 'Cash-flow scorer',
+        type: 'scorer',
+        enabled: true,
+        weights: { experience: 15, land: 5, livestockCount: 10, herdValue: 10, accountType: 20, riskTolerance: 5, documents: 35 },
+        policy: { maxDebtToIncome: 0.35, surplusShare: 0.6 }
+    },
+    { id: 'model', name: 'Model analyst', type: 'model', enabled: false, baseUrl: '', model: '', apiKey: '', systemPrompt: '' }
+];
+
+const DEFAULT_ANALYST_PROMPT = 'You are an independent agricultural credit analyst in Kenya. Assess the lending risk of the farmer profile using only the data provided. Reply with a single JSON object and nothing else: {"score": 0-100 where 100 is the lowest risk, "herdValue": herd value in KES or null, "maxInstalment": affordable monthly loan instalment in KES or null, "rationale": one sentence}.';
+
+// Figures every analyst reports and the council compares
+const ANALYST_METRICS = [
+    { key: 'score', label: 'Risk score', unit: '/100' },
+    { key: 'herdValue', label: 'Herd value', unit: 'KES' },
+    { key: 'maxInstalment', label: 'Maximum affordable instalment', unit: 'KES' }
+];
+
+// Coefficient of variation from which analysts are taken to disagree on a figure
+const ANALYST_DISAGREEMENT_CV = 0.15;
+
+// Analyst Council Class
+// Runs every enabled analyst on the same inputs, keeps each one's output for audit and
+// aggregates them: mean score and grade, spread per figure and a consensus score.
+class AnalystCouncil {
+    constructor() {
+        this.analysts = this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(ANALYSTS_KEY));
+            if (!stored) return DEFAULT_ANALYSTS.map(analyst => ({ ...analyst }));
+            const analysts = stored.map(withoutApiKey);
+            if (stored.some(analyst => 'apiKey' in analyst)) localStorage.setItem(ANALYSTS_KEY, JSON.stringify(analysts));
+            return analysts;
+        } catch (error) {
+            console.warn('Failed to read analyst settings:', error);
+            return DEFAULT_ANALYSTS.map(analyst => ({ ...analyst }));
+        }
+    }
+
+    save() {
+        localStorage.setItem(ANALYSTS_KEY, JSON.stringify(this.analysts.map(withoutApiKey)));
+    }
+
+    get(id) {
+        return this.analysts.find(analyst => analyst.id === id) || null;
+    }
+
+    update(id, changes) {
+        const analyst = this.get(id);
+        if (!analyst) return null;
+        Object.assign(analyst, changes);
+        this.save();
+        return analyst;
+    }
+
+    add(type) {
+        const id = `${type}-${Date.now().toString(36)}`;
+        const analyst = type === 'model'
+            ? { id: id, name: 'Model analyst', type: 'model', enabled: true, baseUrl: '', model: '', apiKey: '', systemPrompt: '' }
+            : { id: id, name: 'Custom scorer', type: 'scorer', enabled: true, weights: new RiskScoringEngine().weights(), policy: {} };
+        this.analysts.push(analyst);
+        this.save();
+        return analyst;
+    }
+
+    remove(id) {
+        this.analysts = this.analysts.filter(analyst => analyst.id !== id);
+        this.save();
+    }
+
+    reset() {
+        localStorage.removeItem(ANALYSTS_KEY);
+        this.analysts = this.load();
+    }
+
+    enabled() {
+        return this.analysts.filter(analyst => analyst.enabled);
+    }
+
+    // `context` is the module context plus `dataQuality` and `dataGaps`
+    async run(context, signal, onAnalyst) {
+        const results = [];
+        for (const analyst of this.enabled()) {
+            if (signal && signal.aborted) break;
+            if (onAnalyst) onAnalyst(analyst);
+            results.push(await this.runAnalyst(analyst, context, signal));
+        }
+        return { results: results, consensus: this.aggregate(results) };
+    }
+
+    async runAnalyst(analyst, context, signal) {
+        const output = {
+            id: analyst.id,
+            name: analyst.name,
+            type: analyst.type,
+            status: 'completed',
+            config: null,
+            score: null,
+            grade: null,
+            rating: null,
+            metrics: {},
+            sources: {},
+            factors: [],
+            rationale: null,
+            error: null,
+            ranAt: new Date().toISOString()
+        };
+
+        try {
+            Object.assign(output, analyst.type === 'model'
+                ? await this.runModel(analyst, context, signal)
+                : this.runScorer(analyst, context));
+            const band = RISK_GRADES.find(g => output.score >= g.min);
+            output.grade = band.grade;
+            output.rating = band.rating;
+        } catch (error) {
+            output.status = 'failed';
+            output.error = error.name === 'AbortError'
+                ? (signal && signal.aborted ? 'Cancelled' : 'No response in time')
+                : error.message;
+        }
+        return output;
+    }
+
+    runScorer(analyst, context) {
+        const engine = new RiskScoringEngine(analyst.weights || {});
+        const assessment = engine.score(context.formData, context.documents, context.valuation);
+        const financials = financialMetrics.calculate(context.documents, context.formData, context.proxies || {}, analyst.policy || {});
+        return {
+            config: { weights: engine.weights(), policy: financials.policy },
+            score: assessment.score,
+            factors: assessment.factors,
+            metrics: {
+                score: assessment.score,
+                herdValue: context.valuation.estimate,
+                maxInstalment: financialMetrics.metric(financials, 'maxInstalment')
+            },
+            // Every scorer reads the same valuation, and scorers with the same weights or policy
+            // reach the same figures; the council counts each of these once
+            sources: {
+                score: `weights:${JSON.stringify(engine.weights())}`,
+                herdValue: 'valuation',
+                maxInstalment: `policy:${JSON.stringify(financials.policy)}`
+            }
+        };
+    }
+
+    // The model sees the same profile data as the narrative, minus every other analyst's score
+    async runModel(analyst, context, signal) {
+        const settings = narrativeGenerator.settings;
+        const provider = new OpenAICompatibleProvider({
+            ...settings,
+            baseUrl: (analyst.baseUrl || '').trim() || settings.baseUrl,
+            model: (analyst.model || '').trim() || settings.model,
+            apiKey: analyst.apiKey || settings.apiKey
+        });
+        const { risk, modules, consensus, ...data } = narrativeGenerator.profileData(context);
+        const messages = [
+            { role: 'system', content: (analyst.systemPrompt || '').trim() || DEFAULT_ANALYST_PROMPT },
+            { role: 'user', content: `Profile data (JSON):\n${JSON.stringify(data, null, 2)}` }
+        ];
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), settings.timeoutMs);
+        const cancel = () => controller.abort();
+        if (signal) signal.addEventListener('abort', cancel, { once: true });
+
+        let text = '';
+        try {
+            for await (const chunk of provider.stream(messages, { signal: controller.signal })) {
+                text += chunk;
+            }
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', cancel);
+        }
+
+        const verdict = this.parseVerdict(text);
+        return {
+            config: { provider: provider.describe(), prompt: { messages: messages } },
+            score: verdict.score,
+            rationale: verdict.rationale,
+            metrics: { score: verdict.score, herdValue: verdict.herdValue, maxInstalment: verdict.maxInstalment }
+        };
+    }
+
+    // Models wrap JSON in prose or code fences often enough that the first {...} block is taken
+    parseVerdict(text) {
+        const match = text.match(/\{[\s\S]*\}/);
+        if (!match) throw new Error('Model reply contained no JSON verdict');
+
+        let verdict;
+        try {
+            verdict = JSON.parse(match[0]);
+        } catch (error) {
+            throw new Error('Model reply contained malformed JSON');
+        }
+
+        const number = value => {
+            const parsed = parseFloat(value);
+            return isFinite(parsed) ? parsed : null;
+        };
+        const score = number(verdict.score);
+        if (score === null || score < 0 || score > 100) throw new Error('Model verdict has no score between 0 and 100');
+
+        return {
+            score: Math.round(score * 10) / 10,
+            herdValue: number(verdict.herdValue),
+            maxInstalment: number(verdict.maxInstalment),
+            rationale: verdict.rationale ? String(verdict.rationale) : null
+        };
+    }
+
+    // Needs two completed analysts. The consensus score is 100 × (1 − mean coefficient of
+    // variation, capped at 1) over the figures at least two analysts reported independently:
+    // figures with the same source (see runScorer) agree by construction and count once.
+    aggregate(results) {
+        const completed = results.filter(result => result.status === 'completed');
+        if (completed.length < 2) return null;
+
+        const metrics = ANALYST_METRICS.map(definition => {
+            const seen = new Set();
+            const values = completed
+                .filter(result => {
+                    const source = (result.sources || {})[definition.key];
+                    if (!source) return true;
+                    if (seen.has(source)) return false;
+                    seen.add(source);
+                    return true;
+                })
+                .map(result => result.metrics[definition.key])
+                .filter(value => value !== null && value !== undefined && isFinite(value));
+            if (values.length < 2) {
+                return { ...definition, count: values.length, mean: values.length ? values[0] : null, min: null, max: null, variance: null, standardDeviation: null, variation: null, disagreement: false };
+            }
+
+            const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+            const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+            const deviation = Math.sqrt(variance);
+            const variation = mean !== 0 ? deviation / Math.abs(mean) : (deviation === 0 ? 0 : 1);
+            return {
+                ...definition,
+                count: values.length,
+                mean: Math.round(mean * 10) / 10,
+                min: Math.min(...values),
+                max: Math.max(...values),
+                variance: Math.round(variance * 10) / 10,
+                standardDeviation: Math.round(deviation * 10) / 10,
+                variation: Math.round(variation * 1000) / 10,
+                disagreement: variation >= ANALYST_DISAGREEMENT_CV
+            };
+        });
+
+        const grades = {};
+        completed.forEach(result => { grades[result.grade] = (grades[result.grade] || 0) + 1; });
+        const gradeAgreement = Math.round(Math.max(...Object.values(grades)) / completed.length * 100);
+
+        const compared = metrics.filter(metric => metric.variation !== null);
+        const spread = compared.length > 0
+            ? compared.reduce((sum, metric) => sum + Math.min(1, metric.variation / 100), 0) / compared.length
+            : null;
+        const score = metrics[0].mean;
+        const band = RISK_GRADES.find(g => score >= g.min);
+
+        // Most disputed first; a split grade is listed even when the scores sit close together
+        const disagreements = compared
+            .filter(metric => metric.disagreement)
+            .sort((a, b) => b.variation - a.variation)
+            .map(metric => ({ key: metric.key, label: metric.label, variation: metric.variation, min: metric.min, max: metric.max, unit: metric.unit }));
+        if (Object.keys(grades).length > 1) {
+            disagreements.push({ key: 'grade', label: 'Risk grade', variation: null, min: null, max: null, unit: '', grades: grades });
+        }
+
+        return {
+            analystCount: results.length,
+            completedCount: completed.length,
+            score: score,
+            grade: band.grade,
+            rating: band.rating,
+            label: `${band.label} (${band.grade})`,
+            grades: grades,
+            gradeAgreement: gradeAgreement,
+            // Null when the analysts share every figure by construction, so there is nothing to compare
+            consensusScore: spread === null ? null : Math.round((1 - spread) * 100),
+            metrics: metrics,
+            disagreements: disagreements,
+            ...messageField('method', 'consensus.method', { count: completed.length, compared: compared.length, threshold: ANALYST_DISAGREEMENT_CV * 100 }),
+            aggregatedAt: new Date().toISOString()
+        };
+    }
+}
+
+const PROFILE_EXPORT_FORMAT = 'ceres-profiles';
+const PROFILE_EXPORT_SCHEMA_VERSION = 1;
+
+// Field types checked on import. Optional fields may be missing or null; anything not
+// listed is carried through untouched so newer exports still load.
+const PROFILE_SCHEMA = {
+    id: { type: 'string', required: true, valid: id => profileIntegrity.isValidId(id) },
+    version: { type: 'integer', min: 1 },
+    timestamp: { type: 'datetime', required: true },
+    createdAt: { type: 'datetime' },
+    farmerName: { type: 'string' },
+    county: { type: 'string' },
+    ward: { type: 'string' },
+    livestock: { type: 'object', required: true },
+    'livestock.species': { type: 'string' },
+    'livestock.count': { type: 'number' },
+    riskRating: { type: 'string', required: true, oneOf: ['low', 'medium', 'high'] },
+    riskAssessment: { type: 'object' },
+    'riskAssessment.score': { type: 'number' },
+    'riskAssessment.grade': { type: 'string' },
+    'riskAssessment.factors': { type: 'array' },
+    valuation: { type: 'number', required: true },
+    dataPoints: { type: 'number' },
+    dataQuality: { type: 'object' },
+    modules: { type: 'array' },
+    moduleResults: { type: 'object' },
+    financialMetrics: { type: 'object' },
+    'financialMetrics.metrics': { type: 'array' },
+    confidence: { type: 'object' },
+    'confidence.figures': { type: 'array' },
+    dataGaps: { type: 'object' },
+    'dataGaps.gaps': { type: 'array' },
+    'dataGaps.proxies': { type: 'array' },
+    analysts: { type: 'object' },
+    'analysts.results': { type: 'array' },
+    'analysts.consensus': { type: 'object' },
+    documents: { type: 'object' },
+    extractedInsights: { type: 'object' },
+    identity: { type: 'object' },
+    herd: { type: 'object' },
+    'herd.animals': { type: 'array' },
+    intake: { type: 'object' },
+    contentHash: { type: 'string' }
+};
+
+// Flat columns for loan-system ingestion, one row per profile (latest version)
+const PROFILE_CSV_COLUMNS = [
+    { header: 'profile_id', value: profile => profile.id },
+    { header: 'version', value: profile => profile.version || 1 },
+    { header: 'created_at', value: profile => profile.createdAt || profile.timestamp },
+    { header: 'analysed_at', value: profile => profile.timestamp },
+    { header: 'farmer_name', value: profile => profile.farmerName },
+    { header: 'national_id', value: profile => (profile.identity && profile.identity.fields && profile.identity.fields.idNumber) || (profile.intake || {}).idNumber },
+    { header: 'phone', value: profile => (profile.intake || {}).phone },
+    { header: 'county', value: profile => profile.county },
+    { header: 'ward', value: profile => profile.ward },
+    { header: 'use_case', value: profile => profile.useCase },
+    { header: 'species', value: profile => (profile.livestock || {}).species },
+    { header: 'head_count', value: profile => (profile.livestock || {}).count },
+    { header: 'valuation_kes', value: profile => profile.valuation },
+    { header: 'valuation_low_kes', value: profile => profile.valuationDetail ? profile.valuationDetail.low : '' },
+    { header: 'valuation_high_kes', value: profile => profile.valuationDetail ? profile.valuationDetail.high : '' },
+    { header: 'declared_value_kes', value: profile => profile.declaredValue },
+    { header: 'risk_rating', value: profile => profile.riskRating },
+    { header: 'risk_grade', value: profile => profileGrade(profile) },
+    { header: 'risk_score', value: profile => profile.riskAssessment ? profile.riskAssessment.score : '' },
+    { header: 'completeness_pct', value: profile => profileCompleteness(profile) },
+    { header: 'data_points', value: profile => profile.dataPoints },
+    { header: 'data_gaps', value: profile => profile.dataGaps ? profile.dataGaps.gaps.length : '' },
+    { header: 'proxies_used', value: profile => profile.dataGaps ? profile.dataGaps.proxies.map(proxy => proxy.id).join(' ') : '' },
+    { header: 'confidence_pct', value: profile => profile.confidence ? profile.confidence.score : '' },
+    { header: 'analysts', value: profile => profile.analysts ? profile.analysts.results.length : '' },
+    { header: 'consensus_grade', value: profile => profile.analysts && profile.analysts.consensus ? profile.analysts.consensus.grade : '' },
+    { header: 'consensus_pct', value: profile => profile.analysts && profile.analysts.consensus ? profile.analysts.consensus.consensusScore : '' },
+    { header: 'analyst_disagreements', value: profile => profile.analysts && profile.analysts.consensus ? profile.analysts.consensus.disagreements.map(item => item.key).join(' ') : '' },
+    { header: 'monthly_income_kes', value: profile => financialMetrics.metric(profile.financialMetrics, 'monthlyIncome') },
+    { header: 'net_cash_flow_kes', value: profile => financialMetrics.metric(profile.financialMetrics, 'netCashFlow') },
+    { header: 'debt_to_income_pct', value: profile => financialMetrics.metric(profile.financialMetrics, 'debtToIncome') },
+    { header: 'max_instalment_kes', value: profile => financialMetrics.metric(profile.financialMetrics, 'maxInstalment') },
+    { header: 'documents', value: profile => Object.values(profile.documents || {}).reduce((sum, files) => sum + files.length, 0) },
+    { header: 'transactions', value: profile => (profile.extractedInsights || {}).transactionsExtracted },
+    { header: 'id_mismatches', value: profile => profile.identity ? profile.identity.mismatches.length : '' }
+];
+
+// Profile Transfer Class
+// Versioned JSON export/import (full profiles with their version history) and flat CSV export.
+class ProfileTransfer {
+    toJSON(entries) {
+        return JSON.stringify({
+            format: PROFILE_EXPORT_FORMAT,
+            schemaVersion: PROFILE_EXPORT_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            profiles: entries.map(({ profile, versions }) => ({ ...profile, versions: versions || [] }))
+        }, null, 2);
+    }
+
+    toCSV(profiles) {
+        return Papa.unparse({
+            fields: PROFILE_CSV_COLUMNS.map(column => column.header),
+            data: profiles.map(profile => PROFILE_CSV_COLUMNS.map(column => {
+                const value = column.value(profile);
+                return value === undefined || value === null ? '' : value;
+            }))
+        });
+    }
+
+    // Returns { entries: [{ profile, versions }], errors: [{ index, id, errors }] }; throws if the
+    // file as a whole is not a profile export
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not a JSON file: ${error.message}`);
+        }
+
+        if (!data || data.format !== PROFILE_EXPORT_FORMAT || !Array.isArray(data.profiles)) {
+            throw new Error('Not a CERES profile export');
+        }
+        if (!Number.isInteger(data.schemaVersion) || data.schemaVersion > PROFILE_EXPORT_SCHEMA_VERSION) {
+            throw new Error(`Unsupported export schema version ${data.schemaVersion}; this app reads up to ${PROFILE_EXPORT_SCHEMA_VERSION}`);
+        }
+
+        const entries = [];
+        const errors = [];
+
+        data.profiles.forEach((item, index) => {
+            const { versions = [], ...profile } = item || {};
+            const problems = this.validate(profile);
+            if (!Array.isArray(versions)) problems.push('versions must be an array');
+            (Array.isArray(versions) ? versions : []).forEach(version => {
+                this.validate(version).forEach(problem => problems.push(`version ${version && version.version}: ${problem}`));
+                if (version && version.id !== profile.id) problems.push(`version ${version.version} belongs to ${version.id}`);
+            });
+
+            if (problems.length > 0) {
+                errors.push({ index: index, id: profile.id || null, errors: problems });
+            } else {
+                entries.push({ profile: { ...profile, version: profile.version || 1 }, versions: versions });
+            }
+        });
+
+        return { entries, errors };
+    }
+
+    validate(profile) {
+        if (!profile || typeof profile !== 'object') return ['not an object'];
+
+        const problems = [];
+        Object.entries(PROFILE_SCHEMA).forEach(([path, rule]) => {
+            const value = path.split('.').reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), profile);
+            if (value === undefined || value === null) {
+                if (rule.required) problems.push(`${path} is required`);
+                return;
+            }
+            if (!this.matchesType(value, rule.type)) {
+                problems.push(`${path} must be ${rule.type === 'integer' ? 'an integer' : `a ${rule.type}`}`);
+                return;
+            }
+            if (rule.valid && !rule.valid(value)) problems.push(`${path} "${value}" is not a valid profile ID`);
+            if (rule.oneOf && !rule.oneOf.includes(value)) problems.push(`${path} must be one of ${rule.oneOf.join(', ')}`);
+            if (rule.min !== undefined && value < rule.min) problems.push(`${path} must be at least ${rule.min}`);
+        });
+
+        Object.entries(profile.documents || {}).forEach(([category, files]) => {
+            if (!Array.isArray(files)) problems.push(`documents.${category} must be an array`);
+        });
+
+        return problems;
+    }
+
+    matchesType(value, type) {
+        switch (type) {
+            case 'string': return typeof value === 'string';
+            case 'number': return typeof value === 'number' && isFinite(value);
+            case 'integer': return Number.isInteger(value);
+            case 'datetime': return typeof value === 'string' && !isNaN(Date.parse(value));
+            case 'array': return Array.isArray(value);
+            case 'object': return typeof value === 'object' && !Array.isArray(value);
+            default: return true;
+        }
+    }
+}
+
+// Profile Integrity Class
+// Crockford base32 (no I, L, O or U) keeps IDs short and safe to read out or retype.
+const PROFILE_ID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const PROFILE_ID_PATTERN = /^CER-[0-9A-HJKMNP-TV-Z]{4}-[0-9A-HJKMNP-TV-Z]{4}$/;
+// Issued before check characters; still accepted, but a typo in one cannot be detected
+const LEGACY_PROFILE_ID_PATTERN = /^CER-\d{4}-\d+-[A-Z0-9]{4}$/;
+
+// The analysis results a lender relies on. Raw uploads and intake notes stay out so the
+// hash survives re-exporting, but any change to a grade, score or valuation breaks it.
+const PROFILE_HASH_FIELDS = [
+    'id', 'version', 'timestamp', 'farmerName', 'county', 'ward', 'useCase', 'livestock',
+    'riskRating', 'riskAssessment', 'valuation', 'valuationDetail', 'declaredValue',
+    'dataPoints', 'dataQuality', 'moduleResults', 'narrative', 'identity', 'financialMetrics', 'confidence', 'dataGaps', 'analysts'
+];
+
+// Labels and messages are catalogue keys under `verify.<status>.`
+const VERIFICATION_RESULTS = {
+    verified: { tone: 'text-green-700' },
+    'metadata-match': { tone: 'text-amber-700' },
+    altered: { tone: 'text-red-600' },
+    'store-altered': { tone: 'text-red-600' },
+    'invalid-id': { tone: 'text-red-600' },
+    'not-found': { tone: 'text-amber-700' },
+    unhashed: { tone: 'text-amber-700' },
+    unreadable: { tone: 'text-amber-700' }
+};
+
+// Catalogue labels go into patterns as literal text
+function escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class ProfileIntegrity {
+    generateId() {
+        const payload = Array.from(crypto.getRandomValues(new Uint8Array(7)), byte => PROFILE_ID_ALPHABET[byte & 31]).join('');
+        return `CER-${payload.substring(0, 4)}-${payload.substring(4)}${this.checkCharacter(payload)}`;
+    }
+
+    // Luhn mod 32: catches any single wrong character and most swapped neighbours
+    checkCharacter(payload) {
+        const base = PROFILE_ID_ALPHABET.length;
+        let sum = 0;
+        let factor = 2;
+        for (let i = payload.length - 1; i >= 0; i--) {
+            const addend = factor * PROFILE_ID_ALPHABET.indexOf(payload[i]);
+            sum += Math.floor(addend / base) + (addend % base);
+            factor = factor === 2 ? 1 : 2;
+        }
+        return PROFILE_ID_ALPHABET[(base - (sum % base)) % base];
+    }
+
+    // Forgives case, stray spaces and the letters people type for 0 and 1
+    normalizeId(input) {
+        const id = String(input || '').trim().toUpperCase().replace(/\s+/g, '');
+        if (LEGACY_PROFILE_ID_PATTERN.test(id)) return id;
+        return id.replace(/^CER-/, '').replace(/O/g, '0').replace(/[IL]/g, '1').replace(/^/, 'CER-');
+    }
+
+    isValidId(id) {
+        if (LEGACY_PROFILE_ID_PATTERN.test(id)) return true;
+        if (!PROFILE_ID_PATTERN.test(id)) return false;
+        const characters = id.substring(4).replace('-', '');
+        return this.checkCharacter(characters.substring(0, 7)) === characters[7];
+    }
+
+    // Sorted keys, so the same values hash the same after a trip through JSON or IndexedDB
+    canonicalize(value) {
+        if (Array.isArray(value)) return `[${value.map(item => this.canonicalize(item === undefined ? null : item)).join(',')}]`;
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    // SHA-256 over the hashed fields, as lowercase hex. Absent fields are left out, so adding
+    // a field to PROFILE_HASH_FIELDS does not break the hashes of profiles saved without it.
+    async hash(profile) {
+        const content = {};
+        PROFILE_HASH_FIELDS.filter(field => profile[field] !== undefined).forEach(field => { content[field] = profile[field]; });
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(this.canonicalize(content)));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // 'intact', 'altered', or 'unhashed' for profiles saved before hashing
+    async check(profile) {
+        if (!profile.contentHash) return 'unhashed';
+        return (await this.hash(profile)) === profile.contentHash ? 'intact' : 'altered';
+    }
+
+    // Accepts a JSON export, a text summary or a report PDF. Returns one result per
+    // profile version found in the file: { id, version, status, label, message }.
+    async verify(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const text = new TextDecoder().decode(bytes);
+
+        if (text.startsWith('%PDF')) return [await this.verifyPdf(bytes)];
+
+        let data = null;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return [await this.verifyText(text)];
+        }
+        // Valid JSON that is not an export (null, a bare number or string) is read as text
+        if (!data || typeof data !== 'object') return [await this.verifyText(text)];
+
+        const records = [];
+        (Array.isArray(data.profiles) ? data.profiles : [data]).forEach(entry => {
+            const { versions, ...profile } = entry || {};
+            records.push(profile);
+            (Array.isArray(versions) ? versions : [])
+                .filter(version => version && version.version !== profile.version)
+                .forEach(version => records.push(version));
+        });
+
+        const results = [];
+        for (const record of records) {
+            results.push(await this.compare(record.id, record.version, record.contentHash, async stored => (await this.hash(record)) === stored.contentHash));
+        }
+        return results;
+    }
+
+    // The whole summary is regenerated from the stored version, in the language it was
+    // exported in, and compared line by line; only the "Generated:" timestamp line is left out
+    async verifyText(text) {
+        const label = (key, code) => escapeRegExp(t(key, {}, code));
+        const language = Object.keys(LANGUAGES).find(code => new RegExp(`^${label('summary.profileId', code)}:`, 'm').test(text)) || DEFAULT_LANGUAGE;
+        const field = key => {
+            const match = text.match(new RegExp(`^${label(key, language)}:\\s*(.+)$`, 'm'));
+            return match ? match[1].trim() : null;
+        };
+        const generated = `${t('summary.generated', {}, language)}:`;
+        const comparable = summary => summary.replace(/\r\n/g, '\n').split('\n')
+            .filter(line => !line.startsWith(generated))
+            .map(line => line.trimEnd())
+            .join('\n')
+            .trim();
+
+        return this.compare(field('summary.profileId'), parseInt(field('summary.version')) || null, field('summary.contentHash'),
+            async stored => comparable(profileSummaryText(stored, language)) === comparable(text));
+    }
+
+    // Only the document properties written by the report page are checked, not the page content,
+    // so a match says no more than that
+    async verifyPdf(bytes) {
+        const pdf = await pdfjsLib.getDocument({ data: bytes }).promise;
+        const { info } = await pdf.getMetadata();
+        const keywords = String(info.Keywords || '');
+        const value = name => {
+            const match = keywords.match(new RegExp(`${name}:([^;\\s]+)`));
+            return match ? match[1] : null;
+        };
+        return this.compare(value('ceres-profile'), parseInt(value('version')) || null, value('sha256'), null);
+    }
+
+    // `matchesContent(stored)` checks the file's own content against the stored version when the format carries it
+    async compare(rawId, version, claimedHash, matchesContent) {
+        const id = rawId ? this.normalizeId(rawId) : null;
+        const result = status => ({ id: id, version: version, status: status, ...VERIFICATION_RESULTS[status] });
+
+        if (!id) return result('unreadable');
+        if (!this.isValidId(id)) return result('invalid-id');
+
+        const stored = version ? await profileManager.getVersion(id, version) : await profileManager.get(id);
+        if (!stored) return result('not-found');
+        version = stored.version || 1;
+
+        const integrity = await this.check(stored);
+        if (integrity === 'unhashed') return result('unhashed');
+        if (integrity === 'altered') return result('store-altered');
+        if (claimedHash && claimedHash !== stored.contentHash) return result('altered');
+        if (matchesContent && !(await matchesContent(stored))) return result('altered');
+        if (!claimedHash && !matchesContent) return result('altered');
+        return result(matchesContent ? 'verified' : 'metadata-match');
+    }
+}
+
+// Portfolio Analytics Class
+// Book-level aggregates over saved profiles (latest version of each) for the portfolio dashboard.
+class PortfolioAnalytics {
+    summarize(profiles) {
+        const valued = profiles.filter(profile => typeof profile.valuation === 'number');
+        const totalValuation = valued.reduce((sum, profile) => sum + profile.valuation, 0);
+
+        return {
+            count: profiles.length,
+            totalValuation: totalValuation,
+            averageValuation: valued.length ? Math.round(totalValuation / valued.length) : 0,
+            grades: this.countGrades(profiles),
+            byCounty: this.valuationBy(profiles, profile => profile.county || 'Unknown'),
+            bySpecies: this.valuationBy(profiles, profile => (profile.livestock || {}).species || 'unknown'),
+            completeness: this.completenessBands(profiles),
+            createdByMonth: this.createdByMonth(profiles)
+        };
+    }
+
+    countGrades(profiles) {
+        const grades = RISK_GRADES.map(band => ({ grade: band.grade, count: 0 }));
+        const unscored = { grade: 'Unscored', count: 0 };
+        profiles.forEach(profile => {
+            const entry = grades.find(item => item.grade === profileGrade(profile)) || unscored;
+            entry.count++;
+        });
+        return unscored.count > 0 ? [...grades, unscored] : grades;
+    }
+
+    // Highest total first
+    valuationBy(profiles, keyOf) {
+        const groups = {};
+        profiles.forEach(profile => {
+            const key = keyOf(profile);
+            const group = groups[key] || (groups[key] = { key: key, count: 0, total: 0 });
+            group.count++;
+            group.total += profile.valuation || 0;
+        });
+        return Object.values(groups)
+            .map(group => ({ ...group, average: Math.round(group.total / group.count) }))
+            .sort((a, b) => b.total - a.total);
+    }
+
+    completenessBands(profiles) {
+        const bands = COMPLETENESS_BANDS.map(band => ({ band: band, count: 0 }));
+        let unrated = 0;
+        profiles.forEach(profile => {
+            const completeness = profileCompleteness(profile);
+            if (completeness === null) {
+                unrated++;
+                return;
+            }
+            const band = bands.find(item => {
+                const [min, max] = item.band.split('-').map(Number);
+                return completeness >= min && completeness <= max;
+            });
+            if (band) band.count++;
+        });
+        return { bands: bands, unrated: unrated };
+    }
+
+    // Every month from the first profile to the last, including empty ones
+    createdByMonth(profiles) {
+        const counts = {};
+        profiles.forEach(profile => {
+            const month = profileCreatedDay(profile).substring(0, 7);
+            counts[month] = (counts[month] || 0) + 1;
+        });
+
+        const months = Object.keys(counts).sort();
+        if (months.length === 0) return [];
+
+        const series = [];
+        let [year, month] = months[0].split('-').map(Number);
+        const last = months[months.length - 1];
+        while (true) {
+            const key = `${year}-${String(month).padStart(2, '0')}`;
+            series.push({ month: key, count: counts[key] || 0 });
+            if (key >= last) break;
+            month++;
+            if (month > 12) {
+                month = 1;
+                year++;
+            }
+        }
+        return series;
+    }
+}
+
+// Initialize managers
+const profileManager = new ProfileManager();
+const draftManager = new DraftManager(profileManager.store);
+const ocrEngine = new OcrEngine();
+const documentWorkerPool = new DocumentWorkerPool();
+const riskScoringEngine = new RiskScoringEngine();
+const herdRegister = new HerdRegister();
+const livestockValuation = new LivestockValuation();
+const uncertaintyModel = new UncertaintyModel();
+const financialMetrics = new FinancialMetrics();
+const fieldValidator = new FieldValidator(KENYA_GAZETTEER);
+const completenessEvaluator = new CompletenessEvaluator(COMPLETENESS_RUBRICS, fieldValidator);
+const analysisModules = new AnalysisModuleRegistry();
+const proxyRegistry = new ProxyRegistry();
+const dataGapDetector = new DataGapDetector(analysisModules, proxyRegistry);
+const narrativeGenerator = new NarrativeGenerator();
+const analystCouncil = new AnalystCouncil();
+const portfolioAnalytics = new PortfolioAnalytics();
+const profileTransfer = new ProfileTransfer();
+const profileIntegrity = new ProfileIntegrity();
+
+// Built-in modules behind the asset/risk/financial cards
+proxyRegistry.register({
+    id: 'regional-mortality',
+    label: 'Annual mortality rate',
+    unit: '%',
+    severity: 'medium',
+    source: REFERENCE_TABLES.mortality.source,
+    updatedAt: REFERENCE_TABLES.mortality.updatedAt,
+    lookup({ formData }) {
+        const species = INTAKE_SPECIES[formData.species];
+        const rates = REFERENCE_TABLES.mortality.rates[species];
+        if (!rates) return null;
+        const zone = countyZone(formData.county);
+        return {
+            value: rates[zone] * 100,
+            ...messageField('basis', formData.county ? 'proxy.basis.mortalityCounty' : 'proxy.basis.mortality', {
+                species: { key: `livestock.${species}`, text: species, lower: true },
+                zone: { key: `proxy.zone.${zone}` },
+                county: formData.county
+            })
+        };
+    }
+});
+
+proxyRegistry.register({
+    id: 'zone-farm-size',
+    label: 'Farm size',
+    unit: 'acres',
+    severity: 'high',
+    source: REFERENCE_TABLES.farmSize.source,
+    updatedAt: REFERENCE_TABLES.farmSize.updatedAt,
+    lookup({ formData }) {
+        if (!formData.county) return null;
+        const zone = countyZone(formData.county);
+        return {
+            value: REFERENCE_TABLES.farmSize.acres[zone],
+            ...messageField('basis', 'proxy.basis.farmSize', { zone: { key: `proxy.zone.${zone}` }, county: formData.county })
+        };
+    }
+});
+
+analysisModules.register({
+    id: 'asset',
+    name: 'Asset Valuation',
+    description: 'Herd value from the register or declared aggregates',
+    requires: [{ field: 'species', label: 'Livestock species' }],
+    uses: [
+        { upload: 'herd', label: 'Herd register', impact: 'Herd valued from head count and a typical animal instead of per animal' },
+        { field: 'breed', label: 'Primary breed', impact: 'Animals priced at the species default' },
+        { key: 'mortality', upload: 'health', label: 'Health and mortality records', impact: 'Expected mortality loss cannot be measured for this herd', proxy: 'regional-mortality' }
+    ],
+    run({ valuation, herd, proxies }) {
+        const findings = [];
+        const warnings = [];
+
+        if (valuation.estimate === null) {
+            warnings.push({ key: valuation.method === 'roster' ? 'module.asset.noPriceable' : 'module.asset.nothingToValue' });
+        } else {
+            findings.push({
+                severity: 'info',
+                ...(valuation.method === 'roster'
+                    ? messageField('message', 'module.asset.valuedRoster', { count: valuation.perAnimal.length })
+                    : messageField('message', 'module.asset.valuedAggregate'))
+            });
+        }
+        if (valuation.discrepancy && valuation.discrepancy.flagged) {
+            findings.push({ severity: 'warning', ...messageField('message', valuation.discrepancy.messageKey, valuation.discrepancy.messageParams) });
+        }
+        if (herd.summary.unhealthy > 0) {
+            findings.push({ severity: 'warning', ...messageField('message', 'module.asset.unhealthy', { count: herd.summary.unhealthy }) });
+        }
+
+        // Without the herd's own records, the expected loss rests on the regional rate
+        const mortality = proxies && proxies.mortality;
+        const expectedLoss = mortality && valuation.estimate !== null ? Math.round(valuation.estimate * mortality.value / 100) : null;
+        if (expectedLoss !== null) {
+            findings.push({ severity: 'info', ...messageField('message', 'module.asset.mortalityProxy', { rate: mortality.value }) });
+        }
+
+        return {
+            findings: findings,
+            metrics: [
+                { key: 'estimate', label: 'Estimated herd value', value: valuation.estimate, unit: 'KES' },
+                { key: 'low', label: 'Low estimate', value: valuation.low, unit: 'KES' },
+                { key: 'high', label: 'High estimate', value: valuation.high, unit: 'KES' },
+                { key: 'declared', label: 'Declared value', value: valuation.declared, unit: 'KES' },
+                { key: 'breedingStock', label: 'Breeding stock', value: herd.summary.breedingStock, unit: 'head' },
+                { key: 'expectedMortalityLoss', label: 'Expected annual mortality loss', value: expectedLoss, unit: 'KES' }
+            ],
+            warnings: warnings
+        };
+    }
+});
+
+analysisModules.register({
+    id: 'risk',
+    name: 'Risk Assessment',
+    description: 'Weighted factor score and grade',
+    requires: [],
+    uses: [
+        { field: 'experience', label: 'Years farming', impact: 'Experience factor scores zero' },
+        { field: 'land', label: 'Farm size', impact: 'Land holding factor scores zero' },
+        { field: 'accountType', label: 'Bank account type', impact: 'Banking relationship factor scores zero' },
+        { upload: 'id', label: 'National ID scan', impact: 'Identity cannot be cross-checked against the intake' }
+    ],
+    run({ riskAssessment, identity }) {
+        const findings = riskAssessment.factors
+            .filter(factor => factor.subScore <= 0.4)
+            .map(factor => ({
+                severity: 'warning',
+                ...messageField('message', 'module.risk.weakFactor', {
+                    factor: { key: `factor.${factor.key}`, text: factor.label, lower: true },
+                    note: i18n.factorNoteMessage(factor)
+                })
+            }));
+
+        identity.mismatches.forEach(check => {
+            findings.push({
+                severity: check.status === 'partial' ? 'warning' : 'critical',
+                ...messageField('message', check.status === 'partial' ? 'result.idPartial' : 'result.idMismatch', {
+                    field: { key: `result.idField.${check.field}`, text: check.field },
+                    extracted: check.extracted,
+                    declared: check.declared
+                })
+            });
+        });
+
+        return {
+            findings: findings,
+            metrics: [
+                { key: 'score', label: 'Risk score', value: riskAssessment.score, unit: '/100' },
+                { key: 'grade', label: 'Grade', value: riskAssessment.grade }
+            ],
+            warnings: []
+        };
+    }
+});
+
+analysisModules.register({
+    id: 'financial',
+    name: 'Financial Analysis',
+    description: 'Cash flow from parsed bank and M-Pesa statements',
+    requires: [{ upload: 'bank', label: 'Bank or M-Pesa statements', impact: 'Cash flow, debt-to-income and affordability cannot be calculated' }],
+    uses: [
+        { key: 'transactions', parsed: { category: 'bank', content: 'transactions' }, label: 'Readable statement transactions', impact: 'Statements were uploaded but no transactions could be read' },
+        { key: 'land', field: 'land', label: 'Farm size', impact: 'Production per acre is based on a typical holding', proxy: 'zone-farm-size' }
+    ],
+    run({ documents, formData, financials }) {
+        const statements = (documents.bank || []).filter(file => file.content && file.content.statement);
+        if (statements.length === 0) {
+            return { warnings: [{ key: 'module.financial.noTransactions' }] };
+        }
+
+        const result = financials || financialMetrics.calculate(documents, formData);
+        const value = key => financialMetrics.metric(result, key);
+        const overdrafts = statements.reduce((sum, file) => sum + file.content.monthlySummary.reduce((total, month) => total + month.overdraftCount, 0), 0);
+        const negativeMonths = result.months.filter(month => month.net < 0).length;
+        const debtToIncome = value('debtToIncome');
+        const instalment = value('maxInstalment');
+
+        const findings = [];
+        if (overdrafts > 0) {
+            findings.push({ severity: 'warning', ...messageField('message', 'module.financial.overdrafts', { count: overdrafts }) });
+        }
+        if (negativeMonths > 0) {
+            findings.push({ severity: 'warning', ...messageField('message', 'module.financial.negativeMonths', { count: negativeMonths, total: result.months.length }) });
+        } else if (result.months.length > 0) {
+            findings.push({ severity: 'positive', ...messageField('message', 'module.financial.allPositive', { count: result.months.length }) });
+        }
+        if (debtToIncome !== null && debtToIncome > result.policy.maxDebtToIncome * 100) {
+            findings.push({ severity: 'critical', ...messageField('message', 'module.financial.debtAboveCap', { ratio: debtToIncome, cap: result.policy.maxDebtToIncome * 100 }) });
+        }
+        if (instalment === 0) {
+            findings.push({ severity: 'warning', ...messageField('message', 'module.financial.noRoom') });
+        }
+
+        return {
+            findings: findings,
+            metrics: [
+                { key: 'months', label: 'Months covered', value: result.months.length, unit: 'months' },
+                { key: 'averageInflow', label: 'Average monthly inflow', value: value('monthlyIncome'), unit: 'KES' },
+                { key: 'averageOutflow', label: 'Average monthly outflow', value: value('monthlyExpenses'), unit: 'KES' },
+                { key: 'averageNet', label: 'Average monthly net', value: value('netCashFlow'), unit: 'KES' },
+                { key: 'debtToIncome', label: 'Debt-to-income', value: debtToIncome, unit: '%' },
+                { key: 'maxInstalment', label: 'Maximum affordable instalment', value: instalment, unit: 'KES' },
+                { key: 'overdrafts', label: 'Overdrafts', value: overdrafts }
+            ],
+            warnings: []
+        };
+    }
+});
+
+// Global state
+let uploads = {
+    id: [],
+    bank: [],
+    herd: [],
+    health: []
+};
+
+let formData = {};
+let selectedModules = analysisModules.defaultSelection();
+// Set while re-running an existing profile: its ID and the parsed documents carried over from it
+let reopenedProfile = null;
+let carriedDocuments = { id: [], bank: [], herd: [], health: [] };
+let currentProfile = null;
+
+// Form field mapping
+const fieldMapping = {
+    'farmer-name': 'name',
+    'farmer-phone': 'phone',
+    'farmer-id-number': 'idNumber',
+    'farmer-email': 'email',
+    'farmer-county': 'county',
+    'farmer-ward': 'ward',
+    'farmer-land': 'land',
+    'farmer-experience': 'experience',
+    'farmer-bank': 'bank',
+    'farmer-account-type': 'accountType',
+    'livestock-count': 'livestockCount',
+    'breeding-stock': 'breedingStock',
+    'primary-breed': 'breed',
+    'herd-value': 'herdValue',
+    'use-case': 'useCase',
+    'analysis-objective': 'analysisObjective',
+    'system-prompt': 'systemPrompt'
+};
+
+function initializeSystem() {
+    document.getElementById('welcome-screen').classList.add('hidden');
+    document.getElementById('loading-screen').classList.remove('hidden');
+    
+    if (profileManager.isLocked() || profileManager.getTotalCount() > 0) {
+        document.getElementById('profiles-btn').classList.remove('hidden');
+    }
+    
+    setTimeout(() => {
+        document.getElementById('loading-bar').style.width = '100%';
+        document.getElementById('loading-text').textContent = t('loading.modules');
+    }, 100);
+    
+    setTimeout(() => {
+        document.getElementById('loading-text').textContent = t('loading.sensors');
+    }, 800);
+    
+    setTimeout(() => {
+        document.getElementById('loading-text').textContent = t('loading.ready');
+    }, 1800);
+    
+    setTimeout(() => {
+        document.getElementById('loading-screen').classList.add('hidden');
+        document.getElementById('workspace-screen').classList.remove('hidden');
+        renderHerdRegister();
+        syncHerdDerivedFields();
+        renderNarrativeSettings();
+        renderAnalystSettings();
+    }, 2500);
+}
+
+function handleUpload(type, input) {
+    if (!input.files || input.files.length === 0) return;
+    
+    const files = Array.from(input.files);
+    
+    // Add files to global state
+    uploads[type].push(...files);
+    
+    // Hide placeholder and show file list
+    document.getElementById(`${type}-placeholder`).classList.add('hidden');
+    const filesList = document.getElementById(`${type}-files-list`);
+    filesList.classList.remove('hidden');
+    
+    // Render file list
+    renderFileList(type);
+    
+    // Herd spreadsheets can be imported into the per-animal register
+    if (type === 'herd') {
+        prepareHerdImport(files);
+    }
+    
+    // Update progress
+    calculateProgress();
+    scheduleDraftSave();
+}
+
+function renderFileList(type) {
+    const filesList = document.getElementById(`${type}-files-list`);
+    const files = uploads[type];
+    
+    const carried = carriedDocuments[type].map((fileData, index) => {
+        const extension = fileData.name.split('.').pop().toLowerCase();
+        return `
+            <div class="file-list-item ${extension} rounded-lg p-3 flex items-center justify-between group">
+                <div class="flex items-center gap-3">
+                    <div class="file-icon">
+                        ${getFileIcon(extension)}
+                    </div>
+                    <div>
+                        <p class="text-sm font-medium text-slate-900">${escapeAttribute(fileData.name)}</p>
+                        <p class="text-xs text-slate-500">${t('upload.carried', { version: fileData.fromVersion, status: t(fileData.parsed ? 'upload.parsed' : 'upload.notParsed') })}</p>
+                    </div>
+                </div>
+                <button onclick="removeCarriedDocument('${type}', ${index})" class="opacity-0 group-hover:opacity-100 transition-opacity p-2 hover:bg-slate-100 rounded-lg">
+                    <i data-lucide="x" class="w-4 h-4 text-slate-400"></i>
+                </button>
+            </div>
+        `;
+    }).join('');
+    
+    filesList.innerHTML = carried + files.map((file, index) => {
+        const extension = file.name.split('.').pop().toLowerCase();
+        const icon = getFileIcon(extension);
+        
+        return `
+            <div class="file-list-item ${extension} rounded-lg p-3 flex items-center justify-between group">
+                <div class="flex items-center gap-3">
+                    <div class="file-icon">
+                        ${icon}
+                    </div>
+                    <div>
+                        <p class="text-sm font-medium text-slate-900">${file.name}</p>
+                        <p class="text-xs text-slate-500">${formatFileSize(file.size)}</p>
+                    </div>
+                </div>
+                <button onclick="removeFile('${type}', ${index})" class="opacity-0 group-hover:opacity-100 transition-opacity p-2 hover:bg-slate-100 rounded-lg">
+                    <i data-lucide="x" class="w-4 h-4 text-slate-400"></i>
+                </button>
+            </div>
+        `;
+    }).join('');
+    
+    // Re-initialize icons
+    setTimeout(() => lucide.createIcons(), 10);
+}
+
+function getFileIcon(extension) {
+    const icons = {
+        pdf: 'PDF',
+        csv: 'CSV',
+        xlsx: 'XLS',
+        jpg: 'IMG',
+        jpeg: 'IMG',
+        png: 'IMG'
+    };
+    return icons[extension] || 'FILE';
+}
+
+function formatFileSize(bytes) {
+    if (bytes === 0) return `0 ${t('unit.bytes')}`;
+    const k = 1024;
+    const sizes = [t('unit.bytes'), 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return i18n.formatNumber(bytes / Math.pow(k, i), { maximumFractionDigits: 2 }) + ' ' + sizes[i];
+}
+
+function removeFile(type, index) {
+    uploads[type].splice(index, 1);
+    refreshFileList(type);
+    scheduleDraftSave();
+}
+
+function removeCarriedDocument(type, index) {
+    carriedDocuments[type].splice(index, 1);
+    refreshFileList(type);
+    scheduleDraftSave();
+}
+
+function refreshFileList(type) {
+    const filesList = document.getElementById(`${type}-files-list`);
     const placeholder = document.getElementById(`${type}-placeholder`);
     
-    if (uploads[type].length === 0) {
-        filesList.classList.add('hidden');
-        placeholder.classList.remove('hidden');
+    if (uploads[type].length === 0 && carriedDocuments[type].length === 0) {
+        filesList.classList.add('hidden');
+        placeholder.classList.remove('hidden');
+    } else {
+        filesList.classList.remove('hidden');
+        placeholder.classList.add('hidden');
+        renderFileList(type);
+    }
+    
+    calculateProgress();
+}
+
+// New uploads plus documents carried over from the profile being re-run
+function availableUploads() {
+    const available = {};
+    Object.keys(uploads).forEach(type => {
+        available[type] = [...carriedDocuments[type], ...uploads[type]];
+    });
+    return available;
+}
+
+// Panels added by app.js next to existing markup; created once, then reused
+function ensurePanel(id, anchorId, className, position = 'afterend') {
+    let panel = document.getElementById(id);
+    if (!panel) {
+        panel = document.createElement('div');
+        panel.id = id;
+        panel.className = className;
+        document.getElementById(anchorId).insertAdjacentElement(position, panel);
+    }
+    return panel;
+}
+
+// Field validation (workspace)
+const VALIDATED_FIELDS = Object.keys(fieldMapping).filter(fieldId => fieldValidator.rules[fieldMapping[fieldId]]);
+// Fields whose value depends on another: re-checked when that one changes
+const DEPENDENT_FIELDS = { 'farmer-county': ['farmer-ward'], 'livestock-count': ['breeding-stock'] };
+// Errors show once a field has been left, not while the first characters are typed
+let touchedFields = new Set();
+
+// The intake page predates the ID number field; add it under the phone number when missing
+function ensureIdNumberField() {
+    if (document.getElementById('farmer-id-number')) return;
+    const phone = document.getElementById('farmer-phone');
+    if (!phone) return;
+    const field = ensurePanel('farmer-id-number-field', 'farmer-phone', 'mt-3');
+    field.innerHTML = `
+        <label for="farmer-id-number" class="block text-xs font-medium text-slate-500 mb-1" data-i18n="field.idNumber">${t('field.idNumber')}</label>
+        <input id="farmer-id-number" type="text" inputmode="numeric" autocomplete="off" placeholder="${t('field.idNumberExample')}" class="${phone.className}">
+    `;
+}
+
+function renderFieldValidation(fieldId) {
+    const element = document.getElementById(fieldId);
+    if (!element) return;
+    const result = touchedFields.has(fieldId) ? fieldValidator.validate(fieldMapping[fieldId], element.value, formData) : null;
+    const invalid = Boolean(result && !result.valid);
+    const text = result ? (invalid ? result.message : result.note) : '';
+    const existing = document.getElementById(`${fieldId}-validation`);
+    if (!text && !existing) {
+        element.classList.remove('border-red-400');
+        element.removeAttribute('aria-invalid');
+        return;
+    }
+    
+    const message = ensurePanel(`${fieldId}-validation`, fieldId, 'text-xs mt-1');
+    message.className = `text-xs mt-1 ${invalid ? 'text-red-600' : 'text-slate-400'}`;
+    message.textContent = text;
+    element.classList.toggle('border-red-400', invalid);
+    if (invalid) {
+        element.setAttribute('aria-invalid', 'true');
+        element.setAttribute('aria-describedby', message.id);
+    } else {
+        element.removeAttribute('aria-invalid');
+    }
+}
+
+// On leaving a field: show its result, and write the canonical form back when the value is valid
+function validateField(fieldId) {
+    const element = document.getElementById(fieldId);
+    if (!element) return;
+    touchedFields.add(fieldId);
+    collectFormData();
+    
+    const field = fieldMapping[fieldId];
+    const result = fieldValidator.validate(field, element.value, formData);
+    if (result && result.valid && String(result.value) !== element.value) {
+        element.value = result.value;
+    }
+    if (fieldId === 'farmer-county') renderGazetteerOptions(formData.county);
+    renderFieldValidation(fieldId);
+    (DEPENDENT_FIELDS[fieldId] || []).forEach(renderFieldValidation);
+}
+
+// County and ward suggestions; the ward list follows the chosen county
+function renderGazetteerOptions(county) {
+    const countyInput = document.getElementById('farmer-county');
+    const wardInput = document.getElementById('farmer-ward');
+    if (!countyInput || !wardInput) return;
+    
+    const wards = fieldValidator.wards(county) || [];
+    const options = ensurePanel('gazetteer-options', 'farmer-ward', 'hidden');
+    options.innerHTML = `
+        <datalist id="county-options">${fieldValidator.gazetteer.counties.map(c => `<option value="${escapeAttribute(c.name)}"></option>`).join('')}</datalist>
+        <datalist id="ward-options">${wards.map(ward => `<option value="${escapeAttribute(ward)}"></option>`).join('')}</datalist>
+    `;
+    countyInput.setAttribute('list', 'county-options');
+    wardInput.setAttribute('list', 'ward-options');
+}
+
+// Herd register (workspace)
+let pendingHerdImport = null;
+
+async function prepareHerdImport(files) {
+    const sheets = files.filter(file => /\.(csv|xlsx|xls)$/i.test(file.name));
+    if (sheets.length === 0) return;
+    
+    // One mapping is confirmed per upload batch; later files reuse the first file's headers
+    const records = { headers: [], rows: [] };
+    for (const file of sheets) {
+        try {
+            const result = await documentProcessor.readRecords(file, headers =>
+                Object.values(herdRegister.detectColumnMapping(headers)).filter(Boolean).length
+            );
+            result.headers.forEach(header => {
+                if (!records.headers.includes(header)) records.headers.push(header);
+            });
+            records.rows.push(...result.rows);
+        } catch (error) {
+            console.error(`Error reading herd records from ${file.name}:`, error);
+        }
+    }
+    if (records.rows.length === 0) return;
+    
+    pendingHerdImport = {
+        fileNames: sheets.map(file => file.name),
+        headers: records.headers,
+        rows: records.rows,
+        mapping: herdRegister.detectColumnMapping(records.headers)
+    };
+    renderHerdRegister();
+}
+
+function setHerdColumnMapping(field, header) {
+    if (!pendingHerdImport) return;
+    pendingHerdImport.mapping[field] = header;
+}
+
+function confirmHerdImport() {
+    if (!pendingHerdImport) return;
+    if (!pendingHerdImport.mapping.tagId) {
+        alert(t('herd.mapTagId'));
+        return;
+    }
+    
+    herdRegister.saveColumnMapping(pendingHerdImport.mapping);
+    herdRegister.importRows(pendingHerdImport.rows, pendingHerdImport.mapping);
+    pendingHerdImport = null;
+    
+    renderHerdRegister();
+    syncHerdDerivedFields();
+    scheduleDraftSave();
+}
+
+function cancelHerdImport() {
+    pendingHerdImport = null;
+    renderHerdRegister();
+}
+
+function addHerdAnimal() {
+    herdRegister.add({ species: formData.species === 'goats' ? 'goat' : formData.species });
+    renderHerdRegister();
+    syncHerdDerivedFields();
+    scheduleDraftSave();
+}
+
+function updateHerdAnimal(index, field, value) {
+    herdRegister.update(index, field, value);
+    renderHerdRegisterSummary();
+    syncHerdDerivedFields();
+    scheduleDraftSave();
+}
+
+function removeHerdAnimal(index) {
+    herdRegister.remove(index);
+    renderHerdRegister();
+    syncHerdDerivedFields();
+    scheduleDraftSave();
+}
+
+function renderHerdRegister() {
+    const panel = ensurePanel('herd-register', 'herd-files-list', 'document-summary w-full');
+    
+    const importPanel = pendingHerdImport ? `
+        <div class="mb-4 p-3 bg-white rounded-lg border border-slate-200">
+            <p class="text-xs text-slate-600 mb-2">${t('herd.mapColumns', { files: escapeAttribute(pendingHerdImport.fileNames.join(', ')), count: pendingHerdImport.rows.length })}</p>
+            <div class="grid grid-cols-2 gap-2">
+                ${HERD_FIELDS.map(field => `
+                    <label class="text-xs text-slate-500 flex items-center justify-between gap-2">
+                        ${t(`herd.field.${field.key}`)}
+                        <select onchange="setHerdColumnMapping('${field.key}', this.value)" class="text-xs border border-slate-200 rounded px-1 py-0.5">
+                            <option value="">${t('herd.notMapped')}</option>
+                            ${pendingHerdImport.headers.map(header => `
+                                <option value="${escapeAttribute(header)}" ${pendingHerdImport.mapping[field.key] === header ? 'selected' : ''}>${escapeAttribute(header)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                `).join('')}
+            </div>
+            <div class="flex gap-2 mt-3">
+                <button onclick="confirmHerdImport()" class="px-3 py-1 bg-slate-900 text-white rounded-lg text-xs">${t('herd.import')}</button>
+                <button onclick="cancelHerdImport()" class="px-3 py-1 bg-slate-100 text-slate-600 rounded-lg text-xs">${t('herd.skip')}</button>
+            </div>
+        </div>
+    ` : '';
+    
+    const rows = herdRegister.animals.map((animal, index) => `
+        <tr>
+            ${HERD_FIELDS.map(field => `<td class="p-1">${herdFieldInput(animal, index, field.key)}</td>`).join('')}
+            <td class="p-1">
+                <button onclick="removeHerdAnimal(${index})" class="p-1 hover:bg-slate-100 rounded">
+                    <i data-lucide="x" class="w-3 h-3 text-slate-400"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+    
+    panel.innerHTML = `
+        <h4>${t('herd.title')}</h4>
+        ${importPanel}
+        <div class="overflow-x-auto">
+            <table class="w-full text-xs">
+                <thead>
+                    <tr class="text-left text-slate-500">
+                        ${HERD_FIELDS.map(field => `<th class="p-1 font-semibold">${t(`herd.field.${field.key}`)}</th>`).join('')}
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        <div class="flex items-center justify-between mt-3">
+            <p id="herd-register-summary" class="text-xs text-slate-500"></p>
+            <div class="flex gap-2">
+                <button onclick="togglePriceTableEditor()" class="px-3 py-1 bg-slate-100 text-slate-700 rounded-lg text-xs">${t('herd.editPrices')}</button>
+                <button onclick="addHerdAnimal()" class="px-3 py-1 bg-slate-100 text-slate-700 rounded-lg text-xs">${t('herd.add')}</button>
+            </div>
+        </div>
+    `;
+    
+    renderHerdRegisterSummary();
+    setTimeout(() => lucide.createIcons(), 10);
+}
+
+function herdFieldInput(animal, index, key) {
+    const value = animal[key] === null || animal[key] === undefined ? '' : animal[key];
+    const onchange = `onchange="updateHerdAnimal(${index}, '${key}', this.value)"`;
+    const inputClass = 'w-full border border-slate-200 rounded px-1 py-0.5 text-xs';
+    
+    if (key === 'sex') {
+        return `<select ${onchange} class="${inputClass}">
+            ${[['', '--'], ['F', 'F'], ['M', 'M']].map(([v, label]) => `<option value="${v}" ${value === v ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>`;
+    }
+    if (key === 'healthStatus') {
+        return `<select ${onchange} class="${inputClass}">
+            ${['unknown', 'healthy', 'under treatment', 'sick'].map(v => `<option value="${v}" ${value === v ? 'selected' : ''}>${i18n.label('health', v)}</option>`).join('')}
+        </select>`;
+    }
+    if (key === 'birthDate' || key === 'lastVetVisit') {
+        return `<input type="date" value="${value}" ${onchange} class="${inputClass}">`;
+    }
+    if (key === 'acquisitionValue' || key === 'milkYield' || key === 'weightKg') {
+        return `<input type="number" min="0" value="${value}" ${onchange} class="${inputClass}">`;
+    }
+    return `<input type="text" value="${escapeAttribute(value)}" ${onchange} class="${inputClass}">`;
+}
+
+function renderHerdRegisterSummary() {
+    const element = document.getElementById('herd-register-summary');
+    if (!element) return;
+    const summary = herdRegister.summary();
+    element.textContent = summary.count === 0
+        ? t('herd.empty')
+        : t('herd.summary', { count: summary.count, value: i18n.formatCurrency(summary.totalValue), valued: summary.valuedCount, breeding: summary.breedingStock });
+}
+
+// With a roster, herd count and breeding stock are derived and no longer typed in. The declared
+// herd value stays the farmer's own figure: the valuation checks it, and the roster's acquisition
+// total is shown beside the register instead
+function syncHerdDerivedFields() {
+    const summary = herdRegister.summary();
+    const derived = {
+        'livestock-count': summary.count,
+        'breeding-stock': summary.breedingStock
+    };
+    
+    Object.entries(derived).forEach(([fieldId, value]) => {
+        const element = document.getElementById(fieldId);
+        if (!element) return;
+        if (summary.count > 0) {
+            element.value = value;
+            element.readOnly = true;
+            element.title = t('herd.derived');
+        } else {
+            element.readOnly = false;
+            element.title = '';
+        }
+    });
+    
+    const breedField = document.getElementById('primary-breed');
+    if (breedField && !breedField.value && summary.breeds.length > 0) {
+        breedField.value = summary.breeds[0];
+    }
+    
+    calculateProgress();
+}
+
+// Price table editor (workspace)
+let priceTableEditorOpen = false;
+
+function togglePriceTableEditor() {
+    priceTableEditorOpen = !priceTableEditorOpen;
+    renderPriceTableEditor();
+}
+
+function updatePrice(species, breed, value) {
+    const price = parseFloat(value);
+    if (isNaN(price) || price < 0) return;
+    livestockValuation.setPrice(species, breed, price);
+}
+
+function addPriceTableBreed() {
+    const species = document.getElementById('price-new-species').value;
+    const breed = document.getElementById('price-new-breed').value.trim();
+    const price = parseFloat(document.getElementById('price-new-price').value);
+    if (!breed || isNaN(price)) return;
+    livestockValuation.setPrice(species, breed, price);
+    renderPriceTableEditor();
+}
+
+function updateCountyFactor(county, species, value) {
+    const factor = parseFloat(value);
+    if (!county || isNaN(factor) || factor <= 0) return;
+    livestockValuation.setCountyFactor(county, species, factor);
+    renderPriceTableEditor();
+}
+
+function addCountyFactor() {
+    updateCountyFactor(
+        document.getElementById('price-new-county').value.trim(),
+        document.getElementById('price-new-county-species').value,
+        document.getElementById('price-new-factor').value
+    );
+}
+
+function resetPriceTable() {
+    if (confirm(t('prices.confirmReset'))) {
+        livestockValuation.resetPriceTable();
+        renderPriceTableEditor();
+    }
+}
+
+function renderPriceTableEditor() {
+    const panel = ensurePanel('price-table-editor', 'herd-register', 'document-summary w-full');
+    if (!priceTableEditorOpen) {
+        panel.classList.add('hidden');
+        return;
+    }
+    panel.classList.remove('hidden');
+    
+    const table = livestockValuation.priceTable;
+    const speciesNames = Object.keys(table.species);
+    const inputClass = 'border border-slate-200 rounded px-1 py-0.5 text-xs';
+    const speciesOptions = speciesNames.map(name => `<option value="${name}">${i18n.label('livestock', name)}</option>`).join('');
+    
+    const priceRows = speciesNames.map(species => {
+        const entry = table.species[species];
+        return [['', entry.base], ...Object.entries(entry.breeds)].map(([breed, price]) => `
+            <tr>
+                <td class="p-1">${i18n.label('livestock', species)}</td>
+                <td class="p-1">${breed || `<span class="text-slate-400">${t('prices.anyBreed')}</span>`}</td>
+                <td class="p-1"><input type="number" min="0" value="${price}" onchange="updatePrice('${species}', '${escapeAttribute(breed)}', this.value)" class="${inputClass} w-28"></td>
+            </tr>
+        `).join('');
+    }).join('');
+    
+    const countyRows = Object.entries(table.counties).map(([county, factors]) => Object.entries(factors).map(([species, factor]) => `
+        <tr>
+            <td class="p-1 capitalize">${county}</td>
+            <td class="p-1">${i18n.label('livestock', species)}</td>
+            <td class="p-1"><input type="number" step="0.05" min="0" value="${factor}" onchange="updateCountyFactor('${escapeAttribute(county)}', '${species}', this.value)" class="${inputClass} w-20"></td>
+        </tr>
+    `).join('')).join('');
+    
+    panel.innerHTML = `
+        <h4>${t('prices.title', { currency: table.currency })}</h4>
+        <table class="w-full text-xs mb-2">
+            <thead><tr class="text-left text-slate-500"><th class="p-1">${t('prices.species')}</th><th class="p-1">${t('prices.breed')}</th><th class="p-1">${t('prices.price')}</th></tr></thead>
+            <tbody>${priceRows}</tbody>
+        </table>
+        <div class="flex gap-2 mb-4">
+            <select id="price-new-species" class="${inputClass}">${speciesOptions}</select>
+            <input id="price-new-breed" type="text" placeholder="${t('prices.breed')}" class="${inputClass}">
+            <input id="price-new-price" type="number" min="0" placeholder="${t('prices.price')}" class="${inputClass} w-28">
+            <button onclick="addPriceTableBreed()" class="px-3 py-1 bg-slate-100 text-slate-700 rounded-lg text-xs">${t('prices.addBreed')}</button>
+        </div>
+        <h4>${t('prices.countyFactors')}</h4>
+        <table class="w-full text-xs mb-2">
+            <thead><tr class="text-left text-slate-500"><th class="p-1">${t('prices.county')}</th><th class="p-1">${t('prices.species')}</th><th class="p-1">${t('prices.factor')}</th></tr></thead>
+            <tbody>${countyRows}</tbody>
+        </table>
+        <div class="flex gap-2">
+            <input id="price-new-county" type="text" placeholder="${t('prices.county')}" class="${inputClass}">
+            <select id="price-new-county-species" class="${inputClass}">${speciesOptions}</select>
+            <input id="price-new-factor" type="number" step="0.05" min="0" placeholder="×1.00" class="${inputClass} w-20">
+            <button onclick="addCountyFactor()" class="px-3 py-1 bg-slate-100 text-slate-700 rounded-lg text-xs">${t('prices.addFactor')}</button>
+            <button onclick="resetPriceTable()" class="px-3 py-1 bg-slate-100 text-slate-500 rounded-lg text-xs ml-auto">${t('action.resetDefaults')}</button>
+        </div>
+    `;
+}
+
+function escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+// Narrative model settings (workspace, under the system prompt)
+function renderNarrativeSettings() {
+    const container = ensurePanel('narrative-settings', 'system-prompt', 'mt-3 text-xs text-slate-500 space-y-2');
+    const settings = narrativeGenerator.settings;
+    
+    container.innerHTML = `
+        <label class="flex items-center gap-2 font-semibold text-slate-700">
+            <input type="checkbox" ${settings.enabled ? 'checked' : ''} onchange="updateNarrativeSettings('enabled', this.checked)">
+            ${t('narrative.enable')}
+        </label>
+        <div class="grid grid-cols-2 gap-2 ${settings.enabled ? '' : 'hidden'}">
+            <input class="border border-slate-200 rounded px-2 py-1 mono col-span-2" placeholder="${t('narrative.baseUrl')}" value="${escapeAttribute(settings.baseUrl)}" onchange="updateNarrativeSettings('baseUrl', this.value)">
+            <input class="border border-slate-200 rounded px-2 py-1 mono" placeholder="${t('narrative.model')}" value="${escapeAttribute(settings.model)}" onchange="updateNarrativeSettings('model', this.value)">
+            <input class="border border-slate-200 rounded px-2 py-1 mono" type="password" placeholder="${t('narrative.apiKey')}" value="${escapeAttribute(settings.apiKey)}" onchange="updateNarrativeSettings('apiKey', this.value)">
+        </div>
+    `;
+}
+
+function updateNarrativeSettings(key, value) {
+    narrativeGenerator.saveSettings({ [key]: typeof value === 'string' ? value.trim() : value });
+    renderNarrativeSettings();
+}
+
+// Analyst council settings (workspace, under the narrative settings)
+function renderAnalystSettings() {
+    const container = ensurePanel('analyst-settings', 'narrative-settings', 'mt-3 text-xs text-slate-500 space-y-2');
+    const factors = riskScoringEngine.factors;
+    const inputClass = 'border border-slate-200 rounded px-2 py-1 mono';
+    
+    container.innerHTML = `
+        <p class="font-semibold text-slate-700">${t('analysts.title')} <span class="font-normal text-slate-400">• ${t('analysts.hint')}</span></p>
+        ${analystCouncil.analysts.map(analyst => `
+            <div class="border border-slate-200 rounded p-2 space-y-2">
+                <div class="flex items-center gap-2">
+                    <input type="checkbox" ${analyst.enabled ? 'checked' : ''} onchange="updateAnalyst('${analyst.id}', 'enabled', this.checked)">
+                    <input class="${inputClass} flex-1" value="${escapeAttribute(analyst.name)}" onchange="updateAnalyst('${analyst.id}', 'name', this.value)">
+                    <span class="text-slate-400">${i18n.label('analysts.type', analyst.type)}</span>
+                    <button onclick="removeAnalyst('${analyst.id}')" class="text-slate-400 hover:text-red-600">${t('analysts.remove')}</button>
+                </div>
+                ${analyst.type === 'model' ? `
+                    <div class="grid grid-cols-2 gap-2 ${analyst.enabled ? '' : 'hidden'}">
+                        <input class="${inputClass} col-span-2" placeholder="${t('analysts.baseUrl')}" value="${escapeAttribute(analyst.baseUrl || '')}" onchange="updateAnalyst('${analyst.id}', 'baseUrl', this.value)">
+                        <input class="${inputClass}" placeholder="${t('analysts.model')}" value="${escapeAttribute(analyst.model || '')}" onchange="updateAnalyst('${analyst.id}', 'model', this.value)">
+                        <input class="${inputClass}" type="password" placeholder="${t('narrative.apiKey')}" value="${escapeAttribute(analyst.apiKey || '')}" onchange="updateAnalyst('${analyst.id}', 'apiKey', this.value)">
+                        <textarea class="${inputClass} col-span-2" rows="2" placeholder="${t('analysts.prompt')}" onchange="updateAnalyst('${analyst.id}', 'systemPrompt', this.value)">${escapeAttribute(analyst.systemPrompt || '')}</textarea>
+                    </div>
+                ` : `
+                    <div class="grid grid-cols-4 gap-2 ${analyst.enabled ? '' : 'hidden'}">
+                        ${factors.map(factor => `
+                            <label class="flex flex-col">${i18n.factorLabel(factor)}
+                                <input type="number" min="0" class="${inputClass}" value="${analyst.weights[factor.key] !== undefined ? analyst.weights[factor.key] : factor.weight}" onchange="updateAnalystWeight('${analyst.id}', '${factor.key}', this.value)">
+                            </label>
+                        `).join('')}
+                        <label class="flex flex-col">${t('analysts.dtiCap')}
+                            <input type="number" min="0" max="100" class="${inputClass}" value="${Math.round({ ...AFFORDABILITY_POLICY, ...analyst.policy }.maxDebtToIncome * 100)}" onchange="updateAnalystPolicy('${analyst.id}', 'maxDebtToIncome', this.value)">
+                        </label>
+                        <label class="flex flex-col">${t('analysts.surplusShare')}
+                            <input type="number" min="0" max="100" class="${inputClass}" value="${Math.round({ ...AFFORDABILITY_POLICY, ...analyst.policy }.surplusShare * 100)}" onchange="updateAnalystPolicy('${analyst.id}', 'surplusShare', this.value)">
+                        </label>
+                    </div>
+                `}
+            </div>
+        `).join('')}
+        <div class="flex gap-2">
+            <button onclick="addAnalyst('scorer')" class="px-3 py-1 bg-slate-100 text-slate-700 rounded-lg">${t('analysts.addScorer')}</button>
+            <button onclick="addAnalyst('model')" class="px-3 py-1 bg-slate-100 text-slate-700 rounded-lg">${t('analysts.addModel')}</button>
+            <button onclick="resetAnalysts()" class="px-3 py-1 bg-slate-100 text-slate-500 rounded-lg ml-auto">${t('action.resetDefaults')}</button>
+        </div>
+    `;
+}
+
+function updateAnalyst(id, key, value) {
+    analystCouncil.update(id, { [key]: typeof value === 'string' ? value.trim() : value });
+    renderAnalystSettings();
+}
+
+// Weights are relative; the scorer rescales them to 100
+function updateAnalystWeight(id, factor, value) {
+    const analyst = analystCouncil.get(id);
+    const weight = parseFloat(value);
+    if (!analyst || isNaN(weight) || weight < 0) return;
+    analystCouncil.update(id, { weights: { ...analyst.weights, [factor]: weight } });
+}
+
+function updateAnalystPolicy(id, key, value) {
+    const analyst = analystCouncil.get(id);
+    const percent = parseFloat(value);
+    if (!analyst || isNaN(percent) || percent < 0 || percent > 100) return;
+    analystCouncil.update(id, { policy: { ...analyst.policy, [key]: percent / 100 } });
+}
+
+function addAnalyst(type) {
+    analystCouncil.add(type);
+    renderAnalystSettings();
+}
+
+function removeAnalyst(id) {
+    analystCouncil.remove(id);
+    renderAnalystSettings();
+}
+
+function resetAnalysts() {
+    if (confirm(t('analysts.confirmReset'))) {
+        analystCouncil.reset();
+        renderAnalystSettings();
+    }
+}
+
+function collectFormData() {
+    Object.keys(fieldMapping).forEach(fieldId => {
+        const element = document.getElementById(fieldId);
+        if (element) {
+            // Stored in canonical form; county comes before ward and herd size before breeding stock, so their cross-checks see it
+            const field = fieldMapping[fieldId];
+            formData[field] = fieldValidator.normalize(field, element.value, formData);
+        }
+    });
+    
+    const species = document.querySelector('input[name="species"]:checked');
+    if (species) formData.species = species.value;
+    
+    const risk = document.querySelector('input[name="risk"]:checked');
+    if (risk) formData.riskTolerance = risk.value;
+    
+    formData.variables = [];
+    document.querySelectorAll('.variable-checkbox:checked').forEach(cb => {
+        formData.variables.push(cb.nextElementSibling.textContent);
+    });
+}
+
+function calculateProgress() {
+    collectFormData();
+    
+    const quality = completenessEvaluator.evaluate(formData, availableUploads());
+    const { points, totalPoints, percentage } = quality;
+    
+    document.getElementById('completion-percentage').textContent = points + '/' + totalPoints;
+    document.getElementById('workspace-progress').style.width = percentage + '%';
+    document.getElementById('data-points').textContent = points + '/' + totalPoints;
+    document.getElementById('bottom-progress').style.width = percentage + '%';
+    renderMissingItems(quality);
+    VALIDATED_FIELDS.forEach(renderFieldValidation);
+    
+    const btn = document.getElementById('analyze-btn');
+    if (quality.passed) {
+        btn.disabled = false;
+        btn.classList.remove('bg-slate-200', 'text-slate-400');
+        btn.classList.add('bg-slate-900', 'text-white', 'hover:bg-slate-800');
+    } else {
+        btn.disabled = true;
+        btn.classList.add('bg-slate-200', 'text-slate-400');
+        btn.classList.remove('bg-slate-900', 'text-white', 'hover:bg-slate-800');
+    }
+    
+    return { points, totalPoints, percentage, quality };
+}
+
+// Rubrics are configuration with English labels; the catalogue names the built-in ones, and
+// an item label can differ by use case
+function rubricLabel(useCase, label, language = i18n.language) {
+    return i18n.has(`rubric.${useCase}`, language) ? t(`rubric.${useCase}`, {}, language) : label;
+}
+
+function rubricItemLabel(useCase, item) {
+    const key = [`rubric.${useCase}.${item.id}`, `rubric.item.${item.id}`].find(candidate => i18n.has(candidate));
+    return key ? t(key) : item.label;
+}
+
+function renderMissingItems(quality) {
+    const container = ensurePanel('completeness-missing', 'completion-percentage', 'text-xs text-slate-500 mt-2');
+    const rubric = rubricLabel(quality.useCase, quality.rubricLabel);
+    
+    if (quality.missing.length === 0) {
+        container.innerHTML = `<p class="text-green-700">${t('completeness.complete', { rubric: rubric })}</p>`;
+        return;
+    }
+    
+    const threshold = quality.percentage < quality.threshold
+        ? `<p class="mb-1">${t('completeness.threshold', { percentage: quality.percentage, threshold: quality.threshold, rubric: rubric })}</p>`
+        : '';
+    
+    container.innerHTML = threshold + quality.missing.map(item => `
+        <p class="${item.required || item.invalid ? 'text-red-600 font-semibold' : ''}">
+            ${t(item.invalid ? 'completeness.invalid' : item.required ? 'completeness.required' : 'completeness.optional')}: ${rubricItemLabel(quality.useCase, item)} (+${item.weight})
+        </p>
+    `).join('');
+}
+
+function proceedToAnalysis() {
+    collectFormData();
+    document.getElementById('result-farmer-name').textContent = formData.name || '--';
+    
+    document.getElementById('workspace-screen').classList.add('hidden');
+    document.getElementById('analysis-screen').classList.remove('hidden');
+    
+    setTimeout(() => lucide.createIcons(), 100);
+}
+
+function toggleModule(card, module) {
+    const checkbox = card.querySelector('input[type="checkbox"]');
+    const checkmark = card.querySelector('svg');
+    checkbox.checked = !checkbox.checked;
+    
+    if (checkbox.checked) {
+        card.classList.add('selected');
+        checkmark.classList.remove('hidden');
+        if (!selectedModules.includes(module)) {
+            selectedModules.push(module);
+        }
+    } else {
+        card.classList.remove('selected');
+        checkmark.classList.add('hidden');
+        selectedModules = selectedModules.filter(m => m !== module);
+    }
+    scheduleDraftSave();
+}
+
+// Modules registered by other scripts get a card cloned from the built-in ones
+function renderModuleCards() {
+    const template = document.querySelector('.module-card');
+    if (!template) return;
+    
+    analysisModules.list().forEach(module => {
+        if (document.querySelector(`.module-card[data-module="${module.id}"]`)) return;
+        
+        const card = template.cloneNode(true);
+        card.dataset.module = module.id;
+        const heading = card.querySelector('h3, h4');
+        const description = card.querySelector('p');
+        if (heading) heading.textContent = module.name;
+        if (description) description.textContent = module.description;
+        
+        const checkbox = card.querySelector('input[type="checkbox"]');
+        const checkmark = card.querySelector('svg');
+        if (checkbox) checkbox.checked = module.selected !== false;
+        card.classList.toggle('selected', module.selected !== false);
+        if (checkmark) checkmark.classList.toggle('hidden', module.selected === false);
+        
+        template.parentElement.appendChild(card);
+    });
+}
+
+function backToWorkspace() {
+    document.getElementById('analysis-screen').classList.add('hidden');
+    document.getElementById('workspace-screen').classList.remove('hidden');
+}
+
+async function generateIntelligence() {
+    collectFormData();
+    // The draft is only discarded once the profile is saved, so a crash mid-analysis keeps it
+    saveDraftNow();
+    
+    // Show thinking animation
+    document.getElementById('analysis-screen').classList.add('hidden');
+    document.getElementById('thinking-screen').classList.remove('hidden');
+    
+    // Prepare document processing
+    const categories = ['id', 'bank', 'herd', 'health'];
+    const tasks = categories.flatMap(category => uploads[category].map(file => ({ file, category })));
+    analysisController = new AbortController();
+    const signal = analysisController.signal;
+    
+    // Update thinking UI
+    document.getElementById('thinking-text').textContent = t('thinking.processing');
+    document.getElementById('thinking-details').textContent = t('thinking.files', { count: tasks.length });
+    document.getElementById('thinking-bar').style.width = '0%';
+    renderCancelAnalysisButton(true);
+    
+    // Process documents
+    const documentResults = {};
+    const processingContainer = document.getElementById('processing-files');
+    
+    // Create processing tags
+    tasks.forEach((task, index) => {
+        const tag = document.createElement('div');
+        tag.className = 'processing-file-tag';
+        tag.id = `processing-${index}`;
+        tag.innerHTML = `<i data-lucide="file" class="w-3 h-3"></i> <span>${escapeAttribute(task.file.name)}</span> <span class="processing-file-progress"></span>`;
+        processingContainer.appendChild(tag);
+    });
+    
+    lucide.createIcons();
+    
+    // Per-file share of the bar; PDFs fill their share page by page
+    const fileProgress = tasks.map(() => 0);
+    const updateBar = () => {
+        const done = fileProgress.reduce((sum, value) => sum + value, 0);
+        document.getElementById('thinking-bar').style.width = `${tasks.length ? Math.round((done / tasks.length) * 100) : 100}%`;
+    };
+    
+    let results;
+    try {
+        results = await documentWorkerPool.processAll(tasks, {
+            signal: signal,
+            onProgress: (index, progress) => {
+                fileProgress[index] = progress.page / progress.pageCount;
+                updateBar();
+                const label = document.querySelector(`#processing-${index} .processing-file-progress`);
+                if (label) label.textContent = t('thinking.pageShort', progress);
+                document.getElementById('thinking-details').textContent = t('thinking.page', { file: tasks[index].file.name, ...progress });
+            },
+            onFileComplete: (index, fileData) => {
+                fileProgress[index] = 1;
+                updateBar();
+                const tag = document.getElementById(`processing-${index}`);
+                if (tag) {
+                    tag.classList.add(fileData.parsed ? 'completed' : 'failed');
+                    tag.title = fileData.error || '';
+                    tag.innerHTML = `<i data-lucide="${fileData.parsed ? 'check' : 'alert-triangle'}" class="w-3 h-3"></i> ${escapeAttribute(fileData.name)}${fileData.error ? ` — ${escapeAttribute(fileData.error)}` : ''}`;
+                    lucide.createIcons();
+                }
+                const completed = fileProgress.filter(value => value === 1).length;
+                document.getElementById('thinking-text').textContent = t('thinking.processed', { completed: completed, total: tasks.length });
+            }
+        });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            abandonAnalysis();
+        } else {
+            failAnalysis(error);
+        }
+        return;
+    }
+    
+    Object.entries(carriedDocuments).forEach(([category, files]) => {
+        if (files.length > 0) documentResults[category] = [...files];
+    });
+    tasks.forEach((task, index) => {
+        (documentResults[task.category] = documentResults[task.category] || []).push(results[index]);
+    });
+    
+    // Complete progress
+    document.getElementById('thinking-bar').style.width = '100%';
+    document.getElementById('thinking-text').textContent = t('thinking.insights');
+    
+    setTimeout(async () => {
+        try {
+            if (signal.aborted) return;
+            
+            // Generate final profile
+            const progress = calculateProgress();
+            const livestockCount = parseInt(formData.livestockCount) || 0;
+            const valuation = livestockValuation.valueHerd(herdRegister.animals, formData);
+            const herdValue = valuation.estimate !== null ? valuation.estimate : (valuation.declared || 0);
+            
+            const riskAssessment = riskScoringEngine.score(formData, documentResults, valuation);
+            
+            // Extract insights from documents
+            const extractedInsights = extractDocumentInsights(documentResults);
+            const identity = idDocumentParser.crossCheck(documentResults.id || [], formData);
+            
+            const dataGaps = dataGapDetector.detect(selectedModules, {
+                formData: formData,
+                uploads: availableUploads(),
+                documents: documentResults
+            });
+            const financials = financialMetrics.calculate(documentResults, formData, dataGaps.values);
+            const confidence = uncertaintyModel.confidence(valuation, financials);
+            
+            const moduleResults = await analysisModules.run(selectedModules, {
+                formData: formData,
+                uploads: availableUploads(),
+                documents: documentResults,
+                financials: financials,
+                proxies: dataGaps.values,
+                herd: { animals: herdRegister.animals, summary: herdRegister.summary() },
+                valuation: valuation,
+                riskAssessment: riskAssessment,
+                identity: identity
+            });
+            
+            const analysisContext = {
+                formData: formData,
+                documents: documentResults,
+                herd: { animals: herdRegister.animals, summary: herdRegister.summary() },
+                valuation: valuation,
+                riskAssessment: riskAssessment,
+                identity: identity,
+                dataQuality: progress.quality,
+                financials: financials,
+                proxies: dataGaps.values,
+                dataGaps: dataGaps,
+                moduleResults: moduleResults
+            };
+            
+            // A single analyst has nothing to agree with, so the council only runs with two or more
+            let analysts = null;
+            if (analystCouncil.enabled().length > 1) {
+                analysts = await analystCouncil.run(analysisContext, signal, analyst => {
+                    document.getElementById('thinking-text').textContent = t('thinking.analyst', { name: analyst.name });
+                });
+                if (signal.aborted) return;
+                analysisContext.analysts = analysts;
+            }
+            
+            let narrative = null;
+            if (narrativeGenerator.enabled) {
+                const details = document.getElementById('thinking-details');
+                document.getElementById('thinking-text').textContent = t('thinking.narrative', { model: narrativeGenerator.settings.model });
+                details.textContent = '';
+                narrative = await narrativeGenerator.generate(analysisContext, text => {
+                    details.textContent = text;
+                    details.scrollTop = details.scrollHeight;
+                }, signal);
+                if (signal.aborted) return;
+                if (narrative.status === 'failed') {
+                    details.textContent = t('thinking.narrativeFailed', { error: narrative.error });
+                }
+            }
+            
+            // Create profile
+            const profileData = {
+                farmerName: formData.name,
+                livestock: {
+                    species: formData.species || 'dairy',
+                    count: livestockCount,
+                    value: valuation.declared
+                },
+                dataPoints: progress.points,
+                dataQuality: progress.quality,
+                modules: [...selectedModules],
+                moduleResults: moduleResults,
+                narrative: narrative,
+                financialMetrics: financials,
+                confidence: confidence,
+                dataGaps: { gaps: dataGaps.gaps, proxies: dataGaps.proxies, detectedAt: dataGaps.detectedAt },
+                analysts: analysts,
+                riskRating: riskAssessment.rating,
+                riskAssessment: riskAssessment,
+                valuation: herdValue,
+                valuationDetail: valuation,
+                declaredValue: valuation.declared,
+                useCase: formData.useCase || 'banking',
+                documents: documentResults,
+                extractedInsights: extractedInsights,
+                identity: identity,
+                herd: herdRegister.animals.length > 0
+                    ? { animals: herdRegister.animals.map(animal => ({ ...animal })), summary: herdRegister.summary() }
+                    : null,
+                intake: { ...formData }
+            };
+            
+            if (signal.aborted) return;
+            renderCancelAnalysisButton(false);
+            
+            try {
+                // Locked mid-analysis: the result waits for the passphrase instead of being dropped
+                await unlockProfiles(false);
+                currentProfile = reopenedProfile
+                    ? await profileManager.createVersion(reopenedProfile.id, profileData)
+                    : await profileManager.createProfile(profileData);
+                reopenedProfile = null;
+                carriedDocuments = { id: [], bank: [], herd: [], health: [] };
+                draftManager.discard().catch(error => console.warn('Failed to discard draft:', error));
+            } catch (error) {
+                console.error('Failed to save profile:', error);
+                alert(t('result.saveFailed', { error: error.message }));
+                document.getElementById('thinking-screen').classList.add('hidden');
+                document.getElementById('analysis-screen').classList.remove('hidden');
+                processingContainer.innerHTML = '';
+                return;
+            }
+            
+            // Update success screen
+            document.getElementById('profile-id-display').textContent = currentProfile.id;
+            document.getElementById('result-farmer-name').textContent = formData.name || t('result.unknownFarmer');
+            document.getElementById('result-livestock-count').textContent = t('result.head', { count: livestockCount });
+            document.getElementById('result-livestock-type').textContent = i18n.label('species', formData.species || 'dairy');
+            renderRiskAssessment(riskAssessment);
+            renderIdentityChecks(identity);
+            document.getElementById('total-valuation').textContent = i18n.formatMillions(herdValue);
+            renderValuationDetail(valuation);
+            document.getElementById('timestamp').textContent = i18n.formatDateTime(new Date());
+            document.getElementById('data-points-count').textContent = progress.points;
+            document.getElementById('modules-count').textContent = selectedModules.length;
+            renderModuleResults(moduleResults);
+            renderNarrative(narrative);
+            renderDataGaps(currentProfile.dataGaps);
+            renderVersionHistory(currentProfile);
+            renderConfidence(confidence);
+            renderAnalystConsensus(analysts);
+            
+            // Show profiles button
+            document.getElementById('profiles-btn').classList.remove('hidden');
+            
+            // Hide thinking and show success
+            document.getElementById('thinking-screen').classList.add('hidden');
+            document.getElementById('success-screen').classList.remove('hidden');
+            
+            // Clean up processing tags
+            processingContainer.innerHTML = '';
+            
+            // Re-initialize icons
+            setTimeout(() => lucide.createIcons(), 100);
+        } catch (error) {
+            if (!signal.aborted) failAnalysis(error);
+        }
+    }, 1500);
+}
+
+let analysisController = null;
+
+function renderCancelAnalysisButton(visible) {
+    const container = ensurePanel('cancel-analysis', 'thinking-details', 'mt-6 flex justify-center');
+    container.innerHTML = visible
+        ? `<button onclick="cancelAnalysis()" class="px-4 py-2 rounded-lg border border-slate-300 text-sm font-semibold text-slate-600 hover:bg-slate-100">${t('action.cancel')}</button>`
+        : '';
+}
+
+function cancelAnalysis() {
+    if (analysisController) analysisController.abort();
+    abandonAnalysis();
+}
+
+// Back to the analysis screen with uploads and form data untouched
+function abandonAnalysis() {
+    renderCancelAnalysisButton(false);
+    document.getElementById('processing-files').innerHTML = '';
+    document.getElementById('thinking-bar').style.width = '0%';
+    document.getElementById('thinking-screen').classList.add('hidden');
+    document.getElementById('analysis-screen').classList.remove('hidden');
+}
+
+// Anything thrown after the documents are parsed (valuation, scoring, a module) ends up here
+// instead of as an unhandled rejection that leaves the thinking screen up
+function failAnalysis(error) {
+    console.error('Analysis failed:', error);
+    abandonAnalysis();
+    document.getElementById('analysis-screen').classList.add('hidden');
+    document.getElementById('workspace-screen').classList.remove('hidden');
+    alert(t('thinking.failed', { error: error.message || String(error) }));
+}
+
+function extractDocumentInsights(documentResults) {
+    const insights = {
+        totalFiles: 0,
+        categories: {},
+        financialMentions: [],
+        dataPointsExtracted: 0,
+        transactionsExtracted: 0
+    };
+
+    Object.entries(documentResults).forEach(([category, files]) => {
+        insights.categories[category] = {
+            fileCount: files.length,
+            parsedSuccessfully: files.filter(f => f.parsed).length
+        };
+        insights.totalFiles += files.length;
+
+        files.forEach(file => {
+            if (file.parsed && file.content) {
+                if (file.content.extractedData) {
+                    insights.dataPointsExtracted += Object.keys(file.content.extractedData).length;
+                }
+                if (file.content.mentions) {
+                    insights.financialMentions.push(...file.content.mentions);
+                }
+                if (file.content.transactions) {
+                    insights.transactionsExtracted += file.content.transactions.length;
+                }
+            }
+        });
+    });
+
+    return insights;
+}
+
+function clearWorkspace() {
+    formData = {};
+    uploads = { id: [], bank: [], herd: [], health: [] };
+    selectedModules = analysisModules.defaultSelection();
+    currentProfile = null;
+    reopenedProfile = null;
+    carriedDocuments = { id: [], bank: [], herd: [], health: [] };
+    herdRegister.clear();
+    pendingHerdImport = null;
+    draftManager.close();
+    
+    Object.keys(fieldMapping).forEach(fieldId => {
+        const element = document.getElementById(fieldId);
+        if (element) element.value = '';
+    });
+    touchedFields = new Set();
+    VALIDATED_FIELDS.forEach(renderFieldValidation);
+    renderGazetteerOptions('');
+    
+    document.querySelectorAll('input[type="radio"]').forEach(radio => radio.checked = false);
+    document.querySelectorAll('.variable-checkbox').forEach(checkbox => checkbox.checked = false);
+    
+    ['id', 'bank', 'herd', 'health'].forEach(type => {
+        document.getElementById(`file-${type}`).value = '';
+        document.getElementById(`${type}-placeholder`).classList.remove('hidden');
+        document.getElementById(`${type}-files-list`).classList.add('hidden');
+        document.getElementById(`${type}-files-list`).innerHTML = '';
+    });
+    
+    syncModuleCards();
+    renderReopenedBanner();
+    renderDraftStatus(null);
+}
+
+function startNewProfile() {
+    clearWorkspace();
+    
+    document.getElementById('success-screen').classList.add('hidden');
+    document.getElementById('welcome-screen').classList.remove('hidden');
+    renderDraftList();
+    
+    setTimeout(() => lucide.createIcons(), 100);
+}
+
+// Drafts: the open intake autosaves; the welcome screen lists drafts to resume
+function draftSnapshot() {
+    collectFormData();
+    return {
+        formData: { ...formData },
+        selectedModules: [...selectedModules],
+        herd: herdRegister.animals.map(animal => ({ ...animal })),
+        reopenedProfile: reopenedProfile,
+        carriedDocuments: carriedDocuments,
+        uploads: uploads
+    };
+}
+
+function scheduleDraftSave() {
+    draftManager.schedule(saveDraftNow);
+}
+
+async function saveDraftNow() {
+    try {
+        const draft = await draftManager.save(draftSnapshot());
+        renderDraftStatus(draft);
+    } catch (error) {
+        console.warn('Failed to save draft:', error);
+        renderDraftStatus(null, error.message);
+    }
+}
+
+function renderDraftStatus(draft, error = '') {
+    const container = ensurePanel('draft-status', 'completion-percentage', 'text-xs text-slate-400 mt-1');
+    if (error) {
+        container.textContent = t('draft.notSaved', { error: error });
+    } else if (draftManager.pending) {
+        container.textContent = t('draft.waiting');
     } else {
-        renderFileList(type);
+        container.textContent = draft ? t('draft.saved', { time: i18n.formatTime(draft.timestamp) }) : '';
     }
+}
+
+async function renderDraftList() {
+    const container = ensurePanel('draft-list', 'welcome-screen', 'mt-8 w-full max-w-xl mx-auto text-left', 'beforeend');
     
-    calculateProgress();
+    if (profileManager.isLocked()) {
+        container.innerHTML = `
+            <button onclick="unlockProfiles().then(renderDraftList)" class="text-sm font-semibold text-slate-500 hover:text-slate-900 flex items-center gap-2">
+                <i data-lucide="lock" class="w-4 h-4"></i> ${t('draft.unlock')}
+            </button>
+        `;
+        setTimeout(() => lucide.createIcons(), 100);
+        return;
+    }
+    
+    let drafts;
+    try {
+        drafts = await draftManager.list();
+    } catch (error) {
+        console.warn('Failed to list drafts:', error);
+        drafts = [];
+    }
+    
+    if (drafts.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    container.innerHTML = `
+        <h3 class="text-sm font-bold text-slate-900 mb-2">${t('draft.title')}</h3>
+        <div class="space-y-2">
+            ${drafts.map(draft => `
+                <div class="glass-card rounded-xl p-3 flex items-center justify-between gap-4">
+                    <div class="min-w-0">
+                        <p class="text-sm font-semibold text-slate-900 truncate">${escapeAttribute(draft.farmerName || t('draft.unnamed'))}</p>
+                        <p class="text-xs text-slate-500">${[
+                            draft.state.formData.county,
+                            i18n.label('species', draft.state.formData.species),
+                            t('draft.files', { count: draft.files.length }),
+                            draft.state.reopenedProfile ? t('draft.rerun', { id: draft.state.reopenedProfile.id }) : null,
+                            t('draft.savedAt', { date: i18n.formatDateTime(draft.timestamp) })
+                        ].filter(Boolean).map(escapeAttribute).join(' • ')}</p>
+                    </div>
+                    <div class="flex gap-2 shrink-0">
+                        <button onclick="resumeDraft('${draft.id}')" class="px-3 py-1 bg-slate-900 text-white rounded-lg text-xs font-semibold">${t('action.resume')}</button>
+                        <button onclick="discardDraft('${draft.id}')" class="px-3 py-1 bg-slate-100 text-slate-500 rounded-lg text-xs">${t('action.discard')}</button>
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
 }
 
-function collectFormData() {
-    Object.keys(fieldMapping).forEach(fieldId => {
-        const element = document.getElementById(fieldId);
-        if (element) {
-            formData[fieldMapping[fieldId]] = element.value;
-        }
-    });
+async function resumeDraft(draftId) {
+    if (!(await unlockProfiles())) return;
     
-    const species = document.querySelector('input[name="species"]:checked');
-    if (species) formData.species = species.value;
+    clearWorkspace();
+    let draft;
+    try {
+        draft = await draftManager.load(draftId);
+    } catch (error) {
+        console.error('Failed to open draft:', error);
+        alert(t('draft.openFailed', { error: error.message }));
+        return;
+    }
+    if (!draft) {
+        renderDraftList();
+        return;
+    }
     
-    const risk = document.querySelector('input[name="risk"]:checked');
-    if (risk) formData.riskTolerance = risk.value;
+    const state = draft.state;
+    formData = { ...state.formData };
+    selectedModules = state.selectedModules.filter(id => analysisModules.get(id));
+    reopenedProfile = state.reopenedProfile;
+    carriedDocuments = { ...carriedDocuments, ...state.carriedDocuments };
+    uploads = { ...uploads, ...draft.uploads };
+    herdRegister.load(state.herd);
     
-    formData.variables = [];
-    document.querySelectorAll('.variable-checkbox:checked').forEach(cb => {
-        formData.variables.push(cb.nextElementSibling.textContent);
+    prefillWorkspace(formData);
+    syncModuleCards();
+    Object.keys(uploads).forEach(refreshFileList);
+    
+    ['welcome-screen', 'profiles-screen', 'success-screen', 'analysis-screen'].forEach(id => {
+        document.getElementById(id).classList.add('hidden');
+    });
+    document.getElementById('workspace-screen').classList.remove('hidden');
+    
+    renderHerdRegister();
+    syncHerdDerivedFields();
+    renderNarrativeSettings();
+    renderAnalystSettings();
+    renderReopenedBanner();
+    renderDraftStatus(draft);
+    calculateProgress();
+    if (draft.missingFiles.length > 0) {
+        alert(t('draft.missingFiles', { files: draft.missingFiles.join(', ') }));
+    }
+    setTimeout(() => lucide.createIcons(), 100);
+}
+
+async function discardDraft(draftId) {
+    if (!confirm(t('draft.confirmDiscard'))) return;
+    try {
+        await draftManager.discard(draftId);
+    } catch (error) {
+        console.error('Failed to discard draft:', error);
+    }
+    renderDraftList();
+}
+
+// Profiles screen filters; mirrored in the URL (?view=profiles&q=...) so a filtered view can be bookmarked
+const PROFILE_PAGE_SIZE = 24;
+const PROFILE_FILTER_DEFAULTS = { q: '', risk: '', grade: '', species: '', county: '', useCase: '', completeness: '', from: '', to: '', sort: 'date-desc', page: 1 };
+const PROFILE_SPECIES = ['dairy', 'beef', 'goats', 'sheep', 'mixed'];
+// Labels are catalogue keys under `profiles.sort.`
+const PROFILE_SORTS = {
+    'date-desc': { compare: (a, b) => b.timestamp.localeCompare(a.timestamp) },
+    'date-asc': { compare: (a, b) => a.timestamp.localeCompare(b.timestamp) },
+    'valuation-desc': { compare: (a, b) => (b.valuation || 0) - (a.valuation || 0) },
+    'valuation-asc': { compare: (a, b) => (a.valuation || 0) - (b.valuation || 0) },
+    'risk-asc': { compare: (a, b) => profileRiskScore(b) - profileRiskScore(a) },
+    'risk-desc': { compare: (a, b) => profileRiskScore(a) - profileRiskScore(b) }
+};
+const LEGACY_RATING_SCORES = { low: 80, medium: 65, high: 35 };
+// Completeness bands as 'min-max' percentages, shared by the filter and the portfolio histogram
+const COMPLETENESS_BANDS = ['0-19', '20-39', '40-59', '60-79', '80-100'];
+
+let profileFilters = { ...PROFILE_FILTER_DEFAULTS };
+let selectedProfileIds = new Set();
+let pendingProfileImport = null;
+let profileSearchTimer = null;
+
+// Profiles without a county are grouped under the 'Unknown' key
+function countyLabel(county) {
+    return county === 'Unknown' ? t('profiles.unknownCounty') : county;
+}
+
+function profileGrade(profile) {
+    return profile.riskGrade || (profile.riskAssessment ? profile.riskAssessment.grade : 'Unscored');
+}
+
+function profileCompleteness(profile) {
+    return profile.dataQuality ? profile.dataQuality.percentage : null;
+}
+
+// Profiles keep their original creation date across re-runs; `timestamp` is the latest analysis
+function profileCreatedDay(profile) {
+    return (profile.createdAt || profile.timestamp).substring(0, 10);
+}
+
+// Higher is safer; profiles saved before the scoring engine fall back to their rating bucket
+function profileRiskScore(profile) {
+    if (profile.riskAssessment) return profile.riskAssessment.score;
+    return LEGACY_RATING_SCORES[profile.riskRating] || 0;
+}
+
+function readProfileFiltersFromUrl() {
+    const params = new URLSearchParams(location.search);
+    const filters = { ...PROFILE_FILTER_DEFAULTS };
+    Object.keys(PROFILE_FILTER_DEFAULTS).forEach(key => {
+        if (params.has(key)) filters[key] = params.get(key);
     });
+    filters.page = Math.max(1, parseInt(filters.page) || 1);
+    if (!PROFILE_SORTS[filters.sort]) filters.sort = PROFILE_FILTER_DEFAULTS.sort;
+    return filters;
 }
 
-function calculateProgress() {
-    collectFormData();
+function writeProfileFiltersToUrl() {
+    const params = new URLSearchParams({ view: 'profiles' });
+    Object.entries(profileFilters).forEach(([key, value]) => {
+        if (String(value) !== String(PROFILE_FILTER_DEFAULTS[key])) params.set(key, value);
+    });
+    history.replaceState(null, '', `${location.pathname}?${params.toString()}`);
+}
+
+function clearProfileFiltersFromUrl() {
+    if (location.search) history.replaceState(null, '', location.pathname);
+}
+
+function filterProfiles(profiles, filters) {
+    const terms = filters.q.toLowerCase().split(/\s+/).filter(Boolean);
     
-    let points = 0;
-    let totalPoints = 15;
+    return profiles.filter(profile => {
+        if (terms.length > 0) {
+            const haystack = [profile.farmerName, profile.id, profile.county, profile.ward].filter(Boolean).join(' ').toLowerCase();
+            if (!terms.every(term => haystack.includes(term))) return false;
+        }
+        if (filters.risk && profile.riskRating !== filters.risk) return false;
+        if (filters.grade && profileGrade(profile) !== filters.grade) return false;
+        if (filters.species && (profile.livestock || {}).species !== filters.species) return false;
+        if (filters.county && (profile.county || 'Unknown') !== filters.county) return false;
+        if (filters.useCase && (profile.useCase || DEFAULT_USE_CASE) !== filters.useCase) return false;
+        if (filters.completeness) {
+            const [min, max] = filters.completeness.split('-').map(Number);
+            const completeness = profileCompleteness(profile);
+            if (completeness === null || completeness < min || completeness > max) return false;
+        }
+        const day = profileCreatedDay(profile);
+        if (filters.from && day < filters.from) return false;
+        if (filters.to && day > filters.to) return false;
+        return true;
+    }).sort(PROFILE_SORTS[filters.sort].compare);
+}
+
+function setProfileFilter(key, value) {
+    profileFilters[key] = value;
+    profileFilters.page = 1;
     
-    if (formData.name) points += 3;
-    if (formData.species) points += 2;
+    // Typing in the search box re-renders once the officer pauses
+    clearTimeout(profileSearchTimer);
+    profileSearchTimer = setTimeout(renderProfilesList, key === 'q' ? 200 : 0);
+}
+
+function setProfilePage(page) {
+    profileFilters.page = page;
+    renderProfilesList();
+}
+
+function resetProfileFilters() {
+    profileFilters = { ...PROFILE_FILTER_DEFAULTS };
+    renderProfileControls(true);
+    renderProfilesList();
+}
+
+// Built once per visit so the search box keeps focus while the list below re-renders
+function renderProfileControls(force = false) {
+    const container = ensurePanel('profiles-controls', 'profiles-list', 'flex flex-wrap items-end gap-3 mb-6 text-sm', 'beforebegin');
+    if (container.childElementCount > 0 && !force) return;
     
-    // Count files for upload points
-    if (uploads.id.length > 0) points += 2;
-    if (uploads.bank.length > 0) points += 3;
-    if (uploads.herd.length > 0) points += 3;
-    if (uploads.health.length > 0) points += 2;
+    const select = (key, label, options) => `
+        <label class="flex flex-col gap-1 text-xs text-slate-500">${label}
+            <select onchange="setProfileFilter('${key}', this.value)" class="border border-slate-200 rounded-lg px-2 py-1.5 text-sm text-slate-900">
+                ${Object.entries(options).map(([value, text]) => `<option value="${escapeAttribute(value)}" ${profileFilters[key] === value ? 'selected' : ''}>${escapeAttribute(text)}</option>`).join('')}
+            </select>
+        </label>
+    `;
+    const all = { '': t('profiles.all') };
+    const rubricLabels = {};
+    Object.entries(COMPLETENESS_RUBRICS).forEach(([key, rubric]) => { rubricLabels[key] = rubricLabel(key, rubric.label); });
+    const sortLabels = {};
+    Object.keys(PROFILE_SORTS).forEach(key => { sortLabels[key] = t(`profiles.sort.${key}`); });
+    const gradeLabels = {};
+    RISK_GRADES.forEach(band => { gradeLabels[band.grade] = band.grade; });
+    const riskLabels = {};
+    ['low', 'medium', 'high'].forEach(rating => { riskLabels[rating] = i18n.label('risk.rating', rating); });
+    const speciesLabels = {};
+    PROFILE_SPECIES.forEach(species => { speciesLabels[species] = i18n.label('species', species); });
+    const countyLabels = {};
+    profileManager.getAllProfiles().map(profile => profile.county || 'Unknown').sort().forEach(county => { countyLabels[county] = countyLabel(county); });
+    if (profileFilters.county) countyLabels[profileFilters.county] = countyLabel(profileFilters.county);
+    const completenessLabels = {};
+    COMPLETENESS_BANDS.forEach(band => { completenessLabels[band] = `${band}%`; });
     
-    const additionalFields = ['phone', 'email', 'county', 'ward', 'land', 'experience', 'bank', 'accountType', 'livestockCount', 'breedingStock', 'breed', 'herdValue'];
-    additionalFields.forEach(field => {
-        if (formData[field]) points++;
-    });
+    container.innerHTML = `
+        <label class="flex flex-col gap-1 text-xs text-slate-500 flex-1 min-w-[200px]">${t('profiles.search')}
+            <input type="search" value="${escapeAttribute(profileFilters.q)}" oninput="setProfileFilter('q', this.value)" placeholder="${t('profiles.searchPlaceholder')}" class="border border-slate-200 rounded-lg px-3 py-1.5 text-sm text-slate-900">
+        </label>
+        ${select('risk', t('profiles.risk'), { ...all, ...riskLabels })}
+        ${select('grade', t('profiles.grade'), { ...all, ...gradeLabels })}
+        ${select('species', t('profiles.species'), { ...all, ...speciesLabels })}
+        ${select('county', t('profiles.county'), { ...all, ...countyLabels })}
+        ${select('useCase', t('profiles.useCase'), { ...all, ...rubricLabels })}
+        ${select('completeness', t('profiles.completeness'), { ...all, ...completenessLabels })}
+        <label class="flex flex-col gap-1 text-xs text-slate-500">${t('profiles.createdFrom')}
+            <input type="date" value="${escapeAttribute(profileFilters.from)}" onchange="setProfileFilter('from', this.value)" class="border border-slate-200 rounded-lg px-2 py-1 text-sm text-slate-900">
+        </label>
+        <label class="flex flex-col gap-1 text-xs text-slate-500">${t('profiles.createdTo')}
+            <input type="date" value="${escapeAttribute(profileFilters.to)}" onchange="setProfileFilter('to', this.value)" class="border border-slate-200 rounded-lg px-2 py-1 text-sm text-slate-900">
+        </label>
+        ${select('sort', t('profiles.sort'), sortLabels)}
+        <button onclick="resetProfileFilters()" class="px-3 py-1.5 text-xs font-semibold text-slate-500 hover:text-slate-900">${t('profiles.clear')}</button>
+        <button onclick="toggleSecurityPanel()" class="px-3 py-1.5 rounded-lg border border-slate-200 text-xs font-semibold text-slate-600 hover:bg-slate-100">${t('profiles.security')}</button>
+        <button onclick="showPortfolioScreen()" class="px-3 py-1.5 rounded-lg bg-slate-900 text-white text-xs font-semibold hover:bg-slate-800">${t('profiles.portfolio')}</button>
+        <div id="profiles-security" class="hidden w-full"></div>
+        <div id="profiles-batch" class="w-full flex flex-wrap items-center gap-3 text-xs"></div>
+        <div id="profiles-import" class="w-full"></div>
+        <div id="profiles-verify" class="w-full"></div>
+    `;
+}
+
+// Passphrase lock
+const PROFILE_LOCK_MINUTES_KEY = 'ceres_lock_minutes';
+const DEFAULT_LOCK_MINUTES = 5;
+const MIN_PASSPHRASE_LENGTH = 10;
+const ACTIVITY_EVENTS = ['mousemove', 'keydown', 'click', 'touchstart', 'scroll'];
+let lockTimer = null;
+let unlockWaiters = [];
+
+function lockAfterMinutes() {
+    return parseInt(localStorage.getItem(PROFILE_LOCK_MINUTES_KEY)) || DEFAULT_LOCK_MINUTES;
+}
+
+function setLockAfterMinutes(minutes) {
+    localStorage.setItem(PROFILE_LOCK_MINUTES_KEY, String(parseInt(minutes) || DEFAULT_LOCK_MINUTES));
+    resetLockTimer();
+}
+
+function resetLockTimer() {
+    clearTimeout(lockTimer);
+    lockTimer = null;
+    if (!profileManager.isEncrypted() || profileManager.isLocked()) return;
+    lockTimer = setTimeout(lockProfiles, lockAfterMinutes() * 60000);
+}
+
+// Drops the key and every decrypted copy held by the page: the profiles list and portfolio, the
+// result or saved profile on screen and the open intake, which is saved as a draft first so it
+// can be resumed after unlocking. A running analysis keeps its inputs behind the lock screen and
+// saves once the passphrase is entered. The lock screen has no way past it but the passphrase.
+async function lockProfiles() {
+    if (!profileManager.isEncrypted()) return;
+    clearTimeout(lockTimer);
+    lockTimer = null;
     
-    const percentage = Math.round((points / totalPoints) * 100);
+    const visible = id => !document.getElementById(id).classList.contains('hidden');
+    const analysing = visible('thinking-screen');
+    if (!analysing && (visible('workspace-screen') || visible('analysis-screen'))) await saveDraftNow();
     
-    document.getElementById('completion-percentage').textContent = points + '/' + totalPoints;
-    document.getElementById('workspace-progress').style.width = percentage + '%';
-    document.getElementById('data-points').textContent = points + '/' + totalPoints;
-    document.getElementById('bottom-progress').style.width = percentage + '%';
+    profileManager.lock();
+    selectedProfileIds = new Set();
+    pendingProfileImport = null;
+    const list = document.getElementById('profiles-list');
+    if (list) list.innerHTML = '';
+    portfolioCharts.forEach(chart => chart.destroy());
+    portfolioCharts = [];
+    const portfolio = document.getElementById('portfolio-screen');
+    if (portfolio) portfolio.remove();
     
-    const btn = document.getElementById('analyze-btn');
-    if (percentage >= 60 && formData.name) {
-        btn.disabled = false;
-        btn.classList.remove('bg-slate-200', 'text-slate-400');
-        btn.classList.add('bg-slate-900', 'text-white', 'hover:bg-slate-800');
-    } else {
-        btn.disabled = true;
-        btn.classList.add('bg-slate-200', 'text-slate-400');
-        btn.classList.remove('bg-slate-900', 'text-white', 'hover:bg-slate-800');
+    if (!analysing) {
+        clearWorkspace();
+        clearProfileResult();
+        ['workspace-screen', 'analysis-screen', 'success-screen', 'profiles-screen'].forEach(id => {
+            document.getElementById(id).classList.add('hidden');
+        });
+        document.getElementById('welcome-screen').classList.remove('hidden');
+    }
+    if (document.getElementById('draft-list')) renderDraftList();
+    showLockScreen(false);
+}
+
+// Empties the success screen so no saved result stays in the page
+function clearProfileResult() {
+    ['profile-id-display', 'result-farmer-name', 'result-livestock-count', 'result-livestock-type', 'timestamp', 'total-valuation', 'data-points-count', 'modules-count'].forEach(id => {
+        document.getElementById(id).textContent = '--';
+    });
+    document.getElementById('risk-badge').innerHTML = '';
+    renderRiskBreakdown(null);
+    renderIdentityChecks(null);
+    renderValuationDetail(null);
+    renderModuleResults(null);
+    renderNarrative(null);
+    renderDataGaps(null);
+    renderConfidence(null);
+    renderAnalystConsensus(null);
+    const versions = document.getElementById('version-history');
+    if (versions) versions.innerHTML = '';
+}
+
+// Resolves true once profiles can be read, or false if the officer backs out of the lock screen
+function unlockProfiles(allowCancel = true) {
+    if (!profileManager.isLocked()) return Promise.resolve(true);
+    return new Promise(resolve => {
+        unlockWaiters.push(resolve);
+        showLockScreen(allowCancel);
+    });
+}
+
+function showLockScreen(allowCancel) {
+    const screen = ensurePanel('lock-screen', 'welcome-screen', 'fixed inset-0 z-50 flex items-center justify-center bg-slate-900', 'beforebegin');
+    // An inactivity lock cannot be dismissed by a later request that allows it
+    const cancellable = allowCancel && !(screen.dataset.open && screen.dataset.cancellable !== 'true');
+    screen.dataset.open = 'true';
+    screen.dataset.cancellable = String(cancellable);
+    screen.classList.remove('hidden');
+    screen.innerHTML = `
+        <form onsubmit="submitUnlock(event)" class="glass-card rounded-2xl p-8 w-full max-w-sm bg-white">
+            <div class="flex items-center gap-2 mb-2">
+                <i data-lucide="lock" class="w-5 h-5 text-slate-900"></i>
+                <h2 class="text-lg font-bold text-slate-900">${t('lock.title')}</h2>
+            </div>
+            <p class="text-sm text-slate-500 mb-4">${t('lock.hint')}</p>
+            <input id="unlock-passphrase" type="password" autocomplete="current-password" class="w-full border border-slate-200 rounded-lg px-3 py-2 text-sm mb-2">
+            <p id="unlock-error" class="text-xs text-red-600 mb-2"></p>
+            <div class="flex items-center gap-4">
+                <button type="submit" class="px-4 py-2 rounded-lg bg-slate-900 text-white text-sm font-semibold hover:bg-slate-800">${t('action.unlock')}</button>
+                ${cancellable ? `<button type="button" onclick="cancelUnlock()" class="text-sm font-semibold text-slate-500 hover:text-slate-900">${t('action.cancel')}</button>` : ''}
+            </div>
+        </form>
+    `;
+    document.getElementById('unlock-passphrase').focus();
+    setTimeout(() => lucide.createIcons(), 100);
+}
+
+function hideLockScreen(unlocked) {
+    const screen = document.getElementById('lock-screen');
+    if (screen) {
+        screen.classList.add('hidden');
+        screen.innerHTML = '';
+        delete screen.dataset.open;
+    }
+    unlockWaiters.splice(0).forEach(resolve => resolve(unlocked));
+}
+
+async function submitUnlock(event) {
+    event.preventDefault();
+    const input = document.getElementById('unlock-passphrase');
+    const error = document.getElementById('unlock-error');
+    error.textContent = t('lock.checking');
+    
+    if (!(await profileManager.unlock(input.value))) {
+        error.textContent = t('lock.wrongPassphrase');
+        input.select();
+        return;
     }
     
-    return { points, totalPoints, percentage };
+    hideLockScreen(true);
+    resetLockTimer();
+    if (draftManager.pending) saveDraftNow();
+    if (!document.getElementById('welcome-screen').classList.contains('hidden')) renderDraftList();
+    if (profileManager.getTotalCount() > 0) document.getElementById('profiles-btn').classList.remove('hidden');
+    if (!document.getElementById('profiles-screen').classList.contains('hidden')) renderProfilesList();
 }
 
-function proceedToAnalysis() {
-    collectFormData();
-    document.getElementById('result-farmer-name').textContent = formData.name || '--';
+function cancelUnlock() {
+    hideLockScreen(false);
+}
+
+function toggleSecurityPanel() {
+    const panel = document.getElementById('profiles-security');
+    panel.classList.toggle('hidden');
+    if (!panel.classList.contains('hidden')) renderSecurityPanel();
+}
+
+function renderSecurityPanel(message = '') {
+    const panel = document.getElementById('profiles-security');
+    if (!panel) return;
+    const encrypted = profileManager.isEncrypted();
+    const field = (id, label, autocomplete) => `
+        <label class="flex flex-col gap-1 text-slate-500">${label}
+            <input id="${id}" type="password" autocomplete="${autocomplete}" class="border border-slate-200 rounded-lg px-2 py-1.5 text-sm text-slate-900">
+        </label>
+    `;
     
-    document.getElementById('workspace-screen').classList.add('hidden');
-    document.getElementById('analysis-screen').classList.remove('hidden');
+    panel.innerHTML = `
+        <div class="document-summary text-xs">
+            <h4>${t(encrypted ? 'security.encrypted' : 'security.unencrypted')}</h4>
+            <p class="text-slate-500 mb-3">${encrypted
+                ? t('security.encryptedHint')
+                : t('security.unencryptedHint', { length: MIN_PASSPHRASE_LENGTH })}</p>
+            <form onsubmit="submitPassphraseChange(event)" class="flex flex-wrap items-end gap-3">
+                ${encrypted ? field('security-current', t('security.current'), 'current-password') : ''}
+                ${field('security-next', t(encrypted ? 'security.new' : 'security.passphrase'), 'new-password')}
+                ${field('security-confirm', t('security.confirm'), 'new-password')}
+                <button type="submit" class="px-3 py-1.5 rounded-lg bg-slate-900 text-white font-semibold">${t(encrypted ? 'security.change' : 'security.encrypt')}</button>
+            </form>
+            ${encrypted ? `
+                <div class="flex flex-wrap items-center gap-4 mt-3">
+                    <label class="flex items-center gap-2 text-slate-500">${t('security.lockAfter')}
+                        <select onchange="setLockAfterMinutes(this.value)" class="border border-slate-200 rounded px-1 text-slate-900">
+                            ${[1, 5, 15, 30, 60].map(minutes => `<option value="${minutes}" ${lockAfterMinutes() === minutes ? 'selected' : ''}>${t('security.minutes', { count: minutes })}</option>`).join('')}
+                        </select>
+                        ${t('security.ofInactivity')}
+                    </label>
+                    <button onclick="lockProfiles()" class="font-semibold text-slate-900 hover:underline">${t('security.lockNow')}</button>
+                    <button onclick="disableEncryption()" class="font-semibold text-red-600 hover:underline">${t('security.turnOff')}</button>
+                </div>
+            ` : ''}
+            <p id="security-message" class="mt-2 font-semibold text-slate-900">${escapeAttribute(message)}</p>
+        </div>
+    `;
+}
+
+async function submitPassphraseChange(event) {
+    event.preventDefault();
+    const current = document.getElementById('security-current');
+    const next = document.getElementById('security-next').value;
+    const message = document.getElementById('security-message');
     
-    setTimeout(() => lucide.createIcons(), 100);
+    if (next.length < MIN_PASSPHRASE_LENGTH) {
+        message.textContent = t('security.tooShort', { length: MIN_PASSPHRASE_LENGTH });
+        return;
+    }
+    if (next !== document.getElementById('security-confirm').value) {
+        message.textContent = t('security.mismatch');
+        return;
+    }
+    
+    const enabling = !profileManager.isEncrypted();
+    message.textContent = t('security.reencrypting');
+    try {
+        await profileManager.changePassphrase(current ? current.value : '', next);
+    } catch (error) {
+        console.error('Failed to change passphrase:', error);
+        message.textContent = error.message;
+        return;
+    }
+    resetLockTimer();
+    renderSecurityPanel(t(enabling ? 'security.encryptedNow' : 'security.changed'));
 }
 
-function toggleModule(card, module) {
-    const checkbox = card.querySelector('input[type="checkbox"]');
-    const checkmark = card.querySelector('svg');
-    checkbox.checked = !checkbox.checked;
+async function disableEncryption() {
+    const current = prompt(t('security.turnOffPrompt'));
+    if (current === null) return;
     
-    if (checkbox.checked) {
-        card.classList.add('selected');
-        checkmark.classList.remove('hidden');
-        if (!selectedModules.includes(module)) {
-            selectedModules.push(module);
-        }
-    } else {
-        card.classList.remove('selected');
-        checkmark.classList.add('hidden');
-        selectedModules = selectedModules.filter(m => m !== module);
+    try {
+        await profileManager.changePassphrase(current, null);
+    } catch (error) {
+        console.error('Failed to turn off encryption:', error);
+        renderSecurityPanel(error.message);
+        return;
     }
+    resetLockTimer();
+    renderSecurityPanel(t('security.turnedOff'));
 }
 
-function backToWorkspace() {
-    document.getElementById('analysis-screen').classList.add('hidden');
-    document.getElementById('workspace-screen').classList.remove('hidden');
+function renderProfileBatchBar(matching) {
+    const container = document.getElementById('profiles-batch');
+    if (!container) return;
+    const count = selectedProfileIds.size;
+    const action = (onclick, label, disabled = false) => `<button onclick="${onclick}" ${disabled ? 'disabled' : ''} class="px-3 py-1.5 rounded-lg border border-slate-200 font-semibold ${disabled ? 'opacity-40' : 'hover:bg-slate-100'}">${label}</button>`;
+    
+    container.innerHTML = `
+        <span class="text-slate-500">${t('profiles.selected', { count: count })}</span>
+        ${action(`selectMatchingProfiles(true)`, t('profiles.selectAll', { count: matching }), matching === 0)}
+        ${action(`selectMatchingProfiles(false)`, t('profiles.clearSelection'), count === 0)}
+        ${action(`exportSelectedProfiles('csv')`, t('profiles.exportCsv'), count === 0)}
+        ${action(`exportSelectedProfiles('json')`, t('export.json'), count === 0)}
+        <label class="px-3 py-1.5 rounded-lg border border-slate-200 font-semibold hover:bg-slate-100 cursor-pointer">
+            ${t('profiles.importJson')}
+            <input type="file" accept=".json,application/json" class="hidden" onchange="prepareProfileImport(this)">
+        </label>
+        <label class="px-3 py-1.5 rounded-lg border border-slate-200 font-semibold hover:bg-slate-100 cursor-pointer">
+            ${t('profiles.verifyReport')}
+            <input type="file" accept=".json,.txt,.pdf,application/json,text/plain,application/pdf" class="hidden" onchange="verifyReportFile(this)">
+        </label>
+    `;
 }
 
-async function generateIntelligence() {
-    collectFormData();
+async function verifyReportFile(input) {
+    const file = input.files && input.files[0];
+    input.value = '';
+    if (!file) return;
     
-    // Show thinking animation
-    document.getElementById('analysis-screen').classList.add('hidden');
-    document.getElementById('thinking-screen').classList.remove('hidden');
+    const panel = document.getElementById('profiles-verify');
+    panel.innerHTML = `<div class="document-summary text-xs"><h4>${t('verify.verifying', { file: escapeAttribute(file.name) })}</h4></div>`;
     
-    // Prepare document processing
-    const allFiles = [...uploads.id, ...uploads.bank, ...uploads.herd, ...uploads.health];
+    let results;
+    try {
+        results = await profileIntegrity.verify(file);
+    } catch (error) {
+        console.error('Verification failed:', error);
+        results = [{ id: null, version: null, status: 'unreadable', ...VERIFICATION_RESULTS.unreadable }];
+    }
     
-    // Update thinking UI
-    document.getElementById('thinking-text').textContent = 'Processing documents...';
-    document.getElementById('thinking-details').textContent = `${allFiles.length} files to analyze`;
+    panel.innerHTML = `
+        <div class="document-summary text-xs">
+            <h4>${t('verify.title', { file: escapeAttribute(file.name) })}</h4>
+            ${results.map(result => `
+                <div class="document-summary-item justify-between">
+                    <span><span class="mono">${escapeAttribute(result.id || '--')}</span>${result.version ? ` • v${result.version}` : ''} • ${t(`verify.${result.status}.message`)}</span>
+                    <span class="font-semibold ${result.tone}">${t(`verify.${result.status}.label`)}</span>
+                </div>
+            `).join('')}
+            <button onclick="document.getElementById('profiles-verify').innerHTML = ''" class="mt-2 font-semibold text-slate-500 hover:text-slate-900">${t('action.dismiss')}</button>
+        </div>
+    `;
+}
+
+function toggleProfileSelection(profileId, selected) {
+    if (selected) {
+        selectedProfileIds.add(profileId);
+    } else {
+        selectedProfileIds.delete(profileId);
+    }
+    renderProfileBatchBar(filterProfiles(profileManager.getAllProfiles(), profileFilters).length);
+}
+
+function selectMatchingProfiles(selected) {
+    selectedProfileIds = new Set(selected ? filterProfiles(profileManager.getAllProfiles(), profileFilters).map(profile => profile.id) : []);
+    renderProfilesList();
+}
+
+async function exportSelectedProfiles(format) {
+    const profiles = profileManager.getAllProfiles().filter(profile => selectedProfileIds.has(profile.id));
+    if (profiles.length === 0) return;
+    const stamp = new Date().toISOString().substring(0, 10);
     
-    // Animate progress bar
-    setTimeout(() => {
-        document.getElementById('thinking-bar').style.width = '30%';
-    }, 100);
+    if (format === 'csv') {
+        downloadFile(`ceres-profiles-${stamp}.csv`, profileTransfer.toCSV(profiles), 'text/csv');
+        return;
+    }
     
-    // Process documents
-    const documentResults = {};
-    const processingContainer = document.getElementById('processing-files');
+    const entries = [];
+    for (const profile of profiles) {
+        entries.push({ profile: profile, versions: await profileManager.versions(profile.id) });
+    }
+    downloadFile(`ceres-profiles-${stamp}.json`, profileTransfer.toJSON(entries), 'application/json');
+}
+
+// Parse and validate first; nothing is written until the officer resolves ID collisions
+async function prepareProfileImport(input) {
+    const file = input.files && input.files[0];
+    input.value = '';
+    if (!file) return;
     
-    // Create processing tags
-    allFiles.forEach((file, index) => {
-        const tag = document.createElement('div');
-        tag.className = 'processing-file-tag';
-        tag.id = `processing-${index}`;
-        tag.innerHTML = `<i data-lucide="file" class="w-3 h-3"></i> ${file.name}`;
-        processingContainer.appendChild(tag);
+    let parsed;
+    try {
+        parsed = profileTransfer.parse(await file.text());
+    } catch (error) {
+        pendingProfileImport = { fileName: file.name, fatal: error.message, entries: [], errors: [] };
+        renderProfileImport();
+        return;
+    }
+    
+    const entries = [];
+    for (const entry of parsed.entries) {
+        const existing = await profileManager.get(entry.profile.id);
+        entries.push({
+            ...entry,
+            collision: Boolean(existing),
+            resolution: existing ? 'skip' : 'add',
+            integrity: await profileIntegrity.check(entry.profile)
+        });
+    }
+    pendingProfileImport = { fileName: file.name, fatal: null, entries: entries, errors: parsed.errors };
+    renderProfileImport();
+}
+
+function setImportResolution(index, resolution) {
+    if (!pendingProfileImport) return;
+    pendingProfileImport.entries.forEach((entry, i) => {
+        if (entry.collision && (index === null || index === i)) entry.resolution = resolution;
     });
+    renderProfileImport();
+}
+
+function cancelProfileImport() {
+    pendingProfileImport = null;
+    renderProfileImport();
+}
+
+async function confirmProfileImport() {
+    if (!pendingProfileImport) return;
+    let imported = 0;
     
-    lucide.createIcons();
+    for (const entry of pendingProfileImport.entries) {
+        if (entry.resolution === 'skip') continue;
+        try {
+            await profileManager.importProfile(entry, entry.resolution);
+            imported++;
+        } catch (error) {
+            console.error(`Failed to import ${entry.profile.id}:`, error);
+            alert(t('import.failed', { id: entry.profile.id, error: error.message }));
+        }
+    }
     
-    // Process each category
-    const categories = ['id', 'bank', 'herd', 'health'];
-    let processedFiles = 0;
+    pendingProfileImport = null;
+    renderProfileImport();
+    await renderProfilesList();
+    if (imported > 0) document.getElementById('profiles-btn').classList.remove('hidden');
+}
+
+function renderProfileImport() {
+    const container = document.getElementById('profiles-import');
+    if (!container) return;
+    const pending = pendingProfileImport;
     
-    for (const category of categories) {
-        if (uploads[category].length > 0) {
-            document.getElementById('thinking-text').textContent = `Analyzing ${category} documents...`;
-            
-            const results = await documentProcessor.processFiles(uploads[category], category);
-            documentResults[category] = results;
-            
-            // Mark files as completed
-            uploads[category].forEach(() => {
-                const tag = document.getElementById(`processing-${processedFiles}`);
-                if (tag) {
-                    tag.classList.add('completed');
-                    tag.innerHTML = `<i data-lucide="check" class="w-3 h-3"></i> ${tag.textContent}`;
-                }
-                processedFiles++;
-            });
-        }
+    if (!pending) {
+        container.innerHTML = '';
+        return;
     }
     
-    // Complete progress
-    document.getElementById('thinking-bar').style.width = '100%';
-    document.getElementById('thinking-text').textContent = 'Generating insights...';
+    if (pending.fatal) {
+        container.innerHTML = `
+            <div class="document-summary text-xs">
+                <h4>${t('import.title', { file: escapeAttribute(pending.fileName) })}</h4>
+                <p class="text-red-600 font-semibold">${escapeAttribute(pending.fatal)}</p>
+                <button onclick="cancelProfileImport()" class="mt-2 font-semibold text-slate-900 hover:underline">${t('action.dismiss')}</button>
+            </div>
+        `;
+        return;
+    }
     
-    setTimeout(() => {
-        // Generate final profile
-        const progress = calculateProgress();
-        const livestockCount = parseInt(formData.livestockCount) || 45;
-        const herdValue = parseFloat(formData.herdValue) || 4200000;
-        
-        const riskScore = Math.random();
-        let riskRating, riskBadgeClass, riskText;
-        if (riskScore > 0.7) {
-            riskRating = 'low';
-            riskBadgeClass = 'bg-green-100 text-green-700';
-            riskText = 'Low Risk (AA)';
-        } else if (riskScore > 0.4) {
-            riskRating = 'medium';
-            riskBadgeClass = 'bg-amber-100 text-amber-700';
-            riskText = 'Medium Risk (A)';
-        } else {
-            riskRating = 'high';
-            riskBadgeClass = 'bg-red-100 text-red-700';
-            riskText = 'High Risk (B)';
-        }
-        
-        // Extract insights from documents
-        const extractedInsights = this.extractDocumentInsights(documentResults);
-        
-        // Create profile
-        const profileData = {
-            farmerName: formData.name,
-            livestock: {
-                species: formData.species || 'dairy',
-                count: livestockCount,
-                value: herdValue
-            },
-            dataPoints: progress.points,
-            modules: selectedModules,
-            riskRating: riskRating,
-            valuation: herdValue,
-            useCase: formData.useCase || 'banking',
-            documents: documentResults,
-            extractedInsights: extractedInsights
-        };
-        
-        currentProfile = profileManager.createProfile(profileData);
-        
-        // Update success screen
-        document.getElementById('profile-id-display').textContent = currentProfile.id;
-        document.getElementById('result-farmer-name').textContent = formData.name || 'Unknown Farmer';
-        document.getElementById('result-livestock-count').textContent = `${livestockCount} Head`;
-        document.getElementById('result-livestock-type').textContent = (formData.species || 'Dairy Cattle').charAt(0).toUpperCase() + (formData.species || 'Dairy Cattle').slice(1);
-        document.getElementById('risk-badge').className = `inline-flex items-center gap-2 px-4 py-2 ${riskBadgeClass} rounded-full text-sm font-bold`;
-        document.getElementById('risk-badge').innerHTML = `<span class="w-2 h-2 rounded-full"></span>${riskText}`;
-        document.getElementById('total-valuation').textContent = `KES ${(herdValue / 1000000).toFixed(1)}M`;
-        document.getElementById('timestamp').textContent = new Date().toLocaleString();
-        document.getElementById('data-points-count').textContent = progress.points;
-        document.getElementById('modules-count').textContent = selectedModules.length;
-        document.getElementById('confidence-score').textContent = `${Math.min(95 + Math.random() * 5, 100).toFixed(0)}%`;
-        
-        // Show profiles button
-        document.getElementById('profiles-btn').classList.remove('hidden');
-        
-        // Hide thinking and show success
-        document.getElementById('thinking-screen').classList.add('hidden');
-        document.getElementById('success-screen').classList.remove('hidden');
-        
-        // Clean up processing tags
-        processingContainer.innerHTML = '';
-        
-        // Re-initialize icons
-        setTimeout(() => lucide.createIcons(), 100);
-    }, 1500);
+    const collisions = pending.entries.filter(entry => entry.collision).length;
+    const resolutions = {};
+    ['skip', 'overwrite', 'keep-both'].forEach(resolution => { resolutions[resolution] = t(`import.${resolution}`); });
+    const rows = pending.entries.map((entry, index) => `
+        <div class="document-summary-item justify-between">
+            <span>
+                <span class="mono">${entry.profile.id}</span> • ${escapeAttribute(entry.profile.farmerName || t('import.unnamed'))} • ${t('import.versions', { count: entry.versions.length || 1 })}
+                ${entry.integrity === 'altered' ? `<span class="text-red-600 font-semibold">• ${t('import.altered')}</span>` : ''}
+            </span>
+            ${entry.collision
+                ? `<select onchange="setImportResolution(${index}, this.value)" class="border border-amber-300 rounded px-1">
+                        ${Object.entries(resolutions).map(([value, label]) => `<option value="${value}" ${entry.resolution === value ? 'selected' : ''}>${label}</option>`).join('')}
+                   </select>`
+                : `<span class="text-green-700">${t('import.new')}</span>`}
+        </div>
+    `).join('');
+    const errors = pending.errors.map(error => `
+        <p class="text-red-600">${t('import.rejectedEntry', { index: error.index + 1, id: error.id ? ` (${escapeAttribute(error.id)})` : '', errors: escapeAttribute(error.errors.join('; ')) })}</p>
+    `).join('');
+    
+    container.innerHTML = `
+        <div class="document-summary text-xs">
+            <h4>${t('import.title', { file: escapeAttribute(pending.fileName) })} • ${t('import.counts', { valid: pending.entries.length, rejected: pending.errors.length })}${collisions ? `, ${t('import.collisions', { count: collisions })}` : ''}</h4>
+            ${collisions > 1 ? `
+                <div class="flex items-center gap-3 mb-2">
+                    <span>${t('import.allExisting')}</span>
+                    ${Object.entries(resolutions).map(([value, label]) => `<button onclick="setImportResolution(null, '${value}')" class="font-semibold hover:underline">${label}</button>`).join('')}
+                </div>
+            ` : ''}
+            ${rows}
+            ${errors}
+            <div class="flex items-center gap-4 mt-3">
+                <button onclick="confirmProfileImport()" ${pending.entries.length === 0 ? 'disabled' : ''} class="px-3 py-1.5 rounded-lg bg-slate-900 text-white font-semibold">${t('import.confirm')}</button>
+                <button onclick="cancelProfileImport()" class="font-semibold text-slate-500 hover:text-slate-900">${t('action.cancel')}</button>
+            </div>
+        </div>
+    `;
 }
 
-function extractDocumentInsights(documentResults) {
-    const insights = {
-        totalFiles: 0,
-        categories: {},
-        financialMentions: [],
-        dataPointsExtracted: 0
-    };
+function renderProfilePager(matching, pageCount) {
+    const container = ensurePanel('profiles-pager', 'profiles-list', 'flex items-center justify-between mt-6 text-sm text-slate-500');
+    const start = matching === 0 ? 0 : (profileFilters.page - 1) * PROFILE_PAGE_SIZE + 1;
+    const end = Math.min(matching, profileFilters.page * PROFILE_PAGE_SIZE);
+    const button = (page, label, disabled) => `<button onclick="setProfilePage(${page})" ${disabled ? 'disabled' : ''} class="px-3 py-1.5 rounded-lg border border-slate-200 ${disabled ? 'opacity-40' : 'hover:bg-slate-100'}">${label}</button>`;
+    
+    container.innerHTML = `
+        <span>${t('profiles.showing', { start: start, end: end, count: matching })}</span>
+        <div class="flex items-center gap-2">
+            ${button(profileFilters.page - 1, t('profiles.previous'), profileFilters.page <= 1)}
+            <span>${t('profiles.page', { page: profileFilters.page, pageCount: pageCount })}</span>
+            ${button(profileFilters.page + 1, t('profiles.next'), profileFilters.page >= pageCount)}
+        </div>
+    `;
+}
 
-    Object.entries(documentResults).forEach(([category, files]) => {
-        insights.categories[category] = {
-            fileCount: files.length,
-            parsedSuccessfully: files.filter(f => f.parsed).length
-        };
-        insights.totalFiles += files.length;
+// Portfolio dashboard (?view=portfolio). Chart.js is the build index.html loads; the intake
+// page pulls it in on first use. Clicking a bar or point opens the matching profiles list.
+const CHART_JS_URL = 'https://cdn.jsdelivr.net/npm/chart.js';
+let portfolioCharts = [];
+let chartJsLoading = null;
 
-        files.forEach(file => {
-            if (file.parsed && file.content) {
-                if (file.content.extractedData) {
-                    insights.dataPointsExtracted += Object.keys(file.content.extractedData).length;
-                }
-                if (file.content.mentions) {
-                    insights.financialMentions.push(...file.content.mentions);
-                }
-            }
+function loadChartJs() {
+    if (typeof Chart !== 'undefined') return Promise.resolve();
+    if (!chartJsLoading) {
+        chartJsLoading = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = CHART_JS_URL;
+            script.onload = resolve;
+            script.onerror = () => {
+                chartJsLoading = null;
+                reject(new Error('Chart.js could not be loaded'));
+            };
+            document.head.appendChild(script);
         });
+    }
+    return chartJsLoading;
+}
+
+function ensurePortfolioScreen() {
+    const screen = ensurePanel('portfolio-screen', 'profiles-screen', 'hidden min-h-screen px-8 py-10 max-w-7xl mx-auto');
+    if (screen.childElementCount > 0) return screen;
+    
+    const chartCard = (id, title, hint) => `
+        <div class="glass-card rounded-2xl p-6 border border-slate-200">
+            <div class="flex items-baseline justify-between mb-4">
+                <h3 class="font-semibold text-slate-900">${title}</h3>
+                <span class="text-xs text-slate-400">${hint}</span>
+            </div>
+            <div class="relative h-64"><canvas id="${id}"></canvas></div>
+        </div>
+    `;
+    
+    screen.innerHTML = `
+        <div class="flex items-center justify-between mb-8">
+            <div>
+                <h2 class="text-2xl font-bold text-slate-900">${t('profiles.portfolio')}</h2>
+                <p class="text-sm text-slate-500">${t('portfolio.subtitle')}</p>
+            </div>
+            <button onclick="hidePortfolioScreen()" class="px-4 py-2 rounded-lg border border-slate-200 text-sm font-semibold text-slate-600 hover:bg-slate-100">${t('portfolio.back')}</button>
+        </div>
+        <div id="portfolio-tiles" class="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6"></div>
+        <p id="portfolio-status" class="text-sm text-slate-500 mb-6"></p>
+        <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            ${chartCard('portfolio-grade-chart', t('portfolio.grades'), t('portfolio.clickGrade'))}
+            ${chartCard('portfolio-completeness-chart', t('portfolio.completeness'), t('portfolio.clickBand'))}
+            ${chartCard('portfolio-county-chart', t('portfolio.byCounty'), t('portfolio.totalAverage'))}
+            ${chartCard('portfolio-species-chart', t('portfolio.bySpecies'), t('portfolio.totalAverage'))}
+        </div>
+        <div class="mt-6">
+            ${chartCard('portfolio-created-chart', t('portfolio.created'), t('portfolio.clickMonth'))}
+        </div>
+    `;
+    return screen;
+}
+
+async function showPortfolioScreen() {
+    if (!(await unlockProfiles())) return;
+    ['welcome-screen', 'workspace-screen', 'analysis-screen', 'success-screen', 'thinking-screen', 'profiles-screen'].forEach(id => {
+        document.getElementById(id).classList.add('hidden');
     });
+    ensurePortfolioScreen().classList.remove('hidden');
+    history.replaceState(null, '', `${location.pathname}?view=portfolio`);
+    renderPortfolio();
+}
 
-    return insights;
+function hidePortfolioScreen() {
+    showProfilesScreen();
 }
 
-function startNewProfile() {
-    formData = {};
-    uploads = { id: [], bank: [], herd: [], health: [] };
-    selectedModules = ['asset', 'risk', 'financial'];
-    currentProfile = null;
+// Open the profiles list with one dashboard segment applied as a filter
+function drillDownProfiles(filters) {
+    profileFilters = { ...PROFILE_FILTER_DEFAULTS, ...filters };
+    showProfilesScreen();
+}
+
+async function renderPortfolio() {
+    const profiles = await profileManager.list();
+    const summary = portfolioAnalytics.summarize(profiles);
+    const millions = value => i18n.formatMillions(value);
     
-    Object.keys(fieldMapping).forEach(fieldId => {
-        const element = document.getElementById(fieldId);
-        if (element) element.value = '';
-    });
+    document.getElementById('portfolio-tiles').innerHTML = [
+        { label: t('portfolio.profiles'), value: i18n.formatNumber(summary.count) },
+        { label: t('portfolio.totalValuation'), value: millions(summary.totalValuation) },
+        { label: t('portfolio.averageValuation'), value: millions(summary.averageValuation) }
+    ].map(tile => `
+        <div class="glass-card rounded-2xl p-6 border border-slate-200">
+            <div class="text-xs text-slate-400 uppercase tracking-widest mb-2">${tile.label}</div>
+            <div class="text-2xl font-bold text-slate-900 mono">${tile.value}</div>
+        </div>
+    `).join('');
     
-    document.querySelectorAll('input[type="radio"]').forEach(radio => radio.checked = false);
+    const status = document.getElementById('portfolio-status');
+    status.textContent = summary.completeness.unrated > 0
+        ? t('portfolio.unrated', { count: summary.completeness.unrated })
+        : '';
     
-    ['id', 'bank', 'herd', 'health'].forEach(type => {
-        document.getElementById(`file-${type}`).value = '';
-        document.getElementById(`${type}-placeholder`).classList.remove('hidden');
-        document.getElementById(`${type}-files-list`).classList.add('hidden');
-        document.getElementById(`${type}-files-list`).innerHTML = '';
+    try {
+        await loadChartJs();
+    } catch (error) {
+        status.textContent = t('portfolio.chartsUnavailable', { error: error.message });
+        return;
+    }
+    
+    portfolioCharts.forEach(chart => chart.destroy());
+    portfolioCharts = [];
+    
+    const onBarClick = (items, toFilters) => (event, elements) => {
+        if (elements.length > 0) drillDownProfiles(toFilters(items[elements[0].index]));
+    };
+    const valuationChart = (canvasId, groups, label, toFilters) => new Chart(document.getElementById(canvasId), {
+        type: 'bar',
+        data: {
+            labels: groups.map(group => label(group.key)),
+            datasets: [
+                { label: t('portfolio.total'), data: groups.map(group => group.total), backgroundColor: '#0f172a' },
+                { label: t('portfolio.average'), data: groups.map(group => group.average), backgroundColor: '#94a3b8' }
+            ]
+        },
+        options: {
+            maintainAspectRatio: false,
+            onClick: onBarClick(groups, toFilters),
+            scales: { y: { ticks: { callback: value => `${i18n.formatNumber(value / 1000000, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}M` } } }
+        }
     });
     
-    document.getElementById('success-screen').classList.add('hidden');
-    document.getElementById('welcome-screen').classList.remove('hidden');
+    const grades = summary.grades.filter(item => item.grade !== 'Unscored' || item.count > 0);
+    portfolioCharts.push(new Chart(document.getElementById('portfolio-grade-chart'), {
+        type: 'bar',
+        data: {
+            labels: grades.map(item => item.grade === 'Unscored' ? t('portfolio.unscored') : item.grade),
+            datasets: [{ label: t('portfolio.profiles'), data: grades.map(item => item.count), backgroundColor: '#0f172a' }]
+        },
+        options: {
+            maintainAspectRatio: false,
+            plugins: { legend: { display: false } },
+            onClick: onBarClick(grades, item => item.grade === 'Unscored' ? {} : { grade: item.grade })
+        }
+    }));
     
-    setTimeout(() => lucide.createIcons(), 100);
+    portfolioCharts.push(new Chart(document.getElementById('portfolio-completeness-chart'), {
+        type: 'bar',
+        data: {
+            labels: summary.completeness.bands.map(item => `${item.band}%`),
+            datasets: [{ label: t('portfolio.profiles'), data: summary.completeness.bands.map(item => item.count), backgroundColor: '#10b981' }]
+        },
+        options: {
+            maintainAspectRatio: false,
+            plugins: { legend: { display: false } },
+            onClick: onBarClick(summary.completeness.bands, item => ({ completeness: item.band }))
+        }
+    }));
+    
+    portfolioCharts.push(valuationChart('portfolio-county-chart', summary.byCounty, countyLabel, group => ({ county: group.key })));
+    portfolioCharts.push(valuationChart('portfolio-species-chart', summary.bySpecies, key => i18n.label('species', key), group => ({ species: group.key })));
+    
+    portfolioCharts.push(new Chart(document.getElementById('portfolio-created-chart'), {
+        type: 'line',
+        data: {
+            labels: summary.createdByMonth.map(item => item.month),
+            datasets: [{ label: t('portfolio.created'), data: summary.createdByMonth.map(item => item.count), borderColor: '#0f172a', backgroundColor: '#0f172a', tension: 0.2 }]
+        },
+        options: {
+            maintainAspectRatio: false,
+            plugins: { legend: { display: false } },
+            onClick: onBarClick(summary.createdByMonth, item => {
+                const [year, month] = item.month.split('-').map(Number);
+                const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+                return { from: `${item.month}-01`, to: `${item.month}-${lastDay}` };
+            })
+        }
+    }));
 }
 
-function showProfilesScreen() {
+async function showProfilesScreen() {
+    if (!(await unlockProfiles())) return;
+    const portfolio = document.getElementById('portfolio-screen');
+    if (portfolio) portfolio.classList.add('hidden');
     document.getElementById('welcome-screen').classList.add('hidden');
     document.getElementById('workspace-screen').classList.add('hidden');
     document.getElementById('analysis-screen').classList.add('hidden');
@@ -698,19 +5720,21 @@ function showProfilesScreen() {
     document.getElementById('thinking-screen').classList.add('hidden');
     document.getElementById('profiles-screen').classList.remove('hidden');
     
+    renderProfileControls(true);
     renderProfilesList();
     setTimeout(() => lucide.createIcons(), 100);
 }
 
 function hideProfilesScreen() {
+    clearProfileFiltersFromUrl();
     document.getElementById('profiles-screen').classList.add('hidden');
     document.getElementById('welcome-screen').classList.remove('hidden');
     setTimeout(() => lucide.createIcons(), 100);
 }
 
-function renderProfilesList() {
-    const profiles = profileManager.getAllProfiles();
-    const totalCount = profileManager.getTotalCount();
+async function renderProfilesList() {
+    const profiles = await profileManager.list();
+    const totalCount = profiles.length;
     
     document.getElementById('total-profiles').textContent = totalCount;
     
@@ -720,18 +5744,32 @@ function renderProfilesList() {
     if (totalCount === 0) {
         listContainer.innerHTML = '';
         emptyContainer.classList.remove('hidden');
+        renderProfilePager(0, 1);
+        renderProfileBatchBar(0);
+        renderProfileImport();
         return;
     }
     
     emptyContainer.classList.add('hidden');
     
-    listContainer.innerHTML = profiles.map(profile => {
+    const matching = filterProfiles(profiles, profileFilters);
+    const pageCount = Math.max(1, Math.ceil(matching.length / PROFILE_PAGE_SIZE));
+    profileFilters.page = Math.min(profileFilters.page, pageCount);
+    const page = matching.slice((profileFilters.page - 1) * PROFILE_PAGE_SIZE, profileFilters.page * PROFILE_PAGE_SIZE);
+    
+    writeProfileFiltersToUrl();
+    renderProfilePager(matching.length, pageCount);
+    renderProfileBatchBar(matching.length);
+    renderProfileImport();
+    
+    if (matching.length === 0) {
+        listContainer.innerHTML = `<p class="col-span-full text-center text-sm text-slate-500 py-12">${t('profiles.noMatch')}</p>`;
+        return;
+    }
+    
+    listContainer.innerHTML = page.map(profile => {
         const date = new Date(profile.timestamp);
-        const riskBadgeClass = {
-            low: 'bg-green-100 text-green-700',
-            medium: 'bg-amber-100 text-amber-700',
-            high: 'bg-red-100 text-red-700'
-        }[profile.riskRating] || 'bg-slate-100 text-slate-700';
+        const riskBadgeClass = RISK_BADGE_CLASSES[profile.riskRating] || 'bg-slate-100 text-slate-700';
         
         const speciesIcon = {
             dairy: '🥛',
@@ -745,10 +5783,21 @@ function renderProfilesList() {
         return `
             <div class="profile-card glass-card rounded-2xl p-6 border border-slate-200 cursor-pointer group" onclick="loadProfile('${profile.id}')">
                 <div class="flex items-center justify-between mb-4">
-                    <div class="font-mono text-xs font-semibold text-slate-400 mono">${profile.id}</div>
-                    <button onclick="event.stopPropagation(); deleteProfile('${profile.id}')" class="opacity-0 group-hover:opacity-100 transition-opacity p-2 hover:bg-slate-100 rounded-lg">
-                        <i data-lucide="trash-2" class="w-4 h-4 text-slate-400"></i>
-                    </button>
+                    <label onclick="event.stopPropagation()" class="flex items-center gap-2 font-mono text-xs font-semibold text-slate-400 mono">
+                        <input type="checkbox" ${selectedProfileIds.has(profile.id) ? 'checked' : ''} onchange="toggleProfileSelection('${profile.id}', this.checked)">
+                        ${profile.id}${profile.version > 1 ? ` • v${profile.version}` : ''}
+                    </label>
+                    <div class="flex items-center">
+                        <button onclick="event.stopPropagation(); reopenProfile('${profile.id}')" title="${t('versions.rerun')}" class="opacity-0 group-hover:opacity-100 transition-opacity p-2 hover:bg-slate-100 rounded-lg">
+                            <i data-lucide="refresh-cw" class="w-4 h-4 text-slate-400"></i>
+                        </button>
+                        <button onclick="event.stopPropagation(); openReport('${profile.id}')" title="${t('profiles.openReport')}" class="opacity-0 group-hover:opacity-100 transition-opacity p-2 hover:bg-slate-100 rounded-lg">
+                            <i data-lucide="file-text" class="w-4 h-4 text-slate-400"></i>
+                        </button>
+                        <button onclick="event.stopPropagation(); deleteProfile('${profile.id}')" title="${t('profiles.delete')}" class="opacity-0 group-hover:opacity-100 transition-opacity p-2 hover:bg-slate-100 rounded-lg">
+                            <i data-lucide="trash-2" class="w-4 h-4 text-slate-400"></i>
+                        </button>
+                    </div>
                 </div>
                 
                 <div class="flex items-center gap-4 mb-4">
@@ -756,21 +5805,21 @@ function renderProfilesList() {
                         ${speciesIcon}
                     </div>
                     <div>
-                        <h3 class="font-semibold text-slate-900 mb-1">${profile.farmerName || 'Unnamed Farmer'}</h3>
-                        <p class="text-sm text-slate-500">${profile.livestock.count} ${profile.livestock.species} • ${date.toLocaleDateString()}</p>
-                        <p class="text-xs text-slate-400 mt-1">${totalFiles} documents processed</p>
+                        <h3 class="font-semibold text-slate-900 mb-1">${escapeAttribute(profile.farmerName || t('result.unknownFarmer'))}</h3>
+                        <p class="text-sm text-slate-500">${t('common.head', { count: profile.livestock.count })} • ${escapeAttribute(i18n.label('species', profile.livestock.species))} • ${i18n.formatDate(date)}</p>
+                        <p class="text-xs text-slate-400 mt-1">${t('profiles.documents', { count: totalFiles })}</p>
                     </div>
                 </div>
                 
                 <div class="flex items-center justify-between pt-4 border-t border-slate-100">
-                    <div class="text-xs text-slate-400 uppercase tracking-widest">Valuation</div>
-                    <div class="font-semibold text-slate-900 mono">KES ${(profile.valuation / 1000000).toFixed(1)}M</div>
+                    <div class="text-xs text-slate-400 uppercase tracking-widest">${t('profiles.valuation')}</div>
+                    <div class="font-semibold text-slate-900 mono">${i18n.formatMillions(profile.valuation)}</div>
                 </div>
                 
                 <div class="flex items-center justify-between pt-2">
-                    <div class="text-xs text-slate-400 uppercase tracking-widest">Risk</div>
+                    <div class="text-xs text-slate-400 uppercase tracking-widest">${t('profiles.risk')}</div>
                     <div class="px-2 py-1 rounded-full text-xs font-bold ${riskBadgeClass} risk-badge">
-                        ${profile.riskRating.toUpperCase()}
+                        ${escapeAttribute(profile.riskGrade || profile.riskRating.toUpperCase())}
                     </div>
                 </div>
             </div>
@@ -780,112 +5829,607 @@ function renderProfilesList() {
     setTimeout(() => lucide.createIcons(), 10);
 }
 
-function loadProfile(profileId) {
-    const profile = profileManager.getProfile(profileId);
+async function loadProfile(profileId, version) {
+    if (!(await unlockProfiles())) return;
+    const profile = version
+        ? await profileManager.getVersion(profileId, version)
+        : await profileManager.get(profileId);
     if (!profile) return;
     
     currentProfile = profile;
-    formData = profile.fullData || {};
+    formData = profile.intake || {};
     
+    clearProfileFiltersFromUrl();
     document.getElementById('profiles-screen').classList.add('hidden');
     document.getElementById('success-screen').classList.remove('hidden');
-    
+    renderProfileResult(profile);
+}
+
+// The success screen for a saved profile version
+function renderProfileResult(profile) {
     document.getElementById('profile-id-display').textContent = profile.id;
     document.getElementById('result-farmer-name').textContent = profile.farmerName;
-    document.getElementById('result-livestock-count').textContent = `${profile.livestock.count} Head`;
-    document.getElementById('result-livestock-type').textContent = profile.livestock.species.charAt(0).toUpperCase() + profile.livestock.species.slice(1);
-    document.getElementById('timestamp').textContent = new Date(profile.timestamp).toLocaleString();
-    document.getElementById('total-valuation').textContent = `KES ${(profile.valuation / 1000000).toFixed(1)}M`;
+    document.getElementById('result-livestock-count').textContent = t('result.head', { count: profile.livestock.count });
+    document.getElementById('result-livestock-type').textContent = i18n.label('species', profile.livestock.species);
+    document.getElementById('timestamp').textContent = i18n.formatDateTime(profile.timestamp);
+    document.getElementById('total-valuation').textContent = i18n.formatMillions(profile.valuation);
+    renderValuationDetail(profile.valuationDetail || null);
+    renderIdentityChecks(profile.identity || null);
     document.getElementById('data-points-count').textContent = profile.dataPoints;
     document.getElementById('modules-count').textContent = profile.modules.length;
-    document.getElementById('confidence-score').textContent = `${Math.min(95 + Math.random() * 5, 100).toFixed(0)}%`;
+    renderModuleResults(profile.moduleResults || null);
+    renderNarrative(profile.narrative || null);
+    renderDataGaps(profile.dataGaps || null);
+    renderVersionHistory(profile);
+    renderConfidence(profile.confidence || null);
+    renderAnalystConsensus(profile.analysts || null);
+    
+    if (profile.riskAssessment) {
+        renderRiskAssessment(profile.riskAssessment);
+    } else {
+        // Profiles saved before the scoring engine only carry the rating bucket
+        const riskBadgeClass = RISK_BADGE_CLASSES[profile.riskRating] || 'bg-slate-100 text-slate-700';
+        document.getElementById('risk-badge').className = `inline-flex items-center gap-2 px-4 py-2 ${riskBadgeClass} rounded-full text-sm font-bold`;
+        document.getElementById('risk-badge').innerHTML = `<span class="w-2 h-2 rounded-full"></span>${i18n.label('risk.rating', profile.riskRating).toUpperCase()}`;
+        renderRiskBreakdown(null);
+    }
     
-    const riskBadgeClass = {
-        low: 'bg-green-100 text-green-700',
-        medium: 'bg-amber-100 text-amber-700',
-        high: 'bg-red-100 text-red-700'
-    }[profile.riskRating] || 'bg-slate-100 text-slate-700';
+    setTimeout(() => lucide.createIcons(), 100);
+}
+
+// Reopen a saved profile in the workspace so new documents can be added and analysis re-run
+async function reopenProfile(profileId) {
+    const profile = await profileManager.get(profileId);
+    if (!profile) return;
     
-    document.getElementById('risk-badge').className = `inline-flex items-center gap-2 px-4 py-2 ${riskBadgeClass} rounded-full text-sm font-bold`;
+    clearWorkspace();
+    reopenedProfile = { id: profile.id, version: profile.version || 1 };
+    formData = { ...(profile.intake || {}) };
+    Object.entries(profile.documents || {}).forEach(([category, files]) => {
+        if (!carriedDocuments[category]) return;
+        carriedDocuments[category] = files.map(fileData => ({ ...fileData, fromVersion: fileData.fromVersion || reopenedProfile.version }));
+    });
+    herdRegister.load(profile.herd ? profile.herd.animals : []);
+    selectedModules = (profile.modules || []).filter(id => analysisModules.get(id));
+    
+    prefillWorkspace(formData);
+    syncModuleCards();
+    Object.keys(carriedDocuments).forEach(refreshFileList);
+    
+    ['welcome-screen', 'profiles-screen', 'success-screen', 'analysis-screen'].forEach(id => {
+        document.getElementById(id).classList.add('hidden');
+    });
+    document.getElementById('workspace-screen').classList.remove('hidden');
     
+    renderHerdRegister();
+    syncHerdDerivedFields();
+    renderNarrativeSettings();
+    renderReopenedBanner();
+    calculateProgress();
     setTimeout(() => lucide.createIcons(), 100);
 }
 
-function deleteProfile(profileId) {
-    if (confirm('Delete this profile? This action cannot be undone.')) {
-        profileManager.deleteProfile(profileId);
+function prefillWorkspace(data) {
+    Object.keys(fieldMapping).forEach(fieldId => {
+        const element = document.getElementById(fieldId);
+        const value = data[fieldMapping[fieldId]];
+        if (element) element.value = value === undefined || value === null ? '' : value;
+    });
+    // Reopened and resumed values are checked straight away
+    touchedFields = new Set(VALIDATED_FIELDS.filter(fieldId => data[fieldMapping[fieldId]]));
+    renderGazetteerOptions(data.county);
+    
+    document.querySelectorAll('input[name="species"]').forEach(radio => radio.checked = radio.value === data.species);
+    document.querySelectorAll('input[name="risk"]').forEach(radio => radio.checked = radio.value === data.riskTolerance);
+    document.querySelectorAll('.variable-checkbox').forEach(checkbox => {
+        checkbox.checked = (data.variables || []).includes(checkbox.nextElementSibling.textContent);
+    });
+}
+
+function syncModuleCards() {
+    document.querySelectorAll('.module-card').forEach(card => {
+        const selected = selectedModules.includes(card.dataset.module);
+        const checkbox = card.querySelector('input[type="checkbox"]');
+        const checkmark = card.querySelector('svg');
+        if (checkbox) checkbox.checked = selected;
+        if (checkmark) checkmark.classList.toggle('hidden', !selected);
+        card.classList.toggle('selected', selected);
+    });
+}
+
+function renderReopenedBanner() {
+    const container = ensurePanel('reopened-banner', 'completion-percentage', 'text-xs text-slate-500 mt-1');
+    container.textContent = reopenedProfile
+        ? t('versions.reopened', { id: reopenedProfile.id, version: reopenedProfile.version + 1 })
+        : '';
+}
+
+async function renderVersionHistory(profile) {
+    const container = ensurePanel('version-history', 'timestamp', 'document-summary w-full text-left');
+    const versions = await profileManager.versions(profile.id);
+    const viewing = profile.version || 1;
+    const latest = versions.length ? versions[versions.length - 1].version : viewing;
+    
+    const rows = versions.slice().reverse().map(version => `
+        <div class="document-summary-item justify-between ${version.version === viewing ? 'font-semibold text-slate-900' : ''}">
+            <button onclick="loadProfile('${profile.id}', ${version.version})" class="hover:underline">v${version.version} • ${i18n.formatDate(version.timestamp)}</button>
+            <span class="mono">${version.riskAssessment ? version.riskAssessment.grade : (version.riskRating || '').toUpperCase()} • ${i18n.formatMillions(version.valuation, 2)} • ${t('versions.points', { count: version.dataPoints })}</span>
+        </div>
+    `).join('');
+    
+    const options = selected => versions.map(version => `<option value="${version.version}" ${version.version === selected ? 'selected' : ''}>v${version.version}</option>`).join('');
+    const compare = versions.length > 1 ? `
+        <div class="flex items-center gap-2 mt-3 text-xs">
+            <span>${t('versions.compare')}</span>
+            <select id="version-compare-from" onchange="renderVersionDiff('${profile.id}')" class="border border-slate-200 rounded px-1">${options(Math.max(1, viewing - 1))}</select>
+            <span>→</span>
+            <select id="version-compare-to" onchange="renderVersionDiff('${profile.id}')" class="border border-slate-200 rounded px-1">${options(viewing === 1 ? 2 : viewing)}</select>
+        </div>
+        <div id="version-diff" class="mt-2"></div>
+    ` : '';
+    
+    container.innerHTML = `
+        <h4>${t('versions.title', { version: viewing, latest: latest })}${viewing !== latest ? t('versions.older') : ''}</h4>
+        ${rows}
+        ${compare}
+        <div class="flex items-center gap-4 mt-3 text-xs font-semibold text-slate-900">
+            <button onclick="reopenProfile('${profile.id}')" class="hover:underline">${t('versions.rerun')} →</button>
+            <button onclick="exportProfile('json')" class="hover:underline">${t('export.json')}</button>
+            <button onclick="exportProfile('txt', document.getElementById('export-language').value)" class="hover:underline">${t('export.text')}</button>
+            <select id="export-language" title="${t('export.language')}" class="border border-slate-200 rounded px-1 font-normal">${i18n.options()}</select>
+        </div>
+    `;
+    
+    if (versions.length > 1) renderVersionDiff(profile.id);
+}
+
+async function renderVersionDiff(profileId) {
+    const from = parseInt(document.getElementById('version-compare-from').value);
+    const to = parseInt(document.getElementById('version-compare-to').value);
+    const [before, after] = await Promise.all([profileManager.getVersion(profileId, from), profileManager.getVersion(profileId, to)]);
+    if (!before || !after) return;
+    
+    const changes = profileManager.diff(before, after);
+    const format = value => value === null ? '—' : (typeof value === 'number' ? i18n.formatNumber(value) : value);
+    
+    document.getElementById('version-diff').innerHTML = changes.map(change => `
+        <div class="document-summary-item justify-between ${change.changed ? '' : 'text-slate-400'}">
+            <span>${change.label}</span>
+            <span class="mono">${format(change.from)} → ${format(change.to)}${change.change ? ` (${change.change > 0 ? '+' : ''}${i18n.formatNumber(change.change)})` : ''}</span>
+        </div>
+    `).join('');
+}
+
+function renderIdentityChecks(identity) {
+    const container = ensurePanel('identity-checks', 'result-farmer-name', 'text-xs mt-1');
+    
+    if (!identity || identity.checks.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    const born = identity.fields.dateOfBirth ? ` • ${t('result.born', { date: identity.fields.dateOfBirth })}` : '';
+    const idLine = identity.fields.idNumber ? `<p class="text-slate-500">${t('result.idLine', { id: identity.fields.idNumber })}${born}</p>` : '';
+    const issues = identity.mismatches.map(check => `
+        <p class="text-amber-700 font-semibold">${t(check.status === 'partial' ? 'result.idPartial' : 'result.idMismatch', {
+            field: i18n.label('result.idField', check.field),
+            extracted: escapeAttribute(check.extracted),
+            declared: escapeAttribute(check.declared)
+        })}</p>
+    `).join('');
+    
+    container.innerHTML = idLine + (issues || `<p class="text-green-700">${t('result.idMatches')}</p>`);
+}
+
+function renderValuationDetail(valuation) {
+    const container = ensurePanel('valuation-detail', 'total-valuation', 'text-xs text-slate-500 mt-1');
+    
+    if (!valuation || valuation.estimate === null) {
+        container.innerHTML = valuation ? escapeAttribute(i18n.texts(valuation, 'basis').join('; ')) : '';
+        return;
+    }
+    
+    const range = t('valuation.range', { low: i18n.formatMillions(valuation.low, 2), high: i18n.formatMillions(valuation.high, 2) });
+    const declared = valuation.declared !== null ? t('valuation.declared', { value: i18n.formatMillions(valuation.declared, 2) }) : t('valuation.noDeclared');
+    const flag = valuation.discrepancy && valuation.discrepancy.flagged
+        ? `<p class="text-amber-700 font-semibold mt-1">${escapeAttribute(i18n.text(valuation.discrepancy, 'message'))}</p>`
+        : '';
+    
+    container.innerHTML = `<p>${range} • ${declared}</p><p>${escapeAttribute(i18n.texts(valuation, 'basis')[0])}</p>${flag}`;
+}
+
+// Profiles saved before confidence was computed show no score rather than an invented one
+function renderConfidence(confidence) {
+    document.getElementById('confidence-score').textContent = confidence && confidence.score !== null ? `${confidence.score}%` : '--';
+    const container = ensurePanel('confidence-detail', 'confidence-score', 'text-xs text-slate-500 mt-1');
+    
+    if (!confidence || confidence.figures.length === 0) {
+        container.innerHTML = confidence ? i18n.text(confidence, 'method') : t('result.confidenceNone');
+        return;
+    }
+    
+    container.innerHTML = confidence.figures.map(figure => `
+        <p>${i18n.financeLabel(figure)}: ${i18n.formatCurrency(figure.value)} ± ${i18n.formatNumber(figure.error)} • ${i18n.label('quality', figure.quality)}</p>
+    `).join('') + `<p class="text-slate-400">${i18n.text(confidence, 'method')}</p>`;
+}
+
+// Consensus figures and disagreements are labelled by ANALYST_METRICS key, plus 'grade'
+function analystMetricLabel(metric, language = i18n.language) {
+    return i18n.keyedLabel(`analyst.metric.${metric.key}`, metric.label, language);
+}
+
+// Per-analyst scores with the spread of each figure; disputed figures are highlighted
+function renderAnalystConsensus(analysts) {
+    const container = ensurePanel('analyst-consensus', 'module-results', 'document-summary w-full text-left');
+    
+    if (!analysts) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+    
+    const consensus = analysts.consensus;
+    const disputed = new Set(consensus ? consensus.disagreements.map(item => item.key) : []);
+    container.classList.remove('hidden');
+    container.innerHTML = `
+        <h4>${t('result.consensus')}${consensus && consensus.consensusScore !== null ? ` • ${consensus.consensusScore}%` : ''}</h4>
+        ${consensus ? `
+            <p class="text-xs text-slate-600">${t('result.consensusGrade', { grade: consensus.grade, score: consensus.score, agreement: consensus.gradeAgreement })}</p>
+            ${consensus.metrics.filter(metric => metric.variation !== null).map(metric => `
+                <div class="document-summary-item justify-between">
+                    <span class="${disputed.has(metric.key) ? 'text-amber-700 font-semibold' : ''}">${analystMetricLabel(metric)}${disputed.has(metric.key) ? ` • ${t('result.disputed')}` : ''}</span>
+                    <span class="mono text-xs">${formatAnalystFigure(metric.min, metric.unit)} – ${formatAnalystFigure(metric.max, metric.unit)} • ±${metric.variation}%</span>
+                </div>
+            `).join('')}
+            ${disputed.has('grade') ? `<p class="text-xs text-amber-700 font-semibold">${t('result.gradesSplit', { split: Object.entries(consensus.grades).map(([grade, count]) => `${grade} × ${count}`).join(', ') })}</p>` : ''}
+        ` : `<p class="text-xs text-amber-700">${t('result.consensusNone')}</p>`}
+        ${analysts.results.map(result => `
+            <p class="text-xs ${result.status === 'completed' ? 'text-slate-500' : 'text-amber-700'}">${escapeAttribute(result.name)}: ${result.status === 'completed'
+                ? `${result.score}/100 (${result.grade})${result.rationale ? ` • ${escapeAttribute(result.rationale)}` : ''}`
+                : `${i18n.label('result.status', result.status)}, ${escapeAttribute(result.error)}`}</p>
+        `).join('')}
+        ${consensus ? `<p class="text-xs text-slate-400 mt-1">${i18n.text(consensus, 'method')}</p>` : ''}
+    `;
+}
+
+const GAP_SEVERITY_CLASSES = {
+    critical: 'text-red-700 font-semibold',
+    moderate: 'text-amber-700'
+};
+
+function renderDataGaps(dataGaps) {
+    const container = ensurePanel('data-gaps', 'module-results', 'document-summary w-full text-left');
+    
+    if (!dataGaps || (dataGaps.gaps.length === 0 && dataGaps.proxies.length === 0)) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+    
+    container.classList.remove('hidden');
+    container.innerHTML = `
+        <h4>${t('result.dataGaps')}</h4>
+        ${dataGaps.gaps.map(gap => `
+            <div class="document-summary-item">
+                <span class="${GAP_SEVERITY_CLASSES[gap.severity]}">${t(gap.severity === 'critical' ? 'result.gap' : 'result.missing')}: ${escapeAttribute(i18n.text(gap, 'label'))}</span>
+                <span class="text-xs text-slate-500">${escapeAttribute(i18n.gapImpact(gap))}${gap.proxy ? ` • ${t('result.proxyUsed')}` : ''}</span>
+            </div>
+        `).join('')}
+        ${dataGaps.proxies.map(proxy => `
+            <p class="text-xs text-slate-500 mt-1">${t('result.proxy', { severity: i18n.label('severity', proxy.severity) })}: ${escapeAttribute(i18n.text(proxy, 'fills'))} = ${proxy.value} ${proxy.unit}, ${escapeAttribute(i18n.text(proxy, 'basis'))} • ${escapeAttribute(proxy.source)}, ${proxy.updatedAt}</p>
+        `).join('')}
+    `;
+}
+
+function renderNarrative(narrative) {
+    const container = ensurePanel('narrative', 'module-results', 'document-summary w-full text-left');
+    
+    if (!narrative) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+    
+    container.classList.remove('hidden');
+    const source = `${narrative.provider.model} • ${narrative.provider.baseUrl}`;
+    container.innerHTML = narrative.status === 'failed'
+        ? `<h4>${t('result.narrative')}</h4><p class="text-xs text-amber-700">${t('result.narrativeFailed', { error: escapeAttribute(narrative.error) })}</p>`
+        : `<h4>${t('result.narrative')}</h4><p class="text-sm text-slate-700 whitespace-pre-line">${escapeAttribute(narrative.text)}</p><p class="text-xs text-slate-400 mt-2">${escapeAttribute(source)}</p>`;
+}
+
+const MODULE_FINDING_CLASSES = {
+    positive: 'text-green-700',
+    info: 'text-slate-600',
+    warning: 'text-amber-700',
+    critical: 'text-red-700 font-semibold'
+};
+
+function formatModuleMetric(metric, language = i18n.language) {
+    const value = typeof metric.value === 'number' ? i18n.formatNumber(metric.value, {}, language) : metric.value;
+    if (metric.unit === 'KES') return `KES ${value}`;
+    return metric.unit ? `${value} ${metric.unit}` : `${value}`;
+}
+
+// Built-in module metrics are keyed `module.{id}.metric.{key}`; plug-in modules keep their own label
+function moduleMetricLabel(result, metric, language = i18n.language) {
+    return i18n.keyedLabel(`module.${result.id}.metric.${metric.key}`, metric.label, language);
+}
+
+function renderModuleResults(moduleResults) {
+    const container = ensurePanel('module-results', 'modules-count', 'document-summary w-full text-left');
+    const results = moduleResults ? Object.values(moduleResults) : [];
+    
+    if (results.length === 0) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+    
+    container.classList.remove('hidden');
+    container.innerHTML = results.map(result => `
+        <h4>${escapeAttribute(result.name)} • ${i18n.label('result.status', result.status)}</h4>
+        ${result.metrics.filter(metric => metric.value !== null).map(metric => `
+            <div class="document-summary-item justify-between">
+                <span>${escapeAttribute(moduleMetricLabel(result, metric))}</span>
+                <span class="mono font-semibold text-slate-900">${escapeAttribute(formatModuleMetric(metric))}</span>
+            </div>
+        `).join('')}
+        ${result.findings.map(finding => `<p class="text-xs ${MODULE_FINDING_CLASSES[finding.severity]}">${escapeAttribute(i18n.text(finding, 'message'))}</p>`).join('')}
+        ${i18n.texts(result, 'warnings').map(warning => `<p class="text-xs text-slate-400">${escapeAttribute(warning)}</p>`).join('')}
+    `).join('');
+}
+
+function renderRiskAssessment(assessment) {
+    const badge = document.getElementById('risk-badge');
+    badge.className = `inline-flex items-center gap-2 px-4 py-2 ${RISK_BADGE_CLASSES[assessment.rating]} rounded-full text-sm font-bold`;
+    badge.innerHTML = `<span class="w-2 h-2 rounded-full"></span>${i18n.riskLabel(assessment)}`;
+    renderRiskBreakdown(assessment);
+}
+
+function renderRiskBreakdown(assessment) {
+    const container = ensurePanel('risk-breakdown', 'risk-badge', 'document-summary w-full');
+    
+    if (!assessment) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+    
+    container.classList.remove('hidden');
+    container.innerHTML = `
+        <h4>${t('result.breakdown', { score: assessment.score })}</h4>
+        ${assessment.factors.map(factor => `
+            <div class="document-summary-item justify-between">
+                <span>${escapeAttribute(i18n.factorLabel(factor))} <span class="text-slate-400">— ${escapeAttribute(i18n.factorNote(factor))}</span></span>
+                <span class="mono font-semibold text-slate-900">${factor.contribution}/${factor.weight}</span>
+            </div>
+        `).join('')}
+    `;
+}
+
+async function deleteProfile(profileId) {
+    if (confirm(t('profiles.confirmDelete'))) {
+        try {
+            await profileManager.delete(profileId);
+            selectedProfileIds.delete(profileId);
+        } catch (error) {
+            console.error('Failed to delete profile:', error);
+            alert(t('profiles.deleteFailed', { error: error.message }));
+        }
+        renderProfilesList();
+    }
+}
+
+// Language (header): the choice is kept for the next visit and shared with the report page
+function renderLanguageSwitcher() {
+    const container = ensurePanel('language-switcher', 'profiles-btn', 'flex items-center', 'beforebegin');
+    container.innerHTML = `
+        <select id="language-select" onchange="setLanguage(this.value)" aria-label="${t('language.label')}" class="border border-slate-200 rounded-lg px-2 py-1 text-xs font-semibold text-slate-600 bg-white">
+            ${i18n.options()}
+        </select>
+    `;
+}
+
+// Text already on screen is redrawn; everything else picks the language up on its next render
+function setLanguage(language) {
+    i18n.setLanguage(language);
+    i18n.apply();
+    renderLanguageSwitcher();
+    renderDraftList();
+    renderHerdRegisterSummary();
+    const visible = id => !document.getElementById(id).classList.contains('hidden');
+    if (visible('workspace-screen')) {
+        Object.keys(uploads).forEach(refreshFileList);
+        renderHerdRegister();
+        renderPriceTableEditor();
+        renderNarrativeSettings();
+        renderAnalystSettings();
+        renderReopenedBanner();
+        calculateProgress();
+    }
+    if (visible('profiles-screen')) {
+        renderProfileControls(true);
         renderProfilesList();
     }
+    // The portfolio screen is built once, so it is rebuilt in the new language
+    const portfolio = document.getElementById('portfolio-screen');
+    if (portfolio) {
+        const showing = !portfolio.classList.contains('hidden');
+        portfolio.remove();
+        if (showing) {
+            ensurePortfolioScreen().classList.remove('hidden');
+            renderPortfolio();
+        }
+    }
+    if (currentProfile && visible('success-screen')) renderProfileResult(currentProfile);
 }
 
-function exportProfile() {
+// The report page (index.html) renders any stored profile by ID
+function openReport(profileId) {
+    const id = profileId || (currentProfile && currentProfile.id);
+    if (!id) return;
+    // From the profile view, open the version on screen rather than the latest
+    const version = !profileId && currentProfile.version ? `&version=${currentProfile.version}` : '';
+    window.open(`index.html?profile=${encodeURIComponent(id)}${version}`, '_blank');
+}
+
+async function exportProfile(format = 'json', language = i18n.language) {
     if (!currentProfile) return;
     
-    const report = `
-PROJECT CERES - FARMER INTELLIGENCE REPORT
+    if (format === 'txt') {
+        downloadFile(`${currentProfile.id}.txt`, profileSummaryText(currentProfile, language), 'text/plain');
+        return;
+    }
+    
+    const versions = await profileManager.versions(currentProfile.id);
+    const latest = await profileManager.get(currentProfile.id);
+    downloadFile(`${currentProfile.id}.json`, profileTransfer.toJSON([{ profile: latest || currentProfile, versions }]), 'application/json');
+}
+
+function formatAnalystFigure(value, unit, language = i18n.language) {
+    if (value === null || value === undefined) return t('summary.notAvailable', {}, language);
+    return unit === 'KES' ? i18n.formatCurrency(value, language) : `${value}${unit}`;
+}
+
+function formatFinancialMetric(metric, language = i18n.language) {
+    if (metric.value === null) return '--';
+    const value = i18n.formatNumber(metric.value, {}, language);
+    return metric.unit === 'KES' ? `KES ${value}` : `${value} ${metric.unit}`;
+}
+
+// Plain-text summary of one profile version for printing or email
+function profileSummaryText(profile, language = i18n.language) {
+    const intake = profile.intake || {};
+    const L = (key, params = {}) => t(key, params, language);
+    const num = value => i18n.formatNumber(value, {}, language);
+    const heading = title => `${title}\n${'-'.repeat(title.length)}`;
+    const na = L('summary.notAvailable');
+    // English keeps the stored codes (species, severity, valuation method) so earlier exports still verify
+    const term = (group, value) => language === DEFAULT_LANGUAGE ? value : i18n.label(group, value, language);
+    const valuationMethod = method => language === DEFAULT_LANGUAGE
+        ? method
+        : L(method === 'roster' ? 'report.valuationPerAnimal' : 'report.valuationTypical');
+    
+    return `
+${L('summary.title')}
 ===========================================
 
-Profile ID: ${currentProfile.id}
-Generated: ${new Date(currentProfile.timestamp).toLocaleString()}
-
-FARMER DETAILS
---------------
-Name: ${currentProfile.farmerName}
-Contact: ${formData.phone || 'N/A'}
-Location: ${formData.county || 'N/A'}, ${formData.ward || 'N/A'}
-Bank: ${formData.bank || 'N/A'}
-Account Type: ${formData.accountType || 'N/A'}
-
-LIVESTOCK ASSETS
-----------------
-Species: ${currentProfile.livestock.species}
-Head Count: ${currentProfile.livestock.count}
-Primary Breed: ${formData.breed || 'N/A'}
-Estimated Value: KES ${currentProfile.valuation.toLocaleString()}
-
-ANALYSIS SUMMARY
-----------------
-Risk Rating: ${currentProfile.riskRating.toUpperCase()}
-Data Points: ${currentProfile.dataPoints}
-AI Modules: ${currentProfile.modules.join(', ').toUpperCase()}
-Confidence: ${Math.min(95 + Math.random() * 5, 100).toFixed(0)}%
-Use Case: ${currentProfile.useCase || 'N/A'}
-
-DOCUMENTS PROCESSED
--------------------
-${Object.entries(currentProfile.documents || {}).map(([category, files]) => {
-    return `${category.toUpperCase()}: ${files.filter(f => f.parsed).length}/${files.length} files parsed successfully`;
+${L('summary.profileId')}: ${profile.id}
+${L('summary.version')}: ${profile.version || 1}
+${L('summary.contentHash')}: ${profile.contentHash || L('summary.notRecorded')}
+${L('summary.generated')}: ${i18n.formatDateTime(profile.timestamp, language)}
+
+${heading(L('summary.farmerDetails'))}
+${L('summary.name')}: ${profile.farmerName}
+${L('summary.nationalId')}: ${(profile.identity && profile.identity.fields.idNumber) || intake.idNumber || na}${profile.identity && profile.identity.mismatches.length > 0 ? `
+${L('summary.idMismatches')}: ${profile.identity.mismatches.map(m => L('summary.idMismatch', m)).join('; ')}` : ''}
+${L('summary.contact')}: ${intake.phone || na}
+${L('summary.location')}: ${intake.county || na}, ${intake.ward || na}
+${L('summary.bank')}: ${intake.bank || na}
+${L('summary.accountType')}: ${intake.accountType || na}
+
+${heading(L('summary.livestockAssets'))}
+${L('summary.species')}: ${term('species', profile.livestock.species)}
+${L('summary.headCount')}: ${profile.livestock.count}
+${L('summary.primaryBreed')}: ${intake.breed || na}
+${L('summary.registeredAnimals')}: ${profile.herd ? profile.herd.animals.length : 0}
+${L('summary.estimatedValue')}: KES ${num(profile.valuation)}${profile.valuationDetail && profile.valuationDetail.estimate !== null ? ` (${L('summary.valueRange', { low: `KES ${num(profile.valuationDetail.low)}`, high: `KES ${num(profile.valuationDetail.high)}`, method: valuationMethod(profile.valuationDetail.method) })})` : ''}
+${L('summary.declaredValue')}: ${profile.declaredValue !== null && profile.declaredValue !== undefined ? `KES ${num(profile.declaredValue)}` : na}${profile.valuationDetail && profile.valuationDetail.discrepancy && profile.valuationDetail.discrepancy.flagged ? ` (${i18n.text(profile.valuationDetail.discrepancy, 'message', language)})` : ''}
+
+${heading(L('summary.analysisSummary'))}
+${L('summary.riskRating')}: ${profile.riskAssessment ? i18n.riskLabel(profile.riskAssessment, language) : term('risk.rating', profile.riskRating).toUpperCase()}
+${L('summary.dataPoints')}: ${profile.dataPoints}${profile.dataQuality ? `/${profile.dataQuality.totalPoints} (${L('summary.dataQuality', { percentage: profile.dataQuality.percentage, rubric: rubricLabel(profile.dataQuality.useCase, profile.dataQuality.rubricLabel, language) })})` : ''}
+${L('summary.confidence')}: ${profile.confidence && profile.confidence.score !== null ? `${profile.confidence.score}% (${i18n.text(profile.confidence, 'method', language)})` : na}
+${L('summary.modules')}: ${profile.modules.join(', ').toUpperCase()}
+${L('summary.useCase')}: ${profile.useCase || na}
+
+${profile.riskAssessment ? `${L('summary.riskBreakdown')} (${profile.riskAssessment.model})
+${'-'.repeat(L('summary.riskBreakdown').length)}
+${L('summary.totalScore')}: ${profile.riskAssessment.score}/100 (${L('summary.grade', { grade: profile.riskAssessment.grade })})
+${profile.riskAssessment.factors.map(f => `${i18n.factorLabel(f, language)}: ${f.contribution}/${f.weight} (${i18n.factorNote(f, language)})`).join('\n')}
+
+` : ''}${profile.financialMetrics ? `${heading(L('summary.cashFlow'))}
+${profile.financialMetrics.metrics.map(metric => metric.status === 'calculated'
+    ? `${i18n.financeLabel(metric, language)}: ${formatFinancialMetric(metric, language)}${metric.error ? ` ± ${formatFinancialMetric({ ...metric, value: metric.error }, language)}` : ''}${metric.quality ? ` (${i18n.label('quality', metric.quality, language)})` : ''}\n  ${i18n.financeFormula(metric, language)}\n  ${metric.inputs.map(input => `${i18n.financeLabel(input, language)}: ${formatFinancialMetric(input, language)}`).join('; ')}`
+    : `${i18n.financeLabel(metric, language)}: ${L('summary.notCalculated', { reason: i18n.text(metric, 'reason', language) })}`).join('\n')}
+
+` : ''}${profile.dataGaps && (profile.dataGaps.gaps.length > 0 || profile.dataGaps.proxies.length > 0) ? `${heading(L('summary.dataGaps'))}
+${[
+    ...profile.dataGaps.gaps.map(gap => `[${term('severity', gap.severity).toLowerCase()}] ${i18n.text(gap, 'label', language)}: ${i18n.gapImpact(gap, language)}`),
+    ...profile.dataGaps.proxies.map(proxy => `[${L('summary.proxy')}, ${term('severity', proxy.severity).toLowerCase()}] ${i18n.text(proxy, 'fills', language)}: ${proxy.value} ${proxy.unit} (${i18n.text(proxy, 'basis', language)}; ${proxy.source}, ${proxy.updatedAt})`)
+].join('\n')}
+
+` : ''}${profile.analysts ? `${heading(L('summary.consensusTitle'))}
+${[
+    ...(profile.analysts.consensus ? [
+        `${L('summary.consensus')}: ${profile.analysts.consensus.consensusScore !== null ? `${profile.analysts.consensus.consensusScore}%` : na} (${i18n.text(profile.analysts.consensus, 'method', language)})`,
+        `${L('summary.consensusGrade')}: ${L('summary.consensusGradeDetail', { label: i18n.riskLabel(profile.analysts.consensus, language), score: profile.analysts.consensus.score, agreement: profile.analysts.consensus.gradeAgreement })}`,
+        ...profile.analysts.consensus.metrics.filter(metric => metric.variation !== null).map(metric => `${analystMetricLabel(metric, language)}: ${L('summary.consensusMetric', {
+            mean: formatAnalystFigure(metric.mean, metric.unit, language),
+            min: formatAnalystFigure(metric.min, metric.unit, language),
+            max: formatAnalystFigure(metric.max, metric.unit, language),
+            variation: metric.variation
+        })}${metric.disagreement ? ` [${L('summary.disagreement')}]` : ''}`)
+    ] : [`${L('summary.consensus')}: ${L('summary.consensusNone')}`]),
+    ...profile.analysts.results.map(result => result.status === 'completed'
+        ? `${result.name}: ${result.score}/100 (${L('summary.grade', { grade: result.grade })})${ANALYST_METRICS.slice(1).map(metric => result.metrics[metric.key] !== null ? `, ${analystMetricLabel(metric, language).toLowerCase()} ${formatAnalystFigure(result.metrics[metric.key], metric.unit, language)}` : '').join('')}${result.rationale ? ` - ${result.rationale}` : ''}`
+        : `${result.name}: ${result.status} (${result.error})`)
+].join('\n')}
+
+` : ''}${profile.narrative && profile.narrative.status === 'completed' ? `${L('summary.narrative')} (${profile.narrative.provider.model})
+${'-'.repeat(L('summary.narrative').length)}
+${profile.narrative.text.trim()}
+
+` : ''}${Object.values(profile.moduleResults || {}).map(result => `${result.name.toUpperCase()} (${result.status})
+${'-'.repeat(result.name.length + result.status.length + 3)}
+${[
+    ...result.metrics.filter(metric => metric.value !== null).map(metric => `${moduleMetricLabel(result, metric, language)}: ${formatModuleMetric(metric, language)}`),
+    ...result.findings.map(finding => `[${finding.severity}] ${i18n.text(finding, 'message', language)}`),
+    ...i18n.texts(result, 'warnings', language).map(warning => `${L('summary.note')}: ${warning}`)
+].join('\n')}
+
+`).join('')}${heading(L('summary.documents'))}
+${Object.entries(profile.documents || {}).map(([category, files]) => {
+    return `${i18n.label('category', category, language).toUpperCase()}: ${L('summary.documentsParsed', { parsed: files.filter(f => f.parsed).length, total: files.length })}`;
 }).join('\n')}
 
-EXTRACTED INSIGHTS
-------------------
-Total Files: ${currentProfile.extractedInsights?.totalFiles || 0}
-Data Points Extracted: ${currentProfile.extractedInsights?.dataPointsExtracted || 0}
-Financial Mentions: ${(currentProfile.extractedInsights?.financialMentions || []).join(', ')}
+${heading(L('summary.insights'))}
+${L('summary.totalFiles')}: ${profile.extractedInsights?.totalFiles || 0}
+${L('summary.dataPointsExtracted')}: ${profile.extractedInsights?.dataPointsExtracted || 0}
+${L('summary.transactionsExtracted')}: ${profile.extractedInsights?.transactionsExtracted || 0}
+${L('summary.financialMentions')}: ${(profile.extractedInsights?.financialMentions || []).join(', ')}
+`;
+}
 
-This is a simulated export for demonstration purposes.
-    `;
-    
-    const blob = new Blob([report], { type: 'text/plain' });
+function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type: type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `${currentProfile.id}.txt`;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
 }
 
-function resetSystem() {
-    if (confirm('Return to home screen? All current data will be lost.')) {
+// The intake is kept as a draft, so nothing is lost by going home
+async function resetSystem() {
+    if (confirm(t('intake.confirmHome'))) {
+        await saveDraftNow();
+        draftManager.close();
         formData = {};
         uploads = { id: [], bank: [], herd: [], health: [] };
-        selectedModules = ['asset', 'risk', 'financial'];
+        selectedModules = analysisModules.defaultSelection();
         currentProfile = null;
+        reopenedProfile = null;
+        carriedDocuments = { id: [], bank: [], herd: [], health: [] };
+        herdRegister.clear();
+        pendingHerdImport = null;
         
         document.getElementById('workspace-screen').classList.add('hidden');
         document.getElementById('welcome-screen').classList.remove('hidden');
+        renderDraftList();
         
         setTimeout(() => lucide.createIcons(), 100);
     }
@@ -893,9 +6437,29 @@ function resetSystem() {
 
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', function() {
-    if (profileManager.getTotalCount() > 0) {
-        document.getElementById('profiles-btn').classList.remove('hidden');
-    }
+    profileManager.ready.then(() => {
+        if (profileManager.isLocked() || profileManager.getTotalCount() > 0) {
+            document.getElementById('profiles-btn').classList.remove('hidden');
+        }
+        ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, resetLockTimer, { passive: true }));
+        resetLockTimer();
+        renderDraftList();
+        // Bookmarked profile searches open straight onto the filtered list
+        const view = new URLSearchParams(location.search).get('view');
+        if (view === 'profiles') {
+            profileFilters = readProfileFiltersFromUrl();
+            showProfilesScreen();
+        } else if (view === 'portfolio') {
+            showPortfolioScreen();
+        }
+    });
+    
+    i18n.apply();
+    renderLanguageSwitcher();
+    renderModuleCards();
+    selectedModules = analysisModules.defaultSelection();
+    ensureIdNumberField();
+    renderGazetteerOptions('');
     
     document.querySelectorAll('.module-card').forEach(card => {
         const module = card.dataset.module;
@@ -909,22 +6473,83 @@ document.addEventListener('DOMContentLoaded', function() {
     document.querySelectorAll('input, select, textarea').forEach(element => {
         element.addEventListener('input', calculateProgress);
         element.addEventListener('change', calculateProgress);
+        element.addEventListener('input', scheduleDraftSave);
+    });
+    
+    VALIDATED_FIELDS.forEach(fieldId => {
+        const element = document.getElementById(fieldId);
+        if (element) element.addEventListener('change', () => validateField(fieldId));
+    });
+    
+    // A refresh or closed tab writes out the last unsaved edit straight away
+    window.addEventListener('pagehide', () => {
+        if (draftManager.scheduled) saveDraftNow();
     });
 });
 
 // Expose global functions
 window.initializeSystem = initializeSystem;
+window.setLanguage = setLanguage;
 window.handleUpload = handleUpload;
 window.removeFile = removeFile;
 window.calculateProgress = calculateProgress;
+window.setHerdColumnMapping = setHerdColumnMapping;
+window.confirmHerdImport = confirmHerdImport;
+window.cancelHerdImport = cancelHerdImport;
+window.addHerdAnimal = addHerdAnimal;
+window.updateHerdAnimal = updateHerdAnimal;
+window.removeHerdAnimal = removeHerdAnimal;
+window.togglePriceTableEditor = togglePriceTableEditor;
+window.updatePrice = updatePrice;
+window.addPriceTableBreed = addPriceTableBreed;
+window.updateCountyFactor = updateCountyFactor;
+window.addCountyFactor = addCountyFactor;
+window.resetPriceTable = resetPriceTable;
+window.updateNarrativeSettings = updateNarrativeSettings;
+window.updateAnalyst = updateAnalyst;
+window.updateAnalystWeight = updateAnalystWeight;
+window.updateAnalystPolicy = updateAnalystPolicy;
+window.addAnalyst = addAnalyst;
+window.removeAnalyst = removeAnalyst;
+window.resetAnalysts = resetAnalysts;
 window.proceedToAnalysis = proceedToAnalysis;
 window.toggleModule = toggleModule;
 window.backToWorkspace = backToWorkspace;
 window.generateIntelligence = generateIntelligence;
+window.cancelAnalysis = cancelAnalysis;
 window.startNewProfile = startNewProfile;
 window.showProfilesScreen = showProfilesScreen;
+window.submitUnlock = submitUnlock;
+window.cancelUnlock = cancelUnlock;
+window.lockProfiles = lockProfiles;
+window.toggleSecurityPanel = toggleSecurityPanel;
+window.setLockAfterMinutes = setLockAfterMinutes;
+window.submitPassphraseChange = submitPassphraseChange;
+window.disableEncryption = disableEncryption;
 window.hideProfilesScreen = hideProfilesScreen;
 window.loadProfile = loadProfile;
+window.reopenProfile = reopenProfile;
+window.renderVersionDiff = renderVersionDiff;
+window.removeCarriedDocument = removeCarriedDocument;
 window.deleteProfile = deleteProfile;
+window.setProfileFilter = setProfileFilter;
+window.setProfilePage = setProfilePage;
+window.resetProfileFilters = resetProfileFilters;
+window.showPortfolioScreen = showPortfolioScreen;
+window.hidePortfolioScreen = hidePortfolioScreen;
+window.openReport = openReport;
 window.exportProfile = exportProfile;
+window.toggleProfileSelection = toggleProfileSelection;
+window.selectMatchingProfiles = selectMatchingProfiles;
+window.exportSelectedProfiles = exportSelectedProfiles;
+window.prepareProfileImport = prepareProfileImport;
+window.setImportResolution = setImportResolution;
+window.confirmProfileImport = confirmProfileImport;
+window.cancelProfileImport = cancelProfileImport;
+window.verifyReportFile = verifyReportFile;
 window.resetSystem = resetSystem;
+window.resumeDraft = resumeDraft;
+window.discardDraft = discardDraft;
+window.renderDraftList = renderDraftList;
+window.unlockProfiles = unlockProfiles;
+window.analysisModules = analysisModules;
@@ -0,0 +1,30 @@
+// document-worker.js - parses one uploaded file at a time for DocumentWorkerPool
+// Messages in:  { taskId, file, category }
+// Messages out: { type: 'ready' } once the scripts have loaded
+//               { type: 'progress', taskId, page, pageCount }
+//               { type: 'done', taskId, content } | { type: 'error', taskId, message }
+
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
+    // Loading the pdf.js worker code here lets pdf.js parse in this thread instead of nesting another worker
+    'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/PapaParse/5.4.1/papaparse.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js',
+    'document-parsers.js'
+);
+
+// Assigned after importScripts: PapaParse installs its own onmessage when it loads inside a worker
+self.onmessage = async (event) => {
+    const { taskId, file, category } = event.data;
+
+    try {
+        const content = await documentProcessor.extractContent(file, category, progress => {
+            self.postMessage({ type: 'progress', taskId, ...progress });
+        });
+        self.postMessage({ type: 'done', taskId, content });
+    } catch (error) {
+        self.postMessage({ type: 'error', taskId, message: error.message || String(error) });
+    }
+};
+
+self.postMessage({ type: 'ready' });
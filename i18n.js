@@ -0,0 +1,1585 @@
+// i18n.js - Message catalogues and locale-aware formatting
+// Shared by the intake app and the report page; load it before app.js and report.js.
+
+const LANGUAGE_KEY = 'ceres_language';
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGES = {
+    en: { label: 'English', locale: 'en-KE' },
+    sw: { label: 'Kiswahili', locale: 'sw-KE' }
+};
+
+// Messages take {name} placeholders. A message with `one`/`other` forms is picked by the
+// `count` parameter. Keys missing from a catalogue fall back to English.
+const MESSAGES = {
+    en: {
+        'language.label': 'Language',
+
+        // Intake start-up and analysis progress
+        'loading.modules': 'Loading modules...',
+        'loading.sensors': 'Calibrating sensors...',
+        'loading.ready': 'System ready',
+        'thinking.processing': 'Processing documents...',
+        'thinking.files': { one: '{count} file to analyze', other: '{count} files to analyze' },
+        'thinking.page': '{file}: page {page} of {pageCount}',
+        'thinking.pageShort': 'p. {page}/{pageCount}',
+        'thinking.processed': 'Processed {completed} of {total} documents...',
+        'thinking.insights': 'Generating insights...',
+        'thinking.analyst': 'Running analyst: {name}...',
+        'thinking.narrative': 'Writing narrative with {model}...',
+        'thinking.narrativeFailed': 'Narrative unavailable: {error}',
+        'thinking.failed': 'The analysis stopped: {error}. The intake is kept; check it and try again.',
+        'action.cancel': 'Cancel',
+        'action.resume': 'Resume',
+        'action.discard': 'Discard',
+        'action.unlock': 'Unlock',
+        'action.resetDefaults': 'Reset defaults',
+        'action.dismiss': 'Dismiss',
+
+        // Shared labels
+        'species.dairy': 'Dairy Cattle',
+        'species.beef': 'Beef Cattle',
+        'species.goats': 'Goats',
+        'species.sheep': 'Sheep',
+        'species.mixed': 'Mixed Livestock',
+        'risk.grade.AA': 'Low Risk',
+        'risk.grade.A': 'Medium Risk',
+        'risk.grade.B': 'High Risk',
+        'risk.grade.C': 'High Risk',
+        'risk.grade.D': 'Very High Risk',
+        'risk.rating.low': 'Low',
+        'risk.rating.medium': 'Medium',
+        'risk.rating.high': 'High',
+        'severity.low': 'Low',
+        'severity.medium': 'Medium',
+        'severity.high': 'High',
+        'category.id': 'ID',
+        'category.bank': 'Bank',
+        'category.herd': 'Herd',
+        'category.health': 'Health',
+        'quality.exact': 'Exact',
+        'quality.document': 'Document-extracted',
+        'quality.declared': 'Self-declared',
+        'quality.proxy': 'Proxy',
+        'common.or': ' or ',
+        'common.head': { one: '{count} head', other: '{count} head' },
+        'common.years': { one: '{count} year', other: '{count} years' },
+        'common.months': { one: '{count} month', other: '{count} months' },
+
+        // Risk factors; stored notes are regenerated from these keys
+        'factor.experience': 'Farming experience',
+        'factor.land': 'Land holding',
+        'factor.livestockCount': 'Herd size',
+        'factor.herdValue': 'Herd value (collateral)',
+        'factor.accountType': 'Banking relationship',
+        'factor.riskTolerance': 'Declared risk appetite',
+        'factor.documents': 'Document evidence',
+        'factor.note.notProvided': 'Not provided',
+        'factor.note.experience': '{count} years (full marks at 15+)',
+        'factor.note.land': '{count} acres (full marks at 10+)',
+        'factor.note.herdSize': '{count} head (full marks at 40+)',
+        'factor.note.herdValue': '{amount} {source}',
+        'factor.note.noAccount': 'No account recorded',
+        'factor.note.noRiskTolerance': 'Not stated (neutral)',
+        'factor.note.documents': 'Parsed: {categories}',
+        'factor.note.noDocuments': 'No documents parsed',
+        'factor.source.computed': 'computed',
+        'factor.source.declared': 'declared',
+
+        // Intake fields and validation
+        'field.idNumber': 'National ID Number',
+        'field.land': 'Land size',
+        'field.experience': 'Years of experience',
+        'field.livestockCount': 'Herd size',
+        'field.breedingStock': 'Breeding stock',
+        'field.herdValue': 'Declared herd value',
+        'unit.acres': 'acres',
+        'unit.years': 'years',
+        'unit.head': 'head',
+        'unit.KES': 'KES',
+        'unit.bytes': 'Bytes',
+        'field.idNumberExample': 'e.g. 12345678',
+        'livestock.cattle': 'Cattle',
+        'livestock.goat': 'Goat',
+        'livestock.sheep': 'Sheep',
+        'livestock.pig': 'Pig',
+        'livestock.camel': 'Camel',
+        'livestock.poultry': 'Poultry',
+        'validate.phone': 'Enter a Kenyan mobile number, e.g. 0712 345 678 or +254 712 345 678',
+        'validate.email': 'Enter an email address such as name@example.com',
+        'validate.idNumber': 'A national ID number is 6 to 8 digits',
+        'validate.number': '{label} must be a number',
+        'validate.integer': '{label} must be a whole number',
+        'validate.range': '{label} should be between {min} and {max} {unit}',
+        'validate.breedingStock': 'Breeding stock cannot exceed the herd size of {herd}',
+        'validate.county': 'Not a Kenyan county',
+        'validate.countyCode': 'County {code}',
+        'validate.ward': 'Not a ward of {county} County',
+        'validate.pickCounty': 'Pick a county to check the ward',
+        'validate.didYouMean': '; did you mean {names}?',
+        'completeness.complete': '{rubric} rubric complete',
+        'completeness.threshold': '{percentage}% of {threshold}% minimum for {rubric}',
+        'completeness.invalid': 'Invalid',
+        'completeness.required': 'Required',
+        'completeness.optional': 'Optional',
+        'rubric.banking': 'Banking',
+        'rubric.insurance': 'Insurance',
+        'rubric.cooperative': 'Cooperative',
+        'rubric.item.name': 'Farmer name',
+        'rubric.item.id-docs': 'ID document',
+        'rubric.item.id-number': 'National ID number',
+        'rubric.item.bank-docs': 'Bank or M-Pesa statements',
+        'rubric.item.species': 'Livestock species',
+        'rubric.item.herd-docs': 'Herd records',
+        'rubric.item.health-docs': 'Health records',
+        'rubric.item.phone': 'Phone number',
+        'rubric.item.county': 'County',
+        'rubric.item.ward': 'Ward',
+        'rubric.item.land': 'Land size',
+        'rubric.item.experience': 'Years of experience',
+        'rubric.item.bank': 'Bank name',
+        'rubric.item.account-type': 'Account type',
+        'rubric.item.livestock-count': 'Herd size',
+        'rubric.item.herd-value': 'Declared herd value',
+        'rubric.item.breed': 'Primary breed',
+        'rubric.insurance.health-docs': 'Health / vet records',
+        'rubric.cooperative.herd-docs': 'Herd or delivery records',
+
+        // Workspace, drafts and results
+        'herd.empty': 'No animals registered. Add animals or upload a herd CSV/Excel sheet.',
+        'herd.summary': '{count} animals • acquisition value {value} ({valued} valued) • {breeding} breeding',
+        'herd.title': 'Herd Register',
+        'herd.mapColumns': { one: 'Map columns from {files} ({count} row)', other: 'Map columns from {files} ({count} rows)' },
+        'herd.notMapped': '— not mapped —',
+        'herd.mapTagId': 'Map a column to Tag ID before importing.',
+        'herd.import': 'Import animals',
+        'herd.skip': 'Skip',
+        'herd.editPrices': 'Edit prices',
+        'herd.add': 'Add animal',
+        'herd.derived': 'Derived from the herd register',
+        'herd.field.tagId': 'Tag ID',
+        'herd.field.species': 'Species',
+        'herd.field.breed': 'Breed',
+        'herd.field.sex': 'Sex',
+        'herd.field.birthDate': 'Birth Date',
+        'herd.field.acquisitionValue': 'Value (KES)',
+        'herd.field.healthStatus': 'Health',
+        'herd.field.lastVetVisit': 'Last Vet Visit',
+        'herd.field.milkYield': 'Milk (L/day)',
+        'herd.field.weightKg': 'Weight (kg)',
+        'health.unknown': 'unknown',
+        'health.healthy': 'healthy',
+        'health.under treatment': 'under treatment',
+        'health.sick': 'sick',
+        'upload.carried': 'From v{version} • {status}',
+        'upload.parsed': 'parsed',
+        'upload.notParsed': 'not parsed',
+        'prices.title': 'Livestock Price Table ({currency} per healthy adult)',
+        'prices.species': 'Species',
+        'prices.breed': 'Breed',
+        'prices.price': 'Price',
+        'prices.anyBreed': '(any breed)',
+        'prices.addBreed': 'Add breed',
+        'prices.countyFactors': 'County Market Factors',
+        'prices.county': 'County',
+        'prices.factor': 'Factor',
+        'prices.addFactor': 'Add factor',
+        'prices.confirmReset': 'Restore the default price table? Local price edits will be lost.',
+        'narrative.enable': 'Generate narrative with a local model',
+        'narrative.baseUrl': 'OpenAI-compatible base URL',
+        'narrative.model': 'Model',
+        'narrative.apiKey': 'API key (optional, kept until the page closes)',
+        'analysts.title': 'Analysts',
+        'analysts.hint': 'a consensus is reported when two or more are enabled',
+        'analysts.type.scorer': 'scorer',
+        'analysts.type.model': 'model',
+        'analysts.remove': 'Remove',
+        'analysts.baseUrl': 'Base URL (narrative setting if blank)',
+        'analysts.model': 'Model (narrative setting if blank)',
+        'analysts.prompt': 'Analyst prompt (default asks for a JSON score)',
+        'analysts.dtiCap': 'DTI cap %',
+        'analysts.surplusShare': 'Surplus share %',
+        'analysts.addScorer': 'Add scorer',
+        'analysts.addModel': 'Add model analyst',
+        'analysts.confirmReset': 'Restore the default analysts? Analyst edits will be lost.',
+        'draft.notSaved': 'Draft not saved: {error}',
+        'draft.waiting': 'Draft waiting for the passphrase to save',
+        'draft.saved': 'Draft saved {time}',
+        'draft.unlock': 'Unlock to see saved drafts',
+        'draft.title': 'Resume a draft',
+        'draft.unnamed': 'Unnamed farmer',
+        'draft.files': { one: '{count} file', other: '{count} files' },
+        'draft.rerun': 're-run of {id}',
+        'draft.savedAt': 'saved {date}',
+        'result.unknownFarmer': 'Unknown Farmer',
+        'result.head': '{count} Head',
+        'result.breakdown': 'Risk Score {score}/100 • Factor Breakdown',
+        'result.saveFailed': 'The profile could not be saved: {error}',
+        'result.idLine': 'ID {id}',
+        'result.born': 'Born {date}',
+        'result.idField.name': 'name',
+        'result.idField.number': 'number',
+        'result.idPartial': 'ID {field} partly matches: "{extracted}" vs "{declared}"',
+        'result.idMismatch': 'ID {field} does not match: "{extracted}" vs "{declared}"',
+        'result.idMatches': 'Name matches ID document',
+        'result.confidenceNone': 'Not computed for this profile',
+        'result.consensus': 'Analyst consensus',
+        'result.consensusGrade': 'Grade {grade} from a mean score of {score}/100 • {agreement}% agree on the grade',
+        'result.disputed': 'disputed',
+        'result.gradesSplit': 'Grades split: {split}',
+        'result.consensusNone': 'Fewer than two analysts completed, so no consensus was computed',
+        'result.dataGaps': 'Data gaps',
+        'result.gap': 'Gap',
+        'result.missing': 'Missing',
+        'result.proxyUsed': 'proxy used',
+        'result.proxy': 'Proxy ({severity})',
+
+        // Inputs the analysis modules need, as named in data gaps and missing-input warnings
+        'gap.label.species': 'Livestock species',
+        'gap.label.herd': 'Herd register',
+        'gap.label.breed': 'Primary breed',
+        'gap.label.mortality': 'Health and mortality records',
+        'gap.label.experience': 'Years farming',
+        'gap.label.land': 'Farm size',
+        'gap.label.accountType': 'Bank account type',
+        'gap.label.id': 'National ID scan',
+        'gap.label.bank': 'Bank or M-Pesa statements',
+        'gap.label.transactions': 'Readable statement transactions',
+        'gap.impact.cannotRun': '{module} cannot run',
+        'gap.impact.lessEvidence': '{module} runs with less evidence',
+        'gap.impact.asset.herd': 'Herd valued from head count and a typical animal instead of per animal',
+        'gap.impact.asset.breed': 'Animals priced at the species default',
+        'gap.impact.asset.mortality': 'Expected mortality loss cannot be measured for this herd',
+        'gap.impact.risk.experience': 'Experience factor scores zero',
+        'gap.impact.risk.land': 'Land holding factor scores zero',
+        'gap.impact.risk.accountType': 'Banking relationship factor scores zero',
+        'gap.impact.risk.id': 'Identity cannot be cross-checked against the intake',
+        'gap.impact.financial.bank': 'Cash flow, debt-to-income and affordability cannot be calculated',
+        'gap.impact.financial.transactions': 'Statements were uploaded but no transactions could be read',
+        'gap.impact.financial.land': 'Production per acre is based on a typical holding',
+        'proxy.zone.asal': 'arid/semi-arid',
+        'proxy.zone.highland': 'highland',
+        'proxy.basis.mortality': '{species}, {zone} county',
+        'proxy.basis.mortalityCounty': '{species}, {zone} county ({county})',
+        'proxy.basis.farmSize': 'Typical {zone} holding ({county})',
+
+        // Financial metrics and the inputs behind them, by key
+        'finance.metric.months': 'Months covered',
+        'finance.metric.inflow': 'Total inflows',
+        'finance.metric.outflow': 'Total outflows',
+        'finance.metric.repayments': 'Monthly debt repayments',
+        'finance.metric.land': 'Farm size',
+        'finance.metric.maxDebtToIncome': 'Debt-to-income cap',
+        'finance.metric.surplusShare': 'Share of surplus',
+        'finance.metric.monthlyIncome': 'Monthly income',
+        'finance.metric.monthlyExpenses': 'Monthly expenses',
+        'finance.metric.netCashFlow': 'Net cash flow',
+        'finance.metric.debtToIncome': 'Debt-to-income',
+        'finance.metric.productionPerAcre': 'Production per acre',
+        'finance.metric.maxInstalment': 'Maximum affordable instalment',
+        'finance.metric.valuation': 'Herd valuation',
+        'finance.formula.monthlyIncome': 'Monthly Income = Total Inflows ÷ Months Covered',
+        'finance.formula.monthlyExpenses': 'Monthly Expenses = Total Outflows ÷ Months Covered',
+        'finance.formula.netCashFlow': 'Net Cash Flow = Monthly Income − Monthly Expenses',
+        'finance.formula.debtToIncome': 'Debt-to-Income = Monthly Debt Repayments ÷ Monthly Income × 100',
+        'finance.formula.productionPerAcre': 'Production per Acre = Monthly Income × 12 ÷ Farm Size',
+        'finance.formula.maxInstalment': 'Maximum Instalment = min(Monthly Income × DTI Cap − Debt Repayments, Net Cash Flow × Share of Surplus), not below 0',
+        'finance.reason.needs': 'Needs {inputs}',
+
+        // How the confidence and analyst consensus scores were worked out
+        'confidence.method.none': 'No derived figures to assess',
+        'confidence.method': { one: '100% less the mean relative error band of {count} headline figure', other: '100% less the mean relative error band of {count} headline figures' },
+        'consensus.method': '{count} analysts; consensus = 100 × (1 − mean coefficient of variation across {compared} independently reported figures); disagreement at {threshold}%+ variation',
+        'analyst.metric.score': 'Risk score',
+        'analyst.metric.herdValue': 'Herd value',
+        'analyst.metric.maxInstalment': 'Maximum affordable instalment',
+        'analyst.metric.grade': 'Risk grade',
+        'result.narrative': 'Narrative',
+        'result.narrativeFailed': 'Not generated: {error}',
+        'result.status.completed': 'completed',
+        'result.status.skipped': 'skipped',
+        'result.status.failed': 'failed',
+
+        // Analysis module findings, warnings and metrics
+        'result.status.unavailable': 'unavailable',
+        'module.warning.notRegistered': 'Module is not registered',
+        'module.warning.missingInput': 'Missing input: {input}',
+        'module.asset.noPriceable': 'None of the registered animals could be priced',
+        'module.asset.nothingToValue': 'No animals or herd size to value',
+        'module.asset.valuedRoster': { one: 'Valued {count} registered animal', other: 'Valued {count} registered animals' },
+        'module.asset.valuedAggregate': 'Valued from declared herd size and species averages',
+        'module.asset.unhealthy': { one: '{count} animal is sick or under treatment', other: '{count} animals are sick or under treatment' },
+        'module.asset.mortalityProxy': 'Expected annual mortality loss uses the {rate}% regional proxy rate',
+        'module.asset.metric.estimate': 'Estimated herd value',
+        'module.asset.metric.low': 'Low estimate',
+        'module.asset.metric.high': 'High estimate',
+        'module.asset.metric.declared': 'Declared value',
+        'module.asset.metric.breedingStock': 'Breeding stock',
+        'module.asset.metric.expectedMortalityLoss': 'Expected annual mortality loss',
+        'module.risk.weakFactor': 'Weak {factor}: {note}',
+        'module.risk.metric.score': 'Risk score',
+        'module.risk.metric.grade': 'Grade',
+        'module.financial.noTransactions': 'No transactions could be read from the uploaded statements',
+        'module.financial.overdrafts': { one: 'Balance went negative {count} time', other: 'Balance went negative {count} times' },
+        'module.financial.negativeMonths': '{count} of {total} months had net outflow',
+        'module.financial.allPositive': { one: 'Net inflow in the {count} month', other: 'Net inflow in all {count} months' },
+        'module.financial.debtAboveCap': 'Existing loan repayments take {ratio}% of income, above the {cap}% cap',
+        'module.financial.noRoom': 'Cash flow leaves no room for a new loan instalment',
+        'module.financial.metric.months': 'Months covered',
+        'module.financial.metric.averageInflow': 'Average monthly inflow',
+        'module.financial.metric.averageOutflow': 'Average monthly outflow',
+        'module.financial.metric.averageNet': 'Average monthly net',
+        'module.financial.metric.debtToIncome': 'Debt-to-income',
+        'module.financial.metric.maxInstalment': 'Maximum affordable instalment',
+        'module.financial.metric.overdrafts': 'Overdrafts',
+        'versions.title': 'Version {version} of {latest}',
+        'versions.older': ' (older version)',
+        'versions.points': '{count} pts',
+        'versions.compare': 'Compare',
+        'versions.rerun': 'Re-run with new documents',
+        'versions.reopened': 'Re-running {id} • saves as version {version}',
+        'versions.field.riskGrade': 'Risk grade',
+        'versions.field.riskScore': 'Risk score',
+        'versions.field.valuation': 'Valuation (KES)',
+        'versions.field.dataPoints': 'Data points',
+        'versions.field.completeness': 'Completeness (%)',
+        'versions.field.livestockCount': 'Head count',
+        'versions.field.documents': 'Documents',
+        'draft.openFailed': 'The draft could not be opened: {error}',
+        'draft.missingFiles': 'These files were not saved with the draft and need uploading again: {files}',
+        'draft.confirmDiscard': 'Discard this draft and its uploaded files?',
+        'profiles.confirmDelete': 'Delete this profile? This action cannot be undone.',
+        'profiles.deleteFailed': 'The profile could not be deleted: {error}',
+        'intake.confirmHome': 'Return to home screen? This intake stays saved as a draft you can resume.',
+        'valuation.range': 'Range {low} – {high}',
+        'valuation.declared': 'Declared {value}',
+        'valuation.noDeclared': 'No declared value',
+        'valuation.basis.noPrice': 'No price for species "{species}"',
+        'valuation.basis.unspecified': 'unspecified',
+        'valuation.basis.breedPrice': '{breed} price {amount}',
+        'valuation.basis.basePrice': '{species} base price {amount}',
+        'valuation.basis.basePriceNoBreed': '{species} base price {amount} (no price for {breed})',
+        'valuation.basis.county': '{county} market ×{factor}',
+        'valuation.basis.ageUnknown': 'age unknown',
+        'valuation.basis.age': 'age {months}m ×{factor}',
+        'valuation.basis.sex': 'sex {sex} ×{factor}',
+        'valuation.basis.health': 'health {status} ×{factor}',
+        'valuation.basis.roster': '{priced} of {count} registered animals priced individually',
+        'valuation.basis.noHerd': 'No head count or herd register',
+        'valuation.basis.noSpecies': 'No single price-table species for "{species}" herds',
+        'valuation.basis.aggregate': '{count} head × typical {breed} value',
+        'valuation.discrepancy.above': 'Declared value is {percent}% above the computed estimate',
+        'valuation.discrepancy.below': 'Declared value is {percent}% below the computed estimate',
+        'valuation.discrepancy.within': 'Declared value is within the expected range',
+        'export.json': 'Export JSON',
+        'export.text': 'Text summary',
+        'export.language': 'Export language',
+
+        // Saved profiles, lock and security
+        'profiles.all': 'All',
+        'profiles.search': 'Search',
+        'profiles.searchPlaceholder': 'Name, profile ID, county or ward',
+        'profiles.risk': 'Risk',
+        'profiles.grade': 'Grade',
+        'profiles.species': 'Species',
+        'profiles.county': 'County',
+        'profiles.unknownCounty': 'Unknown',
+        'profiles.useCase': 'Use case',
+        'profiles.completeness': 'Completeness',
+        'profiles.createdFrom': 'Created from',
+        'profiles.createdTo': 'Created to',
+        'profiles.sort': 'Sort',
+        'profiles.sort.date-desc': 'Newest first',
+        'profiles.sort.date-asc': 'Oldest first',
+        'profiles.sort.valuation-desc': 'Highest valuation',
+        'profiles.sort.valuation-asc': 'Lowest valuation',
+        'profiles.sort.risk-asc': 'Lowest risk',
+        'profiles.sort.risk-desc': 'Highest risk',
+        'profiles.clear': 'Clear',
+        'profiles.security': 'Security',
+        'profiles.portfolio': 'Portfolio',
+        'lock.title': 'Profiles locked',
+        'lock.hint': 'Saved profiles on this device are encrypted. Enter the passphrase to continue.',
+        'lock.checking': 'Checking...',
+        'lock.wrongPassphrase': 'That passphrase is not correct.',
+        'security.encrypted': 'Saved profiles are encrypted on this device',
+        'security.unencrypted': 'Saved profiles are stored unencrypted',
+        'security.encryptedHint': 'The passphrase cannot be recovered. If it is lost, the profiles on this device are lost with it.',
+        'security.unencryptedHint': 'Set a passphrase of at least {length} characters to encrypt every saved profile and lock the app after inactivity.',
+        'security.current': 'Current passphrase',
+        'security.new': 'New passphrase',
+        'security.passphrase': 'Passphrase',
+        'security.confirm': 'Confirm',
+        'security.change': 'Change passphrase',
+        'security.encrypt': 'Encrypt profiles',
+        'security.lockAfter': 'Lock after',
+        'security.minutes': { one: '{count} min', other: '{count} min' },
+        'security.ofInactivity': 'of inactivity',
+        'security.lockNow': 'Lock now',
+        'security.turnOff': 'Turn off encryption',
+        'security.tooShort': 'Use at least {length} characters.',
+        'security.mismatch': 'The passphrases do not match.',
+        'security.reencrypting': 'Re-encrypting saved profiles...',
+        'security.encryptedNow': 'Profiles are now encrypted.',
+        'security.changed': 'Passphrase changed.',
+        'security.turnOffPrompt': 'Enter the current passphrase to store profiles unencrypted on this device:',
+        'security.turnedOff': 'Encryption turned off.',
+        'profiles.selected': '{count} selected',
+        'profiles.selectAll': 'Select all {count} matching',
+        'profiles.clearSelection': 'Clear selection',
+        'profiles.exportCsv': 'Export CSV',
+        'profiles.importJson': 'Import JSON',
+        'profiles.verifyReport': 'Verify report',
+        'profiles.showing': 'Showing {start}–{end} of {count} matching',
+        'profiles.previous': 'Previous',
+        'profiles.next': 'Next',
+        'profiles.page': 'Page {page} of {pageCount}',
+        'verify.verifying': 'Verifying {file}...',
+        'verify.title': 'Verification • {file}',
+        'verify.verified.label': 'Verified',
+        'verify.verified.message': 'Matches the stored profile, unaltered',
+        'verify.metadata-match.label': 'Metadata matches',
+        'verify.metadata-match.message': 'The PDF properties match the stored profile; the page text is not checked, so edits to it would not show here',
+        'verify.altered.label': 'Altered',
+        'verify.altered.message': 'Does not match the stored profile',
+        'verify.store-altered.label': 'Stored copy altered',
+        'verify.store-altered.message': 'The profile saved on this device no longer matches its own hash',
+        'verify.invalid-id.label': 'Invalid ID',
+        'verify.invalid-id.message': 'The profile ID fails its check character; it was mistyped or edited',
+        'verify.not-found.label': 'Not found',
+        'verify.not-found.message': 'No profile with this ID and version is saved on this device',
+        'verify.unhashed.label': 'Cannot verify',
+        'verify.unhashed.message': 'Saved before content hashes were recorded',
+        'verify.unreadable.label': 'Unreadable',
+        'verify.unreadable.message': 'No CERES profile ID could be found in this file',
+        'import.title': 'Import {file}',
+        'import.counts': '{valid} valid, {rejected} rejected',
+        'import.collisions': '{count} already on this device',
+        'import.allExisting': 'All existing:',
+        'import.skip': 'Skip',
+        'import.overwrite': 'Overwrite',
+        'import.keep-both': 'Keep both',
+        'import.unnamed': 'Unnamed',
+        'import.versions': { one: '{count} version', other: '{count} versions' },
+        'import.altered': 'altered since export',
+        'import.new': 'New',
+        'import.rejectedEntry': 'Entry {index}{id} rejected: {errors}',
+        'import.confirm': 'Import',
+        'import.failed': '{id} could not be imported: {error}',
+        'portfolio.subtitle': 'All saved profiles, latest analysis of each',
+        'portfolio.back': 'Back to profiles',
+        'portfolio.grades': 'Risk grade distribution',
+        'portfolio.clickGrade': 'Click a grade',
+        'portfolio.completeness': 'Data completeness',
+        'portfolio.clickBand': 'Click a band',
+        'portfolio.byCounty': 'Herd valuation by county',
+        'portfolio.bySpecies': 'Herd valuation by species',
+        'portfolio.totalAverage': 'Total and average, KES',
+        'portfolio.created': 'Profiles created per month',
+        'portfolio.clickMonth': 'Click a month',
+        'portfolio.profiles': 'Profiles',
+        'portfolio.totalValuation': 'Total herd valuation',
+        'portfolio.averageValuation': 'Average per profile',
+        'portfolio.unrated': { one: '{count} profile predates completeness scoring and is left out of that chart.', other: '{count} profiles predate completeness scoring and are left out of that chart.' },
+        'portfolio.chartsUnavailable': '{error}; charts are unavailable offline.',
+        'portfolio.total': 'Total',
+        'portfolio.average': 'Average',
+        'portfolio.unscored': 'Unscored',
+        'profiles.noMatch': 'No profiles match these filters.',
+        'profiles.openReport': 'Open report',
+        'profiles.delete': 'Delete profile',
+        'profiles.documents': { one: '{count} document processed', other: '{count} documents processed' },
+        'profiles.valuation': 'Valuation',
+
+        // Plain-text profile summary. English output must stay as it was so earlier exports still verify.
+        'summary.title': 'PROJECT CERES - FARMER INTELLIGENCE REPORT',
+        'summary.profileId': 'Profile ID',
+        'summary.version': 'Version',
+        'summary.contentHash': 'Content hash',
+        'summary.notRecorded': 'not recorded',
+        'summary.generated': 'Generated',
+        'summary.notAvailable': 'N/A',
+        'summary.farmerDetails': 'FARMER DETAILS',
+        'summary.name': 'Name',
+        'summary.nationalId': 'National ID',
+        'summary.idMismatches': 'ID Mismatches',
+        'summary.idMismatch': '{field} (ID: {extracted}, declared: {declared})',
+        'summary.contact': 'Contact',
+        'summary.location': 'Location',
+        'summary.bank': 'Bank',
+        'summary.accountType': 'Account Type',
+        'summary.livestockAssets': 'LIVESTOCK ASSETS',
+        'summary.species': 'Species',
+        'summary.headCount': 'Head Count',
+        'summary.primaryBreed': 'Primary Breed',
+        'summary.registeredAnimals': 'Registered Animals',
+        'summary.estimatedValue': 'Estimated Value',
+        'summary.valueRange': 'range {low} – {high}, {method}',
+        'summary.declaredValue': 'Declared Value',
+        'summary.analysisSummary': 'ANALYSIS SUMMARY',
+        'summary.riskRating': 'Risk Rating',
+        'summary.dataPoints': 'Data Points',
+        'summary.dataQuality': '{percentage}% complete, {rubric} rubric',
+        'summary.confidence': 'Confidence',
+        'summary.modules': 'AI Modules',
+        'summary.useCase': 'Use Case',
+        'summary.riskBreakdown': 'RISK SCORE BREAKDOWN',
+        'summary.totalScore': 'Total Score',
+        'summary.grade': 'Grade {grade}',
+        'summary.cashFlow': 'CASH FLOW & AFFORDABILITY',
+        'summary.notCalculated': 'not calculated ({reason})',
+        'summary.dataGaps': 'DATA GAPS & PROXIES',
+        'summary.proxy': 'proxy',
+        'summary.consensusTitle': 'ANALYST CONSENSUS',
+        'summary.consensus': 'Consensus',
+        'summary.consensusNone': 'not computed (fewer than two analysts completed)',
+        'summary.consensusGrade': 'Consensus grade',
+        'summary.consensusGradeDetail': '{label} from a mean score of {score}/100; {agreement}% of analysts agree on the grade',
+        'summary.consensusMetric': 'mean {mean}, range {min} – {max}, variation {variation}%',
+        'summary.disagreement': 'disagreement',
+        'summary.narrative': 'NARRATIVE',
+        'summary.note': 'Note',
+        'summary.documents': 'DOCUMENTS PROCESSED',
+        'summary.documentsParsed': '{parsed}/{total} files parsed successfully',
+        'summary.insights': 'EXTRACTED INSIGHTS',
+        'summary.totalFiles': 'Total Files',
+        'summary.dataPointsExtracted': 'Data Points Extracted',
+        'summary.transactionsExtracted': 'Transactions Extracted',
+        'summary.financialMentions': 'Financial Mentions',
+
+        // Report page
+        'report.pageTitle': 'CERES AI Analysis',
+        'report.badge': 'CERES AI ANALYSIS',
+        'report.exportPdf': 'Export Analysis (PDF)',
+        'report.generatingPdf': 'Generating CERES Analysis Report...',
+        'report.empty': 'No report to show',
+        'report.emptyHint': 'Open a report from the saved profiles list.',
+        'report.notFound': 'No saved profile with ID {id} was found on this device.',
+        'report.notFoundVersion': 'No saved profile with ID {id} (version {version}) was found on this device.',
+        'report.locked': 'Report locked',
+        'report.lockedHint': 'Saved profiles on this device are encrypted. Enter the passphrase to open this report.',
+        'report.wrongPassphrase': 'That passphrase is not correct.',
+        'report.profileData': 'Profile Data',
+        'report.calculatedAnalytics': 'Calculated Analytics',
+        'report.calculated': 'Calculated',
+        'report.herdValuation': 'Herd Valuation',
+        'report.gapsTitle': 'Critical Data Gaps Identified',
+        'report.proxiesTitle': 'Assumptions & Proxies',
+        'report.proxiesIntro': 'Substitute data used where gaps exist, with severity ratings:',
+        'report.riskBreakdown': 'Risk Score Breakdown',
+        'report.consensusTitle': 'Analyst Consensus',
+        'report.consensusScore': 'Consensus Score',
+        'report.narrative': 'Narrative',
+        'report.methodology': 'Methodology & Limitations',
+        'report.standards': 'Calculation Standards',
+        'report.limitations': 'Epistemic Limitations',
+        'report.disclaimer': 'Confidential • Derived metrics calculated from available data • Verify before strategic decisions',
+        'report.documentTitle': 'CERES AI Analysis | {name} ({id})',
+        'report.idLine': 'ID: {id}',
+        'report.footerTitle': 'CERES AI Analysis Report • {id} • {name}',
+        'report.hash': 'Version {version} • SHA-256 {hash}',
+        'report.noHash': 'Version {version} • no content hash recorded',
+        'report.unnamed': 'Unnamed Farmer',
+        'report.profileId': 'Profile ID',
+        'report.nationalId': 'National ID',
+        'report.readFromId': 'Read from ID document',
+        'report.dateOfBirth': 'Date of Birth',
+        'report.male': 'Male',
+        'report.female': 'Female',
+        'report.idCheck': 'ID Check: {field}',
+        'report.partialMatch': 'Partial match',
+        'report.mismatch': 'Mismatch',
+        'report.idReads': 'ID reads "{extracted}", intake has "{declared}"',
+        'report.primaryLivestock': 'Primary Livestock',
+        'report.headCount': 'Head Count',
+        'report.farmSize': 'Farm Size',
+        'report.acres': '{value} acres',
+        'report.yearsFarming': 'Years Farming',
+        'report.bank': 'Bank',
+        'report.useCase': 'Use Case',
+        'report.declaredHerdValue': 'Declared Herd Value',
+        'report.monthlyInflow': 'Monthly Inflow (avg)',
+        'report.monthlyOutflow': 'Monthly Outflow (avg)',
+        'report.riskScore': 'Risk Score',
+        'report.notScored': 'Not scored',
+        'report.checkDeclared': 'Check declared',
+        'report.range': 'Range {low} – {high}',
+        'report.headSpecies': '{count} head • {species}',
+        'report.netCashFlow': 'Net Cash Flow',
+        'report.perMonth': '/mo',
+        'report.netDerived': 'Derived from statement inflow - outflow',
+        'report.noStatements': 'No statements parsed',
+        'report.riskGrade': 'Risk Grade',
+        'report.dataPoints': 'Data Points',
+        'report.records': 'Records',
+        'report.confidence': 'Confidence',
+        'report.consensus': 'Consensus',
+        'report.consensusOf': '{score}% of {count} analysts',
+        'report.herdTitle': '{species} Herd',
+        'report.statementMonths': { one: '{count} statement month', other: '{count} statement months' },
+        'report.netCashFlowAverage': 'Net Cash Flow (Monthly Average)',
+        'report.netFormula': 'Net Cash Flow = Average Monthly Inflow - Average Monthly Outflow',
+        'report.directCalculation': 'Direct Calculation',
+        'report.notCalculated': 'Not calculated',
+        'report.missingInput': 'Missing Input',
+        'report.modelGenerated': 'Model-generated • {source} • {date}',
+        'report.modelGeneratedShort': 'Model-generated: {source}',
+        'report.narrativeSource': '{model} via {baseUrl}',
+        'report.standardRisk': 'Risk score from model {model}: weighted factors summing to 100 points',
+        'report.standardRiskLegacy': 'Risk rating recorded before the scoring model was introduced',
+        'report.standardCashFlow': 'Cash-flow figures are monthly averages of parsed statement inflows and outflows',
+        'report.standardValuation': 'Herd valued from the local price table by species, breed, age, sex and health ({method})',
+        'report.valuationPerAnimal': 'per animal',
+        'report.valuationTypical': 'head count × typical value',
+        'report.standardDeclared': 'Herd valuation taken from the farmer\'s declaration',
+        'report.standardCurrency': 'All monetary values in Kenya Shillings (KES)',
+        'report.limitDocuments': 'Figures reflect only the documents uploaded at intake',
+        'report.limitDeclared': 'Self-declared form values are not independently verified',
+        'report.limitSeasonal': 'Seasonal variations are not captured in monthly averages',
+        'report.footer': 'Generated: {date} | CERES AI Analysis | {count} Records Analyzed',
+        'report.consensusSummary': '{completed} of {total} analysts • {label} from a mean score of {score}/100 • {agreement}% agree on the grade',
+        'report.consensusNone': 'Fewer than two analysts completed, so no consensus was computed',
+        'report.analystModel': 'Model',
+        'report.analystScorer': 'Scorer',
+        'report.disputed': 'Disputed',
+        'report.consensusMean': 'Mean {mean} • {variation}% inter-analyst variation',
+        'report.gradesSplit': 'Grades split: {split}',
+        'report.summaryIntro': 'CERES analysis of {name} ({id})',
+        'report.summaryThisFarmer': 'this farmer',
+        'report.summaryRisk': 'rates the operation {label} with a risk score of {score}/100',
+        'report.summaryCashFlow': 'Parsed statements show an average monthly net cash flow of {value} over {months}.',
+        'report.summaryInstalment': 'The estimated maximum affordable loan instalment is {value} per month.',
+        'report.summaryValuation': 'The herd is valued at {value}.',
+        'report.noMetrics': 'No calculated metrics: upload bank or M-Pesa statements to derive cash-flow figures.',
+        'report.livestockTitle': 'Livestock Analysis: {title}',
+        'report.valuePerHead': 'Value per Head',
+        'report.valuePerHeadNote': 'Valuation / head count',
+        'report.animalRecords': 'Animal Records',
+        'report.recordsOnFile': 'Individual records on file',
+        'report.noRecords': 'No per-animal records',
+        'report.breedingStock': '{count} breeding stock',
+        'report.gap': 'GAP',
+        'report.noProxies': 'No proxy values were substituted for this profile.',
+        'report.proxyBadge': 'PROXY – {severity}',
+        'report.noFactors': 'No factor breakdown stored for this profile.',
+        'report.herdTag': 'Tag',
+        'report.herdSpeciesBreed': 'Species / Breed',
+        'report.herdSex': 'Sex',
+        'report.herdAge': 'Age',
+        'report.herdHealth': 'Health',
+        'report.herdVetVisit': 'Last Vet Visit',
+        'report.herdAcquired': 'Acquired',
+        'report.herdValue': 'Est. Value',
+        'pdf.title': 'CERES AI ANALYSIS REPORT',
+        'pdf.documentTitle': 'CERES AI Analysis Report {id}',
+        'pdf.executiveSummary': 'Executive Summary',
+        'pdf.keyMetrics': 'Key Metrics',
+        'pdf.field': 'Field',
+        'pdf.value': 'Value',
+        'pdf.uncertainty': 'Uncertainty',
+        'pdf.metric': 'Metric',
+        'pdf.formula': 'Formula',
+        'pdf.result': 'Result',
+        'pdf.livestockAsset': 'Livestock Asset: {title}',
+        'pdf.valuation': 'Valuation',
+        'pdf.details': 'Details',
+        'pdf.riskBreakdown': 'Risk Score Breakdown ({model})',
+        'pdf.factor': 'Factor',
+        'pdf.points': 'Points',
+        'pdf.basis': 'Basis',
+        'pdf.consensus': 'Analyst Consensus ({score})',
+        'pdf.analyst': 'Analyst',
+        'pdf.type': 'Type',
+        'pdf.note': 'Note',
+        'pdf.figure': 'Figure',
+        'pdf.range': 'Range',
+        'pdf.mean': 'Mean',
+        'pdf.variation': 'Variation',
+        'pdf.disputed': '{label} (disputed)',
+        'pdf.gaps': 'Critical Data Gaps',
+        'pdf.missingField': 'Missing Field',
+        'pdf.impact': 'Impact',
+        'pdf.proxy': 'Proxy/Assumption',
+        'pdf.source': 'Source',
+        'pdf.severity': 'Severity',
+        'pdf.page': 'CERES AI Report {id} • Page {page} of {count}'
+    },
+
+    sw: {
+        'language.label': 'Lugha',
+
+        'loading.modules': 'Inapakia moduli...',
+        'loading.sensors': 'Inasawazisha vihisi...',
+        'loading.ready': 'Mfumo uko tayari',
+        'thinking.processing': 'Inachakata nyaraka...',
+        'thinking.files': { one: 'Faili {count} ya kuchambua', other: 'Faili {count} za kuchambua' },
+        'thinking.page': '{file}: ukurasa {page} kati ya {pageCount}',
+        'thinking.pageShort': 'uk. {page}/{pageCount}',
+        'thinking.processed': 'Nyaraka {completed} kati ya {total} zimechakatwa...',
+        'thinking.insights': 'Inatoa maarifa...',
+        'thinking.analyst': 'Mchambuzi anafanya kazi: {name}...',
+        'thinking.narrative': 'Inaandika maelezo kwa {model}...',
+        'thinking.narrativeFailed': 'Maelezo hayapatikani: {error}',
+        'thinking.failed': 'Uchambuzi umesimama: {error}. Taarifa zimehifadhiwa; zikague kisha ujaribu tena.',
+        'action.cancel': 'Ghairi',
+        'action.resume': 'Endelea',
+        'action.discard': 'Futa',
+        'action.unlock': 'Fungua',
+        'action.resetDefaults': 'Rejesha chaguo-msingi',
+        'action.dismiss': 'Funga',
+
+        'species.dairy': 'Ng\'ombe wa Maziwa',
+        'species.beef': 'Ng\'ombe wa Nyama',
+        'species.goats': 'Mbuzi',
+        'species.sheep': 'Kondoo',
+        'species.mixed': 'Mifugo Mchanganyiko',
+        'risk.grade.AA': 'Hatari Ndogo',
+        'risk.grade.A': 'Hatari ya Wastani',
+        'risk.grade.B': 'Hatari Kubwa',
+        'risk.grade.C': 'Hatari Kubwa',
+        'risk.grade.D': 'Hatari Kubwa Sana',
+        'risk.rating.low': 'Ndogo',
+        'risk.rating.medium': 'Wastani',
+        'risk.rating.high': 'Kubwa',
+        'severity.low': 'Ndogo',
+        'severity.medium': 'Wastani',
+        'severity.high': 'Kubwa',
+        'category.id': 'Kitambulisho',
+        'category.bank': 'Benki',
+        'category.herd': 'Kundi',
+        'category.health': 'Afya',
+        'quality.exact': 'Halisi',
+        'quality.document': 'Kutoka kwenye hati',
+        'quality.declared': 'Kauli ya mkulima',
+        'quality.proxy': 'Mbadala',
+        'common.or': ' au ',
+        'common.head': { one: 'mnyama {count}', other: 'mifugo {count}' },
+        'common.years': { one: 'mwaka {count}', other: 'miaka {count}' },
+        'common.months': { one: 'mwezi {count}', other: 'miezi {count}' },
+
+        'factor.experience': 'Uzoefu wa kilimo',
+        'factor.land': 'Umiliki wa ardhi',
+        'factor.livestockCount': 'Ukubwa wa kundi',
+        'factor.herdValue': 'Thamani ya kundi (dhamana)',
+        'factor.accountType': 'Uhusiano na benki',
+        'factor.riskTolerance': 'Utayari wa hatari uliotajwa',
+        'factor.documents': 'Ushahidi wa nyaraka',
+        'factor.note.notProvided': 'Haijatolewa',
+        'factor.note.experience': 'Miaka {count} (alama kamili kuanzia 15)',
+        'factor.note.land': 'Ekari {count} (alama kamili kuanzia 10)',
+        'factor.note.herdSize': 'Mifugo {count} (alama kamili kuanzia 40)',
+        'factor.note.herdValue': '{amount} {source}',
+        'factor.note.noAccount': 'Hakuna akaunti iliyorekodiwa',
+        'factor.note.noRiskTolerance': 'Haijatajwa (wastani)',
+        'factor.note.documents': 'Zimechakatwa: {categories}',
+        'factor.note.noDocuments': 'Hakuna nyaraka zilizochakatwa',
+        'factor.source.computed': 'iliyokokotolewa',
+        'factor.source.declared': 'iliyotajwa',
+
+        'field.idNumber': 'Nambari ya Kitambulisho cha Taifa',
+        'field.land': 'Ukubwa wa shamba',
+        'field.experience': 'Miaka ya uzoefu',
+        'field.livestockCount': 'Idadi ya mifugo',
+        'field.breedingStock': 'Mifugo ya kuzaliana',
+        'field.herdValue': 'Thamani ya kundi iliyotajwa',
+        'unit.acres': 'ekari',
+        'unit.years': 'miaka',
+        'unit.head': 'mifugo',
+        'unit.KES': 'KES',
+        'unit.bytes': 'Baiti',
+        'field.idNumberExample': 'k.m. 12345678',
+        'livestock.cattle': 'Ng\'ombe',
+        'livestock.goat': 'Mbuzi',
+        'livestock.sheep': 'Kondoo',
+        'livestock.pig': 'Nguruwe',
+        'livestock.camel': 'Ngamia',
+        'livestock.poultry': 'Kuku',
+        'validate.phone': 'Weka nambari ya simu ya Kenya, k.m. 0712 345 678 au +254 712 345 678',
+        'validate.email': 'Weka anwani ya barua pepe kama jina@mfano.com',
+        'validate.idNumber': 'Nambari ya kitambulisho cha taifa ina tarakimu 6 hadi 8',
+        'validate.number': '{label} lazima iwe nambari',
+        'validate.integer': '{label} lazima iwe nambari kamili',
+        'validate.range': '{label} inapaswa kuwa kati ya {min} na {max} {unit}',
+        'validate.breedingStock': 'Mifugo ya kuzaliana haiwezi kuzidi idadi ya kundi ya {herd}',
+        'validate.county': 'Si kaunti ya Kenya',
+        'validate.countyCode': 'Kaunti {code}',
+        'validate.ward': 'Si wadi ya Kaunti ya {county}',
+        'validate.pickCounty': 'Chagua kaunti ili kukagua wadi',
+        'validate.didYouMean': '; ulimaanisha {names}?',
+        'completeness.complete': 'Vigezo vya {rubric} vimekamilika',
+        'completeness.threshold': '{percentage}% kati ya kiwango cha chini cha {threshold}% kwa {rubric}',
+        'completeness.invalid': 'Si sahihi',
+        'completeness.required': 'Inahitajika',
+        'completeness.optional': 'Si lazima',
+        'rubric.banking': 'Benki',
+        'rubric.insurance': 'Bima',
+        'rubric.cooperative': 'Chama cha ushirika',
+        'rubric.item.name': 'Jina la mkulima',
+        'rubric.item.id-docs': 'Hati ya kitambulisho',
+        'rubric.item.id-number': 'Nambari ya kitambulisho cha taifa',
+        'rubric.item.bank-docs': 'Taarifa za benki au M-Pesa',
+        'rubric.item.species': 'Aina ya mifugo',
+        'rubric.item.herd-docs': 'Rekodi za kundi',
+        'rubric.item.health-docs': 'Rekodi za afya',
+        'rubric.item.phone': 'Nambari ya simu',
+        'rubric.item.county': 'Kaunti',
+        'rubric.item.ward': 'Wadi',
+        'rubric.item.land': 'Ukubwa wa shamba',
+        'rubric.item.experience': 'Miaka ya uzoefu',
+        'rubric.item.bank': 'Jina la benki',
+        'rubric.item.account-type': 'Aina ya akaunti',
+        'rubric.item.livestock-count': 'Idadi ya mifugo',
+        'rubric.item.herd-value': 'Thamani ya kundi iliyotajwa',
+        'rubric.item.breed': 'Kizazi kikuu',
+        'rubric.insurance.health-docs': 'Rekodi za afya / za daktari wa mifugo',
+        'rubric.cooperative.herd-docs': 'Rekodi za kundi au za uwasilishaji',
+
+        'herd.empty': 'Hakuna mifugo iliyosajiliwa. Ongeza mifugo au pakia faili ya CSV/Excel ya kundi.',
+        'herd.summary': 'Mifugo {count} • thamani ya ununuzi {value} ({valued} wamethaminiwa) • {breeding} wa kuzaliana',
+        'herd.title': 'Rejista ya Mifugo',
+        'herd.mapColumns': { one: 'Linganisha safu kutoka {files} (mstari {count})', other: 'Linganisha safu kutoka {files} (mistari {count})' },
+        'herd.notMapped': '— haijalinganishwa —',
+        'herd.mapTagId': 'Linganisha safu na Nambari ya Hereni kabla ya kuingiza.',
+        'herd.import': 'Ingiza mifugo',
+        'herd.skip': 'Ruka',
+        'herd.editPrices': 'Hariri bei',
+        'herd.add': 'Ongeza mnyama',
+        'herd.derived': 'Imetokana na rejista ya mifugo',
+        'herd.field.tagId': 'Nambari ya Hereni',
+        'herd.field.species': 'Aina',
+        'herd.field.breed': 'Kizazi',
+        'herd.field.sex': 'Jinsia',
+        'herd.field.birthDate': 'Tarehe ya Kuzaliwa',
+        'herd.field.acquisitionValue': 'Thamani (KES)',
+        'herd.field.healthStatus': 'Afya',
+        'herd.field.lastVetVisit': 'Ziara ya Mwisho ya Daktari',
+        'herd.field.milkYield': 'Maziwa (L/siku)',
+        'herd.field.weightKg': 'Uzito (kg)',
+        'health.unknown': 'haijulikani',
+        'health.healthy': 'mzima',
+        'health.under treatment': 'anatibiwa',
+        'health.sick': 'mgonjwa',
+        'upload.carried': 'Kutoka toleo {version} • {status}',
+        'upload.parsed': 'imechakatwa',
+        'upload.notParsed': 'haijachakatwa',
+        'prices.title': 'Jedwali la Bei za Mifugo ({currency} kwa mnyama mzima mwenye afya)',
+        'prices.species': 'Aina',
+        'prices.breed': 'Kizazi',
+        'prices.price': 'Bei',
+        'prices.anyBreed': '(kizazi chochote)',
+        'prices.addBreed': 'Ongeza kizazi',
+        'prices.countyFactors': 'Vigezo vya Soko vya Kaunti',
+        'prices.county': 'Kaunti',
+        'prices.factor': 'Kigezo',
+        'prices.addFactor': 'Ongeza kigezo',
+        'prices.confirmReset': 'Rejesha jedwali la bei la chaguo-msingi? Mabadiliko ya bei uliyofanya hapa yatapotea.',
+        'narrative.enable': 'Tengeneza maelezo kwa modeli ya ndani',
+        'narrative.baseUrl': 'URL ya msingi inayooana na OpenAI',
+        'narrative.model': 'Modeli',
+        'narrative.apiKey': 'Ufunguo wa API (si lazima, unahifadhiwa hadi ukurasa ufungwe)',
+        'analysts.title': 'Wachambuzi',
+        'analysts.hint': 'makubaliano huripotiwa wawili au zaidi wakiwashwa',
+        'analysts.type.scorer': 'mpimaji',
+        'analysts.type.model': 'modeli',
+        'analysts.remove': 'Ondoa',
+        'analysts.baseUrl': 'URL ya msingi (ya maelezo ikiachwa wazi)',
+        'analysts.model': 'Modeli (ya maelezo ikiachwa wazi)',
+        'analysts.prompt': 'Maagizo ya mchambuzi (chaguo-msingi huomba alama kwa JSON)',
+        'analysts.dtiCap': 'Kikomo cha DTI %',
+        'analysts.surplusShare': 'Sehemu ya ziada %',
+        'analysts.addScorer': 'Ongeza mpimaji',
+        'analysts.addModel': 'Ongeza mchambuzi wa modeli',
+        'analysts.confirmReset': 'Rejesha wachambuzi wa chaguo-msingi? Mabadiliko ya wachambuzi yatapotea.',
+        'draft.notSaved': 'Rasimu haijahifadhiwa: {error}',
+        'draft.waiting': 'Rasimu inasubiri nenosiri ili ihifadhiwe',
+        'draft.saved': 'Rasimu imehifadhiwa {time}',
+        'draft.unlock': 'Fungua ili kuona rasimu zilizohifadhiwa',
+        'draft.title': 'Endelea na rasimu',
+        'draft.unnamed': 'Mkulima bila jina',
+        'draft.files': { one: 'faili {count}', other: 'faili {count}' },
+        'draft.rerun': 'marudio ya {id}',
+        'draft.savedAt': 'imehifadhiwa {date}',
+        'result.unknownFarmer': 'Mkulima Asiyejulikana',
+        'result.head': 'Mifugo {count}',
+        'result.breakdown': 'Alama ya Hatari {score}/100 • Mchanganuo wa Vipengele',
+        'result.saveFailed': 'Wasifu haukuweza kuhifadhiwa: {error}',
+        'result.idLine': 'Kitambulisho {id}',
+        'result.born': 'Alizaliwa {date}',
+        'result.idField.name': 'jina',
+        'result.idField.number': 'nambari',
+        'result.idPartial': '{field} ya kitambulisho inalingana kwa sehemu: "{extracted}" dhidi ya "{declared}"',
+        'result.idMismatch': '{field} ya kitambulisho hailingani: "{extracted}" dhidi ya "{declared}"',
+        'result.idMatches': 'Jina linalingana na kitambulisho',
+        'result.confidenceNone': 'Haijakokotolewa kwa wasifu huu',
+        'result.consensus': 'Makubaliano ya wachambuzi',
+        'result.consensusGrade': 'Daraja {grade} kutoka wastani wa alama {score}/100 • {agreement}% wanakubaliana kuhusu daraja',
+        'result.disputed': 'inabishaniwa',
+        'result.gradesSplit': 'Madaraja yamegawanyika: {split}',
+        'result.consensusNone': 'Wachambuzi waliokamilisha ni chini ya wawili, kwa hivyo hakuna makubaliano yaliyokokotolewa',
+        'result.dataGaps': 'Mapengo ya data',
+        'result.gap': 'Pengo',
+        'result.missing': 'Haipo',
+        'result.proxyUsed': 'mbadala umetumika',
+        'result.proxy': 'Mbadala ({severity})',
+
+        'gap.label.species': 'Aina ya mifugo',
+        'gap.label.herd': 'Rejista ya kundi',
+        'gap.label.breed': 'Kizazi kikuu',
+        'gap.label.mortality': 'Rekodi za afya na vifo',
+        'gap.label.experience': 'Miaka ya kilimo',
+        'gap.label.land': 'Ukubwa wa shamba',
+        'gap.label.accountType': 'Aina ya akaunti ya benki',
+        'gap.label.id': 'Nakala ya kitambulisho cha taifa',
+        'gap.label.bank': 'Taarifa za benki au M-Pesa',
+        'gap.label.transactions': 'Miamala ya taarifa inayosomeka',
+        'gap.impact.cannotRun': '{module} haiwezi kuendeshwa',
+        'gap.impact.lessEvidence': '{module} inaendeshwa kwa ushahidi mdogo',
+        'gap.impact.asset.herd': 'Kundi limethaminiwa kwa idadi ya mifugo na mnyama wa kawaida badala ya kila mnyama',
+        'gap.impact.asset.breed': 'Wanyama wamepewa bei ya kawaida ya spishi',
+        'gap.impact.asset.mortality': 'Hasara ya vifo inayotarajiwa haiwezi kupimwa kwa kundi hili',
+        'gap.impact.risk.experience': 'Kigezo cha uzoefu kinapata sifuri',
+        'gap.impact.risk.land': 'Kigezo cha umiliki wa ardhi kinapata sifuri',
+        'gap.impact.risk.accountType': 'Kigezo cha uhusiano na benki kinapata sifuri',
+        'gap.impact.risk.id': 'Utambulisho hauwezi kulinganishwa na taarifa za usajili',
+        'gap.impact.financial.bank': 'Mtiririko wa fedha, deni kwa mapato na uwezo wa kulipa haviwezi kukokotolewa',
+        'gap.impact.financial.transactions': 'Taarifa zilipakiwa lakini hakuna miamala iliyoweza kusomwa',
+        'gap.impact.financial.land': 'Uzalishaji kwa ekari unategemea shamba la kawaida',
+        'proxy.zone.asal': 'ukame/nusu-ukame',
+        'proxy.zone.highland': 'nyanda za juu',
+        'proxy.basis.mortality': '{species}, kaunti ya {zone}',
+        'proxy.basis.mortalityCounty': '{species}, kaunti ya {zone} ({county})',
+        'proxy.basis.farmSize': 'Shamba la kawaida la eneo la {zone} ({county})',
+
+        'finance.metric.months': 'Miezi iliyohusishwa',
+        'finance.metric.inflow': 'Jumla ya mapato',
+        'finance.metric.outflow': 'Jumla ya matumizi',
+        'finance.metric.repayments': 'Marejesho ya madeni kwa mwezi',
+        'finance.metric.land': 'Ukubwa wa shamba',
+        'finance.metric.maxDebtToIncome': 'Kikomo cha deni kwa mapato',
+        'finance.metric.surplusShare': 'Sehemu ya ziada',
+        'finance.metric.monthlyIncome': 'Mapato ya mwezi',
+        'finance.metric.monthlyExpenses': 'Matumizi ya mwezi',
+        'finance.metric.netCashFlow': 'Mtiririko halisi wa fedha',
+        'finance.metric.debtToIncome': 'Deni kwa mapato',
+        'finance.metric.productionPerAcre': 'Uzalishaji kwa ekari',
+        'finance.metric.maxInstalment': 'Awamu ya juu inayomudu',
+        'finance.metric.valuation': 'Thamani ya kundi',
+        'finance.formula.monthlyIncome': 'Mapato ya Mwezi = Jumla ya Mapato ÷ Miezi Iliyohusishwa',
+        'finance.formula.monthlyExpenses': 'Matumizi ya Mwezi = Jumla ya Matumizi ÷ Miezi Iliyohusishwa',
+        'finance.formula.netCashFlow': 'Mtiririko Halisi wa Fedha = Mapato ya Mwezi − Matumizi ya Mwezi',
+        'finance.formula.debtToIncome': 'Deni kwa Mapato = Marejesho ya Madeni kwa Mwezi ÷ Mapato ya Mwezi × 100',
+        'finance.formula.productionPerAcre': 'Uzalishaji kwa Ekari = Mapato ya Mwezi × 12 ÷ Ukubwa wa Shamba',
+        'finance.formula.maxInstalment': 'Awamu ya Juu = min(Mapato ya Mwezi × Kikomo cha DTI − Marejesho ya Madeni, Mtiririko Halisi wa Fedha × Sehemu ya Ziada), isiyo chini ya 0',
+        'finance.reason.needs': 'Inahitaji {inputs}',
+
+        'confidence.method.none': 'Hakuna takwimu zilizokokotolewa za kutathmini',
+        'confidence.method': '100% ukiondoa wastani wa kiwango cha kosa linganishi cha takwimu kuu {count}',
+        'consensus.method': 'Wachambuzi {count}; maafikiano = 100 × (1 − wastani wa mgawo wa mtawanyiko katika takwimu {compared} zilizoripotiwa kwa kujitegemea); kutokubaliana kuanzia mtawanyiko wa {threshold}%',
+        'analyst.metric.score': 'Alama ya hatari',
+        'analyst.metric.herdValue': 'Thamani ya kundi',
+        'analyst.metric.maxInstalment': 'Awamu ya juu inayomudu',
+        'analyst.metric.grade': 'Daraja la hatari',
+        'result.narrative': 'Maelezo',
+        'result.narrativeFailed': 'Hayakutolewa: {error}',
+        'result.status.completed': 'imekamilika',
+        'result.status.skipped': 'imerukwa',
+        'result.status.failed': 'imeshindwa',
+
+        'result.status.unavailable': 'haipatikani',
+        'module.warning.notRegistered': 'Moduli haijasajiliwa',
+        'module.warning.missingInput': 'Taarifa inayokosekana: {input}',
+        'module.asset.noPriceable': 'Hakuna mnyama aliyesajiliwa aliyeweza kupewa bei',
+        'module.asset.nothingToValue': 'Hakuna wanyama wala idadi ya mifugo ya kuthamini',
+        'module.asset.valuedRoster': { one: 'Mnyama {count} aliyesajiliwa amethaminiwa', other: 'Wanyama {count} waliosajiliwa wamethaminiwa' },
+        'module.asset.valuedAggregate': 'Imethaminiwa kwa idadi ya mifugo iliyotajwa na wastani wa spishi',
+        'module.asset.unhealthy': { one: 'Mnyama {count} ni mgonjwa au yuko kwenye matibabu', other: 'Wanyama {count} ni wagonjwa au wako kwenye matibabu' },
+        'module.asset.mortalityProxy': 'Hasara ya vifo inayotarajiwa kwa mwaka inatumia kiwango mbadala cha kikanda cha {rate}%',
+        'module.asset.metric.estimate': 'Thamani ya kundi iliyokadiriwa',
+        'module.asset.metric.low': 'Makadirio ya chini',
+        'module.asset.metric.high': 'Makadirio ya juu',
+        'module.asset.metric.declared': 'Thamani iliyotajwa',
+        'module.asset.metric.breedingStock': 'Mifugo ya kuzalisha',
+        'module.asset.metric.expectedMortalityLoss': 'Hasara ya vifo inayotarajiwa kwa mwaka',
+        'module.risk.weakFactor': 'Udhaifu wa {factor}: {note}',
+        'module.risk.metric.score': 'Alama ya hatari',
+        'module.risk.metric.grade': 'Daraja',
+        'module.financial.noTransactions': 'Hakuna miamala iliyoweza kusomwa kutoka kwa taarifa zilizopakiwa',
+        'module.financial.overdrafts': 'Salio lilishuka chini ya sifuri mara {count}',
+        'module.financial.negativeMonths': 'Miezi {count} kati ya {total} ilikuwa na matumizi zaidi ya mapato',
+        'module.financial.allPositive': { one: 'Mapato zaidi ya matumizi katika mwezi {count}', other: 'Mapato zaidi ya matumizi katika miezi yote {count}' },
+        'module.financial.debtAboveCap': 'Marejesho ya mikopo iliyopo yanachukua {ratio}% ya mapato, juu ya kikomo cha {cap}%',
+        'module.financial.noRoom': 'Mtiririko wa fedha hauachi nafasi ya awamu ya mkopo mpya',
+        'module.financial.metric.months': 'Miezi iliyohusishwa',
+        'module.financial.metric.averageInflow': 'Wastani wa mapato kwa mwezi',
+        'module.financial.metric.averageOutflow': 'Wastani wa matumizi kwa mwezi',
+        'module.financial.metric.averageNet': 'Wastani wa salio halisi kwa mwezi',
+        'module.financial.metric.debtToIncome': 'Deni kwa mapato',
+        'module.financial.metric.maxInstalment': 'Awamu ya juu inayomudu',
+        'module.financial.metric.overdrafts': 'Salio hasi',
+        'versions.title': 'Toleo {version} kati ya {latest}',
+        'versions.older': ' (toleo la zamani)',
+        'versions.points': 'pointi {count}',
+        'versions.compare': 'Linganisha',
+        'versions.rerun': 'Endesha upya kwa nyaraka mpya',
+        'versions.reopened': 'Inaendeshwa upya {id} • itahifadhiwa kama toleo {version}',
+        'versions.field.riskGrade': 'Daraja la hatari',
+        'versions.field.riskScore': 'Alama ya hatari',
+        'versions.field.valuation': 'Thamani (KES)',
+        'versions.field.dataPoints': 'Vipengele vya data',
+        'versions.field.completeness': 'Ukamilifu (%)',
+        'versions.field.livestockCount': 'Idadi ya mifugo',
+        'versions.field.documents': 'Nyaraka',
+        'draft.openFailed': 'Rasimu haikuweza kufunguliwa: {error}',
+        'draft.missingFiles': 'Faili hizi hazikuhifadhiwa pamoja na rasimu na zinahitaji kupakiwa tena: {files}',
+        'draft.confirmDiscard': 'Futa rasimu hii na faili zake zilizopakiwa?',
+        'profiles.confirmDelete': 'Futa wasifu huu? Kitendo hiki hakiwezi kutenduliwa.',
+        'profiles.deleteFailed': 'Wasifu haukuweza kufutwa: {error}',
+        'intake.confirmHome': 'Rudi kwenye skrini ya mwanzo? Taarifa hizi zinabaki kama rasimu unayoweza kuendelea nayo.',
+        'valuation.range': 'Kiwango {low} – {high}',
+        'valuation.declared': 'Iliyotajwa {value}',
+        'valuation.noDeclared': 'Hakuna thamani iliyotajwa',
+        'valuation.basis.noPrice': 'Hakuna bei ya spishi "{species}"',
+        'valuation.basis.unspecified': 'haijabainishwa',
+        'valuation.basis.breedPrice': 'Bei ya {breed} {amount}',
+        'valuation.basis.basePrice': 'Bei ya msingi ya {species} {amount}',
+        'valuation.basis.basePriceNoBreed': 'Bei ya msingi ya {species} {amount} (hakuna bei ya {breed})',
+        'valuation.basis.county': 'Soko la {county} ×{factor}',
+        'valuation.basis.ageUnknown': 'umri haujulikani',
+        'valuation.basis.age': 'umri miezi {months} ×{factor}',
+        'valuation.basis.sex': 'jinsia {sex} ×{factor}',
+        'valuation.basis.health': 'afya: {status} ×{factor}',
+        'valuation.basis.roster': 'Wanyama {priced} kati ya {count} waliosajiliwa wamethaminiwa mmoja mmoja',
+        'valuation.basis.noHerd': 'Hakuna idadi ya mifugo wala rejista ya kundi',
+        'valuation.basis.noSpecies': 'Hakuna spishi moja ya jedwali la bei kwa makundi ya "{species}"',
+        'valuation.basis.aggregate': 'Mifugo {count} × thamani ya kawaida ya {breed}',
+        'valuation.discrepancy.above': 'Thamani iliyotajwa iko {percent}% juu ya makadirio yaliyokokotolewa',
+        'valuation.discrepancy.below': 'Thamani iliyotajwa iko {percent}% chini ya makadirio yaliyokokotolewa',
+        'valuation.discrepancy.within': 'Thamani iliyotajwa iko ndani ya kiwango kinachotarajiwa',
+        'export.json': 'Hamisha JSON',
+        'export.text': 'Muhtasari wa maandishi',
+        'export.language': 'Lugha ya kuhamisha',
+
+        'profiles.all': 'Zote',
+        'profiles.search': 'Tafuta',
+        'profiles.searchPlaceholder': 'Jina, kitambulisho cha wasifu, kaunti au wadi',
+        'profiles.risk': 'Hatari',
+        'profiles.grade': 'Daraja',
+        'profiles.species': 'Aina',
+        'profiles.county': 'Kaunti',
+        'profiles.unknownCounty': 'Haijulikani',
+        'profiles.useCase': 'Matumizi',
+        'profiles.completeness': 'Ukamilifu',
+        'profiles.createdFrom': 'Iliundwa kuanzia',
+        'profiles.createdTo': 'Iliundwa hadi',
+        'profiles.sort': 'Panga',
+        'profiles.sort.date-desc': 'Mpya kwanza',
+        'profiles.sort.date-asc': 'Za zamani kwanza',
+        'profiles.sort.valuation-desc': 'Thamani ya juu zaidi',
+        'profiles.sort.valuation-asc': 'Thamani ya chini zaidi',
+        'profiles.sort.risk-asc': 'Hatari ndogo zaidi',
+        'profiles.sort.risk-desc': 'Hatari kubwa zaidi',
+        'profiles.clear': 'Futa vichujio',
+        'profiles.security': 'Usalama',
+        'profiles.portfolio': 'Jalada',
+        'lock.title': 'Wasifu umefungwa',
+        'lock.hint': 'Wasifu uliohifadhiwa kwenye kifaa hiki umesimbwa. Weka nenosiri ili kuendelea.',
+        'lock.checking': 'Inakagua...',
+        'lock.wrongPassphrase': 'Nenosiri hilo si sahihi.',
+        'security.encrypted': 'Wasifu uliohifadhiwa umesimbwa kwenye kifaa hiki',
+        'security.unencrypted': 'Wasifu uliohifadhiwa haujasimbwa',
+        'security.encryptedHint': 'Nenosiri haliwezi kurejeshwa. Likipotea, wasifu kwenye kifaa hiki hupotea pamoja nalo.',
+        'security.unencryptedHint': 'Weka nenosiri la angalau herufi {length} ili kusimba kila wasifu uliohifadhiwa na kufunga programu isipotumika.',
+        'security.current': 'Nenosiri la sasa',
+        'security.new': 'Nenosiri jipya',
+        'security.passphrase': 'Nenosiri',
+        'security.confirm': 'Thibitisha',
+        'security.change': 'Badilisha nenosiri',
+        'security.encrypt': 'Simba wasifu',
+        'security.lockAfter': 'Funga baada ya',
+        'security.minutes': { one: 'dakika {count}', other: 'dakika {count}' },
+        'security.ofInactivity': 'bila kutumika',
+        'security.lockNow': 'Funga sasa',
+        'security.turnOff': 'Zima usimbaji',
+        'security.tooShort': 'Tumia angalau herufi {length}.',
+        'security.mismatch': 'Manenosiri hayalingani.',
+        'security.reencrypting': 'Inasimba upya wasifu uliohifadhiwa...',
+        'security.encryptedNow': 'Wasifu sasa umesimbwa.',
+        'security.changed': 'Nenosiri limebadilishwa.',
+        'security.turnOffPrompt': 'Weka nenosiri la sasa ili kuhifadhi wasifu bila usimbaji kwenye kifaa hiki:',
+        'security.turnedOff': 'Usimbaji umezimwa.',
+        'profiles.selected': '{count} zimechaguliwa',
+        'profiles.selectAll': 'Chagua zote {count} zinazolingana',
+        'profiles.clearSelection': 'Ondoa uteuzi',
+        'profiles.exportCsv': 'Hamisha CSV',
+        'profiles.importJson': 'Ingiza JSON',
+        'profiles.verifyReport': 'Thibitisha ripoti',
+        'profiles.showing': 'Inaonyesha {start}–{end} kati ya {count} zinazolingana',
+        'profiles.previous': 'Iliyotangulia',
+        'profiles.next': 'Inayofuata',
+        'profiles.page': 'Ukurasa {page} kati ya {pageCount}',
+        'verify.verifying': 'Inathibitisha {file}...',
+        'verify.title': 'Uthibitisho • {file}',
+        'verify.verified.label': 'Imethibitishwa',
+        'verify.verified.message': 'Inalingana na wasifu uliohifadhiwa, haijabadilishwa',
+        'verify.metadata-match.label': 'Metadata inalingana',
+        'verify.metadata-match.message': 'Sifa za PDF zinalingana na wasifu uliohifadhiwa; maandishi ya kurasa hayakaguliwi, kwa hivyo mabadiliko ndani yake hayataonekana hapa',
+        'verify.altered.label': 'Imebadilishwa',
+        'verify.altered.message': 'Hailingani na wasifu uliohifadhiwa',
+        'verify.store-altered.label': 'Nakala iliyohifadhiwa imebadilishwa',
+        'verify.store-altered.message': 'Wasifu uliohifadhiwa kwenye kifaa hiki haulingani tena na hashi yake',
+        'verify.invalid-id.label': 'Kitambulisho si sahihi',
+        'verify.invalid-id.message': 'Kitambulisho cha wasifu kinashindwa herufi yake ya ukaguzi; kiliandikwa vibaya au kilibadilishwa',
+        'verify.not-found.label': 'Haikupatikana',
+        'verify.not-found.message': 'Hakuna wasifu wenye kitambulisho na toleo hili kwenye kifaa hiki',
+        'verify.unhashed.label': 'Haiwezi kuthibitishwa',
+        'verify.unhashed.message': 'Ilihifadhiwa kabla hashi za maudhui hazijaanza kurekodiwa',
+        'verify.unreadable.label': 'Haisomeki',
+        'verify.unreadable.message': 'Hakuna kitambulisho cha wasifu wa CERES kilichopatikana kwenye faili hii',
+        'import.title': 'Ingiza {file}',
+        'import.counts': 'halali {valid}, zilizokataliwa {rejected}',
+        'import.collisions': '{count} tayari ziko kwenye kifaa hiki',
+        'import.allExisting': 'Zote zilizopo:',
+        'import.skip': 'Ruka',
+        'import.overwrite': 'Andika juu',
+        'import.keep-both': 'Weka zote mbili',
+        'import.unnamed': 'Bila jina',
+        'import.versions': { one: 'toleo {count}', other: 'matoleo {count}' },
+        'import.altered': 'imebadilishwa tangu kuhamishwa',
+        'import.new': 'Mpya',
+        'import.rejectedEntry': 'Ingizo {index}{id} limekataliwa: {errors}',
+        'import.confirm': 'Ingiza',
+        'import.failed': '{id} haikuweza kuingizwa: {error}',
+        'portfolio.subtitle': 'Wasifu wote uliohifadhiwa, uchambuzi wa hivi karibuni wa kila mmoja',
+        'portfolio.back': 'Rudi kwenye wasifu',
+        'portfolio.grades': 'Mgawanyo wa madaraja ya hatari',
+        'portfolio.clickGrade': 'Bofya daraja',
+        'portfolio.completeness': 'Ukamilifu wa data',
+        'portfolio.clickBand': 'Bofya kundi',
+        'portfolio.byCounty': 'Thamani ya mifugo kwa kaunti',
+        'portfolio.bySpecies': 'Thamani ya mifugo kwa aina',
+        'portfolio.totalAverage': 'Jumla na wastani, KES',
+        'portfolio.created': 'Wasifu ulioundwa kwa mwezi',
+        'portfolio.clickMonth': 'Bofya mwezi',
+        'portfolio.profiles': 'Wasifu',
+        'portfolio.totalValuation': 'Jumla ya thamani ya mifugo',
+        'portfolio.averageValuation': 'Wastani kwa kila wasifu',
+        'portfolio.unrated': { one: 'Wasifu {count} ulitangulia upimaji wa ukamilifu na haumo kwenye chati hiyo.', other: 'Wasifu {count} ulitangulia upimaji wa ukamilifu na haumo kwenye chati hiyo.' },
+        'portfolio.chartsUnavailable': '{error}; chati hazipatikani nje ya mtandao.',
+        'portfolio.total': 'Jumla',
+        'portfolio.average': 'Wastani',
+        'portfolio.unscored': 'Bila alama',
+        'profiles.noMatch': 'Hakuna wasifu unaolingana na vichujio hivi.',
+        'profiles.openReport': 'Fungua ripoti',
+        'profiles.delete': 'Futa wasifu',
+        'profiles.documents': { one: 'Hati {count} imechakatwa', other: 'Hati {count} zimechakatwa' },
+        'profiles.valuation': 'Thamani',
+
+        'summary.title': 'PROJECT CERES - RIPOTI YA TAARIFA ZA MKULIMA',
+        'summary.profileId': 'Kitambulisho cha Wasifu',
+        'summary.version': 'Toleo',
+        'summary.contentHash': 'Hashi ya maudhui',
+        'summary.notRecorded': 'haijarekodiwa',
+        'summary.generated': 'Imetolewa',
+        'summary.notAvailable': 'Hakuna',
+        'summary.farmerDetails': 'TAARIFA ZA MKULIMA',
+        'summary.name': 'Jina',
+        'summary.nationalId': 'Kitambulisho cha Taifa',
+        'summary.idMismatches': 'Tofauti za Kitambulisho',
+        'summary.idMismatch': '{field} (kitambulisho: {extracted}, kilichotajwa: {declared})',
+        'summary.contact': 'Mawasiliano',
+        'summary.location': 'Mahali',
+        'summary.bank': 'Benki',
+        'summary.accountType': 'Aina ya Akaunti',
+        'summary.livestockAssets': 'MALI YA MIFUGO',
+        'summary.species': 'Aina ya Mifugo',
+        'summary.headCount': 'Idadi ya Mifugo',
+        'summary.primaryBreed': 'Mbegu Kuu',
+        'summary.registeredAnimals': 'Mifugo Waliosajiliwa',
+        'summary.estimatedValue': 'Thamani Inayokadiriwa',
+        'summary.valueRange': 'kiwango {low} – {high}, {method}',
+        'summary.declaredValue': 'Thamani Iliyotajwa',
+        'summary.analysisSummary': 'MUHTASARI WA UCHAMBUZI',
+        'summary.riskRating': 'Kiwango cha Hatari',
+        'summary.dataPoints': 'Vipengele vya Data',
+        'summary.dataQuality': '{percentage}% kamili, kigezo cha {rubric}',
+        'summary.confidence': 'Uhakika',
+        'summary.modules': 'Moduli za AI',
+        'summary.useCase': 'Matumizi',
+        'summary.riskBreakdown': 'MCHANGANUO WA ALAMA YA HATARI',
+        'summary.totalScore': 'Jumla ya Alama',
+        'summary.grade': 'Daraja {grade}',
+        'summary.cashFlow': 'MTIRIRIKO WA FEDHA NA UWEZO WA KULIPA',
+        'summary.notCalculated': 'haijakokotolewa ({reason})',
+        'summary.dataGaps': 'MAPENGO YA DATA NA MBADALA',
+        'summary.proxy': 'mbadala',
+        'summary.consensusTitle': 'MAKUBALIANO YA WACHAMBUZI',
+        'summary.consensus': 'Makubaliano',
+        'summary.consensusNone': 'hayakukokotolewa (chini ya wachambuzi wawili walikamilisha)',
+        'summary.consensusGrade': 'Daraja la makubaliano',
+        'summary.consensusGradeDetail': '{label} kutokana na wastani wa alama {score}/100; {agreement}% ya wachambuzi wanakubaliana juu ya daraja',
+        'summary.consensusMetric': 'wastani {mean}, kiwango {min} – {max}, tofauti {variation}%',
+        'summary.disagreement': 'kutokubaliana',
+        'summary.narrative': 'MAELEZO',
+        'summary.note': 'Kumbuka',
+        'summary.documents': 'NYARAKA ZILIZOCHAKATWA',
+        'summary.documentsParsed': 'faili {parsed}/{total} zimesomwa kwa mafanikio',
+        'summary.insights': 'MAARIFA YALIYOTOLEWA',
+        'summary.totalFiles': 'Jumla ya Faili',
+        'summary.dataPointsExtracted': 'Vipengele vya Data Vilivyotolewa',
+        'summary.transactionsExtracted': 'Miamala Iliyotolewa',
+        'summary.financialMentions': 'Marejeo ya Kifedha',
+
+        'report.pageTitle': 'Uchambuzi wa CERES AI',
+        'report.badge': 'UCHAMBUZI WA CERES AI',
+        'report.exportPdf': 'Hamisha Uchambuzi (PDF)',
+        'report.generatingPdf': 'Inatayarisha Ripoti ya Uchambuzi wa CERES...',
+        'report.empty': 'Hakuna ripoti ya kuonyesha',
+        'report.emptyHint': 'Fungua ripoti kutoka kwenye orodha ya wasifu uliohifadhiwa.',
+        'report.notFound': 'Hakuna wasifu uliohifadhiwa wenye kitambulisho {id} kwenye kifaa hiki.',
+        'report.notFoundVersion': 'Hakuna wasifu uliohifadhiwa wenye kitambulisho {id} (toleo {version}) kwenye kifaa hiki.',
+        'report.locked': 'Ripoti imefungwa',
+        'report.lockedHint': 'Wasifu uliohifadhiwa kwenye kifaa hiki umesimbwa. Weka nenosiri ili kufungua ripoti hii.',
+        'report.wrongPassphrase': 'Nenosiri hilo si sahihi.',
+        'report.profileData': 'Data ya Wasifu',
+        'report.calculatedAnalytics': 'Uchambuzi Uliokokotolewa',
+        'report.calculated': 'Imekokotolewa',
+        'report.herdValuation': 'Thamani ya Kundi',
+        'report.gapsTitle': 'Mapengo Muhimu ya Data Yaliyobainishwa',
+        'report.proxiesTitle': 'Dhana na Mbadala',
+        'report.proxiesIntro': 'Data mbadala iliyotumika palipo na mapengo, pamoja na viwango vya uzito:',
+        'report.riskBreakdown': 'Mchanganuo wa Alama ya Hatari',
+        'report.consensusTitle': 'Makubaliano ya Wachambuzi',
+        'report.consensusScore': 'Alama ya Makubaliano',
+        'report.narrative': 'Maelezo',
+        'report.methodology': 'Mbinu na Mipaka',
+        'report.standards': 'Viwango vya Hesabu',
+        'report.limitations': 'Mipaka ya Maarifa',
+        'report.disclaimer': 'Siri • Vipimo vimekokotolewa kutoka kwa data iliyopo • Hakiki kabla ya maamuzi makubwa',
+        'report.documentTitle': 'Uchambuzi wa CERES AI | {name} ({id})',
+        'report.idLine': 'Kitambulisho: {id}',
+        'report.footerTitle': 'Ripoti ya Uchambuzi wa CERES AI • {id} • {name}',
+        'report.hash': 'Toleo {version} • SHA-256 {hash}',
+        'report.noHash': 'Toleo {version} • hakuna hashi ya maudhui iliyorekodiwa',
+        'report.unnamed': 'Mkulima Bila Jina',
+        'report.profileId': 'Kitambulisho cha Wasifu',
+        'report.nationalId': 'Kitambulisho cha Taifa',
+        'report.readFromId': 'Imesomwa kutoka kwenye kitambulisho',
+        'report.dateOfBirth': 'Tarehe ya Kuzaliwa',
+        'report.male': 'Mwanaume',
+        'report.female': 'Mwanamke',
+        'report.idCheck': 'Ukaguzi wa Kitambulisho: {field}',
+        'report.partialMatch': 'Inalingana kwa sehemu',
+        'report.mismatch': 'Hailingani',
+        'report.idReads': 'Kitambulisho kinasoma "{extracted}", fomu ina "{declared}"',
+        'report.primaryLivestock': 'Mifugo Mikuu',
+        'report.headCount': 'Idadi ya Mifugo',
+        'report.farmSize': 'Ukubwa wa Shamba',
+        'report.acres': 'ekari {value}',
+        'report.yearsFarming': 'Miaka ya Ufugaji',
+        'report.bank': 'Benki',
+        'report.useCase': 'Matumizi',
+        'report.declaredHerdValue': 'Thamani ya Kundi Iliyotajwa',
+        'report.monthlyInflow': 'Mapato ya Mwezi (wastani)',
+        'report.monthlyOutflow': 'Matumizi ya Mwezi (wastani)',
+        'report.riskScore': 'Alama ya Hatari',
+        'report.notScored': 'Haijapimwa',
+        'report.checkDeclared': 'Kagua iliyotajwa',
+        'report.range': 'Kiwango {low} – {high}',
+        'report.headSpecies': 'Mifugo {count} • {species}',
+        'report.netCashFlow': 'Mtiririko Halisi wa Fedha',
+        'report.perMonth': '/mwezi',
+        'report.netDerived': 'Imetokana na mapato - matumizi ya taarifa za fedha',
+        'report.noStatements': 'Hakuna taarifa za fedha zilizosomwa',
+        'report.riskGrade': 'Daraja la Hatari',
+        'report.dataPoints': 'Vipengele vya Data',
+        'report.records': 'Rekodi',
+        'report.confidence': 'Uhakika',
+        'report.consensus': 'Makubaliano',
+        'report.consensusOf': '{score}% ya wachambuzi {count}',
+        'report.herdTitle': 'Kundi la {species}',
+        'report.statementMonths': { one: 'mwezi {count} wa taarifa', other: 'miezi {count} ya taarifa' },
+        'report.netCashFlowAverage': 'Mtiririko Halisi wa Fedha (Wastani wa Mwezi)',
+        'report.netFormula': 'Mtiririko Halisi = Wastani wa Mapato ya Mwezi - Wastani wa Matumizi ya Mwezi',
+        'report.directCalculation': 'Hesabu ya Moja kwa Moja',
+        'report.notCalculated': 'Haijakokotolewa',
+        'report.missingInput': 'Data Inakosekana',
+        'report.modelGenerated': 'Imetolewa na modeli • {source} • {date}',
+        'report.modelGeneratedShort': 'Imetolewa na modeli: {source}',
+        'report.narrativeSource': '{model} kupitia {baseUrl}',
+        'report.standardRisk': 'Alama ya hatari kutoka modeli {model}: vipengele vyenye uzito vinavyojumlisha alama 100',
+        'report.standardRiskLegacy': 'Kiwango cha hatari kilirekodiwa kabla ya modeli ya alama kuanzishwa',
+        'report.standardCashFlow': 'Takwimu za mtiririko wa fedha ni wastani wa mwezi wa mapato na matumizi ya taarifa zilizosomwa',
+        'report.standardValuation': 'Kundi limethaminiwa kwa jedwali la bei za eneo kwa aina, mbegu, umri, jinsia na afya ({method})',
+        'report.valuationPerAnimal': 'kwa kila mnyama',
+        'report.valuationTypical': 'idadi ya mifugo × thamani ya kawaida',
+        'report.standardDeclared': 'Thamani ya kundi imechukuliwa kutoka kauli ya mkulima',
+        'report.standardCurrency': 'Thamani zote za fedha ni kwa Shilingi za Kenya (KES)',
+        'report.limitDocuments': 'Takwimu zinaonyesha tu nyaraka zilizopakiwa wakati wa usajili',
+        'report.limitDeclared': 'Thamani zilizotajwa na mkulima kwenye fomu hazijahakikiwa kwa njia huru',
+        'report.limitSeasonal': 'Mabadiliko ya msimu hayaonekani katika wastani wa mwezi',
+        'report.footer': 'Imetolewa: {date} | Uchambuzi wa CERES AI | Rekodi {count} Zimechambuliwa',
+        'report.consensusSummary': 'Wachambuzi {completed} kati ya {total} • {label} kutokana na wastani wa alama {score}/100 • {agreement}% wanakubaliana juu ya daraja',
+        'report.consensusNone': 'Chini ya wachambuzi wawili walikamilisha, kwa hivyo makubaliano hayakukokotolewa',
+        'report.analystModel': 'Modeli',
+        'report.analystScorer': 'Kipimo',
+        'report.disputed': 'Inabishaniwa',
+        'report.consensusMean': 'Wastani {mean} • {variation}% tofauti kati ya wachambuzi',
+        'report.gradesSplit': 'Madaraja yamegawanyika: {split}',
+        'report.summaryIntro': 'Uchambuzi wa CERES wa {name} ({id})',
+        'report.summaryThisFarmer': 'mkulima huyu',
+        'report.summaryRisk': 'unakadiria shughuli hii kuwa {label} kwa alama ya hatari {score}/100',
+        'report.summaryCashFlow': 'Taarifa zilizosomwa zinaonyesha wastani wa mtiririko halisi wa fedha wa mwezi wa {value} katika {months}.',
+        'report.summaryInstalment': 'Kiwango cha juu cha malipo ya mkopo kinachomudu ni {value} kwa mwezi.',
+        'report.summaryValuation': 'Kundi limethaminiwa kwa {value}.',
+        'report.noMetrics': 'Hakuna vipimo vilivyokokotolewa: pakia taarifa za benki au M-Pesa ili kupata takwimu za mtiririko wa fedha.',
+        'report.livestockTitle': 'Uchambuzi wa Mifugo: {title}',
+        'report.valuePerHead': 'Thamani kwa Kila Mnyama',
+        'report.valuePerHeadNote': 'Thamani / idadi ya mifugo',
+        'report.animalRecords': 'Rekodi za Mifugo',
+        'report.recordsOnFile': 'Rekodi za kila mnyama zipo',
+        'report.noRecords': 'Hakuna rekodi za kila mnyama',
+        'report.breedingStock': 'Mifugo {count} ya kuzaliana',
+        'report.gap': 'PENGO',
+        'report.noProxies': 'Hakuna thamani mbadala zilizotumika kwa wasifu huu.',
+        'report.proxyBadge': 'MBADALA – {severity}',
+        'report.noFactors': 'Hakuna mchanganuo wa vipengele uliohifadhiwa kwa wasifu huu.',
+        'report.herdTag': 'Alama',
+        'report.herdSpeciesBreed': 'Aina / Mbegu',
+        'report.herdSex': 'Jinsia',
+        'report.herdAge': 'Umri',
+        'report.herdHealth': 'Afya',
+        'report.herdVetVisit': 'Ziara ya Mwisho ya Daktari',
+        'report.herdAcquired': 'Bei ya Kununua',
+        'report.herdValue': 'Thamani Kadirio',
+        'pdf.title': 'RIPOTI YA UCHAMBUZI WA CERES AI',
+        'pdf.documentTitle': 'Ripoti ya Uchambuzi wa CERES AI {id}',
+        'pdf.executiveSummary': 'Muhtasari Mkuu',
+        'pdf.keyMetrics': 'Vipimo Vikuu',
+        'pdf.field': 'Sehemu',
+        'pdf.value': 'Thamani',
+        'pdf.uncertainty': 'Kutokuwa na Uhakika',
+        'pdf.metric': 'Kipimo',
+        'pdf.formula': 'Fomula',
+        'pdf.result': 'Matokeo',
+        'pdf.livestockAsset': 'Mali ya Mifugo: {title}',
+        'pdf.valuation': 'Thamani',
+        'pdf.details': 'Maelezo',
+        'pdf.riskBreakdown': 'Mchanganuo wa Alama ya Hatari ({model})',
+        'pdf.factor': 'Kipengele',
+        'pdf.points': 'Alama',
+        'pdf.basis': 'Msingi',
+        'pdf.consensus': 'Makubaliano ya Wachambuzi ({score})',
+        'pdf.analyst': 'Mchambuzi',
+        'pdf.type': 'Aina',
+        'pdf.note': 'Maelezo',
+        'pdf.figure': 'Takwimu',
+        'pdf.range': 'Kiwango',
+        'pdf.mean': 'Wastani',
+        'pdf.variation': 'Tofauti',
+        'pdf.disputed': '{label} (inabishaniwa)',
+        'pdf.gaps': 'Mapengo Muhimu ya Data',
+        'pdf.missingField': 'Sehemu Inayokosekana',
+        'pdf.impact': 'Athari',
+        'pdf.proxy': 'Mbadala/Dhana',
+        'pdf.source': 'Chanzo',
+        'pdf.severity': 'Uzito',
+        'pdf.page': 'Ripoti ya CERES AI {id} • Ukurasa {page} kati ya {count}'
+    }
+};
+
+// Translator Class
+class Translator {
+    constructor(catalogues, languages) {
+        this.catalogues = catalogues;
+        this.languages = languages;
+        this.language = this.load();
+    }
+
+    load() {
+        try {
+            const stored = localStorage.getItem(LANGUAGE_KEY);
+            if (stored && this.languages[stored]) return stored;
+        } catch (error) {
+            console.warn('Failed to read language setting:', error);
+        }
+        return DEFAULT_LANGUAGE;
+    }
+
+    setLanguage(language) {
+        if (!this.languages[language]) throw new Error(`Unsupported language: ${language}`);
+        this.language = language;
+        localStorage.setItem(LANGUAGE_KEY, language);
+    }
+
+    locale(language = this.language) {
+        return (this.languages[language] || this.languages[DEFAULT_LANGUAGE]).locale;
+    }
+
+    has(key, language = this.language) {
+        return key in (this.catalogues[language] || {}) || key in this.catalogues[DEFAULT_LANGUAGE];
+    }
+
+    t(key, params = {}, language = this.language) {
+        const catalogue = this.catalogues[language] || {};
+        let message = key in catalogue ? catalogue[key] : this.catalogues[DEFAULT_LANGUAGE][key];
+        if (message === undefined) return key;
+        if (typeof message === 'object') {
+            message = message[new Intl.PluralRules(this.locale(language)).select(params.count)] || message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => name in params ? String(params[name]) : match);
+    }
+
+    // A label from a `group.value` key, or the raw value when the catalogue has none
+    label(group, value, language = this.language) {
+        return this.has(`${group}.${value}`, language) ? this.t(`${group}.${value}`, {}, language) : value;
+    }
+
+    // Stored assessments keep their English label; the grade picks the translated one
+    riskLabel(assessment, language = this.language) {
+        if (!assessment) return '';
+        return this.has(`risk.grade.${assessment.grade}`, language)
+            ? `${this.t(`risk.grade.${assessment.grade}`, {}, language)} (${assessment.grade})`
+            : assessment.label;
+    }
+
+    // Risk factors keep their English label and note too; the factor key and the note's
+    // message key pick the translated text. Notes typed by the officer have no key.
+    factorLabel(factor, language = this.language) {
+        return this.has(`factor.${factor.key}`, language) ? this.t(`factor.${factor.key}`, {}, language) : factor.label;
+    }
+
+    factorNote(factor, language = this.language) {
+        if (!factor.noteKey || !this.has(`factor.note.${factor.noteKey}`, language)) return factor.note;
+        const params = { ...factor.noteParams };
+        if ('amount' in params) params.amount = this.formatCurrency(params.amount, language);
+        if ('source' in params) params.source = this.t(`factor.source.${params.source}`, {}, language);
+        if ('categories' in params) params.categories = params.categories.map(category => this.label('category', category, language)).join(', ');
+        return this.t(`factor.note.${factor.noteKey}`, params, language);
+    }
+
+    // The note as a message (see message()), for generated text that quotes it
+    factorNoteMessage(factor) {
+        if (!factor.noteKey) return { text: factor.note };
+        const params = { ...factor.noteParams };
+        if ('source' in params) params.source = { key: `factor.source.${params.source}` };
+        if ('categories' in params) params.categories = params.categories.map(category => ({ key: `category.${category}`, text: category }));
+        return { key: `factor.note.${factor.noteKey}`, params: params, text: factor.note };
+    }
+
+    // Generated text (valuation basis, findings, formulas) is stored in English next to the
+    // message it came from, { key, params }. `text` stands in when the catalogue has no such
+    // key, as for plug-in modules. A param may itself be a message, lower-cased mid-sentence
+    // with `lower`, or a list of them; `amount` is money.
+    message(message, language = this.language) {
+        if (!message.key || !this.has(message.key, language)) return message.text !== undefined ? message.text : message.key;
+        const render = value => {
+            if (Array.isArray(value)) return value.map(render).join(', ');
+            if (!value || typeof value !== 'object') return value;
+            const text = this.message(value, language);
+            return value.lower ? text.toLowerCase() : text;
+        };
+        const params = {};
+        Object.entries(message.params || {}).forEach(([name, value]) => {
+            params[name] = name === 'amount' ? this.formatCurrency(value, language) : render(value);
+        });
+        return this.t(message.key, params, language);
+    }
+
+    // A stored field with its message in `{name}Key` and `{name}Params`; older profiles have none
+    text(item, name, language = this.language) {
+        const key = item[`${name}Key`];
+        return key ? this.message({ key: key, params: item[`${name}Params`], text: item[name] }, language) : item[name];
+    }
+
+    // A stored list with its messages in `{name}Messages`
+    texts(item, name, language = this.language) {
+        const messages = item[`${name}Messages`] || [];
+        return (item[name] || []).map((text, index) => messages[index] ? this.message({ ...messages[index], text: text }, language) : text);
+    }
+
+    // Financial metrics, their inputs and the confidence figures are labelled by key
+    financeLabel(item, language = this.language) {
+        return this.keyedLabel(`finance.metric.${item.key}`, item.label, language);
+    }
+
+    financeFormula(metric, language = this.language) {
+        return this.keyedLabel(`finance.formula.${metric.key}`, metric.formula, language);
+    }
+
+    // Gaps detected before the impacts were kept as messages only have the joined English text
+    gapImpact(gap, language = this.language) {
+        return gap.impactsMessages ? this.texts(gap, 'impacts', language).join('; ') : gap.impact;
+    }
+
+    // A label kept in English on the stored record and translated by a key derived from it
+    keyedLabel(key, label, language = this.language) {
+        return this.has(key, language) ? this.t(key, {}, language) : label;
+    }
+
+    formatNumber(value, options = {}, language = this.language) {
+        if (value === null || value === undefined || isNaN(value)) return '--';
+        return new Intl.NumberFormat(this.locale(language), options).format(value);
+    }
+
+    // Whole shillings with the ISO code in front, as lenders write them
+    formatCurrency(value, language = this.language) {
+        if (value === null || value === undefined || isNaN(value)) return '--';
+        return `KES ${this.formatNumber(Math.round(value), {}, language)}`;
+    }
+
+    formatMillions(value, digits = 1, language = this.language) {
+        return `KES ${this.formatNumber(value / 1000000, { minimumFractionDigits: digits, maximumFractionDigits: digits }, language)}M`;
+    }
+
+    formatDate(value, language = this.language) {
+        return new Intl.DateTimeFormat(this.locale(language), { dateStyle: 'medium' }).format(new Date(value));
+    }
+
+    formatDateTime(value, language = this.language) {
+        return new Intl.DateTimeFormat(this.locale(language), { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(value));
+    }
+
+    formatTime(value, language = this.language) {
+        return new Intl.DateTimeFormat(this.locale(language), { timeStyle: 'short' }).format(new Date(value));
+    }
+
+    // Static markup names its message in data-i18n (text) or data-i18n-title / data-i18n-placeholder
+    apply(root = document) {
+        document.documentElement.lang = this.language;
+        root.querySelectorAll('[data-i18n]').forEach(element => { element.textContent = this.t(element.dataset.i18n); });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => { element.title = this.t(element.dataset.i18nTitle); });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => { element.placeholder = this.t(element.dataset.i18nPlaceholder); });
+    }
+
+    // Options for a language <select>, with the current language chosen
+    options(selected = this.language) {
+        return Object.entries(this.languages)
+            .map(([code, language]) => `<option value="${code}" ${code === selected ? 'selected' : ''}>${language.label}</option>`)
+            .join('');
+    }
+}
+
+const i18n = new Translator(MESSAGES, LANGUAGES);
+
+function t(key, params = {}, language) {
+    return i18n.t(key, params, language);
+}
+
+// Generated text for storing: `name` in English, with the message behind it in `{name}Key`
+// and `{name}Params` so it can be shown in another language (see Translator.message)
+function messageField(name, key, params = {}) {
+    return {
+        [name]: i18n.message({ key: key, params: params }, DEFAULT_LANGUAGE),
+        [`${name}Key`]: key,
+        [`${name}Params`]: params
+    };
+}
+
+// The same for a list: `name` in English and the messages in `{name}Messages`. A message
+// with no key ({ text }) is kept as it is.
+function messageList(name, messages) {
+    return {
+        [name]: messages.map(message => i18n.message(message, DEFAULT_LANGUAGE)),
+        [`${name}Messages`]: messages.map(message => message.key ? { key: message.key, params: message.params || {} } : null)
+    };
+}
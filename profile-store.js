@@ -0,0 +1,473 @@
+// profile-store.js - IndexedDB persistence for farmer profiles
+// Shared by the intake app and the report page; load it before app.js.
+
+const PROFILE_DB_NAME = 'ceres';
+const LEGACY_PROFILES_KEY = 'ceres_profiles_v2';
+
+// Each migration upgrades the database from (version - 1) to `version`.
+// Released migrations must never change; append a new entry instead.
+const PROFILE_DB_MIGRATIONS = [
+    {
+        version: 1,
+        upgrade(db) {
+            const store = db.createObjectStore('profiles', { keyPath: 'id' });
+            store.createIndex('id', 'id', { unique: true });
+            store.createIndex('farmerName', 'farmerName');
+            store.createIndex('county', 'county');
+            store.createIndex('riskRating', 'riskRating');
+            store.createIndex('timestamp', 'timestamp');
+        }
+    },
+    {
+        version: 2,
+        // Import profiles written by the old single-key localStorage ProfileManager
+        upgrade(db, transaction, context) {
+            const legacy = readLegacyProfiles();
+            const store = transaction.objectStore('profiles');
+            legacy.forEach(profile => store.put(normalizeLegacyProfile(profile)));
+            context.importedLegacy = legacy.length > 0;
+        }
+    },
+    {
+        version: 3,
+        // Every saved analysis is kept in profile_versions; `profiles` holds the latest one
+        upgrade(db, transaction) {
+            const versions = db.createObjectStore('profile_versions', { keyPath: ['id', 'version'] });
+            versions.createIndex('id', 'id');
+
+            const request = transaction.objectStore('profiles').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                const profile = { ...cursor.value, version: cursor.value.version || 1 };
+                cursor.update(profile);
+                versions.put(profile);
+                cursor.continue();
+            };
+        }
+    },
+    {
+        version: 4,
+        // Unfinished intakes. Uploaded files sit in draft_files so that autosaving a form
+        // edit does not rewrite them.
+        upgrade(db) {
+            const drafts = db.createObjectStore('drafts', { keyPath: 'id' });
+            drafts.createIndex('timestamp', 'timestamp');
+            const files = db.createObjectStore('draft_files', { keyPath: 'id' });
+            files.createIndex('draftId', 'draftId');
+        }
+    }
+];
+
+const PROFILE_DB_VERSION = PROFILE_DB_MIGRATIONS[PROFILE_DB_MIGRATIONS.length - 1].version;
+
+function readLegacyProfiles() {
+    try {
+        const stored = localStorage.getItem(LEGACY_PROFILES_KEY);
+        return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+        console.warn('Failed to read legacy profiles from localStorage:', error);
+        return [];
+    }
+}
+
+function normalizeLegacyProfile(profile) {
+    // v2 profiles duplicated the intake form as `fullData` and lost the livestock block
+    const intake = profile.intake || profile.fullData || {};
+    const livestock = profile.livestock && profile.livestock.species
+        ? profile.livestock
+        : (intake.livestock || { species: intake.species, count: intake.livestockCount, value: intake.herdValue });
+
+    const normalized = {
+        ...profile,
+        county: profile.county || intake.county || '',
+        ward: profile.ward || intake.ward || '',
+        livestock: livestock,
+        intake: intake
+    };
+    delete normalized.fullData;
+    delete normalized.intake.documents;
+    return normalized;
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+const PROFILE_ENCRYPTION_KEY = 'ceres_encryption';
+const PROFILE_KDF_ITERATIONS = 310000;
+const PROFILE_KEY_CHECK = 'ceres-profile-key';
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// Optional AES-GCM encryption of stored profiles. The key is derived from a passphrase
+// with PBKDF2 and only ever held in memory; localStorage keeps the salt and an
+// encrypted check value so a passphrase can be verified without touching the profiles.
+class ProfileCipher {
+    constructor() {
+        this.key = null;
+    }
+
+    settings() {
+        try {
+            const stored = localStorage.getItem(PROFILE_ENCRYPTION_KEY);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.warn('Failed to read encryption settings:', error);
+            return null;
+        }
+    }
+
+    isEnabled() {
+        return Boolean(this.settings());
+    }
+
+    isLocked() {
+        return this.isEnabled() && !this.key;
+    }
+
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // A key under a fresh salt; nothing changes until install() is called with it
+    async createKey(passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await this.deriveKey(passphrase, salt, PROFILE_KDF_ITERATIONS);
+        return {
+            key: key,
+            settings: {
+                salt: bytesToBase64(salt),
+                iterations: PROFILE_KDF_ITERATIONS,
+                check: await this.encrypt(PROFILE_KEY_CHECK, key)
+            }
+        };
+    }
+
+    // `settings` null turns encryption off
+    install(key, settings) {
+        if (settings) {
+            localStorage.setItem(PROFILE_ENCRYPTION_KEY, JSON.stringify(settings));
+        } else {
+            localStorage.removeItem(PROFILE_ENCRYPTION_KEY);
+        }
+        this.key = key;
+    }
+
+    // Resolves false for a wrong passphrase: AES-GCM refuses to decrypt under the wrong key
+    async unlock(passphrase) {
+        const settings = this.settings();
+        if (!settings) return true;
+
+        const key = await this.deriveKey(passphrase, base64ToBytes(settings.salt), settings.iterations);
+        try {
+            if (await this.decrypt(settings.check, key) !== PROFILE_KEY_CHECK) return false;
+        } catch (error) {
+            return false;
+        }
+        this.key = key;
+        return true;
+    }
+
+    lock() {
+        this.key = null;
+    }
+
+    async encrypt(value, key = this.key) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+        return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+    }
+
+    async decrypt(sealed, key = this.key) {
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(sealed.iv) }, key, base64ToBytes(sealed.data));
+        return JSON.parse(new TextDecoder().decode(data));
+    }
+
+    // Only the key path and the timestamp index stay readable on a sealed record
+    async seal(record, key = this.key) {
+        if (!key) {
+            if (this.isLocked()) throw new Error('Saved profiles are locked');
+            return record;
+        }
+        return { id: record.id, version: record.version, timestamp: record.timestamp, sealed: await this.encrypt(record, key) };
+    }
+
+    async open(record) {
+        if (!record || !record.sealed) return record;
+        if (!this.key) throw new Error('Saved profiles are locked');
+        return this.decrypt(record.sealed);
+    }
+
+    // Draft uploads: the bytes are encrypted as they are, the file name and type as JSON
+    async sealFile(record, key = this.key) {
+        if (!key) {
+            if (this.isLocked()) throw new Error('Saved profiles are locked');
+            return record;
+        }
+        const file = record.file;
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, await file.arrayBuffer());
+        return {
+            id: record.id,
+            draftId: record.draftId,
+            sealed: await this.encrypt({ category: record.category, name: file.name, type: file.type, lastModified: file.lastModified }, key),
+            bytes: { iv: bytesToBase64(iv), data: data }
+        };
+    }
+
+    async openFile(record) {
+        if (!record || !record.sealed) return record;
+        if (!this.key) throw new Error('Saved profiles are locked');
+        const meta = await this.decrypt(record.sealed);
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(record.bytes.iv) }, this.key, record.bytes.data);
+        return {
+            id: record.id,
+            draftId: record.draftId,
+            category: meta.category,
+            file: new File([data], meta.name, { type: meta.type, lastModified: meta.lastModified })
+        };
+    }
+}
+
+// Profile Store Class
+// With encryption on, sealed records only expose id, version and timestamp, so the farmerName,
+// county and riskRating indexes stay empty; query() then decrypts every profile and filters.
+class ProfileStore {
+    constructor(dbName = PROFILE_DB_NAME, cipher = new ProfileCipher()) {
+        this.dbName = dbName;
+        this.db = null;
+        this.cipher = cipher;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (this.opening) return this.opening;
+
+        this.opening = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, PROFILE_DB_VERSION);
+            const context = { importedLegacy: false };
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                const transaction = request.transaction;
+                PROFILE_DB_MIGRATIONS
+                    .filter(migration => migration.version > event.oldVersion)
+                    .forEach(migration => migration.upgrade(db, transaction, context));
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Another tab upgrading the schema needs this connection out of the way
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    this.opening = null;
+                };
+                // The upgrade transaction has committed, so the old copy is no longer needed
+                if (context.importedLegacy) localStorage.removeItem(LEGACY_PROFILES_KEY);
+                resolve(this.db);
+            };
+
+            request.onerror = () => {
+                this.opening = null;
+                reject(request.error);
+            };
+            request.onblocked = () => console.warn('Profile database upgrade is waiting for other tabs to close');
+        });
+
+        return this.opening;
+    }
+
+    // `work` gets the object store, or the transaction itself when several stores are named
+    async transaction(storeName, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            let result;
+            Promise.resolve(work(Array.isArray(storeName) ? tx : tx.objectStore(storeName)))
+                .then(value => { result = value; })
+                .catch(reject);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    openAll(records) {
+        return Promise.all(records.map(record => this.cipher.open(record)));
+    }
+
+    async get(id) {
+        return this.cipher.open(await this.transaction('profiles', 'readonly', store => requestToPromise(store.get(id))));
+    }
+
+    // Newest first, following the timestamp index
+    async list() {
+        return this.openAll(await this.transaction('profiles', 'readonly', store => new Promise((resolve, reject) => {
+            const profiles = [];
+            const request = store.index('timestamp').openCursor(null, 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    profiles.push(cursor.value);
+                    cursor.continue();
+                } else {
+                    resolve(profiles);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        })));
+    }
+
+    // `query` is a key or an IDBKeyRange on the named index
+    async query(indexName, query) {
+        if (this.cipher.isEnabled() && !['id', 'timestamp'].includes(indexName)) {
+            const range = query instanceof IDBKeyRange ? query : IDBKeyRange.only(query);
+            const profiles = await this.openAll(await this.transaction('profiles', 'readonly', store => requestToPromise(store.getAll())));
+            return profiles
+                .filter(profile => this.indexable(profile[indexName]) && range.includes(profile[indexName]))
+                .sort((a, b) => indexedDB.cmp(a[indexName], b[indexName]) || indexedDB.cmp(a.id, b.id));
+        }
+        return this.openAll(await this.transaction('profiles', 'readonly', store => requestToPromise(store.index(indexName).getAll(query))));
+    }
+
+    // Values IndexedDB would have put in an index (it skips undefined, null, booleans and objects)
+    indexable(value) {
+        return typeof value === 'string' || (typeof value === 'number' && !isNaN(value)) || value instanceof Date;
+    }
+
+    // Writes the profile as the latest version and keeps a copy in its history
+    async put(profile) {
+        const record = await this.cipher.seal(profile.version ? profile : { ...profile, version: 1 });
+        return this.transaction(['profiles', 'profile_versions'], 'readwrite', tx => {
+            tx.objectStore('profile_versions').put(record);
+            return requestToPromise(tx.objectStore('profiles').put(record));
+        });
+    }
+
+    // Writes a profile's history, oldest first, in one transaction; the last record becomes the
+    // current profile. With `replace` the versions already stored under its ID are dropped in the
+    // same transaction, so a failure part-way leaves the old profile as it was.
+    async putHistory(records, replace = false) {
+        // Sealed before the transaction opens: awaiting WebCrypto inside it would let it auto-commit
+        const sealed = [];
+        for (const record of records) {
+            sealed.push(await this.cipher.seal(record.version ? record : { ...record, version: 1 }));
+        }
+        const latest = sealed[sealed.length - 1];
+        return this.transaction(['profiles', 'profile_versions'], 'readwrite', tx => {
+            const versions = tx.objectStore('profile_versions');
+            if (replace) versions.delete(IDBKeyRange.bound([latest.id, 0], [latest.id, Infinity]));
+            sealed.forEach(record => versions.put(record));
+            return requestToPromise(tx.objectStore('profiles').put(latest));
+        });
+    }
+
+    delete(id) {
+        return this.transaction(['profiles', 'profile_versions'], 'readwrite', tx => {
+            tx.objectStore('profile_versions').delete(IDBKeyRange.bound([id, 0], [id, Infinity]));
+            return requestToPromise(tx.objectStore('profiles').delete(id));
+        });
+    }
+
+    async getVersion(id, version) {
+        return this.cipher.open(await this.transaction('profile_versions', 'readonly', store => requestToPromise(store.get([id, version]))));
+    }
+
+    // Oldest first
+    async listVersions(id) {
+        const versions = await this.openAll(await this.transaction('profile_versions', 'readonly', store => requestToPromise(store.index('id').getAll(id))));
+        return versions.sort((a, b) => a.version - b.version);
+    }
+
+    async getDraft(id) {
+        return this.cipher.open(await this.transaction('drafts', 'readonly', store => requestToPromise(store.get(id))));
+    }
+
+    // Newest first
+    async listDrafts() {
+        const drafts = await this.openAll(await this.transaction('drafts', 'readonly', store => requestToPromise(store.getAll())));
+        return drafts.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    }
+
+    async putDraft(draft) {
+        const record = await this.cipher.seal(draft);
+        return this.transaction('drafts', 'readwrite', store => requestToPromise(store.put(record)));
+    }
+
+    // Removes the draft with all of its files
+    deleteDraft(id) {
+        return this.transaction(['drafts', 'draft_files'], 'readwrite', tx => {
+            const files = tx.objectStore('draft_files');
+            const request = files.index('draftId').getAllKeys(id);
+            request.onsuccess = () => request.result.forEach(key => files.delete(key));
+            return requestToPromise(tx.objectStore('drafts').delete(id));
+        });
+    }
+
+    // `record` is { id, draftId, category, file }
+    async putDraftFile(record) {
+        const sealed = await this.cipher.sealFile(record);
+        return this.transaction('draft_files', 'readwrite', store => requestToPromise(store.put(sealed)));
+    }
+
+    deleteDraftFiles(ids) {
+        return this.transaction('draft_files', 'readwrite', store => {
+            ids.forEach(id => store.delete(id));
+        });
+    }
+
+    async listDraftFiles(draftId) {
+        const records = await this.transaction('draft_files', 'readonly', store => requestToPromise(store.index('draftId').getAll(draftId)));
+        return Promise.all(records.map(record => this.cipher.openFile(record)));
+    }
+
+    // Rewrites every profile, version and draft under `key` (null stores them readable) in a
+    // single transaction, so a failure part-way leaves the old encryption intact. The current
+    // key must be unlocked.
+    async rekey(key) {
+        const stores = ['profiles', 'profile_versions', 'drafts', 'draft_files'];
+        const current = await this.transaction(stores, 'readonly', tx => Promise.all(
+            stores.map(name => requestToPromise(tx.objectStore(name).getAll()))
+        ));
+
+        // WebCrypto calls would let a write transaction auto-commit, so everything is sealed first
+        const next = [];
+        for (const [index, records] of current.entries()) {
+            const files = stores[index] === 'draft_files';
+            const opened = files
+                ? await Promise.all(records.map(record => this.cipher.openFile(record)))
+                : await this.openAll(records);
+            next.push(key
+                ? await Promise.all(opened.map(record => files ? this.cipher.sealFile(record, key) : this.cipher.seal(record, key)))
+                : opened);
+        }
+
+        return this.transaction(stores, 'readwrite', tx => {
+            stores.forEach((name, index) => next[index].forEach(record => tx.objectStore(name).put(record)));
+        });
+    }
+
+    count() {
+        return this.transaction('profiles', 'readonly', store => requestToPromise(store.count()));
+    }
+}
@@ -0,0 +1,919 @@
+// report.js - Builds the CERES analysis report from a stored profile
+// The on-screen report and the PDF export both read the same report model.
+
+const REPORT_BADGE_CLASSES = {
+    calculated: 'badge-calculated',
+    low: 'badge-proxy-low',
+    medium: 'badge-proxy-med',
+    high: 'badge-proxy-high',
+    gap: 'badge-gap'
+};
+
+// Per-animal roster columns, shared by the page table and the PDF; `label` is a message key
+const REPORT_HERD_COLUMNS = [
+    { label: 'report.herdTag', format: animal => animal.tagId },
+    { label: 'report.herdSpeciesBreed', format: animal => [animal.species, animal.breed].filter(Boolean).join(' • ') || '--' },
+    { label: 'report.herdSex', format: animal => animal.sex || '--' },
+    { label: 'report.herdAge', format: animal => reportAge(animal.birthDate) },
+    { label: 'report.herdHealth', format: animal => animal.healthStatus || '--' },
+    { label: 'report.herdVetVisit', format: animal => animal.lastVetVisit || '--' },
+    { label: 'report.herdAcquired', format: animal => formatKES(animal.acquisitionValue) },
+    { label: 'report.herdValue', format: animal => formatKES(animal.estimatedValue) }
+];
+
+let currentReportModel = null;
+// Kept so a language change can rebuild the model
+let currentReportProfile = null;
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatKES(value) {
+    return i18n.formatCurrency(value);
+}
+
+function reportAge(birthDate) {
+    if (!birthDate) return '--';
+    const months = Math.floor((Date.now() - new Date(birthDate).getTime()) / (30.44 * 86400000));
+    return months >= 24 ? t('common.years', { count: Math.floor(months / 12) }) : t('common.months', { count: months });
+}
+
+function reportInitials(name) {
+    return (name || '?').split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('');
+}
+
+function buildReportModel(profile) {
+    const intake = profile.intake || {};
+    const livestock = profile.livestock || {};
+    const assessment = profile.riskAssessment || null;
+    const speciesLabel = livestock.species ? i18n.label('species', livestock.species) : '--';
+    const region = [profile.county || intake.county, profile.ward || intake.ward].filter(Boolean).join(', ');
+    const documents = Object.entries(profile.documents || {}).map(([category, files]) => ({
+        category: category,
+        total: files.length,
+        parsed: files.filter(f => f.parsed).length
+    }));
+    const recordCount = documents.reduce((sum, d) => sum + d.total, 0);
+    const cashFlow = buildCashFlowSection(profile.documents || {}, profile.financialMetrics);
+    const herd = profile.herd || null;
+    const valuation = profile.valuationDetail || null;
+    const animalValues = {};
+    if (valuation) valuation.perAnimal.forEach(entry => { animalValues[entry.tagId] = entry.estimate; });
+    const metrics = [];
+
+    if (profile.financialMetrics) {
+        const basis = t('report.statementMonths', { count: profile.financialMetrics.months.length });
+        metrics.push(...profile.financialMetrics.metrics.map(metric => reportFinancialMetric(metric, basis)));
+    } else if (cashFlow) {
+        // Profiles saved before financial metrics were stored only have the statements
+        metrics.push({
+            label: t('report.netCashFlowAverage'),
+            value: formatKES(cashFlow.averageNet),
+            formula: [
+                t('report.netFormula'),
+                `${formatKES(cashFlow.averageInflow)} - ${formatKES(cashFlow.averageOutflow)} = ${formatKES(cashFlow.averageNet)}`
+            ],
+            basis: t('report.statementMonths', { count: cashFlow.months.length }),
+            confidence: t('report.directCalculation')
+        });
+    }
+
+    const identity = profile.identity || { fields: {}, checks: [], mismatches: [] };
+    const age = identity.fields.dateOfBirth ? reportAge(identity.fields.dateOfBirth) : null;
+    const sexLabel = { M: t('report.male'), F: t('report.female') }[identity.fields.sex] || null;
+
+    const facts = [
+        { label: t('report.profileId'), value: profile.id, mono: true },
+        { label: t('report.nationalId'), value: identity.fields.idNumber || '--', mono: true, uncertainty: identity.fields.idNumber ? t('report.readFromId') : '' },
+        ...(identity.fields.dateOfBirth ? [{ label: t('report.dateOfBirth'), value: identity.fields.dateOfBirth, uncertainty: age }] : []),
+        ...identity.mismatches.map(check => ({
+            label: t('report.idCheck', { field: check.field }),
+            value: check.status === 'partial' ? t('report.partialMatch') : t('report.mismatch'),
+            uncertainty: t('report.idReads', check)
+        })),
+        { label: t('report.primaryLivestock'), value: speciesLabel },
+        { label: t('report.headCount'), value: livestock.count !== undefined ? t('common.head', { count: livestock.count }) : '--' },
+        { label: t('report.farmSize'), value: intake.land ? t('report.acres', { value: intake.land }) : '--' },
+        { label: t('report.yearsFarming'), value: intake.experience ? t('common.years', { count: Number(intake.experience) }) : '--' },
+        { label: t('report.bank'), value: [intake.bank, intake.accountType].filter(Boolean).join(' • ') || '--' },
+        { label: t('report.useCase'), value: profile.useCase || '--' }
+    ];
+
+    if (valuation && valuation.estimate !== null) {
+        facts.push({
+            label: t('report.herdValuation'),
+            value: formatKES(valuation.estimate),
+            uncertainty: `${formatKES(valuation.low)} – ${formatKES(valuation.high)}`
+        });
+    }
+    if (profile.declaredValue !== null && profile.declaredValue !== undefined) {
+        facts.push({
+            label: t('report.declaredHerdValue'),
+            value: formatKES(profile.declaredValue),
+            uncertainty: valuation && valuation.discrepancy && valuation.discrepancy.flagged ? i18n.text(valuation.discrepancy, 'message') : ''
+        });
+    }
+
+    if (cashFlow) {
+        facts.push(
+            { label: t('report.monthlyInflow'), value: formatKES(cashFlow.averageInflow) },
+            { label: t('report.monthlyOutflow'), value: formatKES(cashFlow.averageOutflow) }
+        );
+    }
+
+    const summaryCards = [
+        {
+            label: t('report.riskScore'),
+            value: assessment ? `${assessment.score}` : '--',
+            suffix: '/100',
+            badge: assessment ? { text: assessment.grade, severity: assessment.rating === 'low' ? 'low' : assessment.rating === 'medium' ? 'medium' : 'high' } : null,
+            note: assessment ? i18n.riskLabel(assessment) : t('report.notScored'),
+            accent: 'border-emerald-500'
+        },
+        {
+            label: t('report.herdValuation'),
+            value: formatKES(profile.valuation),
+            suffix: '',
+            badge: valuation && valuation.discrepancy && valuation.discrepancy.flagged ? { text: t('report.checkDeclared'), severity: 'medium' } : null,
+            note: valuation && valuation.estimate !== null
+                ? t('report.range', { low: formatKES(valuation.low), high: formatKES(valuation.high) })
+                : t('report.headSpecies', { count: livestock.count || 0, species: speciesLabel }),
+            accent: 'border-amber-500'
+        },
+        {
+            label: t('report.netCashFlow'),
+            value: cashFlow ? formatKES(cashFlow.averageNet) : '--',
+            suffix: cashFlow ? t('report.perMonth') : '',
+            badge: null,
+            note: cashFlow ? t('report.netDerived') : t('report.noStatements'),
+            accent: 'border-slate-900',
+            dark: true
+        }
+    ];
+
+    const generatedAt = profile.timestamp;
+
+    return {
+        profileId: profile.id,
+        version: profile.version || 1,
+        contentHash: profile.contentHash || null,
+        generatedAt: generatedAt,
+        farmer: {
+            name: profile.farmerName || t('report.unnamed'),
+            initials: reportInitials(profile.farmerName),
+            region: region || '--',
+            idNumber: identity.fields.idNumber || '',
+            sexAge: [sexLabel, age].filter(Boolean).join(', '),
+            phone: intake.phone || '',
+            email: intake.email || ''
+        },
+        headline: [
+            { label: t('report.riskGrade'), value: assessment ? assessment.grade : (profile.riskRating ? i18n.label('risk.rating', profile.riskRating) : '--').toUpperCase() },
+            { label: t('report.dataPoints'), value: reportDataPoints(profile) },
+            { label: t('report.records'), value: recordCount },
+            { label: t('report.confidence'), value: profile.confidence && profile.confidence.score !== null ? `${profile.confidence.score}%` : '--' },
+            ...(profile.analysts && profile.analysts.consensus && profile.analysts.consensus.consensusScore !== null
+                ? [{ label: t('report.consensus'), value: t('report.consensusOf', { score: profile.analysts.consensus.consensusScore, count: profile.analysts.consensus.completedCount }) }]
+                : [])
+        ],
+        gauge: assessment
+            ? { value: assessment.score, label: t('report.riskScore') }
+            : null,
+        summaryCards: summaryCards,
+        facts: facts,
+        metrics: metrics,
+        cashFlow: cashFlow,
+        livestock: {
+            title: t('report.herdTitle', { species: speciesLabel }),
+            subtitle: [intake.breed, region].filter(Boolean).join(' • ') || speciesLabel,
+            count: livestock.count,
+            value: profile.valuation,
+            breedingStock: herd ? herd.summary.breedingStock : (intake.breedingStock || null),
+            records: herd ? herd.animals.map(animal => ({ ...animal, estimatedValue: animalValues[animal.tagId] })) : []
+        },
+        riskFactors: assessment
+            ? assessment.factors.map(factor => ({ ...factor, label: i18n.factorLabel(factor), note: i18n.factorNote(factor) }))
+            : [],
+        riskModel: assessment ? assessment.model : null,
+        gaps: profile.dataGaps
+            ? profile.dataGaps.gaps.map(gap => ({
+                ...gap,
+                label: i18n.text(gap, 'label'),
+                impact: i18n.gapImpact(gap)
+            }))
+            : [],
+        proxies: profile.dataGaps
+            ? profile.dataGaps.proxies.map(proxy => ({
+                label: `${i18n.text(proxy, 'fills')}: ${proxy.value} ${proxy.unit}`,
+                source: `${i18n.text(proxy, 'basis')} • ${proxy.source} (${proxy.updatedAt})`,
+                severity: proxy.severity
+            }))
+            : [],
+        consensus: buildConsensusSection(profile.analysts),
+        documents: documents,
+        summary: buildExecutiveSummary(profile, assessment, cashFlow),
+        narrative: profile.narrative && profile.narrative.status === 'completed' && profile.narrative.text.trim()
+            ? { text: profile.narrative.text.trim(), source: t('report.narrativeSource', profile.narrative.provider), generatedAt: profile.narrative.completedAt }
+            : null,
+        methodology: {
+            standards: [
+                assessment
+                    ? t('report.standardRisk', { model: assessment.model })
+                    : t('report.standardRiskLegacy'),
+                t('report.standardCashFlow'),
+                valuation && valuation.estimate !== null
+                    ? t('report.standardValuation', { method: t(valuation.method === 'roster' ? 'report.valuationPerAnimal' : 'report.valuationTypical') })
+                    : t('report.standardDeclared'),
+                t('report.standardCurrency')
+            ],
+            limitations: [
+                t('report.limitDocuments'),
+                t('report.limitDeclared'),
+                t('report.limitSeasonal')
+            ]
+        },
+        footer: t('report.footer', { date: i18n.formatDateTime(generatedAt), count: recordCount })
+    };
+}
+
+// Profiles analysed by a single scorer have no council section
+function buildConsensusSection(analysts) {
+    if (!analysts) return null;
+    const consensus = analysts.consensus;
+    const figure = (value, unit) => value === null ? '--' : unit === 'KES' ? formatKES(value) : `${value}${unit}`;
+
+    return {
+        score: consensus && consensus.consensusScore !== null ? `${consensus.consensusScore}%` : '--',
+        summary: consensus
+            ? t('report.consensusSummary', {
+                completed: consensus.completedCount,
+                total: consensus.analystCount,
+                label: i18n.riskLabel(consensus),
+                score: consensus.score,
+                agreement: consensus.gradeAgreement
+            })
+            : t('report.consensusNone'),
+        metrics: consensus
+            ? consensus.metrics.filter(metric => metric.variation !== null).map(metric => ({
+                label: i18n.keyedLabel(`analyst.metric.${metric.key}`, metric.label),
+                range: `${figure(metric.min, metric.unit)} – ${figure(metric.max, metric.unit)}`,
+                mean: figure(metric.mean, metric.unit),
+                variation: metric.variation,
+                disputed: metric.disagreement
+            }))
+            : [],
+        gradeSplit: consensus && consensus.disagreements.some(item => item.key === 'grade')
+            ? Object.entries(consensus.grades).map(([grade, count]) => `${grade} × ${count}`).join(', ')
+            : null,
+        analysts: analysts.results.map(result => ({
+            name: result.name,
+            type: result.type === 'model' && result.config ? `${t('report.analystModel')} • ${result.config.provider.model}` : t(result.type === 'model' ? 'report.analystModel' : 'report.analystScorer'),
+            result: result.status === 'completed' ? `${result.score}/100 (${result.grade})` : result.status.toUpperCase(),
+            note: result.status === 'completed' ? (result.rationale || '') : result.error,
+            completed: result.status === 'completed'
+        })),
+        method: consensus ? i18n.text(consensus, 'method') : ''
+    };
+}
+
+// Rubric-scored profiles show points out of the rubric total; older ones only stored the count
+function reportDataPoints(profile) {
+    const quality = profile.dataQuality;
+    if (quality) return `${quality.points}/${quality.totalPoints} (${quality.percentage}%)`;
+    return profile.dataPoints !== undefined ? profile.dataPoints : '--';
+}
+
+function reportMetricValue(metric) {
+    if (metric.value === null) return '--';
+    if (metric.unit === 'KES') return formatKES(metric.value);
+    if (metric.unit === '%') return `${metric.value}%`;
+    return `${i18n.formatNumber(metric.value)} ${metric.unit}`;
+}
+
+// Stored metrics carry their own formula and inputs; the second formula line shows the working
+function reportFinancialMetric(metric, basis) {
+    const calculated = metric.status === 'calculated';
+    return {
+        label: i18n.financeLabel(metric),
+        value: calculated ? reportMetricValue(metric) : t('report.notCalculated'),
+        uncertainty: calculated && metric.error ? `± ${reportMetricValue({ ...metric, value: metric.error })}` : '',
+        formula: [
+            i18n.financeFormula(metric),
+            metric.inputs.map(input => `${i18n.financeLabel(input)} ${reportMetricValue(input)}`).join(' • ')
+        ],
+        basis: calculated ? basis : i18n.text(metric, 'reason'),
+        confidence: calculated ? (metric.quality ? i18n.label('quality', metric.quality) : t('report.directCalculation')) : t('report.missingInput')
+    };
+}
+
+function buildCashFlowSection(documents, financials) {
+    if (financials && financials.months.length > 0) {
+        const value = key => (financials.metrics.find(metric => metric.key === key) || {}).value;
+        return {
+            months: financials.months,
+            averageInflow: value('monthlyIncome'),
+            averageOutflow: value('monthlyExpenses'),
+            averageNet: value('netCashFlow')
+        };
+    }
+
+    const months = {};
+
+    (documents.bank || []).forEach(file => {
+        if (!file.parsed || !file.content || !file.content.monthlySummary) return;
+        file.content.monthlySummary.forEach(month => {
+            if (!months[month.month]) months[month.month] = { month: month.month, inflow: 0, outflow: 0 };
+            months[month.month].inflow += month.inflow;
+            months[month.month].outflow += month.outflow;
+        });
+    });
+
+    const list = Object.values(months).sort((a, b) => a.month.localeCompare(b.month));
+    if (list.length === 0) return null;
+
+    const averageInflow = list.reduce((sum, m) => sum + m.inflow, 0) / list.length;
+    const averageOutflow = list.reduce((sum, m) => sum + m.outflow, 0) / list.length;
+
+    return {
+        months: list.map(m => ({ ...m, net: m.inflow - m.outflow })),
+        averageInflow: averageInflow,
+        averageOutflow: averageOutflow,
+        averageNet: averageInflow - averageOutflow
+    };
+}
+
+function buildExecutiveSummary(profile, assessment, cashFlow) {
+    const parts = [t('report.summaryIntro', { name: profile.farmerName || t('report.summaryThisFarmer'), id: profile.id })];
+
+    if (assessment) {
+        parts.push(t('report.summaryRisk', { label: i18n.riskLabel(assessment), score: assessment.score }));
+    }
+    let summary = parts.join(' ') + '.';
+
+    if (cashFlow) {
+        summary += ' ' + t('report.summaryCashFlow', { value: formatKES(cashFlow.averageNet), months: t('common.months', { count: cashFlow.months.length }) });
+    }
+    const instalment = profile.financialMetrics ? profile.financialMetrics.metrics.find(metric => metric.key === 'maxInstalment') : null;
+    if (instalment && instalment.status === 'calculated') {
+        summary += ' ' + t('report.summaryInstalment', { value: formatKES(instalment.value) });
+    }
+    if (profile.valuation) {
+        summary += ' ' + t('report.summaryValuation', { value: formatKES(profile.valuation) });
+    }
+
+    return summary;
+}
+
+function renderReport(model) {
+    document.title = t('report.documentTitle', { name: model.farmer.name, id: model.profileId });
+
+    document.getElementById('report-initials').textContent = model.farmer.initials;
+    document.getElementById('report-short-id').textContent = model.profileId.split('-').pop();
+    document.getElementById('report-farmer-name').textContent = model.farmer.name;
+    document.getElementById('report-meta').innerHTML = [
+        escapeHtml(t('report.idLine', { id: model.farmer.idNumber || model.profileId })),
+        model.farmer.sexAge ? escapeHtml(model.farmer.sexAge) : null,
+        escapeHtml(model.farmer.region),
+        model.farmer.phone ? escapeHtml(model.farmer.phone) : null
+    ].filter(Boolean).map(item => `<span>${item}</span>`).join('<span class="w-1 h-1 bg-slate-300 rounded-full"></span>');
+
+    document.getElementById('report-headline').innerHTML = model.headline.map(item => `
+        <div class="text-xs text-slate-500">
+            <span class="font-semibold text-slate-700">${escapeHtml(item.label)}:</span> ${escapeHtml(item.value)}
+        </div>
+    `).join('');
+
+    renderGauge(model.gauge);
+    renderSummaryCards(model.summaryCards);
+    renderFacts(model.facts);
+    renderMetrics(model.metrics);
+    renderLivestock(model.livestock);
+    renderGaps(model.gaps);
+    renderNarrative(model.narrative);
+    renderProxies(model.proxies);
+    renderRiskFactors(model.riskFactors);
+    renderConsensus(model.consensus);
+    renderMethodology(model.methodology);
+
+    document.getElementById('report-generated').textContent = model.footer;
+    document.getElementById('report-footer-title').textContent = t('report.footerTitle', { id: model.profileId, name: model.farmer.name });
+    document.getElementById('report-content-hash').textContent = model.contentHash
+        ? t('report.hash', { version: model.version, hash: model.contentHash })
+        : t('report.noHash', { version: model.version });
+}
+
+function renderGauge(gauge) {
+    const container = document.getElementById('report-gauge');
+    if (!gauge) {
+        container.classList.add('hidden');
+        return;
+    }
+    container.classList.remove('hidden');
+    const circumference = 264;
+    document.getElementById('report-gauge-fill').setAttribute('stroke-dashoffset', Math.round(circumference * (1 - gauge.value / 100)));
+    document.getElementById('report-gauge-value').textContent = `${Math.round(gauge.value)}%`;
+    document.getElementById('report-gauge-label').textContent = gauge.label;
+}
+
+function renderSummaryCards(cards) {
+    document.getElementById('report-summary-cards').innerHTML = cards.map(card => `
+        <div class="glass-panel curved-xl p-6 border-l-4 ${card.accent} ${card.dark ? 'bg-slate-900 text-white' : ''}">
+            <div class="flex justify-between items-start mb-3">
+                <div>
+                    <p class="text-xs font-semibold ${card.dark ? 'text-slate-300' : 'text-slate-400'} uppercase tracking-wider mb-1">${escapeHtml(card.label)}</p>
+                    <p class="text-3xl font-bold ${card.dark ? '' : 'text-slate-900'}">${escapeHtml(card.value)}<span class="text-lg text-slate-400 font-normal">${escapeHtml(card.suffix)}</span></p>
+                </div>
+                ${card.badge ? `<span class="data-quality-badge ${REPORT_BADGE_CLASSES[card.badge.severity]}">${escapeHtml(card.badge.text)}</span>` : ''}
+            </div>
+            <p class="text-xs ${card.dark ? 'text-slate-300' : 'text-slate-600'}">${escapeHtml(card.note)}</p>
+        </div>
+    `).join('');
+}
+
+function renderFacts(facts) {
+    document.getElementById('report-facts').innerHTML = facts.map((fact, index) => `
+        <div class="flex justify-between items-center py-3 ${index < facts.length - 1 ? 'border-b border-slate-100' : ''}">
+            <span class="text-slate-600 text-sm">${escapeHtml(fact.label)}</span>
+            <div class="text-right">
+                <span class="${fact.mono ? 'font-mono' : ''} font-semibold text-slate-900 text-sm">${escapeHtml(fact.value)}</span>
+                ${fact.uncertainty ? `<span class="uncertainty-range block text-xs">${escapeHtml(fact.uncertainty)}</span>` : ''}
+            </div>
+        </div>
+    `).join('');
+}
+
+function renderMetrics(metrics) {
+    const container = document.getElementById('report-analytics');
+    if (metrics.length === 0) {
+        container.innerHTML = `<p class="text-sm text-slate-500">${escapeHtml(t('report.noMetrics'))}</p>`;
+        return;
+    }
+    container.innerHTML = metrics.map(metric => `
+        <div class="bg-slate-50 rounded-xl p-5 border border-slate-200">
+            <div class="flex justify-between items-start mb-3">
+                <div>
+                    <p class="text-sm font-medium text-slate-900 mb-1">${escapeHtml(metric.label)}</p>
+                    <p class="text-2xl font-bold text-slate-900">${escapeHtml(metric.value)} ${metric.uncertainty ? `<span class="text-sm font-normal text-slate-500">${escapeHtml(metric.uncertainty)}</span>` : ''}</p>
+                </div>
+                <div class="text-right text-xs text-slate-500">
+                    <p>${escapeHtml(metric.confidence)}</p>
+                    <p>${escapeHtml(metric.basis)}</p>
+                </div>
+            </div>
+            <div class="formula-box text-slate-700 text-xs">${metric.formula.map(escapeHtml).join('<br>')}</div>
+        </div>
+    `).join('');
+}
+
+function renderLivestock(livestock) {
+    document.getElementById('report-livestock-title').textContent = t('report.livestockTitle', { title: livestock.title });
+    document.getElementById('report-livestock-subtitle').textContent = livestock.subtitle;
+    document.getElementById('report-livestock-value').textContent = formatKES(livestock.value);
+
+    const tiles = [
+        { label: t('report.headCount'), value: livestock.count !== undefined ? livestock.count : '--', note: livestock.breedingStock ? t('report.breedingStock', { count: livestock.breedingStock }) : '' },
+        { label: t('report.valuePerHead'), value: livestock.count ? formatKES(livestock.value / livestock.count) : '--', note: t('report.valuePerHeadNote') },
+        { label: t('report.animalRecords'), value: livestock.records.length, note: livestock.records.length ? t('report.recordsOnFile') : t('report.noRecords') }
+    ];
+
+    document.getElementById('report-livestock-records').innerHTML = livestock.records.length === 0 ? '' : `
+        <div class="overflow-x-auto mb-8">
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-left text-xs text-slate-400 uppercase tracking-wider border-b border-slate-200">
+                        ${REPORT_HERD_COLUMNS.map(column => `<th class="py-2 pr-4 font-semibold">${escapeHtml(t(column.label))}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${livestock.records.map(animal => `
+                        <tr class="border-b border-slate-100">
+                            ${REPORT_HERD_COLUMNS.map(column => `<td class="py-2 pr-4 text-slate-700">${escapeHtml(column.format(animal))}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+
+    document.getElementById('report-livestock-tiles').innerHTML = tiles.map(tile => `
+        <div class="bg-slate-50 border border-slate-200 curved-xl p-5">
+            <div class="flex items-center gap-2 mb-3">
+                <span class="text-xs font-semibold text-slate-500 uppercase">${escapeHtml(tile.label)}</span>
+            </div>
+            <p class="text-2xl font-bold text-slate-900 mb-1">${escapeHtml(tile.value)}</p>
+            <p class="text-sm text-slate-500">${escapeHtml(tile.note)}</p>
+        </div>
+    `).join('');
+}
+
+function renderNarrative(narrative) {
+    const container = document.getElementById('report-narrative');
+    if (!narrative) {
+        container.classList.add('hidden');
+        return;
+    }
+    container.classList.remove('hidden');
+    document.getElementById('report-narrative-text').textContent = narrative.text;
+    document.getElementById('report-narrative-source').textContent = t('report.modelGenerated', { source: narrative.source, date: i18n.formatDateTime(narrative.generatedAt) });
+}
+
+function renderGaps(gaps) {
+    const container = document.getElementById('report-gaps');
+    if (gaps.length === 0) {
+        container.classList.add('hidden');
+        return;
+    }
+    container.classList.remove('hidden');
+    document.getElementById('report-gaps-list').innerHTML = gaps.map(gap => `
+        <div class="flex items-start gap-2">
+            <span class="data-quality-badge badge-gap mt-0.5">${escapeHtml(t('report.gap'))}</span>
+            <span class="text-red-900">${escapeHtml(gap.label)}${gap.impact ? ` <span class="text-red-700 text-xs">— ${escapeHtml(gap.impact)}</span>` : ''}</span>
+        </div>
+    `).join('');
+}
+
+function renderProxies(proxies) {
+    const container = document.getElementById('report-proxies');
+    if (proxies.length === 0) {
+        container.innerHTML = `<p class="text-sm text-slate-500">${escapeHtml(t('report.noProxies'))}</p>`;
+        return;
+    }
+    container.innerHTML = proxies.map(proxy => `
+        <div class="flex items-start justify-between p-3 bg-white border border-slate-200 rounded-lg">
+            <div>
+                <p class="text-sm font-semibold text-slate-900">${escapeHtml(proxy.label)}</p>
+                <p class="text-xs text-slate-500">${escapeHtml(proxy.source)}</p>
+            </div>
+            <span class="data-quality-badge ${REPORT_BADGE_CLASSES[proxy.severity]}">${escapeHtml(t('report.proxyBadge', { severity: i18n.label('severity', proxy.severity).toUpperCase() }))}</span>
+        </div>
+    `).join('');
+}
+
+function renderRiskFactors(factors) {
+    const container = document.getElementById('report-risk-factors');
+    if (factors.length === 0) {
+        container.innerHTML = `<p class="text-sm text-slate-500">${escapeHtml(t('report.noFactors'))}</p>`;
+        return;
+    }
+    container.innerHTML = factors.map(factor => {
+        const share = factor.weight ? Math.round((factor.contribution / factor.weight) * 100) : 0;
+        const barClass = share >= 70 ? 'bg-emerald-500' : share >= 40 ? 'bg-amber-500' : 'bg-red-500';
+        return `
+            <div>
+                <div class="flex justify-between mb-2">
+                    <span class="text-sm font-medium text-slate-700">${escapeHtml(factor.label)}</span>
+                    <span class="text-sm font-bold text-slate-900">${factor.contribution}/${factor.weight}</span>
+                </div>
+                <div class="w-full bg-slate-100 rounded-full h-2">
+                    <div class="${barClass} h-2 rounded-full" style="width: ${share}%"></div>
+                </div>
+                <p class="text-xs text-slate-500 mt-1">${escapeHtml(factor.note)}</p>
+            </div>
+        `;
+    }).join('');
+}
+
+function renderConsensus(consensus) {
+    const container = document.getElementById('report-consensus');
+    if (!consensus) {
+        container.classList.add('hidden');
+        return;
+    }
+    container.classList.remove('hidden');
+    document.getElementById('report-consensus-score').textContent = consensus.score;
+    document.getElementById('report-consensus-summary').textContent = consensus.summary;
+    document.getElementById('report-consensus-method').textContent = consensus.method;
+
+    document.getElementById('report-consensus-metrics').innerHTML = consensus.metrics.map(metric => `
+        <div>
+            <div class="flex justify-between mb-2">
+                <span class="text-sm font-medium ${metric.disputed ? 'text-amber-700' : 'text-slate-700'}">${escapeHtml(metric.label)}${metric.disputed ? ` • ${escapeHtml(t('report.disputed'))}` : ''}</span>
+                <span class="text-sm font-bold text-slate-900">${escapeHtml(metric.range)}</span>
+            </div>
+            <div class="variance-bar"><div class="variance-fill" style="width: ${Math.min(100, metric.variation)}%"></div></div>
+            <p class="text-xs text-slate-500 mt-1">${escapeHtml(t('report.consensusMean', { mean: metric.mean, variation: metric.variation }))}</p>
+        </div>
+    `).join('') + (consensus.gradeSplit
+        ? `<p class="text-sm font-semibold text-amber-700">${escapeHtml(t('report.gradesSplit', { split: consensus.gradeSplit }))}</p>`
+        : '');
+
+    document.getElementById('report-consensus-analysts').innerHTML = consensus.analysts.map(analyst => `
+        <div class="flex items-start justify-between p-3 bg-white border border-slate-200 rounded-lg">
+            <div>
+                <p class="text-sm font-semibold text-slate-900">${escapeHtml(analyst.name)}</p>
+                <p class="text-xs text-slate-500">${escapeHtml(analyst.type)}${analyst.note ? ` • ${escapeHtml(analyst.note)}` : ''}</p>
+            </div>
+            <span class="text-sm font-bold ${analyst.completed ? 'text-slate-900' : 'text-amber-700'}">${escapeHtml(analyst.result)}</span>
+        </div>
+    `).join('');
+}
+
+function renderMethodology(methodology) {
+    document.getElementById('report-standards').innerHTML = methodology.standards.map(item => `<li>${escapeHtml(item)}</li>`).join('');
+    document.getElementById('report-limitations').innerHTML = methodology.limitations.map(item => `<li>${escapeHtml(item)}</li>`).join('');
+}
+
+// PDF Generation from the same report model as the page
+async function generatePDF() {
+    const model = currentReportModel;
+    if (!model) return;
+
+    const loading = document.getElementById('pdf-loading');
+    loading.style.display = 'flex';
+
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF();
+    // The intake app's "Verify report" reads these keywords back
+    doc.setProperties({
+        title: t('pdf.documentTitle', { id: model.profileId }),
+        subject: model.farmer.name,
+        creator: 'Project CERES',
+        keywords: [`ceres-profile:${model.profileId}`, `version:${model.version}`, model.contentHash ? `sha256:${model.contentHash}` : null].filter(Boolean).join('; ')
+    });
+
+    const slate900 = [15, 23, 42];
+    const amber700 = [180, 83, 9];
+    const red700 = [185, 28, 28];
+
+    // Header
+    doc.setFillColor(...slate900);
+    doc.rect(0, 0, 210, 35, 'F');
+    doc.setTextColor(255, 255, 255);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(20);
+    doc.text(t('pdf.title'), 15, 20);
+    doc.setFontSize(11);
+    doc.setFont('helvetica', 'normal');
+    doc.text(`${model.profileId} – ${model.farmer.name} • ${model.farmer.region}`, 15, 28);
+
+    let y = 45;
+    let section = 0;
+
+    const heading = (title, color = slate900) => {
+        if (y > 240) { doc.addPage(); y = 20; }
+        doc.setTextColor(...color);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(12);
+        doc.text(title, 15, y);
+        doc.setTextColor(...slate900);
+        doc.setFont('helvetica', 'normal');
+        y += 6;
+    };
+
+    const table = (options) => {
+        doc.autoTable({
+            startY: y,
+            theme: 'grid',
+            headStyles: { fillColor: slate900, textColor: 255 },
+            bodyStyles: { textColor: slate900, fontSize: 10 },
+            margin: { left: 15, right: 15 },
+            ...options
+        });
+        y = doc.lastAutoTable.finalY + 10;
+    };
+
+    // Executive Summary
+    doc.setTextColor(...slate900);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(14);
+    doc.text(t('pdf.executiveSummary'), 15, y);
+    y += 8;
+
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    const splitSummary = doc.splitTextToSize(model.summary, 180);
+    doc.text(splitSummary, 15, y);
+    y += splitSummary.length * 5 + 5;
+
+    if (model.narrative) {
+        heading(t('report.narrative'));
+        doc.setFontSize(10);
+        doc.splitTextToSize(model.narrative.text, 180).forEach(line => {
+            if (y > 280) { doc.addPage(); y = 20; }
+            doc.text(line, 15, y);
+            y += 5;
+        });
+        doc.setFontSize(8);
+        doc.setTextColor(100, 116, 139);
+        doc.text(t('report.modelGeneratedShort', { source: model.narrative.source }), 15, y);
+        doc.setTextColor(...slate900);
+        y += 10;
+    }
+
+    heading(t('pdf.keyMetrics'));
+    table({
+        body: model.summaryCards.map(card => [card.label, `${card.value}${card.suffix}`, card.note]),
+        columnStyles: {
+            0: { fontStyle: 'bold', cellWidth: 60 },
+            1: { cellWidth: 50 },
+            2: { cellWidth: 70 }
+        }
+    });
+
+    heading(`${++section}. ${t('report.profileData')}`);
+    table({
+        head: [[t('pdf.field'), t('pdf.value'), t('pdf.uncertainty')]],
+        body: model.facts.map(fact => [fact.label, String(fact.value), fact.uncertainty || '-']),
+        alternateRowStyles: { fillColor: [248, 250, 252] }
+    });
+
+    if (model.metrics.length > 0) {
+        heading(`${++section}. ${t('report.calculatedAnalytics')}`);
+        table({
+            head: [[t('pdf.metric'), t('pdf.formula'), t('pdf.result'), t('report.confidence')]],
+            body: model.metrics.map(metric => [
+                metric.label,
+                metric.formula.join('\n'),
+                metric.uncertainty ? `${metric.value} ${metric.uncertainty}` : metric.value,
+                metric.confidence
+            ]),
+            columnStyles: {
+                0: { fontStyle: 'bold' },
+                1: { fontSize: 9, fontStyle: 'italic' }
+            }
+        });
+    }
+
+    heading(`${++section}. ${t('pdf.livestockAsset', { title: model.livestock.title })}`);
+    table({
+        body: [
+            [t('report.headCount'), String(model.livestock.count !== undefined ? model.livestock.count : '--')],
+            [t('pdf.valuation'), formatKES(model.livestock.value)],
+            [t('pdf.details'), model.livestock.subtitle]
+        ],
+        headStyles: { fillColor: [241, 245, 249], textColor: slate900, fontStyle: 'bold' }
+    });
+
+    if (model.livestock.records.length > 0) {
+        table({
+            head: [REPORT_HERD_COLUMNS.map(column => t(column.label))],
+            body: model.livestock.records.map(animal => REPORT_HERD_COLUMNS.map(column => String(column.format(animal)))),
+            bodyStyles: { textColor: slate900, fontSize: 8 }
+        });
+    }
+
+    if (model.riskFactors.length > 0) {
+        heading(`${++section}. ${t('pdf.riskBreakdown', { model: model.riskModel })}`);
+        table({
+            head: [[t('pdf.factor'), t('pdf.points'), t('pdf.basis')]],
+            body: model.riskFactors.map(factor => [factor.label, `${factor.contribution}/${factor.weight}`, factor.note])
+        });
+    }
+
+    if (model.consensus) {
+        heading(`${++section}. ${t('pdf.consensus', { score: model.consensus.score })}`);
+        doc.setFontSize(9);
+        doc.setTextColor(100, 116, 139);
+        doc.text(doc.splitTextToSize(model.consensus.summary, 180), 15, y);
+        y += 8;
+        table({
+            head: [[t('pdf.analyst'), t('pdf.type'), t('pdf.result'), t('pdf.note')]],
+            body: model.consensus.analysts.map(analyst => [analyst.name, analyst.type, analyst.result, analyst.note || '-']),
+            columnStyles: { 0: { fontStyle: 'bold' } }
+        });
+        if (model.consensus.metrics.length > 0) {
+            table({
+                head: [[t('pdf.figure'), t('pdf.range'), t('pdf.mean'), t('pdf.variation')]],
+                body: model.consensus.metrics.map(metric => [metric.disputed ? t('pdf.disputed', { label: metric.label }) : metric.label, metric.range, metric.mean, `${metric.variation}%`])
+            });
+        }
+    }
+
+    if (model.gaps.length > 0) {
+        heading(`${++section}. ${t('pdf.gaps')}`, red700);
+        table({
+            head: [[t('pdf.missingField'), t('pdf.impact')]],
+            body: model.gaps.map(gap => [gap.label, gap.impact || '-']),
+            headStyles: { fillColor: [254, 226, 226], textColor: red700 },
+            bodyStyles: { textColor: slate900, fontSize: 9 }
+        });
+    }
+
+    if (model.proxies.length > 0) {
+        heading(`${++section}. ${t('report.proxiesTitle')}`);
+        table({
+            head: [[t('pdf.proxy'), t('pdf.source'), t('pdf.severity')]],
+            body: model.proxies.map(proxy => [proxy.label, proxy.source, i18n.label('severity', proxy.severity).toUpperCase()]),
+            headStyles: { fillColor: [254, 243, 199], textColor: amber700 },
+            columnStyles: {
+                2: { fontStyle: 'bold', halign: 'center' }
+            }
+        });
+    }
+
+    y += 5;
+
+    // Footer
+    if (y > 270) { doc.addPage(); y = 20; }
+    doc.setFontSize(9);
+    doc.setTextColor(150, 150, 150);
+    doc.text(doc.splitTextToSize(model.methodology.standards.join('. ') + '.', 180), 15, y);
+    y += 10;
+    doc.text(model.footer, 15, y);
+
+    // Page numbers
+    const pageCount = doc.internal.getNumberOfPages();
+    for (let i = 1; i <= pageCount; i++) {
+        doc.setPage(i);
+        doc.setFontSize(8);
+        doc.setTextColor(200, 200, 200);
+        doc.text(t('pdf.page', { id: model.profileId, page: i, count: pageCount }), 195, 292, { align: 'right' });
+    }
+
+    const safeName = model.farmer.name.replace(/[^A-Za-z0-9]+/g, '_');
+    doc.save(`CERES_Analysis_${model.profileId}_${safeName}_${new Date().toISOString().split('T')[0]}.pdf`);
+    loading.style.display = 'none';
+}
+
+const reportStore = new ProfileStore();
+
+// Encrypted profiles need the passphrase in this tab too; the key is not shared with the intake app
+function renderReportUnlock(message = '') {
+    const empty = document.getElementById('report-empty');
+    empty.classList.remove('hidden');
+    empty.querySelector('h1').textContent = t('report.locked');
+    document.getElementById('report-empty-message').innerHTML = `
+        <form onsubmit="submitReportUnlock(event)" class="flex flex-col gap-3 mt-4">
+            <span>${escapeHtml(t('report.lockedHint'))}</span>
+            <input id="report-passphrase" type="password" autocomplete="current-password" class="border border-slate-200 rounded-lg px-3 py-2 text-sm text-slate-900">
+            <span class="text-xs text-red-600">${message}</span>
+            <button type="submit" class="px-4 py-2 rounded-lg bg-slate-900 text-white text-sm font-semibold">${escapeHtml(t('action.unlock'))}</button>
+        </form>
+    `;
+    document.getElementById('report-passphrase').focus();
+}
+
+async function submitReportUnlock(event) {
+    event.preventDefault();
+    if (!(await reportStore.cipher.unlock(document.getElementById('report-passphrase').value))) {
+        renderReportUnlock(t('report.wrongPassphrase'));
+        return;
+    }
+    document.getElementById('report-empty').querySelector('h1').textContent = t('report.empty');
+    loadReport();
+}
+
+// The report to show comes from the ?profile=<id> query parameter
+async function loadReport() {
+    const params = new URLSearchParams(location.search);
+    const profileId = params.get('profile');
+    // `version` opens an older analysis from the profile's history; the latest is the default
+    const version = parseInt(params.get('version')) || null;
+    const report = document.getElementById('report');
+    const empty = document.getElementById('report-empty');
+
+    if (profileId && reportStore.cipher.isLocked()) {
+        report.classList.add('hidden');
+        renderReportUnlock();
+        return;
+    }
+
+    let profile = null;
+    if (profileId) {
+        try {
+            profile = version ? await reportStore.getVersion(profileId, version) : await reportStore.get(profileId);
+        } catch (error) {
+            console.error('Failed to load profile:', error);
+        }
+    }
+
+    if (!profile) {
+        report.classList.add('hidden');
+        empty.classList.remove('hidden');
+        document.getElementById('report-empty-message').textContent = profileId
+            ? (version ? t('report.notFoundVersion', { id: profileId, version: version }) : t('report.notFound', { id: profileId }))
+            : t('report.emptyHint');
+        return;
+    }
+
+    currentReportProfile = profile;
+    currentReportModel = buildReportModel(profile);
+    renderReport(currentReportModel);
+    empty.classList.add('hidden');
+    report.classList.remove('hidden');
+}
+
+// The page and the PDF follow the language picked here or in the intake app
+function setReportLanguage(language) {
+    i18n.setLanguage(language);
+    i18n.apply();
+    if (!currentReportProfile) return;
+    currentReportModel = buildReportModel(currentReportProfile);
+    renderReport(currentReportModel);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    i18n.apply();
+    document.getElementById('report-language').innerHTML = i18n.options();
+    loadReport();
+});
+
+window.generatePDF = generatePDF;
+window.setReportLanguage = setReportLanguage;
+window.submitReportUnlock = submitReportUnlock;
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { APP_SCRIPTS, loadScripts, plain } = require('./sandbox');
+
+const run = loadScripts(APP_SCRIPTS);
+const aggregate = results => plain(run(`analystCouncil.aggregate(${JSON.stringify(results)})`));
+const metric = (consensus, key) => consensus.metrics.find(entry => entry.key === key);
+
+const scorer = (score, grade, sources = {}) => ({
+    status: 'completed', score, grade,
+    metrics: { score, herdValue: 300000, maxInstalment: 4000 },
+    sources: { score: `weights:${score}`, herdValue: 'valuation', maxInstalment: 'policy:default', ...sources }
+});
+const model = (score, grade, herdValue) => ({ status: 'completed', score, grade, metrics: { score, herdValue, maxInstalment: null }, sources: {} });
+
+test('figures every scorer takes from the same inputs count once', () => {
+    const consensus = aggregate([scorer(70, 'A'), scorer(60, 'B')]);
+    assert.equal(metric(consensus, 'herdValue').count, 1);
+    assert.equal(metric(consensus, 'herdValue').variation, null);
+    assert.equal(metric(consensus, 'maxInstalment').count, 1);
+    // Only the two scores are compared: mean 65, deviation 5
+    assert.equal(metric(consensus, 'score').variation, 7.7);
+    assert.equal(consensus.consensusScore, 92);
+    assert.match(consensus.method, /across 1 independently reported figures/);
+});
+
+test('a scorer with its own policy reports its own instalment', () => {
+    const cautious = scorer(66, 'A', { maxInstalment: 'policy:cautious' });
+    cautious.metrics.maxInstalment = 2000;
+    const consensus = aggregate([scorer(66, 'A'), cautious]);
+    assert.equal(metric(consensus, 'maxInstalment').count, 2);
+    assert.equal(metric(consensus, 'maxInstalment').disagreement, true);
+    assert.deepEqual(consensus.disagreements.map(item => item.key), ['maxInstalment']);
+});
+
+test('a model valuation is compared with the shared one', () => {
+    const consensus = aggregate([scorer(70, 'A'), scorer(70, 'A'), model(70, 'A', 150000)]);
+    const herdValue = metric(consensus, 'herdValue');
+    assert.equal(herdValue.count, 2);
+    assert.deepEqual([herdValue.min, herdValue.max], [150000, 300000]);
+    assert.equal(herdValue.disagreement, true);
+});
+
+test('analysts that share every figure have no consensus score', () => {
+    const consensus = aggregate([scorer(70, 'A'), scorer(70, 'A')]);
+    assert.equal(consensus.consensusScore, null);
+    assert.equal(consensus.completedCount, 2);
+});
+
+test('fewer than two completed analysts give no consensus', () => {
+    assert.equal(aggregate([scorer(70, 'A'), { status: 'failed', metrics: {} }]), null);
+});
+
+test('the default scorers run on the same inputs and agree on the valuation', async () => {
+    const context = { formData: { experience: '8', livestockCount: '20' }, documents: {}, valuation: { estimate: 400000 }, proxies: {} };
+    const { results, consensus } = plain(await run('analystCouncil').run(context));
+    assert.deepEqual(results.map(result => result.status), ['completed', 'completed', 'completed']);
+    assert.ok(results.every(result => result.metrics.herdValue === 400000));
+    assert.equal(metric(consensus, 'herdValue').count, 1);
+    assert.equal(metric(consensus, 'score').count, 3);
+});
+
+test('API keys stay in memory and are never written to localStorage', () => {
+    const session = loadScripts(APP_SCRIPTS);
+    session("narrativeGenerator.saveSettings({ apiKey: 'sk-narrative' })");
+    session("analystCouncil.update(analystCouncil.add('model').id, { apiKey: 'sk-analyst' })");
+    assert.equal(session('narrativeGenerator.settings.apiKey'), 'sk-narrative');
+    assert.equal(session("analystCouncil.enabled().find(analyst => analyst.type === 'model').apiKey"), 'sk-analyst');
+    assert.doesNotMatch(session('localStorage.getItem(LLM_SETTINGS_KEY)'), /sk-/);
+    assert.doesNotMatch(session('localStorage.getItem(ANALYSTS_KEY)'), /sk-/);
+});
+
+test('keys saved by earlier versions are dropped on load', () => {
+    const session = loadScripts(APP_SCRIPTS);
+    session(`localStorage.setItem(LLM_SETTINGS_KEY, JSON.stringify({ model: 'qwen', apiKey: 'sk-old' }))`);
+    session(`localStorage.setItem(ANALYSTS_KEY, JSON.stringify([{ id: 'model', type: 'model', apiKey: 'sk-old' }]))`);
+    assert.equal(session('new NarrativeGenerator().settings.apiKey'), '');
+    assert.equal(session('new NarrativeGenerator().settings.model'), 'qwen');
+    assert.equal(session('new AnalystCouncil().analysts[0].apiKey'), undefined);
+    assert.doesNotMatch(session('localStorage.getItem(LLM_SETTINGS_KEY)'), /sk-/);
+    assert.doesNotMatch(session('localStorage.getItem(ANALYSTS_KEY)'), /sk-/);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { APP_SCRIPTS, loadScripts, plain } = require('./sandbox');
+
+// Stands in for document-worker.js: announces itself unless told it cannot load, then parses by file name
+class FakeWorker {
+    constructor() {
+        FakeWorker.started++;
+        this.loads = FakeWorker.loads;
+        if (this.loads) setTimeout(() => this.emit('onmessage', { data: { type: 'ready' } }));
+    }
+
+    postMessage({ taskId, file }) {
+        setTimeout(() => {
+            if (!this.loads) return this.emit('onerror', { message: '', preventDefault() {} });
+            if (file.name.startsWith('crash')) return this.emit('onerror', { message: 'Uncaught RangeError', preventDefault() {} });
+            this.emit('onmessage', { data: { type: 'done', taskId, content: `worker:${file.name}` } });
+        });
+    }
+
+    emit(handler, event) {
+        if (this[handler]) this[handler](event);
+    }
+
+    terminate() {}
+}
+
+const run = loadScripts(APP_SCRIPTS, { Worker: FakeWorker });
+run("documentProcessor.extractContent = async file => `page:${file.name}`");
+
+async function processAll(names, loads = true) {
+    FakeWorker.started = 0;
+    FakeWorker.loads = loads;
+    const pool = run('new DocumentWorkerPool(1)');
+    const results = plain(await pool.processAll(names.map(name => ({ file: { name, size: 1, type: '' }, category: 'bank' }))));
+    return { pool, results };
+}
+
+test('a worker that crashes mid-parse fails only that file', async () => {
+    const { pool, results } = await processAll(['a.pdf', 'crash.pdf', 'b.pdf']);
+    assert.deepEqual(results.map(result => result.content), ['worker:a.pdf', null, 'worker:b.pdf']);
+    assert.match(results[1].error, /crashed/);
+    assert.equal(pool.unavailable, false);
+    // The crashed worker is replaced rather than reused
+    assert.equal(FakeWorker.started, 2);
+});
+
+test('workers that never load fall back to parsing on the page', async () => {
+    const { pool, results } = await processAll(['a.pdf', 'b.pdf']);
+    assert.deepEqual(results.map(result => result.content), ['worker:a.pdf', 'worker:b.pdf']);
+    assert.equal(pool.unavailable, false);
+
+    const fallback = await processAll(['a.pdf', 'b.pdf'], false);
+    assert.deepEqual(fallback.results.map(result => [result.parsed, result.content]), [[true, 'page:a.pdf'], [true, 'page:b.pdf']]);
+    assert.equal(fallback.pool.unavailable, true);
+    assert.equal(FakeWorker.started, 1);
+});
+
+test('images are always parsed on the page', async () => {
+    const { results } = await processAll(['scan.jpg']);
+    assert.equal(results[0].content, 'page:scan.jpg');
+});
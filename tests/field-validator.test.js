@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { APP_SCRIPTS, loadScripts, plain } = require('./sandbox');
+
+const run = loadScripts(APP_SCRIPTS);
+const gazetteer = plain(run('KENYA_GAZETTEER'));
+const validate = (field, value, formData = {}) =>
+    plain(run(`fieldValidator.validate(${JSON.stringify(field)}, ${JSON.stringify(value)}, ${JSON.stringify(formData)})`));
+
+test('the gazetteer lists wards for all 47 counties', () => {
+    assert.equal(gazetteer.counties.length, 47);
+    assert.deepEqual(Object.keys(gazetteer.wards).sort(), gazetteer.counties.map(county => county.name).sort());
+    gazetteer.counties.forEach(county => assert.ok(gazetteer.wards[county.name].length > 0, county.name));
+    assert.equal(Object.values(gazetteer.wards).reduce((sum, wards) => sum + wards.length, 0), 1450);
+});
+
+test('counties match by name, alias or loose spelling', () => {
+    assert.equal(validate('county', 'muranga').value, "Murang'a");
+    assert.equal(validate('county', 'Nairobi City County').value, 'Nairobi');
+    const typo = validate('county', 'Kisumo');
+    assert.equal(typo.valid, false);
+    assert.deepEqual(typo.suggestions, ['Kisumu']);
+});
+
+test('wards are checked against the chosen county in every county', () => {
+    assert.equal(validate('ward', 'dedan kimathi', { county: 'Nyeri' }).value, 'Dedan Kimathi');
+    assert.equal(validate('ward', 'Kitutu Central', { county: 'Kisii' }).value, 'Kitutu Central');
+    assert.equal(validate('ward', 'Kileleshwa', { county: 'Nairobi' }).valid, true);
+    assert.equal(validate('ward', 'Kileleshwa', { county: 'Mombasa' }).valid, false);
+
+    const typo = validate('ward', 'Dedan Kimanthi', { county: 'Nyeri' });
+    assert.equal(typo.valid, false);
+    assert.deepEqual(typo.suggestions, ['Dedan Kimathi']);
+});
+
+test('ward names keep their gazetted spelling', () => {
+    assert.ok(gazetteer.wards.Kakamega.includes('Shinoyi-Shikomari-Esumeyia'));
+    assert.equal(validate('ward', 'shinoyi-shikomari-esumeyia', { county: 'Kakamega' }).value, 'Shinoyi-Shikomari-Esumeyia');
+    Object.values(gazetteer.wards).flat().forEach(ward => {
+        assert.doesNotMatch(ward, /[-\s]$/, ward);
+        assert.doesNotMatch(ward, /-(?!ini\b)[a-z]/, ward);
+    });
+});
+
+test('a ward without a county asks for the county first', () => {
+    const result = validate('ward', 'Kileleshwa');
+    assert.equal(result.valid, true);
+    assert.equal(result.note, run("t('validate.pickCounty')"));
+});
+
+test('phone numbers, emails and ID numbers are normalised', () => {
+    assert.equal(validate('phone', '0712 345 678').value, '+254712345678');
+    assert.equal(validate('phone', '12345').valid, false);
+    assert.equal(validate('email', 'Wanjiku@Example.co.ke').value, 'wanjiku@example.co.ke');
+    assert.equal(validate('email', 'wanjiku@').valid, false);
+    assert.equal(validate('idNumber', '1234 5678').value, '12345678');
+});
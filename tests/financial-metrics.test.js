@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { APP_SCRIPTS, loadScripts, plain } = require('./sandbox');
+
+const run = loadScripts(APP_SCRIPTS);
+const calculate = (documents, formData = {}, proxies = {}, policy = {}) =>
+    plain(run(`financialMetrics.calculate(${JSON.stringify(documents)}, ${JSON.stringify(formData)}, ${JSON.stringify(proxies)}, ${JSON.stringify(policy)})`));
+const metric = (result, key) => result.metrics.find(entry => entry.key === key);
+
+const statement = (months, transactions = []) => ({ content: { monthlySummary: months, transactions } });
+const month = (name, inflow, outflow) => ({ month: name, inflow, outflow });
+// Two months: 60,000 in and 40,000 out on average, with a 4,000 monthly loan repayment
+const bank = statement([month('2024-01', 60000, 38000), month('2024-02', 60000, 42000)], [
+    { date: '2024-01-05', description: 'KCB loan repayment', debit: 4000, credit: 0 },
+    { date: '2024-02-05', description: 'KCB loan repayment', debit: 4000, credit: 0 },
+    { date: '2024-02-09', description: 'Feed supplier', debit: 9000, credit: 0 }
+]);
+
+test('monthly income, expenses and net cash flow average over the months covered', () => {
+    const result = calculate({ bank: [bank] });
+    assert.equal(metric(result, 'monthlyIncome').value, 60000);
+    assert.equal(metric(result, 'monthlyExpenses').value, 40000);
+    assert.equal(metric(result, 'netCashFlow').value, 20000);
+    assert.deepEqual(result.period, { from: '2024-01', to: '2024-02' });
+});
+
+test('debt-to-income counts only loan repayment debits', () => {
+    const result = calculate({ bank: [bank] });
+    // 8,000 over two months against 60,000 income
+    assert.equal(metric(result, 'debtToIncome').value, Math.round(4000 / 60000 * 100 * 10) / 10);
+    assert.equal(metric(result, 'debtToIncome').inputs[0].value, 4000);
+});
+
+test('the maximum instalment is the tighter of the DTI cap and the surplus share', () => {
+    // Cap: 60,000 × 40% − 4,000 = 20,000; surplus: 20,000 × 70% = 14,000
+    assert.equal(metric(calculate({ bank: [bank] }), 'maxInstalment').value, 14000);
+    // A stricter cap takes over: 60,000 × 20% − 4,000 = 8,000
+    assert.equal(metric(calculate({ bank: [bank] }, {}, {}, { maxDebtToIncome: 0.2 }), 'maxInstalment').value, 8000);
+});
+
+test('the maximum instalment never goes below zero', () => {
+    const stretched = statement([month('2024-01', 10000, 12000)], [{ description: 'Fuliza repayment', debit: 6000, credit: 0 }]);
+    assert.equal(metric(calculate({ bank: [stretched] }), 'maxInstalment').value, 0);
+});
+
+test('statements covering the same month add up', () => {
+    const mpesa = statement([month('2024-02', 20000, 10000)]);
+    const result = calculate({ bank: [bank, mpesa] });
+    assert.equal(metric(result, 'monthlyIncome').value, 70000);
+    assert.equal(result.months.length, 2);
+});
+
+test('without statements the figures are unavailable and say what they need', () => {
+    const result = calculate({ bank: [] }, { land: '5' });
+    const income = metric(result, 'monthlyIncome');
+    assert.equal(income.status, 'unavailable');
+    assert.equal(income.value, null);
+    assert.match(income.reason, /total inflows, months covered/);
+    assert.equal(metric(result, 'maxInstalment').value, null);
+});
+
+test('production per acre takes the farm-size proxy when the intake has none', () => {
+    const proxied = calculate({ bank: [bank] }, {}, { land: { value: 4, basis: 'county median' } });
+    assert.equal(metric(proxied, 'productionPerAcre').value, 60000 * 12 / 4);
+    assert.equal(metric(proxied, 'productionPerAcre').quality, 'proxy');
+    assert.equal(metric(calculate({ bank: [bank] }, { land: '10' }), 'productionPerAcre').value, 60000 * 12 / 10);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { APP_SCRIPTS, loadScripts, plain } = require('./sandbox');
+
+const run = loadScripts(APP_SCRIPTS);
+
+test('both catalogues carry the same keys', () => {
+    const en = Object.keys(run('MESSAGES.en')).sort();
+    const sw = Object.keys(run('MESSAGES.sw')).sort();
+    assert.deepEqual(sw, en);
+});
+
+test('risk factors keep English on the profile and translate on display', () => {
+    run(`globalThis.assessment = new RiskScoringEngine().score({ experience: 4, land: 2, livestockCount: 8 })`);
+    const factor = key => `assessment.factors.find(factor => factor.key === '${key}')`;
+    assert.equal(run(`${factor('experience')}.note`), '4 years (full marks at 15+)');
+    assert.equal(run(`i18n.factorLabel(${factor('experience')}, 'sw')`), run("MESSAGES.sw['factor.experience']"));
+    assert.equal(run(`i18n.factorNote(${factor('experience')}, 'sw')`), 'Miaka 4 (alama kamili kuanzia 15)');
+    // Notes typed by the officer have no message key and are shown as entered
+    assert.equal(run("i18n.factorNote({ key: 'accountType', note: 'savings' }, 'sw')"), 'savings');
+});
+
+test('the value range formats both ends the same way and names the valuation method', () => {
+    run(`globalThis.profile = {
+        id: 'CER-0000-001Y', version: 1, timestamp: 0, farmerName: 'Test', intake: {}, modules: [], dataPoints: 0, riskRating: 'low',
+        livestock: { species: 'dairy', count: 8 }, valuation: 400000,
+        valuationDetail: { estimate: 400000, low: 350000, high: 450000, method: 'roster' }
+    }`);
+    // English keeps the stored method code so summaries exported earlier still verify
+    assert.match(run("profileSummaryText(profile, 'en')"), /\(range KES 350,000 – KES 450,000, roster\)/);
+    assert.match(run("profileSummaryText(profile, 'sw')"), /\(kiwango KES 350,000 – KES 450,000, kwa kila mnyama\)/);
+    run("profile.valuationDetail.method = 'aggregate'");
+    assert.match(run("profileSummaryText(profile, 'sw')"), /\(kiwango KES 350,000 – KES 450,000, idadi ya mifugo × thamani ya kawaida\)/);
+});
+
+test('the valuation basis and discrepancy keep English on the profile and translate on display', () => {
+    run(`globalThis.valuation = livestockValuation.valueHerd([], { county: 'Nyeri', livestockCount: '8', species: 'dairy', breed: 'Friesian', herdValue: '400000' })`);
+    assert.equal(run('valuation.basis[0]'), '8 head × typical Friesian value');
+    assert.equal(run("i18n.texts(valuation, 'basis', 'sw')[0]"), 'Mifugo 8 × thamani ya kawaida ya Friesian');
+    assert.equal(run('valuation.discrepancy.message'), 'Declared value is 54% below the computed estimate');
+    assert.equal(run("i18n.text(valuation.discrepancy, 'message', 'sw')"), 'Thamani iliyotajwa iko 54% chini ya makadirio yaliyokokotolewa');
+    // Nested labels are lowercased to sit inside the sentence
+    run("globalThis.mixed = livestockValuation.valueHerd([], { livestockCount: '8', species: 'mixed' })");
+    assert.equal(run("i18n.texts(mixed, 'basis', 'sw')[0]"), 'Hakuna spishi moja ya jedwali la bei kwa makundi ya "mifugo mchanganyiko"');
+});
+
+test('module findings, warnings and metric labels translate on display', async () => {
+    run(`globalThis.intake = { county: 'Nyeri', livestockCount: '8', species: 'dairy', breed: 'Friesian', experience: '1' }`);
+    run(`globalThis.moduleValuation = livestockValuation.valueHerd([], intake)`);
+    await run(`(async () => { globalThis.moduleResults = await analysisModules.run(['asset', 'risk', 'financial'], {
+        formData: intake, uploads: {}, documents: {}, financials: null, proxies: {}, valuation: moduleValuation,
+        herd: { animals: [], summary: { unhealthy: 2, breedingStock: 3 } },
+        riskAssessment: riskScoringEngine.score(intake, {}, moduleValuation),
+        identity: { mismatches: [] }
+    }); })()`);
+    const texts = (id, language) => plain(run(`[
+        ...moduleResults.${id}.findings.map(finding => i18n.text(finding, 'message', '${language}')),
+        ...i18n.texts(moduleResults.${id}, 'warnings', '${language}'),
+        ...moduleResults.${id}.metrics.map(metric => moduleMetricLabel(moduleResults.${id}, metric, '${language}'))
+    ]`));
+
+    assert.deepEqual(texts('asset', 'en').slice(0, 3), ['Valued from declared herd size and species averages', '2 animals are sick or under treatment', 'Estimated herd value']);
+    assert.deepEqual(texts('asset', 'sw').slice(0, 3), [
+        'Imethaminiwa kwa idadi ya mifugo iliyotajwa na wastani wa spishi',
+        'Wanyama 2 ni wagonjwa au wako kwenye matibabu',
+        'Thamani ya kundi iliyokadiriwa'
+    ]);
+    assert.equal(run('moduleResults.risk.findings[0].message'), 'Weak farming experience: 1 years (full marks at 15+)');
+    assert.equal(texts('risk', 'sw')[0], 'Udhaifu wa uzoefu wa kilimo: Miaka 1 (alama kamili kuanzia 15)');
+    assert.deepEqual(plain(run('moduleResults.financial.warnings')), ['Missing input: Bank or M-Pesa statements']);
+    assert.deepEqual(texts('financial', 'sw'), ['Taarifa inayokosekana: Taarifa za benki au M-Pesa']);
+    // Findings from plug-in modules have no message key and are shown as written
+    assert.equal(run("i18n.text({ message: 'Plug-in finding' }, 'message', 'sw')"), 'Plug-in finding');
+});
+
+test('data gaps and the proxies filling them translate on display', () => {
+    run(`globalThis.gaps = dataGapDetector.detect(['asset', 'financial'], {
+        formData: { county: 'Garissa', species: 'dairy' }, uploads: {}, documents: {}
+    })`);
+    const gap = id => `gaps.gaps.find(gap => gap.id === '${id}')`;
+    assert.equal(run(`${gap('bank')}.impact`), 'Cash flow, debt-to-income and affordability cannot be calculated');
+    assert.equal(run(`i18n.text(${gap('bank')}, 'label', 'sw')`), 'Taarifa za benki au M-Pesa');
+    assert.equal(run(`i18n.gapImpact(${gap('bank')}, 'sw')`), 'Mtiririko wa fedha, deni kwa mapato na uwezo wa kulipa haviwezi kukokotolewa');
+
+    run("globalThis.mortality = gaps.proxies.find(proxy => proxy.id === 'regional-mortality')");
+    assert.equal(run('mortality.fills'), 'Health and mortality records');
+    assert.equal(run('mortality.basis'), 'cattle, arid/semi-arid county (Garissa)');
+    assert.equal(run("i18n.text(mortality, 'fills', 'sw')"), 'Rekodi za afya na vifo');
+    assert.equal(run("i18n.text(mortality, 'basis', 'sw')"), 'ng\'ombe, kaunti ya ukame/nusu-ukame (Garissa)');
+    // Gaps saved before impacts were kept as messages show the stored English
+    assert.equal(run("i18n.gapImpact({ impacts: ['Old impact'], impact: 'Old impact' }, 'sw')"), 'Old impact');
+});
+
+test('financial metric labels, formulas and missing-input reasons translate on display', () => {
+    run("globalThis.noStatements = financialMetrics.calculate({}, {})");
+    const income = "noStatements.metrics.find(metric => metric.key === 'monthlyIncome')";
+    assert.equal(run(`${income}.reason`), 'Needs total inflows, months covered');
+    assert.equal(run(`i18n.text(${income}, 'reason', 'sw')`), 'Inahitaji jumla ya mapato, miezi iliyohusishwa');
+    assert.equal(run(`i18n.financeLabel(${income}, 'sw')`), 'Mapato ya mwezi');
+    assert.equal(run(`i18n.financeFormula(${income}, 'sw')`), 'Mapato ya Mwezi = Jumla ya Mapato ÷ Miezi Iliyohusishwa');
+    assert.equal(run(`i18n.financeLabel(${income}.inputs[1], 'sw')`), 'Miezi iliyohusishwa');
+    // Metrics saved before inputs had keys keep their English labels
+    assert.equal(run("i18n.financeLabel({ label: 'Total inflows' }, 'sw')"), 'Total inflows');
+});
+
+test('the confidence and consensus methods and the analyst figures translate on display', () => {
+    run("globalThis.herdConfidence = uncertaintyModel.confidence({ estimate: 400000, low: 350000, high: 450000, method: 'roster', declared: null }, { metrics: [] })");
+    assert.equal(run('herdConfidence.method'), '100% less the mean relative error band of 1 headline figure');
+    assert.equal(run("i18n.text(herdConfidence, 'method', 'sw')"), '100% ukiondoa wastani wa kiwango cha kosa linganishi cha takwimu kuu 1');
+    assert.equal(run("i18n.financeLabel(herdConfidence.figures[0], 'sw')"), 'Thamani ya kundi');
+
+    const analyst = (score, grade) => ({ status: 'completed', score, grade, metrics: { score, herdValue: 400000, maxInstalment: null }, sources: {} });
+    run(`globalThis.consensus = analystCouncil.aggregate(${JSON.stringify([analyst(70, 'A'), analyst(50, 'C')])})`);
+    assert.match(run('consensus.method'), /^2 analysts; consensus = 100 × \(1 − mean coefficient of variation across 2 independently reported figures\)/);
+    assert.match(run("i18n.text(consensus, 'method', 'sw')"), /^Wachambuzi 2; maafikiano = /);
+    assert.equal(run("analystMetricLabel(consensus.metrics[0], 'sw')"), 'Alama ya hatari');
+    assert.equal(run("analystMetricLabel(consensus.disagreements.find(item => item.key === 'grade'), 'sw')"), 'Daraja la hatari');
+});
@@ -0,0 +1,211 @@
+// An in-memory IndexedDB with just the calls profile-store.js makes, for tests that need
+// profiles to persist. Records are structured-cloned on the way in and out, and a
+// transaction completes once none of its requests are pending, as in the browser.
+
+// Numbers sort before strings, strings before arrays; arrays compare element by element
+function cmp(a, b) {
+    const rank = value => Array.isArray(value) ? 2 : typeof value === 'string' ? 1 : 0;
+    if (rank(a) !== rank(b)) return rank(a) - rank(b);
+    if (Array.isArray(a)) {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            const order = cmp(a[i], b[i]);
+            if (order !== 0) return order;
+        }
+        return a.length - b.length;
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+class MemoryKeyRange {
+    constructor(lower, upper) {
+        this.lower = lower;
+        this.upper = upper;
+    }
+
+    static only(key) {
+        return new MemoryKeyRange(key, key);
+    }
+
+    static bound(lower, upper) {
+        return new MemoryKeyRange(lower, upper);
+    }
+
+    includes(key) {
+        return cmp(key, this.lower) >= 0 && cmp(key, this.upper) <= 0;
+    }
+}
+
+const keyAt = (keyPath, value) => Array.isArray(keyPath) ? keyPath.map(path => value[path]) : value[keyPath];
+const indexable = key => typeof key === 'string' || typeof key === 'number' || Array.isArray(key);
+const matches = (query, key) => query === undefined || query === null
+    || (query instanceof MemoryKeyRange ? query.includes(key) : cmp(query, key) === 0);
+
+class MemoryTransaction {
+    constructor(db) {
+        this.db = db;
+        this.pending = 0;
+        this.oncomplete = null;
+        this.onerror = null;
+        this.onabort = null;
+        this.settle();
+    }
+
+    objectStore(name) {
+        const store = this.db.stores.get(name);
+        if (!store) throw new Error(`No object store ${name}`);
+        return new MemoryObjectStore(this, store);
+    }
+
+    request(compute) {
+        const request = { result: undefined, error: null, onsuccess: null, onerror: null };
+        this.pending++;
+        setTimeout(() => {
+            request.result = compute(request);
+            this.pending--;
+            if (request.onsuccess) request.onsuccess();
+            this.settle();
+        });
+        return request;
+    }
+
+    // Checked after the microtasks a request's callbacks start, so follow-up requests count
+    settle() {
+        setTimeout(() => {
+            if (this.pending > 0 || this.done) return;
+            this.done = true;
+            if (this.oncomplete) this.oncomplete();
+        });
+    }
+}
+
+class MemoryObjectStore {
+    // `indexKeyPath` is set when this reads through an index rather than the store itself
+    constructor(tx, store, indexKeyPath = null) {
+        this.tx = tx;
+        this.store = store;
+        this.indexKeyPath = indexKeyPath;
+    }
+
+    createIndex(name, keyPath) {
+        this.store.indexes.set(name, keyPath);
+    }
+
+    index(name) {
+        return new MemoryObjectStore(this.tx, this.store, this.store.indexes.get(name));
+    }
+
+    // [{ key, primaryKey, value }] in key order, through the index when there is one
+    entries(query) {
+        return [...this.store.records.values()]
+            .map(({ key, value }) => ({ key: this.indexKeyPath ? keyAt(this.indexKeyPath, value) : key, primaryKey: key, value }))
+            .filter(entry => indexable(entry.key) && matches(query, entry.key))
+            .sort((a, b) => cmp(a.key, b.key) || cmp(a.primaryKey, b.primaryKey));
+    }
+
+    put(value) {
+        const key = keyAt(this.store.keyPath, value);
+        this.store.records.set(JSON.stringify(key), { key, value: structuredClone(value) });
+        return this.tx.request(() => key);
+    }
+
+    delete(query) {
+        this.entries(query).forEach(entry => this.store.records.delete(JSON.stringify(entry.primaryKey)));
+        return this.tx.request(() => undefined);
+    }
+
+    get(key) {
+        return this.tx.request(() => {
+            const entry = this.entries(key)[0];
+            return entry ? structuredClone(entry.value) : undefined;
+        });
+    }
+
+    getAll(query) {
+        return this.tx.request(() => this.entries(query).map(entry => structuredClone(entry.value)));
+    }
+
+    getAllKeys(query) {
+        return this.tx.request(() => this.entries(query).map(entry => entry.primaryKey));
+    }
+
+    count() {
+        return this.tx.request(() => this.store.records.size);
+    }
+
+    openCursor(query, direction = 'next') {
+        const entries = this.entries(query);
+        if (direction === 'prev') entries.reverse();
+        let position = 0;
+        const cursorAt = request => {
+            const entry = entries[position];
+            if (!entry) return null;
+            return {
+                value: structuredClone(entry.value),
+                update: value => this.put(value),
+                continue: () => {
+                    position++;
+                    this.tx.request(() => {
+                        request.result = cursorAt(request);
+                        if (request.onsuccess) request.onsuccess();
+                        return request.result;
+                    });
+                }
+            };
+        };
+        return this.tx.request(cursorAt);
+    }
+}
+
+class MemoryDatabase {
+    constructor() {
+        this.version = 0;
+        this.stores = new Map();
+        this.upgrade = null;
+        this.onversionchange = null;
+    }
+
+    createObjectStore(name, { keyPath }) {
+        const store = { keyPath, records: new Map(), indexes: new Map() };
+        this.stores.set(name, store);
+        return new MemoryObjectStore(this.upgrade, store);
+    }
+
+    transaction() {
+        return new MemoryTransaction(this);
+    }
+
+    close() {}
+}
+
+// Globals for loadScripts(): `indexedDB` and `IDBKeyRange`
+function memoryIndexedDB() {
+    const databases = new Map();
+    return {
+        IDBKeyRange: MemoryKeyRange,
+        indexedDB: {
+            cmp,
+            open(name, version) {
+                const request = { result: null, transaction: null, onupgradeneeded: null, onsuccess: null, onerror: null, onblocked: null };
+                setTimeout(() => {
+                    if (!databases.has(name)) databases.set(name, new MemoryDatabase());
+                    const db = databases.get(name);
+                    request.result = db;
+                    if (version > db.version) {
+                        const oldVersion = db.version;
+                        const upgrade = new MemoryTransaction(db);
+                        db.upgrade = upgrade;
+                        request.transaction = upgrade;
+                        db.version = version;
+                        upgrade.oncomplete = () => request.onsuccess && request.onsuccess();
+                        if (request.onupgradeneeded) request.onupgradeneeded({ oldVersion });
+                    } else if (request.onsuccess) {
+                        request.onsuccess();
+                    }
+                });
+                return request;
+            }
+        }
+    };
+}
+
+module.exports = { memoryIndexedDB };
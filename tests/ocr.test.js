@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { APP_SCRIPTS, loadScripts, plain } = require('./sandbox');
+
+// What Tesseract might read off a photographed national ID
+const ID_CARD_TEXT = [
+    'JAMHURI YA KENYA REPUBLIC OF KENYA',
+    'SERIAL NUMBER: 234567891',
+    'ID NUMBER: 12345678',
+    'FULL NAMES',
+    'WANJIKU MUTHONI KAMAU',
+    'DATE OF BIRTH 05.03.1984',
+    'SEX FEMALE',
+    'DISTRICT OF BIRTH NYERI'
+].join('\n');
+
+// Stands in for the vendored library: records the worker options and reads back `text`
+function fakeTesseract(text, confidence = 87.6) {
+    const calls = [];
+    return {
+        calls,
+        library: {
+            createWorker: async (languages, oem, options) => {
+                calls.push({ languages, oem, options });
+                return { recognize: async () => ({ data: { text, confidence } }), terminate: async () => {} };
+            }
+        }
+    };
+}
+
+// A page where the library has not been loaded yet; `scripts` collects the tags it adds
+function pageWithoutTesseract() {
+    const scripts = [];
+    const document = {
+        getElementById: () => null, querySelectorAll: () => [], addEventListener() {},
+        createElement: () => ({}),
+        head: { appendChild: script => scripts.push(script) }
+    };
+    return { run: loadScripts(APP_SCRIPTS, { document }), scripts };
+}
+
+const photo = { name: 'id-front.jpg', type: 'image/jpeg', size: 1024 };
+
+test('an ID photo is read through OCR into the labelled fields', async () => {
+    const tesseract = fakeTesseract(ID_CARD_TEXT);
+    const run = loadScripts(APP_SCRIPTS, { Tesseract: tesseract.library });
+    const content = plain(await run(`documentProcessor.parseImage(${JSON.stringify(photo)}, 'id')`));
+
+    assert.equal(content.type, 'image');
+    assert.equal(content.confidence, 88);
+    assert.equal(content.language, 'eng+swa');
+    assert.deepEqual(content.fields, {
+        idNumber: '12345678',
+        serialNumber: '234567891',
+        fullName: 'WANJIKU MUTHONI KAMAU',
+        dateOfBirth: '1984-03-05',
+        sex: 'F',
+        placeOfBirth: 'NYERI'
+    });
+    // Only ID photos get fields; the worker is started once and reused
+    assert.equal(plain(await run(`documentProcessor.parseImage(${JSON.stringify(photo)}, 'livestock')`)).fields, undefined);
+    assert.equal(tesseract.calls.length, 1);
+});
+
+test('the worker is pointed at the vendored assets and every one of them is in the tree', async () => {
+    const tesseract = fakeTesseract('');
+    const run = loadScripts(APP_SCRIPTS, { Tesseract: tesseract.library });
+    await run(`ocrEngine.recognize(${JSON.stringify(photo)})`);
+    const { languages, oem, options } = plain(tesseract.calls[0]);
+    const root = path.join(__dirname, '..');
+
+    assert.deepEqual(languages, ['eng', 'swa']);
+    assert.equal(oem, 1);
+    assert.ok(fs.existsSync(path.join(root, run('TESSERACT_URL'))));
+    assert.ok(fs.existsSync(path.join(root, options.workerPath)));
+    // LSTM-only cores, with and without SIMD; the worker picks one for the device
+    ['tesseract-core-lstm.wasm.js', 'tesseract-core-simd-lstm.wasm.js'].forEach(file => {
+        assert.ok(fs.existsSync(path.join(root, options.corePath, file)), file);
+    });
+    languages.forEach(language => {
+        assert.ok(fs.existsSync(path.join(root, options.langPath, `${language}.traineddata.gz`)), language);
+    });
+});
+
+test('the library is loaded from the app on first use', async () => {
+    const tesseract = fakeTesseract('ID NUMBER 87654321');
+    const { run, scripts } = pageWithoutTesseract();
+    const parsing = run(`documentProcessor.parseImage(${JSON.stringify(photo)}, 'id')`);
+
+    await new Promise(resolve => setTimeout(resolve));
+    assert.deepEqual(scripts.map(script => script.src), ['vendor/tesseract/tesseract.min.js']);
+    run('globalThis').Tesseract = tesseract.library;
+    scripts[0].onload();
+    assert.equal(plain(await parsing).fields.idNumber, '87654321');
+});
+
+test('a library that fails to load is retried on the next image', async () => {
+    const { run, scripts } = pageWithoutTesseract();
+    const failing = run(`ocrEngine.recognize(${JSON.stringify(photo)})`);
+    await new Promise(resolve => setTimeout(resolve));
+    scripts[0].onerror();
+    await assert.rejects(failing, /OCR engine failed to start: Tesseract could not be loaded/);
+
+    run(`ocrEngine.recognize(${JSON.stringify(photo)})`).catch(() => {});
+    await new Promise(resolve => setTimeout(resolve));
+    assert.equal(scripts.length, 2);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { APP_SCRIPTS, loadScripts, plain } = require('./sandbox');
+const { memoryIndexedDB } = require('./memory-db');
+
+// Each test gets its own page: a fresh database, localStorage and profile manager
+function freshPage() {
+    const run = loadScripts(APP_SCRIPTS, memoryIndexedDB());
+    const stored = async id => plain(await run(`profileManager.store.transaction('profiles', 'readonly', store => requestToPromise(store.get('${id}')))`));
+    return { run, stored };
+}
+
+const profile = (version, valuation) => ({
+    id: 'CER-0000-001Y', version, timestamp: `2024-0${version}-01T00:00:00.000Z`,
+    farmerName: 'Wanjiku', riskRating: 'low', livestock: { species: 'dairy', count: 4 }, valuation
+});
+
+test('a sealed record shows only its key and timestamp and opens back to the original', async () => {
+    const { run } = freshPage();
+    const sealed = plain(await run(`(async () => {
+        const cipher = new ProfileCipher();
+        const { key, settings } = await cipher.createKey('correct horse');
+        cipher.install(key, settings);
+        globalThis.sealedCipher = cipher;
+        return cipher.seal(${JSON.stringify(profile(1, 300000))});
+    })()`));
+
+    assert.deepEqual(Object.keys(sealed).sort(), ['id', 'sealed', 'timestamp', 'version']);
+    assert.doesNotMatch(JSON.stringify(sealed), /Wanjiku|300000/);
+    assert.deepEqual(plain(await run(`sealedCipher.open(${JSON.stringify(sealed)})`)), profile(1, 300000));
+});
+
+test('a wrong passphrase does not unlock and leaves the profiles locked', async () => {
+    const { run } = freshPage();
+    await run('profileManager.ready');
+    await run(`profileManager.put(${JSON.stringify(profile(1, 300000))})`);
+    await run("profileManager.changePassphrase('', 'correct horse')");
+    run('profileManager.lock()');
+
+    assert.equal(run('profileManager.isLocked()'), true);
+    assert.equal(await run("profileManager.unlock('wrong horse')"), false);
+    assert.equal(run('profileManager.isLocked()'), true);
+    await assert.rejects(run("profileManager.get('CER-0000-001Y')"), /locked/);
+    // Saving while locked is refused rather than written in the clear
+    await assert.rejects(run(`profileManager.put(${JSON.stringify(profile(2, 320000))})`), /locked/);
+
+    assert.equal(await run("profileManager.unlock('correct horse')"), true);
+    assert.equal(plain(await run("profileManager.get('CER-0000-001Y')")).valuation, 300000);
+});
+
+test('changing the passphrase re-encrypts every stored version', async () => {
+    const { run, stored } = freshPage();
+    await run('profileManager.ready');
+    await run(`profileManager.put(${JSON.stringify(profile(1, 300000))})`);
+    await run(`profileManager.put(${JSON.stringify(profile(2, 320000))})`);
+
+    await run("profileManager.changePassphrase('', 'first passphrase')");
+    const first = await stored('CER-0000-001Y');
+    assert.ok(first.sealed);
+    assert.equal(first.valuation, undefined);
+
+    await assert.rejects(run("profileManager.changePassphrase('not it', 'second passphrase')"), /incorrect/);
+    await run("profileManager.changePassphrase('first passphrase', 'second passphrase')");
+    assert.notDeepEqual(await stored('CER-0000-001Y'), first);
+
+    run('profileManager.lock()');
+    assert.equal(await run("profileManager.unlock('first passphrase')"), false);
+    assert.equal(await run("profileManager.unlock('second passphrase')"), true);
+    const versions = plain(await run("profileManager.versions('CER-0000-001Y')"));
+    assert.deepEqual(versions.map(version => version.valuation), [300000, 320000]);
+});
+
+test('turning encryption off stores the profiles readable again', async () => {
+    const { run, stored } = freshPage();
+    await run('profileManager.ready');
+    await run(`profileManager.put(${JSON.stringify(profile(1, 300000))})`);
+    await run("profileManager.changePassphrase('', 'correct horse')");
+
+    await run("profileManager.changePassphrase('correct horse', '')");
+    assert.equal(run('profileManager.isEncrypted()'), false);
+    assert.deepEqual(await stored('CER-0000-001Y'), profile(1, 300000));
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHash } = require('node:crypto');
+const { APP_SCRIPTS, loadScripts, plain } = require('./sandbox');
+
+const run = loadScripts(APP_SCRIPTS);
+const ALPHABET = run('PROFILE_ID_ALPHABET');
+const isValidId = id => run(`profileIntegrity.isValidId(${JSON.stringify(id)})`);
+const fileOf = text => ({ arrayBuffer: async () => new TextEncoder().encode(text).buffer });
+const verify = async text => plain(await run('profileIntegrity').verify(fileOf(text)));
+
+// An ID whose check character has been replaced, so it fails before any stored profile is looked up
+function mistyped(id) {
+    const last = id[id.length - 1];
+    return id.slice(0, -1) + ALPHABET[(ALPHABET.indexOf(last) + 1) % ALPHABET.length];
+}
+
+test('generated IDs carry a valid check character', () => {
+    for (let i = 0; i < 50; i++) {
+        const id = run('profileIntegrity.generateId()');
+        assert.match(id, /^CER-[0-9A-Z]{4}-[0-9A-Z]{4}$/);
+        assert.ok(isValidId(id), id);
+    }
+});
+
+test('the Luhn mod 32 check character matches a worked example', () => {
+    // Payload 0000001: the 1 is doubled to 2, so the check character is 32 - 2 = 30, "Y"
+    assert.equal(run("profileIntegrity.checkCharacter('0000001')"), 'Y');
+    assert.equal(run("profileIntegrity.checkCharacter('0000000')"), '0');
+    assert.ok(isValidId('CER-0000-001Y'));
+});
+
+test('every single-character substitution is caught', () => {
+    const id = run('profileIntegrity.generateId()');
+    [4, 5, 6, 7, 9, 10, 11, 12].forEach(position => {
+        ALPHABET.split('').filter(character => character !== id[position]).forEach(character => {
+            const typo = id.slice(0, position) + character + id.slice(position + 1);
+            assert.equal(isValidId(typo), false, typo);
+        });
+    });
+});
+
+test('swapped neighbours are caught', () => {
+    const payload = 'AB3D5F7';
+    const id = `CER-${payload.substring(0, 4)}-${payload.substring(4)}${run(`profileIntegrity.checkCharacter('${payload}')`)}`;
+    assert.ok(isValidId(id));
+    for (let i = 0; i < payload.length - 1; i++) {
+        const swapped = payload.slice(0, i) + payload[i + 1] + payload[i] + payload.slice(i + 2);
+        const typo = `CER-${swapped.substring(0, 4)}-${swapped.substring(4)}${id[id.length - 1]}`;
+        assert.equal(isValidId(typo), false, typo);
+    }
+});
+
+test('normalizeId forgives case, spaces and look-alike letters', () => {
+    assert.equal(run("profileIntegrity.normalizeId(' cer-oo0l - 001y ')"), 'CER-0001-001Y');
+    assert.equal(run("profileIntegrity.normalizeId('CER-2025-1735689600000-AB12')"), 'CER-2025-1735689600000-AB12');
+    assert.ok(isValidId('CER-2025-1735689600000-AB12'));
+    assert.equal(isValidId('CER-0000-001'), false);
+});
+
+test('canonicalize sorts keys and drops undefined members', () => {
+    assert.equal(run("profileIntegrity.canonicalize({ b: 1, a: { d: [1, undefined], c: 'x' }, e: undefined })"), '{"a":{"c":"x","d":[1,null]},"b":1}');
+});
+
+test('hash is SHA-256 over the canonical hashed fields only', async () => {
+    const profile = { id: 'CER-0000-001Y', version: 2, valuation: 250000, intake: { notes: 'not hashed' } };
+    const expected = createHash('sha256').update('{"id":"CER-0000-001Y","valuation":250000,"version":2}').digest('hex');
+    assert.equal(await run('profileIntegrity').hash(profile), expected);
+    assert.equal(await run('profileIntegrity').hash({ ...profile, intake: {} }), expected);
+});
+
+test('check tells intact, altered and unhashed profiles apart', async () => {
+    const integrity = run('profileIntegrity');
+    const profile = { id: 'CER-0000-001Y', version: 1, riskRating: 'low', valuation: 100000 };
+    const hashed = { ...profile, contentHash: await integrity.hash(profile) };
+    assert.equal(await integrity.check(hashed), 'intact');
+    assert.equal(await integrity.check({ ...hashed, valuation: 900000 }), 'altered');
+    assert.equal(await integrity.check(profile), 'unhashed');
+});
+
+test('verify reads JSON that is not an export as an unreadable file', async () => {
+    for (const text of ['null', '42', '"CER"', '{}']) {
+        const [result] = await verify(text);
+        assert.equal(result.status, 'unreadable', text);
+    }
+});
+
+test('verify rejects a mistyped ID in a JSON export', async () => {
+    const [result] = await verify(JSON.stringify({ profiles: [{ id: mistyped('CER-0000-001Y'), version: 1, versions: [null] }] }));
+    assert.equal(result.status, 'invalid-id');
+});
+
+test('text summaries are read with their labels taken literally', async () => {
+    const summary = id => `Profile ID: ${id}\nVersion: 1\nContent hash: abc`;
+    assert.equal((await verify(summary(mistyped('CER-0000-001Y'))))[0].status, 'invalid-id');
+
+    const original = run("MESSAGES.sw['summary.profileId']");
+    run("MESSAGES.sw['summary.profileId'] = 'Kitambulisho (ID)'");
+    try {
+        const [result] = await verify(`Kitambulisho (ID): ${mistyped('CER-0000-001Y')}\nToleo: 1`);
+        assert.equal(result.status, 'invalid-id');
+    } finally {
+        run(`MESSAGES.sw['summary.profileId'] = ${JSON.stringify(original)}`);
+    }
+});
+
+test('a report PDF is only vouched for as far as its properties go', async () => {
+    const integrity = run('profileIntegrity');
+    const profile = { id: 'CER-0000-001Y', version: 1, riskRating: 'low', valuation: 100000 };
+    const stored = { ...profile, contentHash: await integrity.hash(profile) };
+    const keywords = `ceres-profile:${stored.id}; version:1; sha256:${stored.contentHash}`;
+    const withPdf = loadScripts(APP_SCRIPTS, {
+        pdfjsLib: {
+            GlobalWorkerOptions: {},
+            getDocument: () => ({ promise: Promise.resolve({ getMetadata: async () => ({ info: { Keywords: keywords } }) }) })
+        }
+    });
+    withPdf('globalThis').stored = stored;
+    withPdf('profileManager.getVersion = async () => stored');
+
+    const [result] = plain(await withPdf('profileIntegrity').verify(fileOf('%PDF-1.7\n')));
+    assert.equal(result.status, 'metadata-match');
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { APP_SCRIPTS, loadScripts, plain } = require('./sandbox');
+const { memoryIndexedDB } = require('./memory-db');
+
+// Papa.unparse hands back the table it was given, so the columns can be read directly
+const papa = { unparse: table => table };
+
+function freshPage() {
+    const profilesButton = { classList: { remove() {}, add() {} } };
+    const run = loadScripts(APP_SCRIPTS, {
+        ...memoryIndexedDB(),
+        Papa: papa,
+        document: { getElementById: id => id === 'profiles-btn' ? profilesButton : null, querySelectorAll: () => [], addEventListener() {} }
+    });
+    // The list view is not on the page; the import only needs to finish
+    run('renderProfilesList = async () => {}');
+    return run;
+}
+
+const ID = 'CER-0000-001Y';
+const profile = (overrides = {}) => ({
+    id: ID, version: 1, timestamp: '2024-01-01T00:00:00.000Z', farmerName: 'Wanjiku',
+    riskRating: 'low', livestock: { species: 'dairy', count: 4 }, valuation: 300000, ...overrides
+});
+const exportOf = profiles => JSON.stringify({ format: 'ceres-profiles', schemaVersion: 1, profiles });
+
+// Runs the import the way the profiles screen does: pick a file, resolve collisions, confirm
+async function importFile(run, text, resolution) {
+    run(`globalThis.importInput = { value: 'x', files: [{ name: 'export.json', text: async () => ${JSON.stringify(text)} }] }`);
+    await run('prepareProfileImport(importInput)');
+    const pending = plain(run('pendingProfileImport'));
+    if (resolution) run(`setImportResolution(null, '${resolution}')`);
+    await run('confirmProfileImport()');
+    return pending;
+}
+
+test('a file that is not a profile export is refused as a whole', () => {
+    const run = freshPage();
+    const parse = text => () => run(`profileTransfer.parse(${JSON.stringify(text)})`);
+    assert.throws(parse('not json'), /Not a JSON file/);
+    assert.throws(parse(JSON.stringify({ format: 'something-else', profiles: [] })), /Not a CERES profile export/);
+    assert.throws(parse(JSON.stringify({ format: 'ceres-profiles', schemaVersion: 2, profiles: [] })), /Unsupported export schema version 2/);
+});
+
+test('profiles that break the schema are listed with their problems and the rest still load', () => {
+    const run = freshPage();
+    const { entries, errors } = plain(run(`profileTransfer.parse(${JSON.stringify(exportOf([
+        profile(),
+        profile({ id: 'CER-0000-001Z', riskRating: 'unknown', valuation: '300000' }),
+        profile({ timestamp: undefined, livestock: [] }),
+        profile({ versions: [profile({ id: 'CER-0000-002W', version: 1 })], version: 2 })
+    ]))})`));
+
+    assert.deepEqual(entries.map(entry => entry.profile.id), [ID]);
+    assert.deepEqual(errors.map(error => error.index), [1, 2, 3]);
+    assert.deepEqual(errors[0].errors, [
+        'id "CER-0000-001Z" is not a valid profile ID',
+        'riskRating must be one of low, medium, high',
+        'valuation must be a number'
+    ]);
+    assert.deepEqual(errors[1].errors, ['timestamp is required', 'livestock must be a object']);
+    assert.deepEqual(errors[2].errors, ['version 1 belongs to CER-0000-002W']);
+});
+
+test('a colliding profile is skipped unless the officer chooses otherwise', async () => {
+    const run = freshPage();
+    await run('profileManager.ready');
+    await run(`profileManager.put(${JSON.stringify(profile())})`);
+
+    const pending = await importFile(run, exportOf([profile({ farmerName: 'Imported', version: 2 })]));
+    assert.equal(pending.entries[0].collision, true);
+    assert.equal(pending.entries[0].resolution, 'skip');
+    assert.equal(plain(await run(`profileManager.get('${ID}')`)).farmerName, 'Wanjiku');
+});
+
+test('overwriting replaces the stored profile and its history', async () => {
+    const run = freshPage();
+    await run('profileManager.ready');
+    await run(`profileManager.put(${JSON.stringify(profile())})`);
+    await run(`profileManager.put(${JSON.stringify(profile({ version: 2, timestamp: '2024-02-01T00:00:00.000Z' }))})`);
+
+    await importFile(run, exportOf([profile({ farmerName: 'Imported', version: 1 })]), 'overwrite');
+    assert.equal(plain(await run(`profileManager.get('${ID}')`)).farmerName, 'Imported');
+    assert.deepEqual(plain(await run(`profileManager.versions('${ID}')`)).map(version => version.farmerName), ['Imported']);
+});
+
+test('keeping both stores the import under a new ID and leaves the original alone', async () => {
+    const run = freshPage();
+    await run('profileManager.ready');
+    await run(`profileManager.put(${JSON.stringify(profile())})`);
+    const imported = plain(await run(`(async () => {
+        const record = ${JSON.stringify(profile({ farmerName: 'Imported' }))};
+        return { ...record, contentHash: await profileIntegrity.hash(record) };
+    })()`));
+
+    await importFile(run, exportOf([imported]), 'keep-both');
+    const profiles = plain(await run('profileManager.list()'));
+    assert.equal(profiles.length, 2);
+    const copy = profiles.find(p => p.id !== ID);
+    assert.equal(copy.farmerName, 'Imported');
+    assert.equal(run(`profileIntegrity.isValidId('${copy.id}')`), true);
+    // Re-hashed under the new ID, so the copy still verifies
+    assert.equal(await run(`profileIntegrity.check(${JSON.stringify(copy)})`), 'intact');
+    assert.equal(plain(await run(`profileManager.get('${ID}')`)).farmerName, 'Wanjiku');
+});
+
+test('the CSV export has one row per profile with blanks for missing figures', () => {
+    const run = freshPage();
+    const table = plain(run(`profileTransfer.toCSV([${JSON.stringify(profile({
+        riskAssessment: { grade: 'B', score: 68 }, dataQuality: { percentage: 75 }, documents: { bank: [{}, {}], mpesa: [{}] }
+    }))}, ${JSON.stringify(profile({ id: 'CER-0000-002W' }))}])`));
+    const column = (row, header) => table.data[row][table.fields.indexOf(header)];
+
+    assert.equal(table.fields[0], 'profile_id');
+    assert.equal(table.data.length, 2);
+    assert.equal(column(0, 'created_at'), '2024-01-01T00:00:00.000Z');
+    assert.equal(column(0, 'risk_grade'), 'B');
+    assert.equal(column(0, 'risk_score'), 68);
+    assert.equal(column(0, 'completeness_pct'), 75);
+    assert.equal(column(0, 'documents'), 3);
+    assert.equal(column(1, 'risk_grade'), 'Unscored');
+    assert.equal(column(1, 'risk_score'), '');
+    assert.equal(column(1, 'completeness_pct'), '');
+    assert.equal(column(1, 'monthly_income_kes'), '');
+});
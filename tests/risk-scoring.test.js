@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { APP_SCRIPTS, loadScripts, plain } = require('./sandbox');
+
+const run = loadScripts(APP_SCRIPTS);
+const score = (formData, documents = {}, valuation = null, weights = null) => plain(run(
+    `${weights ? `new RiskScoringEngine(${JSON.stringify(weights)})` : 'riskScoringEngine'}.score(${JSON.stringify(formData)}, ${JSON.stringify(documents)}, ${JSON.stringify(valuation)})`
+));
+const contribution = (assessment, key) => assessment.factors.find(factor => factor.key === key).contribution;
+
+const strongFarmer = {
+    experience: '20', land: '12', livestockCount: '45', herdValue: '6000000',
+    accountType: 'Business current account', riskTolerance: 'Conservative'
+};
+const allDocuments = { id: [{ parsed: true }], bank: [{ parsed: true }], herd: [{ parsed: true }], health: [{ parsed: true }] };
+
+test('a farmer at or past every full-marks threshold scores 100', () => {
+    const assessment = score(strongFarmer, allDocuments);
+    assert.equal(assessment.score, 100);
+    assert.equal(assessment.grade, 'AA');
+    assert.equal(assessment.rating, 'low');
+});
+
+test('an empty intake only earns the neutral risk appetite', () => {
+    const assessment = score({});
+    assert.equal(assessment.score, 5);
+    assert.equal(assessment.grade, 'D');
+    assert.ok(assessment.factors.every(factor => factor.subScore === 0 || factor.key === 'riskTolerance'));
+});
+
+test('factor contributions are the sub-score times the weight', () => {
+    const assessment = score({ experience: '6', land: '5', livestockCount: '10' }, { bank: [{ parsed: true }], id: [{ parsed: false }] });
+    assert.equal(contribution(assessment, 'experience'), 6);
+    assert.equal(contribution(assessment, 'land'), 5);
+    assert.equal(contribution(assessment, 'livestockCount'), 3.8);
+    assert.equal(contribution(assessment, 'documents'), 10);
+    assert.equal(assessment.score, Math.round(assessment.factors.reduce((sum, factor) => sum + factor.contribution, 0) * 10) / 10);
+});
+
+test('a computed valuation outranks the declared herd value', () => {
+    const declared = score({ herdValue: '5000000' });
+    const computed = score({ herdValue: '5000000' }, {}, { estimate: 100000 });
+    assert.equal(contribution(declared, 'herdValue'), 15);
+    assert.equal(contribution(computed, 'herdValue'), 0);
+});
+
+test('custom weights are normalised to 100', () => {
+    const assessment = score(strongFarmer, allDocuments, null, { experience: 2, land: 0, livestockCount: 0, herdValue: 0, accountType: 0, riskTolerance: 0, documents: 2 });
+    assert.equal(assessment.factors.find(factor => factor.key === 'experience').weight, 50);
+    assert.equal(assessment.factors.find(factor => factor.key === 'land').weight, 0);
+    assert.equal(assessment.score, 100);
+    assert.throws(() => run('new RiskScoringEngine({ experience: 0, land: 0, livestockCount: 0, herdValue: 0, accountType: 0, riskTolerance: 0, documents: 0 })'), /more than zero/);
+});
+
+test('grades follow the score bands', () => {
+    const base = { land: '10', livestockCount: '40', riskTolerance: 'low' };
+    const grades = [
+        { ...base, experience: '1' },
+        { ...base, experience: '8' },
+        { ...base, experience: '8', accountType: 'Current' }
+    ].map(formData => score(formData, allDocuments));
+    assert.deepEqual(grades.map(assessment => [assessment.score, assessment.grade]), [
+        [61, 'B'],
+        [68, 'A'],
+        [78, 'A']
+    ]);
+    assert.equal(score({ ...base, experience: '15', accountType: 'Current' }, allDocuments).grade, 'AA');
+});
@@ -0,0 +1,45 @@
+// Loads the page scripts into a VM sandbox with just enough of the browser for their pure parts
+// Run the suite with: node --test tests/
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// What the intake page loads, in order
+const APP_SCRIPTS = ['profile-store.js', 'i18n.js', 'document-parsers.js', 'app.js'];
+
+function loadScripts(files, globals = {}) {
+    const storage = new Map();
+    const context = vm.createContext({
+        console, setTimeout, clearTimeout, TextEncoder, TextDecoder, URLSearchParams, Intl, btoa, atob,
+        crypto: globalThis.crypto,
+        localStorage: {
+            getItem: key => storage.has(key) ? storage.get(key) : null,
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        },
+        document: { getElementById: () => null, querySelectorAll: () => [], addEventListener() {} },
+        location: { search: '', href: '' },
+        navigator: {},
+        // Never opens, so the profile store stays empty and nothing is persisted
+        indexedDB: { open: () => ({}) },
+        // CDN libraries the scripts touch while loading
+        lucide: { createIcons() {} },
+        pdfjsLib: { GlobalWorkerOptions: {} },
+        ...globals
+    });
+    context.window = context;
+    context.self = context;
+    files.forEach(file => {
+        const filename = path.join(__dirname, '..', file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+    // Top-level const and class bindings are not properties of the context, so reach them by evaluating
+    return code => vm.runInContext(code, context);
+}
+
+// Sandbox objects carry the sandbox's prototypes; copy them out before deep comparisons
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { APP_SCRIPTS, loadScripts, plain };
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./sandbox');
+
+const run = loadScripts(['document-parsers.js']);
+const parse = lines => plain(run(`statementParser.parse(${JSON.stringify(lines)})`));
+const parseDate = raw => run(`statementParser.parseDate(${JSON.stringify(raw)})`);
+
+test('parseDate reads ISO, day-first and month-name dates', () => {
+    assert.equal(parseDate('2024-03-05'), '2024-03-05');
+    assert.equal(parseDate('05/03/2024'), '2024-03-05');
+    assert.equal(parseDate('5.3.24'), '2024-03-05');
+    assert.equal(parseDate('05-Mar-2024'), '2024-03-05');
+    assert.equal(parseDate('5 March 24'), '2024-03-05');
+});
+
+test('parseDate rejects dates that do not exist', () => {
+    assert.equal(parseDate('31/02/2024'), null);
+    assert.equal(parseDate('29/02/2023'), null);
+    assert.equal(parseDate('31-Apr-2024'), null);
+    assert.equal(parseDate('2024-13-01'), null);
+    assert.equal(parseDate('00/01/2024'), null);
+    assert.equal(parseDate('29/02/2024'), '2024-02-29');
+});
+
+test('parseAmount reads signs and bracketed negatives', () => {
+    assert.equal(run("statementParser.parseAmount('1,250.50')"), 1250.5);
+    assert.equal(run("statementParser.parseAmount('(300.00)')"), -300);
+    assert.equal(run("statementParser.parseAmount('-45.10')"), -45.1);
+});
+
+test('balance movements decide debit and credit', () => {
+    const { transactions, meta } = parse([
+        '01/03/2024 Opening balance 1,000.00',
+        '04/03/2024 Sale of milk 500.00 1,500.00',
+        '09/03/2024 Vet services 200.00 1,300.00'
+    ]);
+    assert.deepEqual(transactions.map(tx => [tx.date, tx.credit, tx.debit]), [
+        ['2024-03-04', 500, 0],
+        ['2024-03-09', 0, 200]
+    ]);
+    assert.equal(meta.totalInflow, 500);
+    assert.equal(meta.totalOutflow, 200);
+    assert.deepEqual(meta.period, { from: '2024-03-04', to: '2024-03-09' });
+});
+
+test('newest-first statements are read in date order', () => {
+    const { transactions } = parse([
+        '09/03/2024 Vet services 200.00 1,300.00',
+        '04/03/2024 Sale of milk 500.00 1,500.00',
+        '01/03/2024 Opening balance 1,000.00'
+    ]);
+    assert.deepEqual(transactions.map(tx => tx.date), ['2024-03-04', '2024-03-09']);
+    assert.equal(transactions[0].credit, 500);
+});
+
+test('an opening balance in the first month counts from its own day', () => {
+    const [month] = parse([
+        '01/03/2024 Opening balance 1,000.00',
+        '11/03/2024 Deposit 500.00 1,500.00',
+        '21/03/2024 Withdrawal 200.00 1,300.00'
+    ]).monthlySummary;
+    // 10 days at 1,000, 10 at 1,500 and the last day at 1,300
+    assert.equal(month.averageBalance, Math.round((10 * 1000 + 10 * 1500 + 1300) / 21 * 100) / 100);
+    assert.equal(month.closingBalance, 1300);
+});
+
+test('an opening balance from an earlier month carries in from day 1', () => {
+    const [month] = parse([
+        '15/02/2024 Balance b/f 1,000.00',
+        '11/03/2024 Deposit 500.00 1,500.00'
+    ]).monthlySummary;
+    assert.equal(month.month, '2024-03');
+    assert.equal(month.averageBalance, Math.round((10 * 1000 + 1500) / 11 * 100) / 100);
+});
+
+test('overdrafts are counted each time the balance crosses below zero', () => {
+    const { meta } = parse([
+        '01/03/2024 Opening balance 100.00',
+        '02/03/2024 Withdrawal 300.00 -200.00',
+        '03/03/2024 Withdrawal 50.00 -250.00',
+        '04/03/2024 Deposit 400.00 150.00',
+        '05/03/2024 Withdrawal 200.00 -50.00'
+    ]);
+    assert.equal(meta.overdraftCount, 2);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { APP_SCRIPTS, loadScripts, plain } = require('./sandbox');
+
+const run = loadScripts(APP_SCRIPTS);
+const yearsAgo = years => `${new Date().getFullYear() - years}-01-01`;
+const valueAnimal = (animal, county = '') => plain(run(`livestockValuation.valueAnimal(${JSON.stringify(animal)}, ${JSON.stringify(county)})`));
+const valueHerd = (animals, formData) => plain(run(`livestockValuation.valueHerd(${JSON.stringify(animals)}, ${JSON.stringify(formData)})`));
+
+test('animals past the last age band are valued as aged stock', () => {
+    const cow = valueAnimal({ tagId: 'K1', species: 'cattle', breed: 'Friesian', sex: 'F', birthDate: yearsAgo(12), healthStatus: 'healthy' });
+    assert.equal(cow.estimate, Math.round(120000 * 0.7 * 1.1));
+    assert.ok(cow.basis.some(line => /×0\.7$/.test(line)));
+
+    const goat = valueAnimal({ tagId: 'G1', species: 'goat', breed: 'Galla', sex: 'F', birthDate: yearsAgo(11), healthStatus: 'healthy' });
+    assert.equal(goat.estimate, Math.round(9000 * 0.7));
+});
+
+test('the default price table survives the JSON round trip through storage', () => {
+    const table = plain(run('livestockValuation.priceTable'));
+    assert.deepEqual(table.ageBands.cattle.at(-1), [null, 0.7]);
+    assert.deepEqual(table.ageBands.default.at(-1), [null, 0.7]);
+});
+
+test('a stored table without an open-ended band falls back to its last band', () => {
+    const saved = run('JSON.stringify(livestockValuation.priceTable.ageBands)');
+    run('livestockValuation.priceTable.ageBands = { default: [[12, 0.5], [72, 1]] }');
+    try {
+        const goat = valueAnimal({ species: 'goat', breed: '', sex: 'F', birthDate: yearsAgo(10), healthStatus: 'healthy' });
+        assert.equal(goat.estimate, 6000);
+    } finally {
+        run(`livestockValuation.priceTable.ageBands = ${saved}`);
+    }
+});
+
+test('each unknown input widens the range', () => {
+    const known = valueAnimal({ species: 'goat', breed: 'Boer', sex: 'F', birthDate: yearsAgo(3), healthStatus: 'healthy' });
+    assert.equal(known.estimate, 15000);
+    assert.deepEqual([known.low, known.high], [12750, 17250]);
+
+    // Unpriced breed, no birth date and unknown health: 15% + 3 × 10%
+    const unknown = valueAnimal({ species: 'goat', breed: 'Mystery', sex: 'F', birthDate: '', healthStatus: 'unknown' });
+    assert.equal(unknown.estimate, Math.round(6000 * 0.9));
+    assert.equal(unknown.low, Math.round(unknown.estimate * 0.55));
+    assert.equal(unknown.high, Math.round(unknown.estimate * 1.45));
+});
+
+test('county market factors apply per species', () => {
+    const goat = valueAnimal({ species: 'goat', breed: 'Galla', sex: 'M', birthDate: yearsAgo(3), healthStatus: 'healthy' }, 'Turkana');
+    assert.equal(goat.estimate, Math.round(9000 * 0.85));
+});
+
+test('species missing from the table are left unpriced', () => {
+    const animal = valueAnimal({ tagId: 'X', species: 'donkey' });
+    assert.equal(animal.estimate, null);
+});
+
+test('a roster is priced animal by animal and checked against the declared value', () => {
+    const herd = valueHerd([
+        { tagId: 'K1', species: 'cattle', breed: 'Friesian', sex: 'F', birthDate: yearsAgo(12), healthStatus: 'healthy' },
+        { tagId: 'K2', species: 'cattle', breed: 'Boran', sex: 'M', birthDate: yearsAgo(4), healthStatus: 'sick' },
+        { tagId: 'X', species: 'donkey' }
+    ], { herdValue: '500000', county: 'Nyeri' });
+    const expected = Math.round(120000 * 0.7 * 1.1) + Math.round(85000 * 0.95 * 0.5);
+    assert.equal(herd.method, 'roster');
+    assert.equal(herd.estimate, expected);
+    assert.equal(herd.perAnimal.length, 3);
+    assert.equal(herd.declared, 500000);
+    assert.equal(herd.discrepancy.flagged, true);
+    assert.equal(herd.discrepancy.ratio, Math.round((500000 - expected) / expected * 1000) / 1000);
+});
+
+test('without a roster the head count is priced at a typical animal', () => {
+    const herd = valueHerd([], { livestockCount: '10', species: 'goats', breed: 'galla', herdValue: '80000' });
+    assert.equal(herd.method, 'aggregate');
+    assert.equal(herd.estimate, Math.round(9000 * 0.9) * 10);
+    assert.equal(herd.discrepancy.flagged, false);
+
+    assert.equal(valueHerd([], { species: 'goats' }).method, 'none');
+    assert.equal(valueHerd([], { livestockCount: '5', species: 'mixed' }).method, 'none');
+});
+
+test('a roster with no priceable animal leaves the estimate open for the declared value', () => {
+    const herd = valueHerd([{ tagId: 'R1', species: 'rabbit' }, { tagId: 'D1', species: 'donkey' }, { tagId: 'B1', species: '' }], { herdValue: '90000' });
+    assert.equal(herd.method, 'roster');
+    assert.deepEqual([herd.estimate, herd.low, herd.high], [null, null, null]);
+    assert.equal(herd.declared, 90000);
+    assert.equal(herd.discrepancy, null);
+    const factor = plain(run(`new RiskScoringEngine().score({ herdValue: '90000' }, {}, ${JSON.stringify(herd)})`)).factors.find(f => f.key === 'herdValue');
+    assert.deepEqual(factor.noteParams, { amount: 90000, source: 'declared' });
+});